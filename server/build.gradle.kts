@@ -39,6 +39,9 @@ dependencies {
     implementation(libs.bcrypt)
     implementation(libs.jwt)
     
+    // Reports
+    implementation(libs.pdfbox)
+    
     // Logging
     implementation(libs.slf4j.api)
     implementation(libs.logback.classic)
@@ -4,9 +4,16 @@ import com.auth0.jwt.JWT
 import com.auth0.jwt.algorithms.Algorithm
 import com.jeffmolenaar.revix.domain.HealthResponse
 import com.jeffmolenaar.revix.domain.ApiError
+import com.jeffmolenaar.revix.server.attachment.AttachmentService
+import com.jeffmolenaar.revix.server.audit.AuditLog
 import com.jeffmolenaar.revix.server.auth.AuthService
 import com.jeffmolenaar.revix.server.config.AppConfig
 import com.jeffmolenaar.revix.server.config.ConfigLoader
+import com.jeffmolenaar.revix.server.export.ExportService
+import com.jeffmolenaar.revix.server.imports.ImportService
+import com.jeffmolenaar.revix.server.mail.AccountMailer
+import com.jeffmolenaar.revix.server.mail.MailTransport
+import com.jeffmolenaar.revix.server.report.ReportService
 import com.jeffmolenaar.revix.server.database.*
 import com.jeffmolenaar.revix.server.repository.*
 import com.jeffmolenaar.revix.server.routes.*
@@ -136,7 +143,8 @@ private fun Application.setupFullApplication(config: AppConfig) {
                     .build()
             )
             validate { credential ->
-                if (credential.payload.getClaim("userId").asString() != null) {
+                // Refresh tokens are only good for /auth/refresh, so a revoked session ends once its access token expires
+                if (credential.payload.getClaim("userId").asString() != null && credential.payload.getClaim("type").asString() == "access") {
                     JWTPrincipal(credential.payload)
                 } else {
                     null
@@ -160,9 +168,21 @@ private fun Application.setupFullApplication(config: AppConfig) {
             // Protected routes
             authenticate("auth-jwt") {
                 vehicleRoutes()
+                vehicleMemberRoutes()
                 tagRoutes()
                 partRoutes()
                 maintenanceRoutes()
+                scheduleRoutes()
+                odometerRoutes()
+                statsRoutes()
+                preferenceRoutes()
+                accountRoutes()
+                exportRoutes()
+                importRoutes()
+                reportRoutes()
+                attachmentRoutes()
+                trashRoutes()
+                auditRoutes()
                 
                 // System meta endpoint
                 get("/meta") {
@@ -288,15 +308,31 @@ fun appModule(config: AppConfig) = module {
     single { config.jwt }
     single { config.database }
     single { config.server }
+    single { config.storage }
+    single { config.mail }
+    single { MailTransport.create(config.mail) }
     
     // Services
     singleOf(::AuthService)
+    singleOf(::ExportService)
+    singleOf(::ImportService)
+    singleOf(::ReportService)
+    singleOf(::AttachmentService)
+    singleOf(::AccountMailer)
+    singleOf(::AuditLog)
     
     // Repositories
     singleOf(::UserRepository)
     singleOf(::RefreshTokenRepository)
     singleOf(::VehicleRepository)
+    singleOf(::VehicleMemberRepository)
     singleOf(::TagRepository)
     singleOf(::PartRepository)
     singleOf(::MaintenanceRepository)
+    singleOf(::ScheduleRepository)
+    singleOf(::OdometerRepository)
+    singleOf(::StatsRepository)
+    singleOf(::AttachmentRepository)
+    singleOf(::TrashRepository)
+    singleOf(::AuditRepository)
 }
\ No newline at end of file
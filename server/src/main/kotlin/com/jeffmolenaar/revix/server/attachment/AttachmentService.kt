@@ -0,0 +1,127 @@
+package com.jeffmolenaar.revix.server.attachment
+
+import com.jeffmolenaar.revix.domain.Attachment
+import com.jeffmolenaar.revix.server.config.StorageConfig
+import com.jeffmolenaar.revix.server.repository.AttachmentRepository
+import com.jeffmolenaar.revix.server.repository.AttachmentTarget
+import java.awt.Color
+import java.awt.RenderingHints
+import java.awt.image.BufferedImage
+import java.io.ByteArrayInputStream
+import java.io.ByteArrayOutputStream
+import java.io.File
+import java.io.IOException
+import javax.imageio.ImageIO
+import kotlin.math.roundToInt
+
+// Files live in one directory per owner, named by attachment ID, so no part of a path comes from the upload
+class AttachmentService(
+    private val attachmentRepository: AttachmentRepository,
+    private val storage: StorageConfig
+) {
+    
+    // The type the file's first bytes show it to be, whatever the upload claimed; null for anything else
+    fun detectContentType(bytes: ByteArray): String? = when {
+        bytes.startsWith(0xFF, 0xD8, 0xFF) -> "image/jpeg"
+        bytes.startsWith(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A) -> "image/png"
+        bytes.size >= 12 && bytes.startsWith(0x52, 0x49, 0x46, 0x46) && bytes.copyOfRange(8, 12).contentEquals("WEBP".toByteArray()) -> "image/webp"
+        bytes.startsWith(0x25, 0x50, 0x44, 0x46, 0x2D) -> "application/pdf"
+        else -> null
+    }
+    
+    fun store(ownerId: String, target: AttachmentTarget, fileName: String, contentType: String, bytes: ByteArray): Attachment {
+        val thumbnail = thumbnail(contentType, bytes)
+        val attachment = attachmentRepository.create(
+            ownerId, target, cleanFileName(fileName), contentType, bytes.size.toLong(), thumbnail != null
+        )
+        
+        try {
+            val directory = ownerDirectory(ownerId).apply { mkdirs() }
+            File(directory, attachment.id).writeBytes(bytes)
+            thumbnail?.let { File(directory, attachment.id + THUMBNAIL_SUFFIX).writeBytes(it) }
+        } catch (e: IOException) {
+            attachmentRepository.delete(attachment.id, ownerId)
+            throw e
+        }
+        
+        return attachment
+    }
+    
+    fun file(attachment: Attachment, ownerId: String): File? =
+        File(ownerDirectory(ownerId), attachment.id).takeIf { it.isFile }
+    
+    fun thumbnailFile(attachment: Attachment, ownerId: String): File? =
+        if (attachment.hasThumbnail) File(ownerDirectory(ownerId), attachment.id + THUMBNAIL_SUFFIX).takeIf { it.isFile } else null
+    
+    fun delete(id: String, ownerId: String): Boolean {
+        if (!attachmentRepository.delete(id, ownerId)) return false
+        
+        File(ownerDirectory(ownerId), id).delete()
+        File(ownerDirectory(ownerId), id + THUMBNAIL_SUFFIX).delete()
+        return true
+    }
+    
+    // Deleting a record, part or vehicle removes its attachments from the database through the foreign keys;
+    // this clears out the files they leave behind
+    fun removeOrphanedFiles(ownerId: String) {
+        // Files are listed before the IDs are read, so a file being uploaded meanwhile is never taken for an orphan
+        val files = ownerDirectory(ownerId).listFiles() ?: return
+        val ids = attachmentRepository.findIdsByOwner(ownerId)
+        
+        files.filter { it.name.removeSuffix(THUMBNAIL_SUFFIX) !in ids }.forEach { it.delete() }
+    }
+    
+    private fun ownerDirectory(ownerId: String): File = File(storage.attachmentsDir, ownerId)
+    
+    // A JPEG to show in lists; PDFs, WebP images and images too large to decode safely get none
+    private fun thumbnail(contentType: String, bytes: ByteArray): ByteArray? {
+        if (contentType != "image/jpeg" && contentType != "image/png") return null
+        
+        return try {
+            val image = ImageIO.createImageInputStream(ByteArrayInputStream(bytes)).use { input ->
+                val reader = ImageIO.getImageReaders(input).asSequence().firstOrNull() ?: return null
+                try {
+                    reader.input = input
+                    if (reader.getWidth(0).toLong() * reader.getHeight(0) > MAX_SOURCE_PIXELS) return null
+                    reader.read(0)
+                } finally {
+                    reader.dispose()
+                }
+            }
+            
+            val scale = minOf(1.0, THUMBNAIL_SIZE.toDouble() / maxOf(image.width, image.height))
+            val width = maxOf(1, (image.width * scale).roundToInt())
+            val height = maxOf(1, (image.height * scale).roundToInt())
+            val thumbnail = BufferedImage(width, height, BufferedImage.TYPE_INT_RGB)
+            thumbnail.createGraphics().apply {
+                // JPEG has no transparency, so transparent areas of a PNG become white
+                color = Color.WHITE
+                fillRect(0, 0, width, height)
+                setRenderingHint(RenderingHints.KEY_INTERPOLATION, RenderingHints.VALUE_INTERPOLATION_BILINEAR)
+                drawImage(image, 0, 0, width, height, null)
+                dispose()
+            }
+            
+            ByteArrayOutputStream().also { ImageIO.write(thumbnail, "jpg", it) }.toByteArray()
+        } catch (e: Exception) {
+            null
+        }
+    }
+    
+    // Keeps the name shown for the file, without any directories, control characters or excess length
+    private fun cleanFileName(fileName: String): String =
+        fileName.substringAfterLast('/').substringAfterLast('\\')
+            .filterNot { it.isISOControl() }
+            .trim()
+            .take(255)
+            .ifEmpty { "attachment" }
+    
+    private fun ByteArray.startsWith(vararg prefix: Int): Boolean =
+        size >= prefix.size && prefix.indices.all { this[it] == prefix[it].toByte() }
+    
+    private companion object {
+        const val THUMBNAIL_SUFFIX = ".thumb.jpg"
+        const val THUMBNAIL_SIZE = 320
+        const val MAX_SOURCE_PIXELS = 50_000_000L
+    }
+}
@@ -0,0 +1,120 @@
+package com.jeffmolenaar.revix.server.audit
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.repository.AuditRepository
+
+// An item as the audit log sees it: the fields it compares, as text
+data class AuditSnapshot(
+    val type: TrashItemType,
+    val id: String,
+    val ownerId: String,
+    val name: String,
+    val fields: Map<String, String?> = emptyMap()
+)
+
+// Writes the entries of the vehicle, part, tag and maintenance routes and of imports; actorId is who made the change
+class AuditLog(private val auditRepository: AuditRepository) {
+    
+    fun created(actorId: String, item: AuditSnapshot) =
+        append(actorId, item, AuditAction.CREATE, changes(emptyMap(), item.fields))
+    
+    // Saving without changing anything leaves no entry
+    fun updated(actorId: String, before: AuditSnapshot, after: AuditSnapshot) {
+        val changes = changes(before.fields, after.fields)
+        if (changes.isNotEmpty()) append(actorId, after, AuditAction.UPDATE, changes)
+    }
+    
+    fun deleted(actorId: String, item: AuditSnapshot) =
+        append(actorId, item, AuditAction.DELETE, changes(item.fields, emptyMap()))
+    
+    fun restored(actorId: String, item: AuditSnapshot) =
+        append(actorId, item, AuditAction.RESTORE, emptyList())
+    
+    private fun append(actorId: String, item: AuditSnapshot, action: AuditAction, changes: List<AuditChange>) =
+        auditRepository.append(item.ownerId, actorId, item.type, item.id, item.name, action, changes)
+    
+    // Blank fields count as empty, so clearing the notes is a change but sending "" for none is not
+    private fun changes(before: Map<String, String?>, after: Map<String, String?>): List<AuditChange> =
+        (before.keys + after.keys).mapNotNull { field ->
+            val old = before[field]?.takeIf { it.isNotBlank() }
+            val new = after[field]?.takeIf { it.isNotBlank() }
+            if (old == new) null else AuditChange(field, old, new)
+        }
+}
+
+fun Vehicle.toAuditSnapshot(): AuditSnapshot = AuditSnapshot(
+    type = TrashItemType.VEHICLE,
+    id = id,
+    ownerId = ownerId,
+    name = "$manufacturer $model",
+    fields = mapOf(
+        "manufacturer" to manufacturer,
+        "model" to model,
+        "licensePlate" to licensePlate,
+        "vin" to vin,
+        "buildYear" to buildYear?.toString(),
+        "fuelType" to fuelType,
+        "odoUnit" to odoUnit.name,
+        "currentOdo" to currentOdo?.toString()
+    )
+)
+
+fun Part.toAuditSnapshot(): AuditSnapshot = AuditSnapshot(
+    type = TrashItemType.PART,
+    id = id,
+    ownerId = ownerId,
+    name = name,
+    fields = mapOf(
+        "name" to name,
+        "description" to description,
+        "price" to priceCents?.let { formatAmount(it, currency) },
+        "url" to url,
+        "tags" to tags.joinToString(", ") { it.name }
+    )
+)
+
+fun Tag.toAuditSnapshot(): AuditSnapshot = AuditSnapshot(
+    type = TrashItemType.TAG,
+    id = id,
+    ownerId = ownerId,
+    name = name,
+    fields = mapOf(
+        "name" to name,
+        "color" to color
+    )
+)
+
+// Items read like "Oil filter × 1 at EUR 12.50; Engine oil × 4.5 l"
+fun MaintenanceRecord.toAuditSnapshot(): AuditSnapshot = AuditSnapshot(
+    type = TrashItemType.MAINTENANCE,
+    id = id,
+    ownerId = ownerId,
+    name = title,
+    fields = mapOf(
+        "title" to title,
+        "happenedAt" to happenedAt.toString(),
+        "odoReading" to odoReading?.toString(),
+        "notes" to notes,
+        "items" to items.joinToString("; ") { item ->
+            buildString {
+                append(item.part?.name ?: "Unknown part")
+                append(" × ")
+                append(if (item.quantity % 1.0 == 0.0) item.quantity.toLong().toString() else item.quantity.toString())
+                item.unit?.let { append(" $it") }
+                item.unitPriceCentsOverride?.let { append(" at ${formatAmount(it, item.part?.currency)}") }
+            }
+        },
+        "tags" to tags.joinToString(", ") { it.name }
+    )
+)
+
+// A TrashItem carries no fields, which is all a restore entry needs
+fun TrashItem.toAuditSnapshot(ownerId: String): AuditSnapshot = AuditSnapshot(
+    type = type,
+    id = id,
+    ownerId = ownerId,
+    name = name
+)
+
+private fun formatAmount(cents: Long, currency: String?): String =
+    listOfNotNull(currency, "%d.%02d".format(cents / 100, cents % 100)).joinToString(" ")
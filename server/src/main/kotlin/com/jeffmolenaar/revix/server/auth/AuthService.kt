@@ -2,13 +2,16 @@ package com.jeffmolenaar.revix.server.auth
 
 import at.favre.lib.crypto.bcrypt.BCrypt
 import com.auth0.jwt.JWT
+import com.auth0.jwt.JWTCreator
 import com.auth0.jwt.algorithms.Algorithm
 import com.auth0.jwt.interfaces.DecodedJWT
 import com.jeffmolenaar.revix.server.config.JwtConfig
 import kotlinx.datetime.Clock
 import kotlinx.datetime.Instant
 import java.util.*
+import kotlin.time.Duration
 import kotlin.time.Duration.Companion.days
+import kotlin.time.Duration.Companion.hours
 
 class AuthService(private val jwtConfig: JwtConfig) {
     
@@ -22,7 +25,8 @@ class AuthService(private val jwtConfig: JwtConfig) {
         return BCrypt.verifyer().verify(password.toCharArray(), hash).verified
     }
     
-    fun generateAccessToken(userId: String): String {
+    // The session ID is that of the refresh token the access token was issued with
+    fun generateAccessToken(userId: String, sessionId: String): String {
         val now = Date()
         val expiration = Date(now.time + jwtConfig.accessTokenExpirationMs)
         
@@ -30,6 +34,7 @@ class AuthService(private val jwtConfig: JwtConfig) {
             .withAudience(jwtConfig.audience)
             .withIssuer(jwtConfig.issuer)
             .withClaim("userId", userId)
+            .withClaim("sessionId", sessionId)
             .withClaim("type", "access")
             .withExpiresAt(expiration)
             .withIssuedAt(now)
@@ -45,6 +50,8 @@ class AuthService(private val jwtConfig: JwtConfig) {
             .withIssuer(jwtConfig.issuer)
             .withClaim("userId", userId)
             .withClaim("type", "refresh")
+            // Every login is its own session, even two in the same second
+            .withJWTId(UUID.randomUUID().toString())
             .withExpiresAt(expiration)
             .withIssuedAt(now)
             .sign(algorithm)
@@ -73,8 +80,52 @@ class AuthService(private val jwtConfig: JwtConfig) {
     fun hashRefreshToken(refreshToken: String): String {
         // Use SHA-256 instead of BCrypt since JWT tokens are too long for BCrypt (72 byte limit)
         // and we don't need the slowness of BCrypt for hashing already-secure JWT tokens
+        return sha256(refreshToken)
+    }
+    
+    // Mailed reset links only work while the password is the one the link was issued for, so each works once
+    fun generatePasswordResetToken(userId: String, passwordHash: String): String {
+        return linkToken(userId, "password_reset", 1.hours)
+            .withClaim("password", sha256(passwordHash))
+            .sign(algorithm)
+    }
+    
+    // The user to reset the password of, or null for a token that is invalid, expired or already used
+    fun verifyPasswordResetToken(token: String, currentPasswordHash: (userId: String) -> String?): String? {
+        val decoded = verifyToken(token)?.takeIf { it.getClaim("type").asString() == "password_reset" } ?: return null
+        val userId = decoded.getClaim("userId").asString() ?: return null
+        val passwordHash = currentPasswordHash(userId) ?: return null
+        return userId.takeIf { decoded.getClaim("password").asString() == sha256(passwordHash) }
+    }
+    
+    // Verification links are for one address, so a link mailed before an email change does not verify the new one
+    fun generateEmailVerificationToken(userId: String, email: String): String {
+        return linkToken(userId, "email_verification", 3.days)
+            .withClaim("email", email)
+            .sign(algorithm)
+    }
+    
+    fun verifyEmailVerificationToken(token: String, currentEmail: (userId: String) -> String?): String? {
+        val decoded = verifyToken(token)?.takeIf { it.getClaim("type").asString() == "email_verification" } ?: return null
+        val userId = decoded.getClaim("userId").asString() ?: return null
+        return userId.takeIf { decoded.getClaim("email").asString() == currentEmail(userId) }
+    }
+    
+    private fun linkToken(userId: String, type: String, validFor: Duration): JWTCreator.Builder {
+        val now = Date()
+        
+        return JWT.create()
+            .withAudience(jwtConfig.audience)
+            .withIssuer(jwtConfig.issuer)
+            .withClaim("userId", userId)
+            .withClaim("type", type)
+            .withExpiresAt(Date(now.time + validFor.inWholeMilliseconds))
+            .withIssuedAt(now)
+    }
+    
+    private fun sha256(value: String): String {
         return java.security.MessageDigest.getInstance("SHA-256")
-            .digest(refreshToken.toByteArray())
+            .digest(value.toByteArray())
             .fold("") { str, it -> str + "%02x".format(it) }
     }
     
@@ -21,10 +21,26 @@ data class ServerConfig(
     val host: String = "0.0.0.0"
 )
 
+// Uploaded attachments are kept on disk, next to the config directory unless configured elsewhere
+data class StorageConfig(
+    val attachmentsDir: String
+)
+
+// Mail is written to the spool directory unless another transport is configured;
+// links in the messages point at the public URL the web app is served from
+data class MailConfig(
+    val transport: String = "spool",
+    val from: String = "Revix <noreply@localhost>",
+    val spoolDir: String,
+    val publicUrl: String = "http://localhost:8080"
+)
+
 data class AppConfig(
     val database: DatabaseConfig,
     val jwt: JwtConfig,
-    val server: ServerConfig
+    val server: ServerConfig,
+    val storage: StorageConfig,
+    val mail: MailConfig
 )
 
 object ConfigLoader {
@@ -41,6 +57,15 @@ object ConfigLoader {
             server = ServerConfig(
                 port = System.getenv("REVIX_PORT")?.toIntOrNull() ?: 8080,
                 host = System.getenv("REVIX_HOST") ?: "0.0.0.0"
+            ),
+            storage = StorageConfig(
+                attachmentsDir = System.getenv("REVIX_ATTACHMENTS_DIR") ?: "${System.getProperty("user.dir")}/data/attachments"
+            ),
+            mail = MailConfig(
+                transport = System.getenv("REVIX_MAIL_TRANSPORT") ?: "spool",
+                from = System.getenv("REVIX_MAIL_FROM") ?: "Revix <noreply@localhost>",
+                spoolDir = System.getenv("REVIX_MAIL_SPOOL_DIR") ?: "${System.getProperty("user.dir")}/data/mail",
+                publicUrl = (System.getenv("REVIX_PUBLIC_URL") ?: "http://localhost:8080").trimEnd('/')
             )
         )
     }
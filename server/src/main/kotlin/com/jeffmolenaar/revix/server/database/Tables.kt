@@ -1,6 +1,9 @@
 package com.jeffmolenaar.revix.server.database
 
+import com.jeffmolenaar.revix.domain.AuditAction
 import com.jeffmolenaar.revix.domain.OdoUnit
+import com.jeffmolenaar.revix.domain.TrashItemType
+import com.jeffmolenaar.revix.domain.VehicleRole
 import org.jetbrains.exposed.dao.id.UUIDTable
 import org.jetbrains.exposed.sql.Table
 import org.jetbrains.exposed.sql.kotlin.datetime.date
@@ -10,6 +13,8 @@ object UsersTable : UUIDTable("users") {
     val email = varchar("email", 255).uniqueIndex()
     val name = varchar("name", 255).nullable()
     val passwordHash = varchar("password_hash", 255)
+    val distanceUnit = enumerationByName("distance_unit", 10, OdoUnit::class).default(OdoUnit.KM)
+    val emailVerifiedAt = timestamp("email_verified_at").nullable() // Cleared when the email changes
     val createdAt = timestamp("created_at")
 }
 
@@ -32,6 +37,16 @@ object VehiclesTable : UUIDTable("vehicles") {
     val currentOdo = long("current_odo").nullable()
     val createdAt = timestamp("created_at")
     val updatedAt = timestamp("updated_at")
+    val deletedAt = timestamp("deleted_at").nullable() // Set while the vehicle is in the trash
+}
+
+object VehicleMembersTable : Table("vehicle_members") {
+    val vehicleId = reference("vehicle_id", VehiclesTable)
+    val userId = reference("user_id", UsersTable)
+    val role = enumerationByName("role", 10, VehicleRole::class) // EDITOR or VIEWER
+    val createdAt = timestamp("created_at")
+    
+    override val primaryKey = PrimaryKey(vehicleId, userId)
 }
 
 object TagsTable : UUIDTable("tags") {
@@ -40,10 +55,12 @@ object TagsTable : UUIDTable("tags") {
     val color = varchar("color", 7).nullable()
     val slug = varchar("slug", 60)
     val createdAt = timestamp("created_at")
+    val deletedAt = timestamp("deleted_at").nullable()
     
     init {
-        uniqueIndex("unique_tag_name_per_owner", ownerId, name)
-        uniqueIndex("unique_tag_slug_per_owner", ownerId, slug)
+        // Tags in the trash do not keep their name taken
+        uniqueIndex("unique_tag_name_per_owner", ownerId, name, filterCondition = { deletedAt.isNull() })
+        uniqueIndex("unique_tag_slug_per_owner", ownerId, slug, filterCondition = { deletedAt.isNull() })
     }
 }
 
@@ -56,6 +73,7 @@ object PartsTable : UUIDTable("parts") {
     val url = text("url").nullable()
     val createdAt = timestamp("created_at")
     val updatedAt = timestamp("updated_at")
+    val deletedAt = timestamp("deleted_at").nullable()
 }
 
 object PartTagsTable : Table("part_tags") {
@@ -72,8 +90,19 @@ object MaintenanceRecordsTable : UUIDTable("maintenance_records") {
     val odoReading = long("odo_reading").nullable()
     val title = varchar("title", 200)
     val notes = text("notes").nullable()
+    val scheduleId = reference("schedule_id", ServiceSchedulesTable).nullable()
+    val createdBy = reference("created_by", UsersTable).nullable()
+    val updatedBy = reference("updated_by", UsersTable).nullable()
     val createdAt = timestamp("created_at")
     val updatedAt = timestamp("updated_at")
+    val deletedAt = timestamp("deleted_at").nullable()
+}
+
+object MaintenanceTagsTable : Table("maintenance_tags") {
+    val maintenanceId = reference("maintenance_id", MaintenanceRecordsTable)
+    val tagId = reference("tag_id", TagsTable)
+    
+    override val primaryKey = PrimaryKey(maintenanceId, tagId)
 }
 
 object MaintenanceItemsTable : UUIDTable("maintenance_items") {
@@ -83,4 +112,48 @@ object MaintenanceItemsTable : UUIDTable("maintenance_items") {
     val unit = varchar("unit", 20).nullable()
     val unitPriceCentsOverride = long("unit_price_cents_override").nullable()
     val notes = text("notes").nullable()
+}
+
+object ServiceSchedulesTable : UUIDTable("service_schedules") {
+    val vehicleId = reference("vehicle_id", VehiclesTable)
+    val ownerId = reference("owner_id", UsersTable)
+    val title = varchar("title", 200)
+    val intervalOdo = long("interval_odo").nullable()
+    val intervalMonths = integer("interval_months").nullable()
+    val notes = text("notes").nullable()
+    val baselineOdo = long("baseline_odo").nullable() // The vehicle's odometer when the schedule was created
+    val createdAt = timestamp("created_at")
+    val updatedAt = timestamp("updated_at")
+}
+
+object OdometerReadingsTable : UUIDTable("odometer_readings") {
+    val vehicleId = reference("vehicle_id", VehiclesTable)
+    val ownerId = reference("owner_id", UsersTable)
+    val readAt = date("read_at")
+    val reading = long("reading")
+    val note = varchar("note", 200).nullable()
+    val createdAt = timestamp("created_at")
+}
+
+object AttachmentsTable : UUIDTable("attachments") {
+    val ownerId = reference("owner_id", UsersTable)
+    val maintenanceId = reference("maintenance_id", MaintenanceRecordsTable).nullable()
+    val partId = reference("part_id", PartsTable).nullable()
+    val fileName = varchar("file_name", 255)
+    val contentType = varchar("content_type", 100)
+    val sizeBytes = long("size_bytes")
+    val hasThumbnail = bool("has_thumbnail")
+    val createdAt = timestamp("created_at")
+}
+
+// Only ever inserted into; entity_id is not a reference, so entries stay after the item is deleted for good
+object AuditLogTable : UUIDTable("audit_log") {
+    val ownerId = reference("owner_id", UsersTable) // Whose item it is, which on a shared vehicle need not be the actor
+    val actorId = reference("actor_id", UsersTable).nullable()
+    val entityType = enumerationByName("entity_type", 20, TrashItemType::class)
+    val entityId = uuid("entity_id")
+    val entityName = varchar("entity_name", 255)
+    val action = enumerationByName("action", 10, AuditAction::class)
+    val changes = text("changes") // JSON list of AuditChange
+    val createdAt = timestamp("created_at")
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+package com.jeffmolenaar.revix.server.export
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.report.currency
+import com.jeffmolenaar.revix.server.report.totalCents
+import com.jeffmolenaar.revix.server.repository.MaintenanceRepository
+import com.jeffmolenaar.revix.server.repository.PartRepository
+import com.jeffmolenaar.revix.server.repository.TagRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import kotlinx.datetime.Clock
+import kotlinx.datetime.LocalDate
+
+class ExportService(
+    private val vehicleRepository: VehicleRepository,
+    private val partRepository: PartRepository,
+    private val tagRepository: TagRepository,
+    private val maintenanceRepository: MaintenanceRepository
+) {
+    
+    // Parts and tags are always exported whole, since the exported records refer to them
+    fun bundle(ownerId: String, vehicleId: String? = null, from: LocalDate? = null, to: LocalDate? = null): ExportBundle {
+        val vehicles = vehicleRepository.findByOwner(ownerId, pageSize = Int.MAX_VALUE)
+            .filter { vehicleId == null || it.id == vehicleId }
+        
+        return ExportBundle(
+            exportedAt = Clock.System.now(),
+            vehicleId = vehicleId,
+            from = from,
+            to = to,
+            vehicles = vehicles,
+            parts = partRepository.findByOwner(ownerId, pageSize = Int.MAX_VALUE),
+            tags = tagRepository.findByOwner(ownerId),
+            maintenance = maintenanceRepository.findByOwner(
+                ownerId, vehicleId, from, to, pageSize = Int.MAX_VALUE, sort = MaintenanceSort.DATE_ASC
+            )
+        )
+    }
+    
+    fun csv(entity: ExportEntity, bundle: ExportBundle): String = when (entity) {
+        ExportEntity.VEHICLES -> vehiclesCsv(bundle.vehicles)
+        ExportEntity.PARTS -> partsCsv(bundle.parts)
+        ExportEntity.TAGS -> tagsCsv(bundle.tags)
+        ExportEntity.MAINTENANCE -> maintenanceCsv(bundle.maintenance)
+    }
+    
+    private fun vehiclesCsv(vehicles: List<Vehicle>): String = csvDocument(
+        listOf("id", "manufacturer", "model", "license_plate", "vin", "build_year", "fuel_type", "odo_unit", "current_odo", "created_at"),
+        vehicles.map { vehicle ->
+            listOf(
+                vehicle.id, vehicle.manufacturer, vehicle.model, vehicle.licensePlate, vehicle.vin,
+                vehicle.buildYear, vehicle.fuelType, vehicle.odoUnit, vehicle.currentOdo, vehicle.createdAt
+            )
+        }
+    )
+    
+    private fun partsCsv(parts: List<Part>): String = csvDocument(
+        listOf("id", "name", "description", "price", "currency", "url", "tags", "created_at"),
+        parts.map { part ->
+            listOf(
+                part.id, part.name, part.description, part.priceCents?.let(::formatCents), part.currency, part.url,
+                part.tags.joinToString(TAG_SEPARATOR) { it.name }, part.createdAt
+            )
+        }
+    )
+    
+    private fun tagsCsv(tags: List<Tag>): String = csvDocument(
+        listOf("id", "name", "color", "slug", "created_at"),
+        tags.map { tag -> listOf(tag.id, tag.name, tag.color, tag.slug, tag.createdAt) }
+    )
+    
+    // One row per item so costs can be summed in a spreadsheet; records without items get a single row
+    private fun maintenanceCsv(records: List<MaintenanceRecord>): String = csvDocument(
+        listOf(
+            "record_id", "date", "vehicle", "odo_reading", "odo_unit", "title", "notes",
+            "part", "quantity", "unit", "unit_price", "total", "currency", "item_notes"
+        ),
+        records.flatMap { record ->
+            val recordCells = listOf(
+                record.id, record.happenedAt, record.vehicle?.let(::vehicleLabel), record.odoReading,
+                record.vehicle?.odoUnit, record.title, record.notes
+            )
+            
+            if (record.items.isEmpty()) {
+                listOf(recordCells + List(7) { null })
+            } else {
+                record.items.map { item ->
+                    val unitPriceCents = item.unitPriceCentsOverride ?: item.part?.priceCents
+                    recordCells + listOf(
+                        item.part?.name, item.quantity, item.unit, unitPriceCents?.let(::formatCents),
+                        item.totalCents()?.let(::formatCents), item.currency(), item.notes
+                    )
+                }
+            }
+        }
+    )
+    
+    private fun vehicleLabel(vehicle: VehicleSummary): String {
+        val identifier = vehicle.licensePlate ?: vehicle.vin
+        return if (identifier != null) "${vehicle.manufacturer} ${vehicle.model} ($identifier)" else "${vehicle.manufacturer} ${vehicle.model}"
+    }
+    
+    private fun formatCents(cents: Long): String = cents.toBigDecimal().movePointLeft(2).toPlainString()
+    
+    private fun csvDocument(header: List<String>, rows: List<List<Any?>>): String =
+        (listOf(header) + rows).joinToString("\r\n", postfix = "\r\n") { row -> row.joinToString(",") { csvCell(it) } }
+    
+    // Quotes cells per RFC 4180, and defuses text a spreadsheet would otherwise run as a formula
+    private fun csvCell(value: Any?): String {
+        val text = when (value) {
+            null -> return ""
+            is String -> if (value.firstOrNull() in FORMULA_PREFIXES) "'$value" else value
+            else -> value.toString()
+        }
+        
+        return if (text.any { it == ',' || it == '"' || it == '\n' || it == '\r' }) {
+            "\"${text.replace("\"", "\"\"")}\""
+        } else {
+            text
+        }
+    }
+    
+    private companion object {
+        const val TAG_SEPARATOR = "; "
+        val FORMULA_PREFIXES = setOf('=', '+', '-', '@')
+    }
+}
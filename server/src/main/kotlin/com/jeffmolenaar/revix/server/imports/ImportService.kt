@@ -0,0 +1,182 @@
+package com.jeffmolenaar.revix.server.imports
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.audit.AuditLog
+import com.jeffmolenaar.revix.server.audit.toAuditSnapshot
+import com.jeffmolenaar.revix.server.repository.MaintenanceRepository
+import com.jeffmolenaar.revix.server.repository.PartRepository
+import com.jeffmolenaar.revix.server.repository.TagRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import com.jeffmolenaar.revix.validation.ValidationResult
+import com.jeffmolenaar.revix.validation.ValidationRules
+import kotlinx.datetime.LocalDate
+import org.jetbrains.exposed.sql.transactions.transaction
+
+// Every row is checked before anything is written, and a commit writes all rows in one transaction or none,
+// with an audit entry for each item it creates
+class ImportService(
+    private val vehicleRepository: VehicleRepository,
+    private val partRepository: PartRepository,
+    private val tagRepository: TagRepository,
+    private val maintenanceRepository: MaintenanceRepository,
+    private val auditLog: AuditLog
+) {
+    
+    fun importParts(ownerId: String, request: ImportRequest<ImportPartRow>): ImportResult {
+        val existingNames = partRepository.findByOwner(ownerId, pageSize = Int.MAX_VALUE)
+            .map { nameKey(it.name) }
+            .toSet()
+        val tagIdsByName = tagRepository.findByOwner(ownerId)
+            .associate { nameKey(it.name) to it.id }
+            .toMutableMap()
+        val seenNames = mutableSetOf<String>()
+        val plannedTags = mutableSetOf<String>()
+        
+        val plans = request.rows.mapIndexed { index, row ->
+            val tags = tagNames(row.tags)
+            val errors = errorsOf(
+                listOfNotNull(
+                    ValidationRules.validatePartName(row.name),
+                    row.priceCents?.let { ValidationRules.validatePriceCents(it) },
+                    row.currency?.let { ValidationRules.validateCurrency(it) }
+                ) + tags.map { ValidationRules.validateTagName(it) }
+            )
+            
+            val warnings = mutableListOf<String>()
+            val skip = when {
+                nameKey(row.name) in existingNames -> warnings.add("A part with this name is already in the catalog; skipped")
+                !seenNames.add(nameKey(row.name)) -> warnings.add("Same name as an earlier row; skipped")
+                else -> false
+            }
+            if (!skip) {
+                tags.filter { nameKey(it) !in tagIdsByName && plannedTags.add(nameKey(it)) }
+                    .forEach { warnings.add("Creates tag \"$it\"") }
+            }
+            
+            RowPlan(index, errors, warnings, skip)
+        }
+        
+        if (shouldWrite(request, plans)) {
+            transaction {
+                plans.filterNot { it.skip }.forEach { plan ->
+                    val row = request.rows[plan.index]
+                    val tagIds = tagNames(row.tags).map { name ->
+                        tagIdsByName.getOrPut(nameKey(name)) {
+                            val tag = tagRepository.create(ownerId, CreateTagRequest(name))
+                            auditLog.created(ownerId, tag.toAuditSnapshot())
+                            tag.id
+                        }
+                    }
+                    
+                    val part = partRepository.create(ownerId, CreatePartRequest(
+                        name = row.name.trim(),
+                        description = row.description,
+                        priceCents = row.priceCents,
+                        currency = row.currency,
+                        url = row.url,
+                        tagIds = tagIds
+                    ))
+                    auditLog.created(ownerId, part.toAuditSnapshot())
+                }
+            }
+        }
+        
+        return result(request, plans)
+    }
+    
+    fun importMaintenance(ownerId: String, request: ImportRequest<ImportMaintenanceRow>): ImportResult {
+        val vehicles = vehicleRepository.findByOwner(ownerId, pageSize = Int.MAX_VALUE)
+        val vehiclesByIdentifier = vehicles.flatMap { vehicle ->
+            listOfNotNull(vehicle.licensePlate, vehicle.vin).map { identifierKey(it) to vehicle }
+        }.toMap()
+        val partsByName = partRepository.findByOwner(ownerId, pageSize = Int.MAX_VALUE)
+            .groupBy { nameKey(it.name) }
+            .mapValues { (_, parts) -> parts.first() }
+        val seenRecords = mutableSetOf<Triple<String, LocalDate, String>>()
+        
+        val plans = request.rows.mapIndexed { index, row ->
+            val vehicle = vehiclesByIdentifier[identifierKey(row.vehicle)]
+            val unknownParts = row.items.map { it.partName.trim() }.filter { nameKey(it) !in partsByName }.distinct()
+            val errors = errorsOf(
+                listOf(
+                    ValidationRules.validateMaintenanceTitle(row.title),
+                    ValidationRules.validateOdoReading(row.odoReading)
+                ) + row.items.map { ValidationRules.validateQuantity(it.quantity) }
+            ) + listOfNotNull(
+                if (vehicle == null) "No vehicle with license plate or VIN \"${row.vehicle}\"" else null
+            ) + unknownParts.map { "No part named \"$it\" in the catalog" }
+            
+            val warnings = mutableListOf<String>()
+            val skip = when {
+                vehicle == null -> false
+                maintenanceRepository.existsByTitleOnDate(vehicle.id, ownerId, row.happenedAt, row.title) ->
+                    warnings.add("This vehicle already has a record with this title on this date; skipped")
+                !seenRecords.add(Triple(vehicle.id, row.happenedAt, nameKey(row.title))) ->
+                    warnings.add("Same vehicle, date and title as an earlier row; skipped")
+                else -> false
+            }
+            
+            RowPlan(index, errors, warnings, skip)
+        }
+        
+        if (shouldWrite(request, plans)) {
+            transaction {
+                plans.filterNot { it.skip }.forEach { plan ->
+                    val row = request.rows[plan.index]
+                    val vehicle = vehiclesByIdentifier.getValue(identifierKey(row.vehicle))
+                    
+                    val record = maintenanceRepository.create(vehicle.id, ownerId, CreateMaintenanceRecordRequest(
+                        happenedAt = row.happenedAt,
+                        odoReading = row.odoReading,
+                        title = row.title.trim(),
+                        notes = row.notes,
+                        // The part's current price is stored as the price paid, as when a record is added by hand
+                        items = row.items.map { item ->
+                            val part = partsByName.getValue(nameKey(item.partName))
+                            CreateMaintenanceItemRequest(
+                                partId = part.id,
+                                quantity = item.quantity,
+                                unitPriceCentsOverride = part.priceCents
+                            )
+                        }
+                    ))
+                    auditLog.created(ownerId, record.toAuditSnapshot())
+                }
+            }
+        }
+        
+        return result(request, plans)
+    }
+    
+    private fun shouldWrite(request: ImportRequest<*>, plans: List<RowPlan>): Boolean =
+        !request.dryRun && plans.none { it.errors.isNotEmpty() }
+    
+    private fun result(request: ImportRequest<*>, plans: List<RowPlan>): ImportResult {
+        val valid = plans.none { it.errors.isNotEmpty() }
+        return ImportResult(
+            dryRun = request.dryRun,
+            created = if (valid) plans.count { !it.skip } else 0,
+            skipped = plans.count { it.skip },
+            rows = plans
+                .filter { it.errors.isNotEmpty() || it.warnings.isNotEmpty() }
+                .map { ImportRowResult(it.index, it.errors, it.warnings) }
+        )
+    }
+    
+    private fun errorsOf(results: List<ValidationResult>): List<String> = results.mapNotNull { it.errorMessage }
+    
+    private fun tagNames(tags: List<String>): List<String> =
+        tags.map { it.trim() }.filter { it.isNotEmpty() }.distinctBy { nameKey(it) }
+    
+    private fun nameKey(name: String): String = name.trim().lowercase()
+    
+    // Plates and VINs match whatever spacing, dashes and case the spreadsheet uses
+    private fun identifierKey(identifier: String): String = identifier.uppercase().filter { it.isLetterOrDigit() }
+}
+
+private data class RowPlan(
+    val index: Int,
+    val errors: List<String>,
+    val warnings: List<String>,
+    val skip: Boolean
+)
@@ -0,0 +1,41 @@
+package com.jeffmolenaar.revix.server.mail
+
+import com.jeffmolenaar.revix.domain.User
+import com.jeffmolenaar.revix.server.config.MailConfig
+
+// The messages of the password reset and email verification flows; the links open the web app
+class AccountMailer(
+    private val transport: MailTransport,
+    private val config: MailConfig
+) {
+    
+    fun sendPasswordReset(user: User, token: String) {
+        transport.send(MailMessage(
+            to = user.email,
+            subject = "Reset your Revix password",
+            body = """
+                |Hi ${user.name ?: user.email},
+                |
+                |Someone asked to reset the password of your Revix account. To choose a new password, open this link within an hour:
+                |
+                |${config.publicUrl}/#/reset-password?token=$token
+                |
+                |If this wasn't you, you can ignore this message; your password stays the same.
+            """.trimMargin()
+        ))
+    }
+    
+    fun sendEmailVerification(user: User, token: String) {
+        transport.send(MailMessage(
+            to = user.email,
+            subject = "Verify your email address for Revix",
+            body = """
+                |Hi ${user.name ?: user.email},
+                |
+                |To confirm that this is your email address, open this link within three days:
+                |
+                |${config.publicUrl}/#/verify-email?token=$token
+            """.trimMargin()
+        ))
+    }
+}
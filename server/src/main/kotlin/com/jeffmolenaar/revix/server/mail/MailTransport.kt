@@ -0,0 +1,57 @@
+package com.jeffmolenaar.revix.server.mail
+
+import com.jeffmolenaar.revix.server.config.MailConfig
+import kotlinx.datetime.Clock
+import org.slf4j.LoggerFactory
+import java.io.File
+import java.time.ZonedDateTime
+import java.time.format.DateTimeFormatter
+import java.util.*
+
+data class MailMessage(
+    val to: String,
+    val subject: String,
+    val body: String // Plain text
+)
+
+// Delivers mail; a transport for a real mail server only has to implement send and be added to create
+interface MailTransport {
+    fun send(message: MailMessage)
+    
+    companion object {
+        fun create(config: MailConfig): MailTransport = when (config.transport) {
+            "spool" -> SpoolMailTransport(config)
+            "log" -> LogMailTransport()
+            else -> throw IllegalArgumentException("Unknown mail transport '${config.transport}'; use spool or log")
+        }
+    }
+}
+
+// Writes every message to the spool directory as an .eml file, which mail clients open and scripts can pick up
+class SpoolMailTransport(private val config: MailConfig) : MailTransport {
+    
+    override fun send(message: MailMessage) {
+        val directory = File(config.spoolDir).apply { mkdirs() }
+        val file = File(directory, "${Clock.System.now().toEpochMilliseconds()}-${UUID.randomUUID()}.eml")
+        
+        file.writeText(buildString {
+            appendLine("From: ${config.from}")
+            appendLine("To: ${message.to}")
+            appendLine("Subject: ${message.subject}")
+            appendLine("Date: ${ZonedDateTime.now().format(DateTimeFormatter.RFC_1123_DATE_TIME)}")
+            appendLine("MIME-Version: 1.0")
+            appendLine("Content-Type: text/plain; charset=UTF-8")
+            appendLine()
+            append(message.body)
+        })
+    }
+}
+
+// Writes every message to the server log, for trying things out without a mail directory to look in
+class LogMailTransport : MailTransport {
+    private val logger = LoggerFactory.getLogger(LogMailTransport::class.java)
+    
+    override fun send(message: MailMessage) {
+        logger.info("Mail to {}: {}\n{}", message.to, message.subject, message.body)
+    }
+}
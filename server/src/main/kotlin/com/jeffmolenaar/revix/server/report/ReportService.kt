@@ -0,0 +1,44 @@
+package com.jeffmolenaar.revix.server.report
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.repository.MaintenanceRepository
+import com.jeffmolenaar.revix.server.repository.OdometerRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import kotlinx.datetime.Clock
+import kotlin.math.roundToLong
+
+class ReportService(
+    private val vehicleRepository: VehicleRepository,
+    private val maintenanceRepository: MaintenanceRepository,
+    private val odometerRepository: OdometerRepository
+) {
+    
+    // Members of a shared vehicle get the same report as its owner
+    fun vehicleReport(vehicleId: String, userId: String): VehicleReport? {
+        val vehicle = vehicleRepository.findAccessible(vehicleId, userId) ?: return null
+        val records = maintenanceRepository.findByVehicle(
+            vehicleId, vehicle.ownerId, pageSize = Int.MAX_VALUE, sort = MaintenanceSort.DATE_ASC
+        )
+        
+        return VehicleReport(
+            vehicle = vehicle,
+            generatedAt = Clock.System.now(),
+            records = records,
+            odometerLog = odometerRepository.findByVehicle(vehicleId, vehicle.ownerId),
+            totalsCents = totalsCents(records.flatMap { it.items })
+        )
+    }
+    
+    fun vehicleReportPdf(report: VehicleReport): ByteArray = VehicleReportPdf(report).render()
+}
+
+// What an item cost: the price paid, or the part's price for items stored without one
+internal fun MaintenanceItem.totalCents(): Long? =
+    (unitPriceCentsOverride ?: part?.priceCents)?.let { (it * quantity).roundToLong() }
+
+internal fun MaintenanceItem.currency(): String = part?.currency ?: "EUR"
+
+internal fun totalsCents(items: List<MaintenanceItem>): Map<String, Long> =
+    items.mapNotNull { item -> item.totalCents()?.let { item.currency() to it } }
+        .groupBy({ it.first }, { it.second })
+        .mapValues { (_, amounts) -> amounts.sum() }
@@ -0,0 +1,215 @@
+package com.jeffmolenaar.revix.server.report
+
+import com.jeffmolenaar.revix.domain.*
+import org.apache.pdfbox.pdmodel.PDDocument
+import org.apache.pdfbox.pdmodel.PDPage
+import org.apache.pdfbox.pdmodel.PDPageContentStream
+import org.apache.pdfbox.pdmodel.common.PDRectangle
+import org.apache.pdfbox.pdmodel.font.PDType1Font
+import org.apache.pdfbox.pdmodel.font.Standard14Fonts
+import java.io.ByteArrayOutputStream
+import java.util.Locale
+
+// Lays the report out on A4 pages with the standard PDF fonts, so no font files or external services are needed.
+// One instance renders one document.
+internal class VehicleReportPdf(private val report: VehicleReport) {
+    
+    private val document = PDDocument()
+    private val regular = PDType1Font(Standard14Fonts.FontName.HELVETICA)
+    private val bold = PDType1Font(Standard14Fonts.FontName.HELVETICA_BOLD)
+    private val pageSize = PDRectangle.A4
+    private val contentWidth = pageSize.width - 2 * MARGIN
+    private lateinit var content: PDPageContentStream
+    private var y = 0f
+    private var pageNumber = 0
+    
+    fun render(): ByteArray = document.use {
+        document.documentInformation.title = "Service history of ${vehicleName()}"
+        
+        newPage()
+        vehicleDetails()
+        recordsSection()
+        odometerSection()
+        content.close()
+        
+        val output = ByteArrayOutputStream()
+        document.save(output)
+        output.toByteArray()
+    }
+    
+    private fun vehicleDetails() {
+        line("Service History", bold, 18f)
+        line(vehicleName(), bold, 14f)
+        y -= 4f
+        
+        val vehicle = report.vehicle
+        listOfNotNull(
+            vehicle.licensePlate?.let { "License plate: $it" },
+            vehicle.vin?.let { "VIN: $it" },
+            vehicle.buildYear?.let { "Build year: $it" },
+            vehicle.fuelType?.let { "Fuel type: $it" },
+            vehicle.currentOdo?.let { "Odometer: ${formatOdometer(it)}" }
+        ).forEach { line(it) }
+        
+        y -= 8f
+        val dates = report.records.map { it.happenedAt }
+        line(
+            if (dates.isEmpty()) "No maintenance records"
+            else "${report.records.size} maintenance records from ${dates.first()} to ${dates.last()}"
+        )
+        line("Total spend: ${formatTotals(report.totalsCents)}", bold)
+    }
+    
+    private fun recordsSection() {
+        if (report.records.isEmpty()) return
+        heading("Maintenance Records")
+        
+        report.records.forEach { record ->
+            ensureSpace(LEADING * 3)
+            row("${record.happenedAt}   ${record.title}", record.odoReading?.let(::formatOdometer).orEmpty(), bold, 11f)
+            record.notes?.takeIf { it.isNotBlank() }?.let { line(it, indent = INDENT) }
+            
+            record.items.forEach { item ->
+                val cost = item.totalCents()?.let { formatMoney(it, item.currency()) } ?: "—"
+                row("${formatQuantity(item.quantity)}${item.unit?.let { " $it" }.orEmpty()} × ${item.part?.name ?: "Unknown part"}", cost, indent = INDENT)
+            }
+            if (record.items.size > 1) {
+                row("Total", formatTotals(totalsCents(record.items)), bold, indent = INDENT)
+            }
+            
+            y -= 6f
+        }
+    }
+    
+    private fun odometerSection() {
+        if (report.odometerLog.isEmpty()) return
+        heading("Odometer Readings")
+        
+        report.odometerLog.forEach { reading ->
+            val source = if (reading.source == OdometerSource.MAINTENANCE) "Maintenance" else "Reading"
+            val detail = listOfNotNull(source, reading.note?.takeIf { it.isNotBlank() }).joinToString(": ")
+            row("${reading.readAt}   $detail", formatOdometer(reading.reading))
+        }
+    }
+    
+    private fun heading(text: String) {
+        ensureSpace(LEADING * 4)
+        y -= 12f
+        line(text, bold, 13f)
+        content.setLineWidth(0.5f)
+        content.moveTo(MARGIN, y + 4f)
+        content.lineTo(MARGIN + contentWidth, y + 4f)
+        content.stroke()
+        y -= 6f
+    }
+    
+    // Wraps the text over as many lines as it needs
+    private fun line(text: String, font: PDType1Font = regular, size: Float = 10f, indent: Float = 0f) {
+        wrap(printable(text, font), font, size, contentWidth - indent).forEach { part ->
+            ensureSpace(LEADING)
+            show(part, font, size, MARGIN + indent)
+            y -= size * 1.4f
+        }
+    }
+    
+    // Text on the left and a right-aligned value on the same line; the left text is cut short to make room
+    private fun row(left: String, right: String, font: PDType1Font = regular, size: Float = 10f, indent: Float = 0f) {
+        ensureSpace(LEADING)
+        val rightText = printable(right, font)
+        val rightWidth = width(rightText, font, size)
+        val leftText = fit(printable(left, font), font, size, contentWidth - indent - rightWidth - 12f)
+        
+        show(leftText, font, size, MARGIN + indent)
+        show(rightText, font, size, MARGIN + contentWidth - rightWidth)
+        y -= size * 1.4f
+    }
+    
+    private fun show(text: String, font: PDType1Font, size: Float, x: Float) {
+        content.beginText()
+        content.setFont(font, size)
+        content.newLineAtOffset(x, y - size)
+        content.showText(text)
+        content.endText()
+    }
+    
+    private fun ensureSpace(height: Float) {
+        if (y - height < MARGIN + FOOTER_HEIGHT) newPage()
+    }
+    
+    private fun newPage() {
+        if (pageNumber > 0) content.close()
+        
+        val page = PDPage(pageSize)
+        document.addPage(page)
+        content = PDPageContentStream(document, page)
+        pageNumber++
+        
+        // Footer first, so it is on the page whatever ends up above it
+        y = MARGIN + FOOTER_HEIGHT / 2
+        show(printable("${vehicleName()} · generated ${report.generatedAt.toString().substring(0, 10)} · page $pageNumber", regular), regular, 8f, MARGIN)
+        y = pageSize.height - MARGIN
+    }
+    
+    private fun wrap(text: String, font: PDType1Font, size: Float, maxWidth: Float): List<String> {
+        val lines = mutableListOf<String>()
+        var current = ""
+        text.split(' ').forEach { word ->
+            val candidate = if (current.isEmpty()) word else "$current $word"
+            if (current.isEmpty() || width(candidate, font, size) <= maxWidth) {
+                current = candidate
+            } else {
+                lines.add(current)
+                current = word
+            }
+        }
+        lines.add(current)
+        return lines.map { fit(it, font, size, maxWidth) }
+    }
+    
+    private fun fit(text: String, font: PDType1Font, size: Float, maxWidth: Float): String {
+        if (width(text, font, size) <= maxWidth) return text
+        var end = text.length
+        while (end > 0 && width(text.substring(0, end) + "...", font, size) > maxWidth) end--
+        return text.substring(0, end) + "..."
+    }
+    
+    private fun width(text: String, font: PDType1Font, size: Float): Float = font.getStringWidth(text) / 1000f * size
+    
+    // The standard fonts only cover WinAnsi, so any other character is shown as a question mark
+    private fun printable(text: String, font: PDType1Font): String =
+        text.replace(Regex("\\s+"), " ").map { char ->
+            try {
+                font.encode(char.toString())
+                char
+            } catch (e: IllegalArgumentException) {
+                '?'
+            }
+        }.joinToString("")
+    
+    private fun vehicleName(): String = "${report.vehicle.manufacturer} ${report.vehicle.model}"
+    
+    private fun formatOdometer(reading: Long): String {
+        val unit = when (report.vehicle.odoUnit) {
+            OdoUnit.KM -> "km"
+            OdoUnit.MI -> "mi"
+            OdoUnit.HOURS -> "h"
+        }
+        return String.format(Locale.ROOT, "%,d %s", reading, unit)
+    }
+    
+    private fun formatMoney(cents: Long, currency: String): String =
+        String.format(Locale.ROOT, "%,.2f %s", cents.toBigDecimal().movePointLeft(2), currency)
+    
+    private fun formatTotals(totalsCents: Map<String, Long>): String =
+        if (totalsCents.isEmpty()) "—" else totalsCents.entries.joinToString(" + ") { (currency, cents) -> formatMoney(cents, currency) }
+    
+    private fun formatQuantity(quantity: Double): String =
+        if (quantity % 1.0 == 0.0) quantity.toLong().toString() else quantity.toString()
+    
+    private companion object {
+        const val MARGIN = 50f
+        const val FOOTER_HEIGHT = 24f
+        const val LEADING = 15f
+        const val INDENT = 16f
+    }
+}
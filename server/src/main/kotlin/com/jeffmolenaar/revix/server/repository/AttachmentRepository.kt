@@ -0,0 +1,134 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.database.*
+import kotlinx.datetime.Clock
+import org.jetbrains.exposed.dao.id.EntityID
+import org.jetbrains.exposed.sql.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+
+// What an attachment belongs to: a maintenance record or a part
+sealed class AttachmentTarget {
+    abstract val id: String
+    
+    data class Maintenance(override val id: String) : AttachmentTarget()
+    data class Part(override val id: String) : AttachmentTarget()
+}
+
+class AttachmentRepository {
+    
+    fun findById(id: String, ownerId: String): Attachment? = transaction {
+        AttachmentsTable
+            .select {
+                (AttachmentsTable.id eq UUID.fromString(id)) and
+                (AttachmentsTable.ownerId eq UUID.fromString(ownerId))
+            }
+            .map { it.toAttachment() }
+            .singleOrNull()
+    }
+    
+    // Like findById, but also finds attachments on records of vehicles shared with the user.
+    // Attachments of records, vehicles and parts in the trash are hidden with them; the joins an
+    // attachment does not use leave their deletedAt null.
+    fun findAccessible(id: String, userId: String): Attachment? = transaction {
+        val user = UUID.fromString(userId)
+        AttachmentsTable
+            .join(MaintenanceRecordsTable, JoinType.LEFT, AttachmentsTable.maintenanceId, MaintenanceRecordsTable.id)
+            .join(VehiclesTable, JoinType.LEFT, MaintenanceRecordsTable.vehicleId, VehiclesTable.id)
+            .join(PartsTable, JoinType.LEFT, AttachmentsTable.partId, PartsTable.id)
+            .join(VehicleMembersTable, JoinType.LEFT, MaintenanceRecordsTable.vehicleId, VehicleMembersTable.vehicleId,
+                additionalConstraint = { VehicleMembersTable.userId eq user })
+            .select {
+                (AttachmentsTable.id eq UUID.fromString(id)) and
+                ((AttachmentsTable.ownerId eq user) or VehicleMembersTable.userId.isNotNull()) and
+                MaintenanceRecordsTable.deletedAt.isNull() and
+                VehiclesTable.deletedAt.isNull() and
+                PartsTable.deletedAt.isNull()
+            }
+            .map { it.toAttachment() }
+            .singleOrNull()
+    }
+    
+    fun create(
+        ownerId: String,
+        target: AttachmentTarget,
+        fileName: String,
+        contentType: String,
+        sizeBytes: Long,
+        hasThumbnail: Boolean
+    ): Attachment = transaction {
+        val id = AttachmentsTable.insertAndGetId {
+            it[AttachmentsTable.ownerId] = UUID.fromString(ownerId)
+            when (target) {
+                is AttachmentTarget.Maintenance -> it[AttachmentsTable.maintenanceId] = UUID.fromString(target.id)
+                is AttachmentTarget.Part -> it[AttachmentsTable.partId] = UUID.fromString(target.id)
+            }
+            it[AttachmentsTable.fileName] = fileName
+            it[AttachmentsTable.contentType] = contentType
+            it[AttachmentsTable.sizeBytes] = sizeBytes
+            it[AttachmentsTable.hasThumbnail] = hasThumbnail
+            it[AttachmentsTable.createdAt] = Clock.System.now()
+        }
+        
+        AttachmentsTable.select { AttachmentsTable.id eq id }
+            .map { it.toAttachment() }
+            .single()
+    }
+    
+    fun delete(id: String, ownerId: String): Boolean = transaction {
+        AttachmentsTable.deleteWhere {
+            (AttachmentsTable.id eq UUID.fromString(id)) and
+            (AttachmentsTable.ownerId eq UUID.fromString(ownerId))
+        } > 0
+    }
+    
+    fun countByTarget(target: AttachmentTarget, ownerId: String): Long = transaction {
+        AttachmentsTable.select {
+            (targetColumn(target) eq UUID.fromString(target.id)) and
+            (AttachmentsTable.ownerId eq UUID.fromString(ownerId))
+        }.count()
+    }
+    
+    // Ids of every attachment the owner still has, for clearing out files whose record or part was deleted
+    fun findIdsByOwner(ownerId: String): Set<String> = transaction {
+        AttachmentsTable
+            .select { AttachmentsTable.ownerId eq UUID.fromString(ownerId) }
+            .map { it[AttachmentsTable.id].toString() }
+            .toSet()
+    }
+    
+    private fun targetColumn(target: AttachmentTarget): Column<EntityID<UUID>?> = when (target) {
+        is AttachmentTarget.Maintenance -> AttachmentsTable.maintenanceId
+        is AttachmentTarget.Part -> AttachmentsTable.partId
+    }
+}
+
+// Attachments of several maintenance records at once, by record ID, oldest first
+internal fun attachmentsByMaintenance(recordIds: List<String>): Map<String, List<Attachment>> =
+    attachmentsBy(AttachmentsTable.maintenanceId, recordIds)
+
+// Attachments of several parts at once, by part ID, oldest first
+internal fun attachmentsByPart(partIds: List<String>): Map<String, List<Attachment>> =
+    attachmentsBy(AttachmentsTable.partId, partIds)
+
+private fun attachmentsBy(column: Column<EntityID<UUID>?>, ids: List<String>): Map<String, List<Attachment>> {
+    if (ids.isEmpty()) return emptyMap()
+    
+    return AttachmentsTable
+        .select { column inList ids.map { UUID.fromString(it) } }
+        .orderBy(AttachmentsTable.createdAt to SortOrder.ASC)
+        .groupBy({ it[column].toString() }, { it.toAttachment() })
+}
+
+// Extension functions
+private fun ResultRow.toAttachment(): Attachment = Attachment(
+    id = this[AttachmentsTable.id].toString(),
+    ownerId = this[AttachmentsTable.ownerId].toString(),
+    fileName = this[AttachmentsTable.fileName],
+    contentType = this[AttachmentsTable.contentType],
+    sizeBytes = this[AttachmentsTable.sizeBytes],
+    hasThumbnail = this[AttachmentsTable.hasThumbnail],
+    createdAt = this[AttachmentsTable.createdAt]
+)
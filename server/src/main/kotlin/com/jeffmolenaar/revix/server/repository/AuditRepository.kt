@@ -0,0 +1,90 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.database.*
+import kotlinx.datetime.*
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+import org.jetbrains.exposed.sql.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+
+// Which entries of an owner's audit log to list; from and to are inclusive days in the server's time zone
+data class AuditFilter(
+    val entityType: TrashItemType? = null,
+    val entityId: String? = null,
+    val from: LocalDate? = null,
+    val to: LocalDate? = null
+)
+
+// The audit log is append-only: entries are added and listed, never changed or removed
+class AuditRepository {
+    
+    fun append(
+        ownerId: String,
+        actorId: String,
+        entityType: TrashItemType,
+        entityId: String,
+        entityName: String,
+        action: AuditAction,
+        changes: List<AuditChange>
+    ): Unit = transaction {
+        AuditLogTable.insert {
+            it[AuditLogTable.ownerId] = UUID.fromString(ownerId)
+            it[AuditLogTable.actorId] = UUID.fromString(actorId)
+            it[AuditLogTable.entityType] = entityType
+            it[AuditLogTable.entityId] = UUID.fromString(entityId)
+            it[AuditLogTable.entityName] = entityName.take(255)
+            it[AuditLogTable.action] = action
+            it[AuditLogTable.changes] = Json.encodeToString(changes)
+            it[AuditLogTable.createdAt] = Clock.System.now()
+        }
+    }
+    
+    // Most recent first
+    fun findByOwner(ownerId: String, filter: AuditFilter, page: Int = 1, pageSize: Int = 50): List<AuditEntry> = transaction {
+        filtered(ownerId, filter)
+            .orderBy(AuditLogTable.createdAt, SortOrder.DESC)
+            .limit(pageSize, offset = ((page - 1) * pageSize).toLong())
+            .map { it.toAuditEntry() }
+    }
+    
+    fun countByOwner(ownerId: String, filter: AuditFilter): Long = transaction {
+        filtered(ownerId, filter).count()
+    }
+    
+    private fun filtered(ownerId: String, filter: AuditFilter): Query {
+        val query = AuditLogTable
+            .join(UsersTable, JoinType.LEFT, AuditLogTable.actorId, UsersTable.id)
+            .select { AuditLogTable.ownerId eq UUID.fromString(ownerId) }
+        
+        filter.entityType?.let { type -> query.andWhere { AuditLogTable.entityType eq type } }
+        filter.entityId?.let { id -> query.andWhere { AuditLogTable.entityId eq UUID.fromString(id) } }
+        filter.from?.let { from ->
+            query.andWhere { AuditLogTable.createdAt greaterEq from.atStartOfDayIn(TimeZone.currentSystemDefault()) }
+        }
+        filter.to?.let { to ->
+            query.andWhere { AuditLogTable.createdAt less to.plus(1, DateTimeUnit.DAY).atStartOfDayIn(TimeZone.currentSystemDefault()) }
+        }
+        
+        return query
+    }
+}
+
+private fun ResultRow.toAuditEntry(): AuditEntry = AuditEntry(
+    id = this[AuditLogTable.id].toString(),
+    entityType = this[AuditLogTable.entityType],
+    entityId = this[AuditLogTable.entityId].toString(),
+    entityName = this[AuditLogTable.entityName],
+    action = this[AuditLogTable.action],
+    changes = Json.decodeFromString<List<AuditChange>>(this[AuditLogTable.changes]),
+    actor = this[AuditLogTable.actorId]?.let {
+        UserSummary(
+            id = it.toString(),
+            email = this[UsersTable.email],
+            name = this[UsersTable.name]
+        )
+    },
+    createdAt = this[AuditLogTable.createdAt]
+)
@@ -6,6 +6,7 @@ import kotlinx.datetime.Clock
 import kotlinx.datetime.LocalDate
 import org.jetbrains.exposed.sql.*
 import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.inList
 import org.jetbrains.exposed.sql.transactions.transaction
 import java.util.*
 
@@ -17,61 +18,112 @@ class MaintenanceRepository {
         from: LocalDate? = null,
         to: LocalDate? = null,
         page: Int = 1,
-        pageSize: Int = 20
+        pageSize: Int = 20,
+        query: String? = null,
+        sort: MaintenanceSort = MaintenanceSort.DATE_DESC,
+        tagIds: List<String> = emptyList(),
+        tagMatch: TagMatch = TagMatch.ANY
+    ): List<MaintenanceRecord> = findByOwner(ownerId, vehicleId, from, to, page, pageSize, query, sort, tagIds, tagMatch)
+    
+    // Records across all of the owner's vehicles, or of one vehicle when vehicleId is given;
+    // includeShared adds the records of vehicles shared with them
+    fun findByOwner(
+        ownerId: String,
+        vehicleId: String? = null,
+        from: LocalDate? = null,
+        to: LocalDate? = null,
+        page: Int = 1,
+        pageSize: Int = 20,
+        query: String? = null,
+        sort: MaintenanceSort = MaintenanceSort.DATE_DESC,
+        tagIds: List<String> = emptyList(),
+        tagMatch: TagMatch = TagMatch.ANY,
+        includeShared: Boolean = false
     ): List<MaintenanceRecord> = transaction {
-        var query = MaintenanceRecordsTable
-            .select { 
-                (MaintenanceRecordsTable.vehicleId eq UUID.fromString(vehicleId)) and
-                (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId))
-            }
-        
-        from?.let { fromDate ->
-            query = query.andWhere { MaintenanceRecordsTable.happenedAt greaterEq fromDate }
-        }
-        
-        to?.let { toDate ->
-            query = query.andWhere { MaintenanceRecordsTable.happenedAt lessEq toDate }
+        val (sortExpression, sortOrder) = when (sort) {
+            MaintenanceSort.DATE_DESC -> MaintenanceRecordsTable.happenedAt to SortOrder.DESC
+            MaintenanceSort.DATE_ASC -> MaintenanceRecordsTable.happenedAt to SortOrder.ASC
+            MaintenanceSort.ODO_DESC -> MaintenanceRecordsTable.odoReading to SortOrder.DESC
+            MaintenanceSort.ODO_ASC -> MaintenanceRecordsTable.odoReading to SortOrder.ASC
+            MaintenanceSort.COST_DESC -> RecordCostCents to SortOrder.DESC
+            MaintenanceSort.COST_ASC -> RecordCostCents to SortOrder.ASC
         }
         
-        val records = query
-            .orderBy(MaintenanceRecordsTable.happenedAt, SortOrder.DESC)
+        val rows = filteredByOwner(ownerId, vehicleId, from, to, query, tagIds, tagMatch, includeShared)
+            .orderBy(sortExpression to sortOrder, MaintenanceRecordsTable.createdAt to SortOrder.DESC)
             .limit(pageSize, offset = ((page - 1) * pageSize).toLong())
-            .map { it.toMaintenanceRecord() }
+            .toList()
+        val authors = authorsOf(rows)
+        val records = rows.map { it.toMaintenanceRecord(authors) }
         
         // Load maintenance items for each record
+        val tags = findMaintenanceTags(records.map { it.id })
+        val attachments = attachmentsByMaintenance(records.map { it.id })
         records.map { record ->
-            record.copy(items = findMaintenanceItems(record.id))
+            record.copy(
+                items = findMaintenanceItems(record.id),
+                tags = tags[record.id].orEmpty(),
+                attachments = attachments[record.id].orEmpty()
+            )
         }
     }
     
     fun findById(id: String, ownerId: String): MaintenanceRecord? = transaction {
-        val record = MaintenanceRecordsTable
+        findOne(id, visibleTo(UUID.fromString(ownerId), includeShared = false))
+    }
+    
+    // Like findById, but also finds records of vehicles shared with the user
+    fun findAccessible(id: String, userId: String): MaintenanceRecord? = transaction {
+        findOne(id, visibleTo(UUID.fromString(userId), includeShared = true))
+    }
+    
+    private fun findOne(id: String, visible: Op<Boolean>): MaintenanceRecord? {
+        val row = MaintenanceRecordsTable.innerJoin(VehiclesTable)
             .select { 
                 (MaintenanceRecordsTable.id eq UUID.fromString(id)) and
-                (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId))
+                visible and
+                MaintenanceRecordsTable.deletedAt.isNull() and
+                VehiclesTable.deletedAt.isNull()
             }
-            .map { it.toMaintenanceRecord() }
-            .singleOrNull()
+            .singleOrNull() ?: return null
+        val record = row.toMaintenanceRecord(authorsOf(listOf(row)))
         
-        record?.copy(items = findMaintenanceItems(id))
+        return record.copy(
+            items = findMaintenanceItems(id),
+            tags = findMaintenanceTags(listOf(record.id))[record.id].orEmpty(),
+            attachments = attachmentsByMaintenance(listOf(record.id))[record.id].orEmpty()
+        )
     }
     
-    fun create(vehicleId: String, ownerId: String, request: CreateMaintenanceRecordRequest): MaintenanceRecord = transaction {
+    // The owner is the vehicle's owner; createdBy is whoever logged the record, such as a member of a shared vehicle
+    fun create(
+        vehicleId: String,
+        ownerId: String,
+        request: CreateMaintenanceRecordRequest,
+        createdBy: String = ownerId
+    ): MaintenanceRecord = transaction {
         val recordId = MaintenanceRecordsTable.insertAndGetId {
             it[MaintenanceRecordsTable.vehicleId] = UUID.fromString(vehicleId)
             it[MaintenanceRecordsTable.ownerId] = UUID.fromString(ownerId)
+            it[MaintenanceRecordsTable.createdBy] = UUID.fromString(createdBy)
+            it[MaintenanceRecordsTable.updatedBy] = UUID.fromString(createdBy)
             it[MaintenanceRecordsTable.happenedAt] = request.happenedAt
             it[MaintenanceRecordsTable.odoReading] = request.odoReading
             it[MaintenanceRecordsTable.title] = request.title
             it[MaintenanceRecordsTable.notes] = request.notes
+            it[MaintenanceRecordsTable.scheduleId] = request.scheduleId?.let { id -> UUID.fromString(id) }
             it[MaintenanceRecordsTable.createdAt] = Clock.System.now()
             it[MaintenanceRecordsTable.updatedAt] = Clock.System.now()
         }
         
         // Create maintenance items
-        val items = request.items.map { itemRequest ->
+        request.items.forEach { itemRequest ->
             createMaintenanceItem(recordId.toString(), itemRequest)
         }
+        setMaintenanceTags(recordId.value, request.tagIds)
+        
+        request.odoReading?.let { reading -> raiseCurrentOdo(UUID.fromString(vehicleId), reading) }
+        val author = findAuthors(listOf(UUID.fromString(createdBy))).values.firstOrNull()
         
         MaintenanceRecord(
             id = recordId.toString(),
@@ -81,25 +133,50 @@ class MaintenanceRepository {
             odoReading = request.odoReading,
             title = request.title,
             notes = request.notes,
-            items = items,
+            items = findMaintenanceItems(recordId.toString()), // With their parts
+            tags = findMaintenanceTags(listOf(recordId.toString()))[recordId.toString()].orEmpty(),
+            scheduleId = request.scheduleId,
+            createdBy = author,
+            updatedBy = author,
             createdAt = Clock.System.now(),
             updatedAt = Clock.System.now()
         )
     }
     
-    fun update(id: String, ownerId: String, request: UpdateMaintenanceRecordRequest): MaintenanceRecord? = transaction {
+    fun update(
+        id: String,
+        ownerId: String,
+        request: UpdateMaintenanceRecordRequest,
+        updatedBy: String = ownerId
+    ): MaintenanceRecord? = transaction {
+        val existing = MaintenanceRecordsTable
+            .select { MaintenanceRecordsTable.id eq UUID.fromString(id) }
+            .singleOrNull()
         val updated = MaintenanceRecordsTable.update({ 
             (MaintenanceRecordsTable.id eq UUID.fromString(id)) and 
-            (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId)) 
+            (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId)) and
+            MaintenanceRecordsTable.deletedAt.isNull()
         }) {
             request.happenedAt?.let { happenedAt -> it[MaintenanceRecordsTable.happenedAt] = happenedAt }
             request.odoReading?.let { odoReading -> it[MaintenanceRecordsTable.odoReading] = odoReading }
             request.title?.let { title -> it[MaintenanceRecordsTable.title] = title }
             request.notes?.let { notes -> it[MaintenanceRecordsTable.notes] = notes }
+            it[MaintenanceRecordsTable.updatedBy] = UUID.fromString(updatedBy)
             it[MaintenanceRecordsTable.updatedAt] = Clock.System.now()
         }
         
-        if (updated > 0) {
+        if (existing != null && updated > 0) {
+            request.odoReading?.let { reading ->
+                val vehicleId = existing[MaintenanceRecordsTable.vehicleId].value
+                val previous = existing[MaintenanceRecordsTable.odoReading]
+                // A reading corrected downwards may have been the vehicle's current reading
+                if (previous != null && reading < previous) {
+                    lowerCurrentOdo(vehicleId, previous)
+                } else {
+                    raiseCurrentOdo(vehicleId, reading)
+                }
+            }
+            
             // Update items if provided
             request.items?.let { itemRequests ->
                 // Delete existing items
@@ -111,24 +188,192 @@ class MaintenanceRepository {
                 }
             }
             
+            request.tagIds?.let { tagIds -> setMaintenanceTags(UUID.fromString(id), tagIds) }
+            
             findById(id, ownerId)
         } else {
             null
         }
     }
     
+    // Moves the record to the trash; a reading the vehicle's current reading came from no longer counts
     fun delete(id: String, ownerId: String): Boolean = transaction {
-        MaintenanceRecordsTable.deleteWhere { 
+        val record = MaintenanceRecordsTable
+            .select { MaintenanceRecordsTable.id eq UUID.fromString(id) }
+            .singleOrNull() ?: return@transaction false
+        val trashed = MaintenanceRecordsTable.update({ 
             (MaintenanceRecordsTable.id eq UUID.fromString(id)) and 
-            (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId)) 
+            (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId)) and
+            MaintenanceRecordsTable.deletedAt.isNull()
+        }) {
+            it[MaintenanceRecordsTable.deletedAt] = Clock.System.now()
         } > 0
+        
+        if (trashed) {
+            record[MaintenanceRecordsTable.odoReading]?.let { reading ->
+                lowerCurrentOdo(record[MaintenanceRecordsTable.vehicleId].value, reading)
+            }
+        }
+        trashed
     }
     
-    fun countByVehicle(vehicleId: String, ownerId: String): Long = transaction {
-        MaintenanceRecordsTable.select { 
+    fun countByVehicle(
+        vehicleId: String,
+        ownerId: String,
+        from: LocalDate? = null,
+        to: LocalDate? = null,
+        query: String? = null,
+        tagIds: List<String> = emptyList(),
+        tagMatch: TagMatch = TagMatch.ANY
+    ): Long = countByOwner(ownerId, vehicleId, from, to, query, tagIds, tagMatch)
+    
+    fun countByOwner(
+        ownerId: String,
+        vehicleId: String? = null,
+        from: LocalDate? = null,
+        to: LocalDate? = null,
+        query: String? = null,
+        tagIds: List<String> = emptyList(),
+        tagMatch: TagMatch = TagMatch.ANY,
+        includeShared: Boolean = false
+    ): Long = transaction {
+        filteredByOwner(ownerId, vehicleId, from, to, query, tagIds, tagMatch, includeShared).count()
+    }
+    
+    // Whether the vehicle already has a record with this title on this date, ignoring case
+    fun existsByTitleOnDate(vehicleId: String, ownerId: String, happenedAt: LocalDate, title: String): Boolean = transaction {
+        MaintenanceRecordsTable.select {
             (MaintenanceRecordsTable.vehicleId eq UUID.fromString(vehicleId)) and
-            (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId))
-        }.count()
+            (MaintenanceRecordsTable.ownerId eq UUID.fromString(ownerId)) and
+            (MaintenanceRecordsTable.happenedAt eq happenedAt) and
+            (MaintenanceRecordsTable.title.lowerCase() eq title.trim().lowercase()) and
+            MaintenanceRecordsTable.deletedAt.isNull()
+        }.count() > 0
+    }
+    
+    // Shared by findByOwner and countByOwner so a page and its total always use the same filters
+    private fun filteredByOwner(
+        ownerId: String,
+        vehicleId: String?,
+        from: LocalDate?,
+        to: LocalDate?,
+        query: String?,
+        tagIds: List<String>,
+        tagMatch: TagMatch,
+        includeShared: Boolean
+    ): Query {
+        // Records in the trash, and those of vehicles in the trash, are left out
+        val visible = visibleTo(UUID.fromString(ownerId), includeShared)
+        var selectQuery = MaintenanceRecordsTable.innerJoin(VehiclesTable)
+            .select {
+                visible and
+                MaintenanceRecordsTable.deletedAt.isNull() and
+                VehiclesTable.deletedAt.isNull()
+            }
+        
+        vehicleId?.let { id ->
+            selectQuery = selectQuery.andWhere { MaintenanceRecordsTable.vehicleId eq UUID.fromString(id) }
+        }
+        
+        from?.let { fromDate ->
+            selectQuery = selectQuery.andWhere { MaintenanceRecordsTable.happenedAt greaterEq fromDate }
+        }
+        
+        to?.let { toDate ->
+            selectQuery = selectQuery.andWhere { MaintenanceRecordsTable.happenedAt lessEq toDate }
+        }
+        
+        // Filter by title and notes, ignoring case
+        query?.trim()?.takeIf { it.isNotEmpty() }?.let { q ->
+            val pattern = "%${q.lowercase()}%"
+            selectQuery = selectQuery.andWhere {
+                (MaintenanceRecordsTable.title.lowerCase() like pattern) or
+                (MaintenanceRecordsTable.notes.lowerCase() like pattern)
+            }
+        }
+        
+        // Filter by tags, counting the tags of the record's parts as its own
+        if (tagIds.isNotEmpty()) {
+            val wantedTagIds = tagIds.map { UUID.fromString(it) }.distinct()
+            selectQuery = selectQuery.andWhere {
+                when (tagMatch) {
+                    TagMatch.ANY -> taggedWithAnyOf(wantedTagIds)
+                    TagMatch.ALL -> wantedTagIds.map { tagId -> taggedWithAnyOf(listOf(tagId)) }.compoundAnd()
+                }
+            }
+        }
+        
+        return selectQuery
+    }
+    
+    // Whether the record of the outer query has one of the tags itself or uses a part with one of them
+    private fun taggedWithAnyOf(tagIds: List<UUID>): Op<Boolean> =
+        exists(MaintenanceTagsTable.select {
+            (MaintenanceTagsTable.maintenanceId eq MaintenanceRecordsTable.id) and (MaintenanceTagsTable.tagId inList tagIds)
+        }) or exists(MaintenanceItemsTable
+            .join(PartTagsTable, JoinType.INNER, MaintenanceItemsTable.partId, PartTagsTable.partId)
+            .select { (MaintenanceItemsTable.maintenanceId eq MaintenanceRecordsTable.id) and (PartTagsTable.tagId inList tagIds) })
+    
+    // The user's own records, and with includeShared also those of the vehicles shared with them
+    private fun visibleTo(user: UUID, includeShared: Boolean): Op<Boolean> {
+        val own = MaintenanceRecordsTable.ownerId eq user
+        if (!includeShared) return own
+        
+        val sharedVehicleIds = VehicleMembersTable
+            .select { VehicleMembersTable.userId eq user }
+            .map { it[VehicleMembersTable.vehicleId].value }
+        return own or (MaintenanceRecordsTable.vehicleId inList sharedVehicleIds)
+    }
+    
+    // Who logged and last edited the records, by user ID
+    private fun authorsOf(rows: List<ResultRow>): Map<String, UserSummary> = findAuthors(
+        rows.flatMap { listOfNotNull(it[MaintenanceRecordsTable.createdBy], it[MaintenanceRecordsTable.updatedBy]) }
+            .map { it.value }
+    )
+    
+    private fun findAuthors(userIds: List<UUID>): Map<String, UserSummary> {
+        if (userIds.isEmpty()) return emptyMap()
+        
+        return UsersTable.select { UsersTable.id inList userIds.distinct() }
+            .associate { row ->
+                row[UsersTable.id].toString() to UserSummary(
+                    id = row[UsersTable.id].toString(),
+                    email = row[UsersTable.email],
+                    name = row[UsersTable.name]
+                )
+            }
+    }
+    
+    // Tags of several records at once, by record ID, in name order
+    private fun findMaintenanceTags(recordIds: List<String>): Map<String, List<Tag>> {
+        if (recordIds.isEmpty()) return emptyMap()
+        
+        return MaintenanceTagsTable.innerJoin(TagsTable)
+            .select {
+                (MaintenanceTagsTable.maintenanceId inList recordIds.map { UUID.fromString(it) }) and
+                TagsTable.deletedAt.isNull()
+            }
+            .orderBy(TagsTable.name)
+            .groupBy({ it[MaintenanceTagsTable.maintenanceId].toString() }, { row ->
+                Tag(
+                    id = row[TagsTable.id].toString(),
+                    ownerId = row[TagsTable.ownerId].toString(),
+                    name = row[TagsTable.name],
+                    color = row[TagsTable.color],
+                    slug = row[TagsTable.slug],
+                    createdAt = row[TagsTable.createdAt]
+                )
+            })
+    }
+    
+    private fun setMaintenanceTags(recordId: UUID, tagIds: List<String>) {
+        MaintenanceTagsTable.deleteWhere { MaintenanceTagsTable.maintenanceId eq recordId }
+        if (tagIds.isNotEmpty()) {
+            MaintenanceTagsTable.batchInsert(tagIds.distinct()) { tagId ->
+                this[MaintenanceTagsTable.maintenanceId] = recordId
+                this[MaintenanceTagsTable.tagId] = UUID.fromString(tagId)
+            }
+        }
     }
     
     private fun findMaintenanceItems(maintenanceId: String): List<MaintenanceItem> = transaction {
@@ -141,7 +386,7 @@ class MaintenanceRepository {
             .map { (_, rows) ->
                 val firstRow = rows.first()
                 val tags = rows.mapNotNull { row ->
-                    if (row.hasValue(TagsTable.id) && row[TagsTable.id] != null) {
+                    if (row.hasValue(TagsTable.id) && row[TagsTable.id] != null && row[TagsTable.deletedAt] == null) {
                         Tag(
                             id = row[TagsTable.id].toString(),
                             ownerId = row[TagsTable.ownerId].toString(),
@@ -163,6 +408,7 @@ class MaintenanceRepository {
                         currency = firstRow[PartsTable.currency],
                         url = firstRow[PartsTable.url],
                         tags = tags,
+                        deletedAt = firstRow[PartsTable.deletedAt],
                         createdAt = firstRow[PartsTable.createdAt],
                         updatedAt = firstRow[PartsTable.updatedAt]
                     )
@@ -204,8 +450,30 @@ class MaintenanceRepository {
     }
 }
 
+// What an item costs: its quantity times its own unit price, or else its part's; null when neither has a price
+private fun itemCostSql(items: String, parts: String): String =
+    "$items.quantity * COALESCE($items.unit_price_cents_override, $parts.price_cents)"
+
+// Total of a record's items for sorting; items without a price count as zero
+private object RecordCostCents : Expression<java.math.BigDecimal>() {
+    override fun toQueryBuilder(queryBuilder: QueryBuilder) {
+        queryBuilder.append(
+            "(SELECT COALESCE(SUM(${itemCostSql("mi", "p")}), 0) " +
+            "FROM maintenance_items mi LEFT JOIN parts p ON p.id = mi.part_id " +
+            "WHERE mi.maintenance_id = maintenance_records.id)"
+        )
+    }
+}
+
+// The cost of an item in whole cents, for queries that join maintenance_items with parts
+internal object ItemCostCents : Expression<java.math.BigDecimal?>() {
+    override fun toQueryBuilder(queryBuilder: QueryBuilder) {
+        queryBuilder.append("ROUND(${itemCostSql("maintenance_items", "parts")})")
+    }
+}
+
 // Extension functions
-private fun ResultRow.toMaintenanceRecord(): MaintenanceRecord = MaintenanceRecord(
+private fun ResultRow.toMaintenanceRecord(authors: Map<String, UserSummary> = emptyMap()): MaintenanceRecord = MaintenanceRecord(
     id = this[MaintenanceRecordsTable.id].toString(),
     vehicleId = this[MaintenanceRecordsTable.vehicleId].toString(),
     ownerId = this[MaintenanceRecordsTable.ownerId].toString(),
@@ -214,6 +482,19 @@ private fun ResultRow.toMaintenanceRecord(): MaintenanceRecord = MaintenanceReco
     title = this[MaintenanceRecordsTable.title],
     notes = this[MaintenanceRecordsTable.notes],
     items = emptyList(), // Will be loaded separately
+    vehicle = if (hasValue(VehiclesTable.manufacturer)) toVehicleSummary() else null,
+    scheduleId = this[MaintenanceRecordsTable.scheduleId]?.toString(),
+    createdBy = this[MaintenanceRecordsTable.createdBy]?.let { authors[it.toString()] },
+    updatedBy = this[MaintenanceRecordsTable.updatedBy]?.let { authors[it.toString()] },
     createdAt = this[MaintenanceRecordsTable.createdAt],
     updatedAt = this[MaintenanceRecordsTable.updatedAt]
-)
\ No newline at end of file
+)
+
+private fun ResultRow.toVehicleSummary(): VehicleSummary = VehicleSummary(
+    id = this[VehiclesTable.id].toString(),
+    manufacturer = this[VehiclesTable.manufacturer],
+    model = this[VehiclesTable.model],
+    licensePlate = this[VehiclesTable.licensePlate],
+    vin = this[VehiclesTable.vin],
+    odoUnit = this[VehiclesTable.odoUnit]
+)
@@ -0,0 +1,142 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.database.*
+import kotlinx.datetime.Clock
+import kotlinx.datetime.LocalDate
+import org.jetbrains.exposed.sql.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+
+class OdometerRepository {
+    
+    // Manual readings and the readings of maintenance records, oldest first
+    fun findByVehicle(vehicleId: String, ownerId: String): List<OdometerReading> = transaction {
+        val vehicle = UUID.fromString(vehicleId)
+        val owner = UUID.fromString(ownerId)
+        
+        val manual = OdometerReadingsTable
+            .select { (OdometerReadingsTable.vehicleId eq vehicle) and (OdometerReadingsTable.ownerId eq owner) }
+            .map { it.toOdometerReading() }
+        
+        val fromRecords = MaintenanceRecordsTable
+            .select {
+                (MaintenanceRecordsTable.vehicleId eq vehicle) and
+                (MaintenanceRecordsTable.ownerId eq owner) and
+                MaintenanceRecordsTable.odoReading.isNotNull() and
+                MaintenanceRecordsTable.deletedAt.isNull()
+            }
+            .map { it.toRecordOdometerReading() }
+        
+        (manual + fromRecords).sortedWith(compareBy<OdometerReading> { it.readAt }.thenBy { it.reading })
+    }
+    
+    fun create(vehicleId: String, ownerId: String, request: CreateOdometerReadingRequest): OdometerReading = transaction {
+        val id = OdometerReadingsTable.insertAndGetId {
+            it[OdometerReadingsTable.vehicleId] = UUID.fromString(vehicleId)
+            it[OdometerReadingsTable.ownerId] = UUID.fromString(ownerId)
+            it[OdometerReadingsTable.readAt] = request.readAt
+            it[OdometerReadingsTable.reading] = request.reading
+            it[OdometerReadingsTable.note] = request.note
+            it[OdometerReadingsTable.createdAt] = Clock.System.now()
+        }
+        
+        raiseCurrentOdo(UUID.fromString(vehicleId), request.reading)
+        
+        OdometerReadingsTable.select { OdometerReadingsTable.id eq id }
+            .map { it.toOdometerReading() }
+            .single()
+    }
+    
+    // Deleting the reading the vehicle's current reading came from, such as one entered by mistake,
+    // moves the current reading back; see lowerCurrentOdo
+    fun delete(id: String, ownerId: String): Boolean = transaction {
+        val reading = OdometerReadingsTable
+            .select {
+                (OdometerReadingsTable.id eq UUID.fromString(id)) and
+                (OdometerReadingsTable.ownerId eq UUID.fromString(ownerId))
+            }
+            .singleOrNull() ?: return@transaction false
+        
+        OdometerReadingsTable.deleteWhere { OdometerReadingsTable.id eq reading[OdometerReadingsTable.id] }
+        lowerCurrentOdo(reading[OdometerReadingsTable.vehicleId].value, reading[OdometerReadingsTable.reading])
+        
+        true
+    }
+}
+
+// Moves the vehicle's current reading up to a higher reading; a lower one never replaces it.
+// Called from within the transaction that stores the reading.
+internal fun raiseCurrentOdo(vehicleId: UUID, reading: Long) {
+    VehiclesTable.update({
+        (VehiclesTable.id eq vehicleId) and
+        (VehiclesTable.currentOdo.isNull() or (VehiclesTable.currentOdo less reading))
+    }) {
+        it[VehiclesTable.currentOdo] = reading
+        it[VehiclesTable.updatedAt] = Clock.System.now()
+    }
+}
+
+// Moves the vehicle's current reading back to the highest reading left in its log when it came from a reading
+// that was just deleted, trashed or lowered. Called from within the transaction that changed the reading.
+internal fun lowerCurrentOdo(vehicleId: UUID, removedReading: Long) {
+    val currentOdo = VehiclesTable
+        .select { VehiclesTable.id eq vehicleId }
+        .single()[VehiclesTable.currentOdo]
+    if (currentOdo != removedReading) return
+    
+    VehiclesTable.update({ VehiclesTable.id eq vehicleId }) {
+        it[VehiclesTable.currentOdo] = highestReading(vehicleId)
+        it[VehiclesTable.updatedAt] = Clock.System.now()
+    }
+}
+
+// The highest manual reading or live maintenance record reading in the vehicle's log, or null when it is empty
+private fun highestReading(vehicleId: UUID): Long? {
+    val highestManual = OdometerReadingsTable.reading.max()
+    val manual = OdometerReadingsTable
+        .slice(highestManual)
+        .select { OdometerReadingsTable.vehicleId eq vehicleId }
+        .single()[highestManual]
+    
+    val highestRecord = MaintenanceRecordsTable.odoReading.max()
+    val fromRecords = MaintenanceRecordsTable
+        .slice(highestRecord)
+        .select { (MaintenanceRecordsTable.vehicleId eq vehicleId) and MaintenanceRecordsTable.deletedAt.isNull() }
+        .single()[highestRecord]
+    
+    return listOfNotNull(manual, fromRecords).maxOrNull()
+}
+
+// Logs a reading typed into the vehicle form so the log shows where the current reading came from
+internal fun logManualReading(vehicleId: UUID, ownerId: UUID, reading: Long, readAt: LocalDate) {
+    OdometerReadingsTable.insert {
+        it[OdometerReadingsTable.vehicleId] = vehicleId
+        it[OdometerReadingsTable.ownerId] = ownerId
+        it[OdometerReadingsTable.readAt] = readAt
+        it[OdometerReadingsTable.reading] = reading
+        it[OdometerReadingsTable.createdAt] = Clock.System.now()
+    }
+}
+
+// Extension functions
+private fun ResultRow.toOdometerReading(): OdometerReading = OdometerReading(
+    id = this[OdometerReadingsTable.id].toString(),
+    vehicleId = this[OdometerReadingsTable.vehicleId].toString(),
+    readAt = this[OdometerReadingsTable.readAt],
+    reading = this[OdometerReadingsTable.reading],
+    source = OdometerSource.MANUAL,
+    note = this[OdometerReadingsTable.note],
+    createdAt = this[OdometerReadingsTable.createdAt]
+)
+
+private fun ResultRow.toRecordOdometerReading(): OdometerReading = OdometerReading(
+    id = this[MaintenanceRecordsTable.id].toString(),
+    vehicleId = this[MaintenanceRecordsTable.vehicleId].toString(),
+    readAt = this[MaintenanceRecordsTable.happenedAt],
+    reading = this[MaintenanceRecordsTable.odoReading]!!,
+    source = OdometerSource.MAINTENANCE,
+    note = this[MaintenanceRecordsTable.title],
+    createdAt = this[MaintenanceRecordsTable.createdAt]
+)
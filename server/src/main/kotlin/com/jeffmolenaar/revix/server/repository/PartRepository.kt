@@ -12,7 +12,7 @@ import java.util.*
 class TagRepository {
     
     fun findByOwner(ownerId: String): List<Tag> = transaction {
-        TagsTable.select { TagsTable.ownerId eq UUID.fromString(ownerId) }
+        TagsTable.select { (TagsTable.ownerId eq UUID.fromString(ownerId)) and TagsTable.deletedAt.isNull() }
             .orderBy(TagsTable.name)
             .map { it.toTag() }
     }
@@ -20,7 +20,8 @@ class TagRepository {
     fun findById(id: String, ownerId: String): Tag? = transaction {
         TagsTable.select { 
             (TagsTable.id eq UUID.fromString(id)) and 
-            (TagsTable.ownerId eq UUID.fromString(ownerId)) 
+            (TagsTable.ownerId eq UUID.fromString(ownerId)) and
+            TagsTable.deletedAt.isNull()
         }
             .map { it.toTag() }
             .singleOrNull()
@@ -31,7 +32,8 @@ class TagRepository {
         
         TagsTable.select { 
             (TagsTable.id inList ids.map { UUID.fromString(it) }) and 
-            (TagsTable.ownerId eq UUID.fromString(ownerId)) 
+            (TagsTable.ownerId eq UUID.fromString(ownerId)) and
+            TagsTable.deletedAt.isNull()
         }
             .map { it.toTag() }
     }
@@ -69,7 +71,8 @@ class TagRepository {
         if (updates.isNotEmpty()) {
             val updated = TagsTable.update({ 
                 (TagsTable.id eq UUID.fromString(id)) and 
-                (TagsTable.ownerId eq UUID.fromString(ownerId)) 
+                (TagsTable.ownerId eq UUID.fromString(ownerId)) and
+                TagsTable.deletedAt.isNull()
             }) {
                 updates.forEach { (column, value) ->
                     it[column as Column<Any>] = value
@@ -84,17 +87,22 @@ class TagRepository {
         }
     }
     
+    // Moves the tag to the trash; parts and records keep it, but do not show it until it is restored
     fun delete(id: String, ownerId: String): Boolean = transaction {
-        TagsTable.deleteWhere { 
+        TagsTable.update({ 
             (TagsTable.id eq UUID.fromString(id)) and 
-            (TagsTable.ownerId eq UUID.fromString(ownerId)) 
+            (TagsTable.ownerId eq UUID.fromString(ownerId)) and
+            TagsTable.deletedAt.isNull()
+        }) {
+            it[TagsTable.deletedAt] = Clock.System.now()
         } > 0
     }
     
     fun existsByName(name: String, ownerId: String): Boolean = transaction {
         TagsTable.select { 
             (TagsTable.name eq name) and 
-            (TagsTable.ownerId eq UUID.fromString(ownerId)) 
+            (TagsTable.ownerId eq UUID.fromString(ownerId)) and
+            TagsTable.deletedAt.isNull()
         }.count() > 0
     }
 }
@@ -106,61 +114,55 @@ class PartRepository {
         tagIds: List<String> = emptyList(),
         query: String? = null,
         page: Int = 1,
-        pageSize: Int = 20
+        pageSize: Int = 20,
+        tagMatch: TagMatch = TagMatch.ANY
     ): List<Part> = transaction {
-        var selectQuery = PartsTable.leftJoin(PartTagsTable).leftJoin(TagsTable)
-            .select { PartsTable.ownerId eq UUID.fromString(ownerId) }
+        val selectQuery = filteredByOwner(ownerId, tagIds, query, tagMatch)
         
-        // Filter by tags
-        if (tagIds.isNotEmpty()) {
-            selectQuery = selectQuery.andWhere { 
-                TagsTable.id inList tagIds.map { UUID.fromString(it) }
-            }
-        }
-        
-        // Filter by query text
-        query?.let { q ->
-            selectQuery = selectQuery.andWhere {
-                (PartsTable.name like "%$q%") or
-                (PartsTable.description like "%$q%")
-            }
-        }
-        
-        val parts = selectQuery
+        // Page over parts first; limiting the tag join would cut parts with several tags in half
+        val pageIds = selectQuery
             .orderBy(PartsTable.createdAt, SortOrder.DESC)
             .limit(pageSize, offset = ((page - 1) * pageSize).toLong())
-            .groupBy { it[PartsTable.id] }
-            .map { (_, rows) ->
-                val firstRow = rows.first()
+            .map { it[PartsTable.id].value }
+        
+        if (pageIds.isEmpty()) return@transaction emptyList()
+        
+        val partsById = PartsTable.leftJoin(PartTagsTable).leftJoin(TagsTable)
+            .select { PartsTable.id inList pageIds }
+            .groupBy { it[PartsTable.id].value }
+            .mapValues { (_, rows) ->
                 val tags = rows.mapNotNull { row ->
-                    if (row[TagsTable.id] != null) {
+                    if (row[TagsTable.id] != null && row[TagsTable.deletedAt] == null) {
                         row.toTag()
                     } else null
                 }.distinctBy { it.id }
                 
-                firstRow.toPart(tags)
+                rows.first().toPart(tags)
             }
         
-        parts
+        val attachments = attachmentsByPart(pageIds.map { it.toString() })
+        pageIds.mapNotNull { id -> partsById[id]?.copy(attachments = attachments[id.toString()].orEmpty()) }
     }
     
     fun findById(id: String, ownerId: String): Part? = transaction {
         val rows = PartsTable.leftJoin(PartTagsTable).leftJoin(TagsTable)
             .select { 
                 (PartsTable.id eq UUID.fromString(id)) and 
-                (PartsTable.ownerId eq UUID.fromString(ownerId)) 
+                (PartsTable.ownerId eq UUID.fromString(ownerId)) and
+                PartsTable.deletedAt.isNull()
             }
             .toList()
         
         if (rows.isEmpty()) return@transaction null
         
         val tags = rows.mapNotNull { row ->
-            if (row[TagsTable.id] != null) {
+            if (row[TagsTable.id] != null && row[TagsTable.deletedAt] == null) {
                 row.toTag()
             } else null
         }.distinctBy { it.id }
         
-        rows.first().toPart(tags)
+        val part = rows.first().toPart(tags)
+        part.copy(attachments = attachmentsByPart(listOf(part.id))[part.id].orEmpty())
     }
     
     fun create(ownerId: String, request: CreatePartRequest): Part = transaction {
@@ -189,12 +191,18 @@ class PartRepository {
     fun update(id: String, ownerId: String, request: UpdatePartRequest): Part? = transaction {
         val updated = PartsTable.update({ 
             (PartsTable.id eq UUID.fromString(id)) and 
-            (PartsTable.ownerId eq UUID.fromString(ownerId)) 
+            (PartsTable.ownerId eq UUID.fromString(ownerId)) and
+            PartsTable.deletedAt.isNull()
         }) {
             request.name?.let { name -> it[PartsTable.name] = name }
             request.description?.let { description -> it[PartsTable.description] = description }
-            request.priceCents?.let { priceCents -> it[PartsTable.priceCents] = priceCents }
-            request.currency?.let { currency -> it[PartsTable.currency] = currency }
+            if (request.clearPrice) {
+                it[PartsTable.priceCents] = null
+                it[PartsTable.currency] = null
+            } else {
+                request.priceCents?.let { priceCents -> it[PartsTable.priceCents] = priceCents }
+                request.currency?.let { currency -> it[PartsTable.currency] = currency }
+            }
             request.url?.let { url -> it[PartsTable.url] = url }
             it[PartsTable.updatedAt] = Clock.System.now()
         }
@@ -217,16 +225,61 @@ class PartRepository {
         }
     }
     
+    // Moves the part to the trash; maintenance records that used it keep showing it
     fun delete(id: String, ownerId: String): Boolean = transaction {
-        PartsTable.deleteWhere { 
+        PartsTable.update({ 
             (PartsTable.id eq UUID.fromString(id)) and 
-            (PartsTable.ownerId eq UUID.fromString(ownerId)) 
+            (PartsTable.ownerId eq UUID.fromString(ownerId)) and
+            PartsTable.deletedAt.isNull()
+        }) {
+            it[PartsTable.deletedAt] = Clock.System.now()
         } > 0
     }
     
-    fun countByOwner(ownerId: String): Long = transaction {
-        PartsTable.select { PartsTable.ownerId eq UUID.fromString(ownerId) }.count()
+    fun countByOwner(
+        ownerId: String,
+        tagIds: List<String> = emptyList(),
+        query: String? = null,
+        tagMatch: TagMatch = TagMatch.ANY
+    ): Long = transaction {
+        filteredByOwner(ownerId, tagIds, query, tagMatch).count()
     }
+    
+    // Shared by findByOwner and countByOwner so a page and its total always use the same filters
+    private fun filteredByOwner(
+        ownerId: String,
+        tagIds: List<String>,
+        query: String?,
+        tagMatch: TagMatch
+    ): Query {
+        var selectQuery = PartsTable.select { (PartsTable.ownerId eq UUID.fromString(ownerId)) and PartsTable.deletedAt.isNull() }
+        
+        // Filter by tags
+        if (tagIds.isNotEmpty()) {
+            val wantedTagIds = tagIds.map { UUID.fromString(it) }.distinct()
+            selectQuery = selectQuery.andWhere {
+                when (tagMatch) {
+                    TagMatch.ANY -> taggedWithAnyOf(wantedTagIds)
+                    TagMatch.ALL -> wantedTagIds.map { tagId -> taggedWithAnyOf(listOf(tagId)) }.compoundAnd()
+                }
+            }
+        }
+        
+        // Filter by query text, ignoring case
+        query?.trim()?.takeIf { it.isNotEmpty() }?.let { q ->
+            val pattern = "%${q.lowercase()}%"
+            selectQuery = selectQuery.andWhere {
+                (PartsTable.name.lowerCase() like pattern) or
+                (PartsTable.description.lowerCase() like pattern)
+            }
+        }
+        
+        return selectQuery
+    }
+    
+    // Whether the part of the outer query has one of the tags
+    private fun taggedWithAnyOf(tagIds: List<UUID>): Op<Boolean> =
+        exists(PartTagsTable.select { (PartTagsTable.partId eq PartsTable.id) and (PartTagsTable.tagId inList tagIds) })
 }
 
 // Extension functions
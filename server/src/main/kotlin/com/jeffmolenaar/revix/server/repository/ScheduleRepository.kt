@@ -0,0 +1,204 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.database.*
+import kotlinx.datetime.*
+import org.jetbrains.exposed.sql.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+
+class ScheduleRepository {
+    
+    fun findByVehicle(
+        vehicleId: String,
+        ownerId: String,
+        today: LocalDate = Clock.System.todayIn(TimeZone.currentSystemDefault())
+    ): List<ServiceSchedule> = findByOwner(ownerId, vehicleId, today)
+    
+    // Schedules across all of the owner's vehicles, or of one vehicle when vehicleId is given
+    fun findByOwner(
+        ownerId: String,
+        vehicleId: String? = null,
+        today: LocalDate = Clock.System.todayIn(TimeZone.currentSystemDefault())
+    ): List<ServiceSchedule> = transaction {
+        var query = ServiceSchedulesTable.innerJoin(VehiclesTable)
+            .select { (ServiceSchedulesTable.ownerId eq UUID.fromString(ownerId)) and VehiclesTable.deletedAt.isNull() }
+        
+        vehicleId?.let { id ->
+            query = query.andWhere { ServiceSchedulesTable.vehicleId eq UUID.fromString(id) }
+        }
+        
+        evaluate(query.orderBy(ServiceSchedulesTable.createdAt to SortOrder.ASC), today)
+    }
+    
+    fun findById(
+        id: String,
+        ownerId: String,
+        today: LocalDate = Clock.System.todayIn(TimeZone.currentSystemDefault())
+    ): ServiceSchedule? = transaction {
+        val query = ServiceSchedulesTable.innerJoin(VehiclesTable)
+            .select {
+                (ServiceSchedulesTable.id eq UUID.fromString(id)) and
+                (ServiceSchedulesTable.ownerId eq UUID.fromString(ownerId)) and
+                VehiclesTable.deletedAt.isNull()
+            }
+        
+        evaluate(query, today).singleOrNull()
+    }
+    
+    fun create(vehicleId: String, ownerId: String, request: CreateServiceScheduleRequest): ServiceSchedule = transaction {
+        val currentOdo = VehiclesTable
+            .select { VehiclesTable.id eq UUID.fromString(vehicleId) }
+            .single()[VehiclesTable.currentOdo]
+        
+        val id = ServiceSchedulesTable.insertAndGetId {
+            it[ServiceSchedulesTable.vehicleId] = UUID.fromString(vehicleId)
+            it[ServiceSchedulesTable.ownerId] = UUID.fromString(ownerId)
+            it[ServiceSchedulesTable.title] = request.title.trim()
+            it[ServiceSchedulesTable.intervalOdo] = request.intervalOdo
+            it[ServiceSchedulesTable.intervalMonths] = request.intervalMonths
+            it[ServiceSchedulesTable.notes] = request.notes
+            it[ServiceSchedulesTable.baselineOdo] = currentOdo
+            it[ServiceSchedulesTable.createdAt] = Clock.System.now()
+            it[ServiceSchedulesTable.updatedAt] = Clock.System.now()
+        }
+        
+        findById(id.toString(), ownerId)!!
+    }
+    
+    fun update(id: String, ownerId: String, request: UpdateServiceScheduleRequest): ServiceSchedule? = transaction {
+        val updated = ServiceSchedulesTable.update({
+            (ServiceSchedulesTable.id eq UUID.fromString(id)) and
+            (ServiceSchedulesTable.ownerId eq UUID.fromString(ownerId))
+        }) {
+            request.title?.let { title -> it[ServiceSchedulesTable.title] = title.trim() }
+            request.notes?.let { notes -> it[ServiceSchedulesTable.notes] = notes }
+            
+            if (request.clearIntervalOdo) {
+                it[ServiceSchedulesTable.intervalOdo] = null
+            } else {
+                request.intervalOdo?.let { intervalOdo -> it[ServiceSchedulesTable.intervalOdo] = intervalOdo }
+            }
+            
+            if (request.clearIntervalMonths) {
+                it[ServiceSchedulesTable.intervalMonths] = null
+            } else {
+                request.intervalMonths?.let { intervalMonths -> it[ServiceSchedulesTable.intervalMonths] = intervalMonths }
+            }
+            
+            it[ServiceSchedulesTable.updatedAt] = Clock.System.now()
+        }
+        
+        if (updated > 0) {
+            findById(id, ownerId)
+        } else {
+            null
+        }
+    }
+    
+    fun delete(id: String, ownerId: String): Boolean = transaction {
+        ServiceSchedulesTable.deleteWhere {
+            (ServiceSchedulesTable.id eq UUID.fromString(id)) and
+            (ServiceSchedulesTable.ownerId eq UUID.fromString(ownerId))
+        } > 0
+    }
+    
+    // Works out when each schedule is next due from the maintenance history of its vehicle
+    private fun evaluate(query: Query, today: LocalDate): List<ServiceSchedule> {
+        val rows = query.toList()
+        if (rows.isEmpty()) return emptyList()
+        
+        val vehicleIds = rows.map { it[ServiceSchedulesTable.vehicleId] }.distinct()
+        val historyByVehicle = MaintenanceRecordsTable
+            .select { (MaintenanceRecordsTable.vehicleId inList vehicleIds) and MaintenanceRecordsTable.deletedAt.isNull() }
+            .map { it.toScheduleHistory() }
+            .groupBy { it.vehicleId }
+        
+        return rows.map { row ->
+            row.toServiceSchedule().evaluated(
+                history = historyByVehicle[row[ServiceSchedulesTable.vehicleId].toString()].orEmpty(),
+                currentOdo = row[VehiclesTable.currentOdo],
+                baselineOdo = row[ServiceSchedulesTable.baselineOdo],
+                today = today
+            )
+        }
+    }
+}
+
+private const val DUE_SOON_DAYS = 30
+private const val DUE_SOON_ODO_FRACTION = 10 // The last tenth of the odometer interval
+
+// Until it is first done a schedule runs from when it was created: the month interval from createdAt,
+// the distance or hours interval from baselineOdo, the vehicle's odometer at that time
+internal fun ServiceSchedule.evaluated(
+    history: List<ScheduleHistory>,
+    currentOdo: Long?,
+    baselineOdo: Long?,
+    today: LocalDate
+): ServiceSchedule {
+    // Records that marked this schedule done count, as do records with the same title from before it existed
+    val lastDone = history
+        .filter { it.scheduleId == id || it.title.trim().equals(title, ignoreCase = true) }
+        .maxWithOrNull(compareBy<ScheduleHistory> { it.happenedAt }.thenBy { it.odoReading ?: -1 })
+    val latestOdo = (history.mapNotNull { it.odoReading } + listOfNotNull(currentOdo)).maxOrNull()
+    
+    val since = lastDone?.happenedAt ?: createdAt.toLocalDateTime(TimeZone.currentSystemDefault()).date
+    val dueAt = intervalMonths?.let { since.plus(it, DateTimeUnit.MONTH) }
+    // A record without a reading says nothing about the odometer, so the baseline stays in use
+    val dueOdo = intervalOdo?.let { interval -> (lastDone?.odoReading ?: baselineOdo)?.plus(interval) }
+    
+    val daysLeft = dueAt?.let { today.daysUntil(it) }
+    val odoLeft = if (dueOdo != null && latestOdo != null) dueOdo - latestOdo else null
+    val status = when {
+        (daysLeft != null && daysLeft < 0) || (odoLeft != null && odoLeft < 0) -> ScheduleStatus.OVERDUE
+        (daysLeft != null && daysLeft <= DUE_SOON_DAYS) ||
+            (odoLeft != null && intervalOdo != null && odoLeft <= intervalOdo / DUE_SOON_ODO_FRACTION) -> ScheduleStatus.DUE_SOON
+        else -> ScheduleStatus.OK
+    }
+    
+    return copy(
+        lastDoneAt = lastDone?.happenedAt,
+        lastDoneOdo = lastDone?.odoReading,
+        dueAt = dueAt,
+        dueOdo = dueOdo,
+        status = status
+    )
+}
+
+internal data class ScheduleHistory(
+    val vehicleId: String,
+    val scheduleId: String?,
+    val title: String,
+    val happenedAt: LocalDate,
+    val odoReading: Long?
+)
+
+// Extension functions
+private fun ResultRow.toServiceSchedule(): ServiceSchedule = ServiceSchedule(
+    id = this[ServiceSchedulesTable.id].toString(),
+    vehicleId = this[ServiceSchedulesTable.vehicleId].toString(),
+    ownerId = this[ServiceSchedulesTable.ownerId].toString(),
+    title = this[ServiceSchedulesTable.title],
+    intervalOdo = this[ServiceSchedulesTable.intervalOdo],
+    intervalMonths = this[ServiceSchedulesTable.intervalMonths],
+    notes = this[ServiceSchedulesTable.notes],
+    vehicle = VehicleSummary(
+        id = this[VehiclesTable.id].toString(),
+        manufacturer = this[VehiclesTable.manufacturer],
+        model = this[VehiclesTable.model],
+        licensePlate = this[VehiclesTable.licensePlate],
+        vin = this[VehiclesTable.vin],
+        odoUnit = this[VehiclesTable.odoUnit]
+    ),
+    createdAt = this[ServiceSchedulesTable.createdAt],
+    updatedAt = this[ServiceSchedulesTable.updatedAt]
+)
+
+private fun ResultRow.toScheduleHistory(): ScheduleHistory = ScheduleHistory(
+    vehicleId = this[MaintenanceRecordsTable.vehicleId].toString(),
+    scheduleId = this[MaintenanceRecordsTable.scheduleId]?.toString(),
+    title = this[MaintenanceRecordsTable.title],
+    happenedAt = this[MaintenanceRecordsTable.happenedAt],
+    odoReading = this[MaintenanceRecordsTable.odoReading]
+)
@@ -0,0 +1,291 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.database.*
+import kotlinx.datetime.*
+import org.jetbrains.exposed.sql.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.kotlin.datetime.month
+import org.jetbrains.exposed.sql.kotlin.datetime.year
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+import kotlin.math.roundToInt
+import kotlin.math.roundToLong
+
+class StatsRepository {
+    
+    fun dashboard(
+        ownerId: String,
+        today: LocalDate = Clock.System.todayIn(TimeZone.currentSystemDefault())
+    ): DashboardStats = transaction {
+        val owner = UUID.fromString(ownerId)
+        val distanceUnit = UsersTable.select { UsersTable.id eq owner }.single()[UsersTable.distanceUnit]
+        
+        val vehicles = VehiclesTable
+            .select { (VehiclesTable.ownerId eq owner) and VehiclesTable.deletedAt.isNull() }
+            .map { it.toVehicleStats() }
+            .associateBy { it.summary.id }
+        
+        DashboardStats(
+            vehicleCount = vehicles.size.toLong(),
+            partCount = PartsTable.select { (PartsTable.ownerId eq owner) and PartsTable.deletedAt.isNull() }.count(),
+            tagCount = TagsTable.select { (TagsTable.ownerId eq owner) and TagsTable.deletedAt.isNull() }.count(),
+            maintenanceCount = MaintenanceRecordsTable.innerJoin(VehiclesTable).select { liveRecordsOf(owner) }.count(),
+            monthlySpend = monthlySpend(owner, today),
+            yearlySpend = yearlySpend(owner),
+            vehicleCosts = vehicleCosts(owner, vehicles.values, distanceUnit),
+            topParts = topParts(owner),
+            topTags = topTags(tagStats(owner)),
+            upcomingService = upcomingService(owner, vehicles, today)
+        )
+    }
+    
+    // Every tag of the owner with its parts, records and spend, most used first
+    fun tags(ownerId: String): List<TagStats> = transaction {
+        tagStats(UUID.fromString(ownerId))
+    }
+    
+    // Items of parts in the trash still count; the records that used them keep their cost
+    private fun liveItems(): Join = MaintenanceItemsTable
+        .join(MaintenanceRecordsTable, JoinType.INNER, MaintenanceItemsTable.maintenanceId, MaintenanceRecordsTable.id)
+        .join(VehiclesTable, JoinType.INNER, MaintenanceRecordsTable.vehicleId, VehiclesTable.id)
+        .join(PartsTable, JoinType.INNER, MaintenanceItemsTable.partId, PartsTable.id)
+    
+    // Records in the trash, and those of vehicles in the trash, are left out of every figure
+    private fun SqlExpressionBuilder.liveRecordsOf(owner: UUID): Op<Boolean> =
+        (MaintenanceRecordsTable.ownerId eq owner) and
+        MaintenanceRecordsTable.deletedAt.isNull() and
+        VehiclesTable.deletedAt.isNull()
+    
+    private fun monthlySpend(owner: UUID, today: LocalDate): List<PeriodSpend> {
+        val firstMonth = LocalDate(today.year, today.month, 1).minus(11, DateTimeUnit.MONTH)
+        val year = MaintenanceRecordsTable.happenedAt.year()
+        val month = MaintenanceRecordsTable.happenedAt.month()
+        val totalsByMonth = liveItems()
+            .slice(year, month, itemCurrency, spendCents)
+            .select { liveRecordsOf(owner) and (MaintenanceRecordsTable.happenedAt greaterEq firstMonth) }
+            .groupBy(year, month, itemCurrency)
+            .totalsCents { row -> monthKey(row[year], row[month]) }
+        
+        return (0 until 12).map { offset ->
+            val date = firstMonth.plus(offset, DateTimeUnit.MONTH)
+            val period = monthKey(date.year, date.monthNumber)
+            PeriodSpend(period, totalsByMonth[period].orEmpty())
+        }
+    }
+    
+    private fun yearlySpend(owner: UUID): List<PeriodSpend> {
+        val year = MaintenanceRecordsTable.happenedAt.year()
+        return liveItems()
+            .slice(year, itemCurrency, spendCents)
+            .select { liveRecordsOf(owner) }
+            .groupBy(year, itemCurrency)
+            .totalsCents { row -> row[year] }
+            .toSortedMap()
+            .map { (year, totalsCents) -> PeriodSpend(year.toString(), totalsCents) }
+    }
+    
+    private fun vehicleCosts(owner: UUID, vehicles: Collection<VehicleStats>, distanceUnit: OdoUnit): List<VehicleCost> {
+        val recordCount = MaintenanceRecordsTable.id.count()
+        val lowestOdo = MaintenanceRecordsTable.odoReading.min()
+        val highestOdo = MaintenanceRecordsTable.odoReading.max()
+        val readingCount = MaintenanceRecordsTable.odoReading.count()
+        val recordsByVehicle = MaintenanceRecordsTable.innerJoin(VehiclesTable)
+            .slice(MaintenanceRecordsTable.vehicleId, recordCount, lowestOdo, highestOdo, readingCount)
+            .select { liveRecordsOf(owner) }
+            .groupBy(MaintenanceRecordsTable.vehicleId)
+            .associateBy { it[MaintenanceRecordsTable.vehicleId].toString() }
+        val totalsByVehicle = liveItems()
+            .slice(MaintenanceRecordsTable.vehicleId, itemCurrency, spendCents)
+            .select { liveRecordsOf(owner) }
+            .groupBy(MaintenanceRecordsTable.vehicleId, itemCurrency)
+            .totalsCents { row -> row[MaintenanceRecordsTable.vehicleId].toString() }
+        
+        return vehicles
+            .map { vehicle ->
+                val records = recordsByVehicle[vehicle.summary.id]
+                val readings = listOfNotNull(records?.get(lowestOdo), records?.get(highestOdo), vehicle.currentOdo)
+                val count = (records?.get(readingCount) ?: 0L) + (if (vehicle.currentOdo != null) 1 else 0)
+                val span = if (count >= 2) readings.max() - readings.min() else null
+                
+                // Distances are shown in the user's unit so vehicles can be compared; engine hours stay as they are
+                val unit = if (vehicle.summary.odoUnit.isDistance) distanceUnit else vehicle.summary.odoUnit
+                
+                VehicleCost(
+                    vehicle = vehicle.summary,
+                    recordCount = records?.get(recordCount) ?: 0L,
+                    totalsCents = totalsByVehicle[vehicle.summary.id].orEmpty(),
+                    distance = span?.let { vehicle.summary.odoUnit.convert(it.toDouble(), unit)?.roundToLong() },
+                    distanceUnit = unit
+                )
+            }
+            .sortedByDescending { it.totalsCents.values.sum() }
+    }
+    
+    private fun topParts(owner: UUID): List<PartUsage> {
+        val recordCount = MaintenanceItemsTable.maintenanceId.countDistinct()
+        val totalQuantity = MaintenanceItemsTable.quantity.sum()
+        return liveItems()
+            .slice(PartsTable.id, PartsTable.name, recordCount, totalQuantity)
+            .select { liveRecordsOf(owner) }
+            .groupBy(PartsTable.id, PartsTable.name)
+            .orderBy(recordCount to SortOrder.DESC, totalQuantity to SortOrder.DESC)
+            .limit(TOP_COUNT)
+            .map { row ->
+                PartUsage(
+                    partId = row[PartsTable.id].toString(),
+                    name = row[PartsTable.name],
+                    recordCount = row[recordCount],
+                    totalQuantity = row[totalQuantity]?.toDouble() ?: 0.0
+                )
+            }
+    }
+    
+    private fun topTags(tagStats: List<TagStats>): List<TagUsage> =
+        tagStats
+            .filter { it.recordCount > 0 }
+            .take(TOP_COUNT)
+            .map { TagUsage(it.tag, it.recordCount) }
+    
+    // A record counts towards a tag when it is tagged itself or uses a part with the tag; see TagStats
+    private fun tagStats(owner: UUID): List<TagStats> {
+        val tags = TagsTable.select { (TagsTable.ownerId eq owner) and TagsTable.deletedAt.isNull() }.map { it.toTagStats() }
+        
+        val partCount = PartTagsTable.partId.count()
+        val partCounts = PartTagsTable.innerJoin(PartsTable)
+            .slice(PartTagsTable.tagId, partCount)
+            .select { (PartsTable.ownerId eq owner) and PartsTable.deletedAt.isNull() }
+            .groupBy(PartTagsTable.tagId)
+            .associate { it[PartTagsTable.tagId].value.toString() to it[partCount] }
+        
+        // The tag joined to the records and items it counts, through these conditions on the outer query's rows
+        val recordTagged = exists(MaintenanceTagsTable.select {
+            (MaintenanceTagsTable.maintenanceId eq MaintenanceRecordsTable.id) and (MaintenanceTagsTable.tagId eq TagsTable.id)
+        })
+        val partTagged = exists(PartTagsTable.select {
+            (PartTagsTable.partId eq MaintenanceItemsTable.partId) and (PartTagsTable.tagId eq TagsTable.id)
+        })
+        val usesTaggedPart = exists(MaintenanceItemsTable
+            .join(PartTagsTable, JoinType.INNER, MaintenanceItemsTable.partId, PartTagsTable.partId)
+            .select { (MaintenanceItemsTable.maintenanceId eq MaintenanceRecordsTable.id) and (PartTagsTable.tagId eq TagsTable.id) })
+        
+        val recordCount = MaintenanceRecordsTable.id.countDistinct()
+        val recordCounts = TagsTable
+            .join(MaintenanceRecordsTable, JoinType.INNER, additionalConstraint = { recordTagged or usesTaggedPart })
+            .join(VehiclesTable, JoinType.INNER, MaintenanceRecordsTable.vehicleId, VehiclesTable.id)
+            .slice(TagsTable.id, recordCount)
+            .select { (TagsTable.ownerId eq owner) and liveRecordsOf(owner) }
+            .groupBy(TagsTable.id)
+            .associate { it[TagsTable.id].value.toString() to it[recordCount] }
+        
+        // Every item of a record tagged itself, and otherwise the items whose part has the tag
+        val totalsByTag = liveItems()
+            .join(TagsTable, JoinType.INNER, additionalConstraint = { recordTagged or partTagged })
+            .slice(TagsTable.id, itemCurrency, spendCents)
+            .select { (TagsTable.ownerId eq owner) and liveRecordsOf(owner) }
+            .groupBy(TagsTable.id, itemCurrency)
+            .totalsCents { row -> row[TagsTable.id].value.toString() }
+        
+        return tags
+            .map { tag ->
+                TagStats(
+                    tag = tag,
+                    partCount = partCounts[tag.id] ?: 0L,
+                    recordCount = recordCounts[tag.id] ?: 0L,
+                    totalsCents = totalsByTag[tag.id].orEmpty()
+                )
+            }
+            .sortedWith(compareByDescending<TagStats> { it.recordCount }.thenBy { it.tag.name.lowercase() })
+    }
+    
+    // Services done on at least two days of a vehicle are expected again after their average interval,
+    // which is the time and distance from the first to the last time spread over the times in between
+    private fun upcomingService(
+        owner: UUID,
+        vehicles: Map<String, VehicleStats>,
+        today: LocalDate
+    ): List<UpcomingService> {
+        val titleKey = MaintenanceRecordsTable.title.trim().lowerCase()
+        val title = MaintenanceRecordsTable.title.max()
+        val firstDoneAt = MaintenanceRecordsTable.happenedAt.min()
+        val lastDoneAt = MaintenanceRecordsTable.happenedAt.max()
+        val doneDays = MaintenanceRecordsTable.happenedAt.countDistinct()
+        val lowestOdo = MaintenanceRecordsTable.odoReading.min()
+        val highestOdo = MaintenanceRecordsTable.odoReading.max()
+        val readingCount = MaintenanceRecordsTable.odoReading.countDistinct()
+        
+        return MaintenanceRecordsTable.innerJoin(VehiclesTable)
+            .slice(MaintenanceRecordsTable.vehicleId, titleKey, title, firstDoneAt, lastDoneAt, doneDays, lowestOdo, highestOdo, readingCount)
+            .select { liveRecordsOf(owner) }
+            .groupBy(MaintenanceRecordsTable.vehicleId, titleKey)
+            .having { doneDays greaterEq 2L }
+            .mapNotNull { row ->
+                val vehicle = vehicles[row[MaintenanceRecordsTable.vehicleId].toString()] ?: return@mapNotNull null
+                val first = row[firstDoneAt] ?: return@mapNotNull null
+                val last = row[lastDoneAt] ?: return@mapNotNull null
+                
+                val dueAt = last.plus((first.daysUntil(last).toDouble() / (row[doneDays] - 1)).roundToInt(), DateTimeUnit.DAY)
+                val lowest = row[lowestOdo]
+                val highest = row[highestOdo]
+                val dueOdo = if (lowest != null && highest != null && row[readingCount] >= 2) {
+                    highest + ((highest - lowest).toDouble() / (row[readingCount] - 1)).roundToLong()
+                } else null
+                
+                UpcomingService(
+                    vehicle = vehicle.summary,
+                    title = row[title] ?: return@mapNotNull null,
+                    lastDoneAt = last,
+                    dueAt = dueAt,
+                    dueOdo = dueOdo,
+                    overdue = dueAt < today || (dueOdo != null && vehicle.currentOdo != null && vehicle.currentOdo >= dueOdo)
+                )
+            }
+            .sortedBy { it.dueAt }
+            .take(TOP_COUNT)
+    }
+    
+    // Spend by key and currency, from a query grouped by the key and itemCurrency that selects spendCents;
+    // groups whose items have no price are left out
+    private fun <K> Query.totalsCents(key: (ResultRow) -> K): Map<K, Map<String, Long>> =
+        mapNotNull { row -> row[spendCents]?.let { spend -> key(row) to ((row[itemCurrency] ?: DEFAULT_CURRENCY) to spend.toLong()) } }
+            .groupBy({ it.first }, { it.second })
+            .mapValues { (_, totals) -> totals.toMap() }
+    
+    private fun monthKey(year: Int, month: Int): String = "$year-${month.toString().padStart(2, '0')}"
+    
+    private companion object {
+        const val TOP_COUNT = 5
+        const val DEFAULT_CURRENCY = "EUR"
+        
+        // Items are counted in their part's currency
+        val itemCurrency = Coalesce(PartsTable.currency, stringLiteral(DEFAULT_CURRENCY))
+        val spendCents = Sum(ItemCostCents, DecimalColumnType(20, 0))
+    }
+}
+
+private data class VehicleStats(
+    val summary: VehicleSummary,
+    val currentOdo: Long?
+)
+
+// Extension functions
+private fun ResultRow.toVehicleStats(): VehicleStats = VehicleStats(
+    summary = VehicleSummary(
+        id = this[VehiclesTable.id].toString(),
+        manufacturer = this[VehiclesTable.manufacturer],
+        model = this[VehiclesTable.model],
+        licensePlate = this[VehiclesTable.licensePlate],
+        vin = this[VehiclesTable.vin],
+        odoUnit = this[VehiclesTable.odoUnit]
+    ),
+    currentOdo = this[VehiclesTable.currentOdo]
+)
+
+private fun ResultRow.toTagStats(): Tag = Tag(
+    id = this[TagsTable.id].toString(),
+    ownerId = this[TagsTable.ownerId].toString(),
+    name = this[TagsTable.name],
+    color = this[TagsTable.color],
+    slug = this[TagsTable.slug],
+    createdAt = this[TagsTable.createdAt]
+)
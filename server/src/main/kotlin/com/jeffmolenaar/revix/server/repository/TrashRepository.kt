@@ -0,0 +1,203 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.database.*
+import kotlinx.datetime.Instant
+import org.jetbrains.exposed.dao.id.EntityID
+import org.jetbrains.exposed.dao.id.UUIDTable
+import org.jetbrains.exposed.sql.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+
+// Items are moved to the trash by the delete of their own repository; this lists, restores and purges them
+class TrashRepository {
+    
+    // Everything the owner has deleted, most recently deleted first
+    fun findByOwner(ownerId: String): List<TrashItem> = transaction {
+        TrashItemType.entries
+            .flatMap { type -> trashed(type, UUID.fromString(ownerId)) }
+            .sortedByDescending { it.deletedAt }
+    }
+    
+    fun findById(type: TrashItemType, id: String, ownerId: String): TrashItem? = transaction {
+        trashed(type, UUID.fromString(ownerId), UUID.fromString(id)).singleOrNull()
+    }
+    
+    // A restored maintenance record's reading counts towards the vehicle's current reading again
+    fun restore(type: TrashItemType, id: String, ownerId: String): Boolean = transaction {
+        val columns = trashColumns(type)
+        val restored = columns.table.update({ columns.trashed(UUID.fromString(id), UUID.fromString(ownerId)) }) {
+            it[columns.deletedAt] = null
+        } > 0
+        
+        if (restored && type == TrashItemType.MAINTENANCE) {
+            val record = MaintenanceRecordsTable.select { MaintenanceRecordsTable.id eq UUID.fromString(id) }.single()
+            record[MaintenanceRecordsTable.odoReading]?.let { reading ->
+                raiseCurrentOdo(record[MaintenanceRecordsTable.vehicleId].value, reading)
+            }
+        }
+        restored
+    }
+    
+    // Deletes the item for good; what belongs to it goes with it through the foreign keys
+    fun purge(type: TrashItemType, id: String, ownerId: String): Boolean = transaction {
+        val columns = trashColumns(type)
+        columns.table.deleteWhere { columns.trashed(UUID.fromString(id), UUID.fromString(ownerId)) } > 0
+    }
+    
+    // Maintenance records using the part, including those in the trash; a part in use is never purged
+    fun partUsageCount(partId: String): Long = transaction {
+        MaintenanceItemsTable
+            .select { MaintenanceItemsTable.partId eq UUID.fromString(partId) }
+            .map { it[MaintenanceItemsTable.maintenanceId] }
+            .distinct()
+            .size
+            .toLong()
+    }
+    
+    // What deleting a live item affects; null when there is no such item
+    fun preview(type: TrashItemType, id: String, ownerId: String): DeletionPreview? = transaction {
+        val itemId = UUID.fromString(id)
+        val owner = UUID.fromString(ownerId)
+        
+        when (type) {
+            TrashItemType.VEHICLE -> VehiclesTable
+                .select { (VehiclesTable.id eq itemId) and (VehiclesTable.ownerId eq owner) and VehiclesTable.deletedAt.isNull() }
+                .singleOrNull()
+                ?.let { vehicle ->
+                    DeletionPreview(
+                        type = type,
+                        name = vehicleName(vehicle),
+                        maintenanceRecordCount = liveRecords()
+                            .select { MaintenanceRecordsTable.vehicleId eq itemId }
+                            .count(),
+                        scheduleCount = ServiceSchedulesTable
+                            .select { ServiceSchedulesTable.vehicleId eq itemId }
+                            .count(),
+                        odometerReadingCount = OdometerReadingsTable
+                            .select { OdometerReadingsTable.vehicleId eq itemId }
+                            .count(),
+                        attachmentCount = liveRecords()
+                            .join(AttachmentsTable, JoinType.INNER, MaintenanceRecordsTable.id, AttachmentsTable.maintenanceId)
+                            .select { MaintenanceRecordsTable.vehicleId eq itemId }
+                            .count()
+                    )
+                }
+            
+            TrashItemType.PART -> PartsTable
+                .select { (PartsTable.id eq itemId) and (PartsTable.ownerId eq owner) and PartsTable.deletedAt.isNull() }
+                .singleOrNull()
+                ?.let { part ->
+                    DeletionPreview(
+                        type = type,
+                        name = part[PartsTable.name],
+                        maintenanceRecordCount = liveRecords()
+                            .join(MaintenanceItemsTable, JoinType.INNER, MaintenanceRecordsTable.id, MaintenanceItemsTable.maintenanceId)
+                            .select { MaintenanceItemsTable.partId eq itemId }
+                            .map { it[MaintenanceRecordsTable.id] }
+                            .distinct()
+                            .size
+                            .toLong(),
+                        attachmentCount = AttachmentsTable
+                            .select { AttachmentsTable.partId eq itemId }
+                            .count()
+                    )
+                }
+            
+            TrashItemType.TAG -> TagsTable
+                .select { (TagsTable.id eq itemId) and (TagsTable.ownerId eq owner) and TagsTable.deletedAt.isNull() }
+                .singleOrNull()
+                ?.let { tag ->
+                    DeletionPreview(
+                        type = type,
+                        name = tag[TagsTable.name],
+                        maintenanceRecordCount = liveRecords()
+                            .join(MaintenanceTagsTable, JoinType.INNER, MaintenanceRecordsTable.id, MaintenanceTagsTable.maintenanceId)
+                            .select { MaintenanceTagsTable.tagId eq itemId }
+                            .count(),
+                        partCount = PartsTable
+                            .join(PartTagsTable, JoinType.INNER, PartsTable.id, PartTagsTable.partId)
+                            .select { (PartTagsTable.tagId eq itemId) and PartsTable.deletedAt.isNull() }
+                            .count()
+                    )
+                }
+            
+            TrashItemType.MAINTENANCE -> liveRecords()
+                .select { (MaintenanceRecordsTable.id eq itemId) and (MaintenanceRecordsTable.ownerId eq owner) }
+                .singleOrNull()
+                ?.let { record ->
+                    DeletionPreview(
+                        type = type,
+                        name = record[MaintenanceRecordsTable.title],
+                        partCount = MaintenanceItemsTable
+                            .select { MaintenanceItemsTable.maintenanceId eq itemId }
+                            .map { it[MaintenanceItemsTable.partId] }
+                            .distinct()
+                            .size
+                            .toLong(),
+                        attachmentCount = AttachmentsTable
+                            .select { AttachmentsTable.maintenanceId eq itemId }
+                            .count()
+                    )
+                }
+        }
+    }
+    
+    private fun trashed(type: TrashItemType, owner: UUID, id: UUID? = null): List<TrashItem> {
+        val columns = trashColumns(type)
+        val query = when (type) {
+            TrashItemType.MAINTENANCE -> MaintenanceRecordsTable.innerJoin(VehiclesTable).selectAll()
+            else -> columns.table.selectAll()
+        }
+        query.andWhere { (columns.ownerId eq owner) and columns.deletedAt.isNotNull() }
+        id?.let { query.andWhere { columns.table.id eq it } }
+        
+        return query.map { row ->
+            when (type) {
+                TrashItemType.VEHICLE -> TrashItem(type, row[VehiclesTable.id].toString(), vehicleName(row), deletedAt = row[columns.deletedAt]!!)
+                TrashItemType.PART -> TrashItem(type, row[PartsTable.id].toString(), row[PartsTable.name], deletedAt = row[columns.deletedAt]!!)
+                TrashItemType.TAG -> TrashItem(type, row[TagsTable.id].toString(), row[TagsTable.name], deletedAt = row[columns.deletedAt]!!)
+                TrashItemType.MAINTENANCE -> TrashItem(
+                    type = type,
+                    id = row[MaintenanceRecordsTable.id].toString(),
+                    name = row[MaintenanceRecordsTable.title],
+                    vehicle = VehicleSummary(
+                        id = row[VehiclesTable.id].toString(),
+                        manufacturer = row[VehiclesTable.manufacturer],
+                        model = row[VehiclesTable.model],
+                        licensePlate = row[VehiclesTable.licensePlate],
+                        vin = row[VehiclesTable.vin],
+                        odoUnit = row[VehiclesTable.odoUnit]
+                    ),
+                    deletedAt = row[columns.deletedAt]!!
+                )
+            }
+        }
+    }
+    
+    // Records that are not in the trash, of vehicles that are not either
+    private fun liveRecords(): Join = MaintenanceRecordsTable
+        .join(VehiclesTable, JoinType.INNER, MaintenanceRecordsTable.vehicleId, VehiclesTable.id, additionalConstraint = {
+            MaintenanceRecordsTable.deletedAt.isNull() and VehiclesTable.deletedAt.isNull()
+        })
+    
+    private fun vehicleName(row: ResultRow): String = "${row[VehiclesTable.manufacturer]} ${row[VehiclesTable.model]}"
+    
+    private fun trashColumns(type: TrashItemType): TrashColumns = when (type) {
+        TrashItemType.VEHICLE -> TrashColumns(VehiclesTable, VehiclesTable.ownerId, VehiclesTable.deletedAt)
+        TrashItemType.PART -> TrashColumns(PartsTable, PartsTable.ownerId, PartsTable.deletedAt)
+        TrashItemType.TAG -> TrashColumns(TagsTable, TagsTable.ownerId, TagsTable.deletedAt)
+        TrashItemType.MAINTENANCE -> TrashColumns(MaintenanceRecordsTable, MaintenanceRecordsTable.ownerId, MaintenanceRecordsTable.deletedAt)
+    }
+}
+
+// The columns every table with a trash has in common
+private class TrashColumns(
+    val table: UUIDTable,
+    val ownerId: Column<EntityID<UUID>>,
+    val deletedAt: Column<Instant?>
+) {
+    fun trashed(id: UUID, owner: UUID): Op<Boolean> =
+        (table.id eq id) and (ownerId eq owner) and deletedAt.isNotNull()
+}
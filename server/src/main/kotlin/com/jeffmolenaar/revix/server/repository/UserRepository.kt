@@ -3,9 +3,12 @@ package com.jeffmolenaar.revix.server.repository
 import com.jeffmolenaar.revix.domain.*
 import com.jeffmolenaar.revix.server.database.*
 import kotlinx.datetime.Clock
+import kotlinx.datetime.TimeZone
+import kotlinx.datetime.todayIn
 import org.jetbrains.exposed.sql.*
 import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
 import org.jetbrains.exposed.sql.SqlExpressionBuilder.less
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.neq
 import org.jetbrains.exposed.sql.transactions.transaction
 import java.util.*
 
@@ -39,6 +42,40 @@ class UserRepository {
         )
     }
     
+    fun updatePreferences(id: String, request: UpdatePreferencesRequest): User? = transaction {
+        UsersTable.update({ UsersTable.id eq UUID.fromString(id) }) {
+            request.distanceUnit?.let { distanceUnit -> it[UsersTable.distanceUnit] = distanceUnit }
+        }
+        
+        findById(id)
+    }
+    
+    // Fields left null are kept; the route checks that a new email is not taken. A new email is unverified
+    fun updateProfile(id: String, email: String?, name: String?): User? = transaction {
+        val currentEmail = findById(id)?.email ?: return@transaction null
+        UsersTable.update({ UsersTable.id eq UUID.fromString(id) }) {
+            if (email != null && email != currentEmail) {
+                it[UsersTable.email] = email
+                it[UsersTable.emailVerifiedAt] = null
+            }
+            name?.let { name -> it[UsersTable.name] = name.trim().ifEmpty { null } }
+        }
+        
+        findById(id)
+    }
+    
+    fun markEmailVerified(id: String): Unit = transaction {
+        UsersTable.update({ (UsersTable.id eq UUID.fromString(id)) and UsersTable.emailVerifiedAt.isNull() }) {
+            it[UsersTable.emailVerifiedAt] = Clock.System.now()
+        }
+    }
+    
+    fun updatePasswordHash(id: String, passwordHash: String): Unit = transaction {
+        UsersTable.update({ UsersTable.id eq UUID.fromString(id) }) {
+            it[UsersTable.passwordHash] = passwordHash
+        }
+    }
+    
     fun getPasswordHash(userId: String): String? = transaction {
         UsersTable.select { UsersTable.id eq UUID.fromString(userId) }
             .map { it[UsersTable.passwordHash] }
@@ -46,23 +83,60 @@ class UserRepository {
     }
 }
 
+// A stored refresh token; its ID identifies the session it signs in
+data class StoredRefreshToken(
+    val id: String,
+    val userId: String,
+    val expiresAt: kotlinx.datetime.Instant
+)
+
 class RefreshTokenRepository {
     
-    fun save(userId: String, tokenHash: String, expiresAt: kotlinx.datetime.Instant): Unit = transaction {
-        RefreshTokensTable.insert {
+    // Returns the ID of the new session
+    fun save(userId: String, tokenHash: String, expiresAt: kotlinx.datetime.Instant): String = transaction {
+        RefreshTokensTable.insertAndGetId {
             it[RefreshTokensTable.userId] = UUID.fromString(userId)
             it[RefreshTokensTable.tokenHash] = tokenHash
             it[RefreshTokensTable.expiresAt] = expiresAt
             it[RefreshTokensTable.createdAt] = Clock.System.now()
-        }
+        }.toString()
     }
     
-    fun findByTokenHash(tokenHash: String): Pair<String, kotlinx.datetime.Instant>? = transaction {
+    fun findByTokenHash(tokenHash: String): StoredRefreshToken? = transaction {
         RefreshTokensTable.select { RefreshTokensTable.tokenHash eq tokenHash }
-            .map { it[RefreshTokensTable.userId].toString() to it[RefreshTokensTable.expiresAt] }
+            .map {
+                StoredRefreshToken(
+                    id = it[RefreshTokensTable.id].toString(),
+                    userId = it[RefreshTokensTable.userId].toString(),
+                    expiresAt = it[RefreshTokensTable.expiresAt]
+                )
+            }
             .singleOrNull()
     }
     
+    // Sessions that can still be refreshed, newest first
+    fun findSessions(userId: String, currentSessionId: String?): List<Session> = transaction {
+        RefreshTokensTable.select {
+            (RefreshTokensTable.userId eq UUID.fromString(userId)) and
+            (RefreshTokensTable.expiresAt greater Clock.System.now())
+        }
+            .orderBy(RefreshTokensTable.createdAt, SortOrder.DESC)
+            .map {
+                Session(
+                    id = it[RefreshTokensTable.id].toString(),
+                    createdAt = it[RefreshTokensTable.createdAt],
+                    expiresAt = it[RefreshTokensTable.expiresAt],
+                    current = it[RefreshTokensTable.id].toString() == currentSessionId
+                )
+            }
+    }
+    
+    fun delete(id: String, userId: String): Boolean = transaction {
+        RefreshTokensTable.deleteWhere {
+            (RefreshTokensTable.id eq UUID.fromString(id)) and (RefreshTokensTable.userId eq UUID.fromString(userId))
+        } > 0
+    }
+    
     fun deleteByTokenHash(tokenHash: String): Unit = transaction {
         RefreshTokensTable.deleteWhere { RefreshTokensTable.tokenHash eq tokenHash }
     }
@@ -71,15 +145,19 @@ class RefreshTokenRepository {
         RefreshTokensTable.deleteWhere { RefreshTokensTable.expiresAt less Clock.System.now() }
     }
     
-    fun deleteAllForUser(userId: String): Unit = transaction {
-        RefreshTokensTable.deleteWhere { RefreshTokensTable.userId eq UUID.fromString(userId) }
+    // Signs the user out everywhere, or everywhere but the given session
+    fun deleteAllForUser(userId: String, exceptSessionId: String? = null): Unit = transaction {
+        RefreshTokensTable.deleteWhere {
+            val ownTokens = RefreshTokensTable.userId eq UUID.fromString(userId)
+            exceptSessionId?.let { ownTokens and (RefreshTokensTable.id neq UUID.fromString(it)) } ?: ownTokens
+        }
     }
 }
 
 class VehicleRepository {
     
     fun findByOwner(ownerId: String, page: Int = 1, pageSize: Int = 20): List<Vehicle> = transaction {
-        VehiclesTable.select { VehiclesTable.ownerId eq UUID.fromString(ownerId) }
+        VehiclesTable.select { (VehiclesTable.ownerId eq UUID.fromString(ownerId)) and VehiclesTable.deletedAt.isNull() }
             .orderBy(VehiclesTable.createdAt, SortOrder.DESC)
             .limit(pageSize, offset = ((page - 1) * pageSize).toLong())
             .map { it.toVehicle() }
@@ -88,7 +166,8 @@ class VehicleRepository {
     fun findById(id: String, ownerId: String): Vehicle? = transaction {
         VehiclesTable.select { 
             (VehiclesTable.id eq UUID.fromString(id)) and 
-            (VehiclesTable.ownerId eq UUID.fromString(ownerId)) 
+            (VehiclesTable.ownerId eq UUID.fromString(ownerId)) and
+            VehiclesTable.deletedAt.isNull()
         }
             .map { it.toVehicle() }
             .singleOrNull()
@@ -109,15 +188,22 @@ class VehicleRepository {
             it[VehiclesTable.updatedAt] = Clock.System.now()
         }
         
+        request.currentOdo?.let { reading ->
+            logManualReading(id.value, UUID.fromString(ownerId), reading, Clock.System.todayIn(TimeZone.currentSystemDefault()))
+        }
+        
         VehiclesTable.select { VehiclesTable.id eq id }
             .map { it.toVehicle() }
             .single()
     }
     
     fun update(id: String, ownerId: String, request: UpdateVehicleRequest): Vehicle? = transaction {
+        val previousOdo = findById(id, ownerId)?.currentOdo
+        
         val updated = VehiclesTable.update({ 
             (VehiclesTable.id eq UUID.fromString(id)) and 
-            (VehiclesTable.ownerId eq UUID.fromString(ownerId)) 
+            (VehiclesTable.ownerId eq UUID.fromString(ownerId)) and
+            VehiclesTable.deletedAt.isNull()
         }) {
             request.licensePlate?.let { licensePlate -> it[VehiclesTable.licensePlate] = licensePlate }
             request.vin?.let { vin -> it[VehiclesTable.vin] = vin }
@@ -131,22 +217,61 @@ class VehicleRepository {
         }
         
         if (updated > 0) {
+            // A reading typed into the form is logged like any other manual reading
+            request.currentOdo?.takeIf { it != previousOdo }?.let { reading ->
+                logManualReading(UUID.fromString(id), UUID.fromString(ownerId), reading, Clock.System.todayIn(TimeZone.currentSystemDefault()))
+            }
+            
             findById(id, ownerId)
         } else {
             null
         }
     }
     
+    // Moves the vehicle to the trash; its records, schedules and readings are hidden with it
     fun delete(id: String, ownerId: String): Boolean = transaction {
-        VehiclesTable.deleteWhere { 
+        VehiclesTable.update({ 
             (VehiclesTable.id eq UUID.fromString(id)) and 
-            (VehiclesTable.ownerId eq UUID.fromString(ownerId)) 
+            (VehiclesTable.ownerId eq UUID.fromString(ownerId)) and
+            VehiclesTable.deletedAt.isNull()
+        }) {
+            it[VehiclesTable.deletedAt] = Clock.System.now()
         } > 0
     }
     
     fun countByOwner(ownerId: String): Long = transaction {
-        VehiclesTable.select { VehiclesTable.ownerId eq UUID.fromString(ownerId) }.count()
+        VehiclesTable.select { (VehiclesTable.ownerId eq UUID.fromString(ownerId)) and VehiclesTable.deletedAt.isNull() }.count()
+    }
+    
+    // The user's own vehicles and those shared with them, each with the user's role
+    fun findByUser(userId: String, page: Int = 1, pageSize: Int = 20): List<Vehicle> = transaction {
+        accessibleTo(UUID.fromString(userId))
+            .orderBy(VehiclesTable.createdAt, SortOrder.DESC)
+            .limit(pageSize, offset = ((page - 1) * pageSize).toLong())
+            .map { it.toVehicle(userId) }
+    }
+    
+    fun countByUser(userId: String): Long = transaction {
+        accessibleTo(UUID.fromString(userId)).count()
+    }
+    
+    // Like findById, but also finds vehicles shared with the user
+    fun findAccessible(id: String, userId: String): Vehicle? = transaction {
+        accessibleTo(UUID.fromString(userId))
+            .andWhere { VehiclesTable.id eq UUID.fromString(id) }
+            .map { it.toVehicle(userId) }
+            .singleOrNull()
     }
+    
+    private fun accessibleTo(user: UUID): Query =
+        VehiclesTable
+            .join(UsersTable, JoinType.INNER, VehiclesTable.ownerId, UsersTable.id)
+            .join(VehicleMembersTable, JoinType.LEFT, VehiclesTable.id, VehicleMembersTable.vehicleId,
+                additionalConstraint = { VehicleMembersTable.userId eq user })
+            .select {
+                ((VehiclesTable.ownerId eq user) or VehicleMembersTable.userId.isNotNull()) and
+                VehiclesTable.deletedAt.isNull()
+            }
 }
 
 // Extension functions to convert ResultRow to domain objects
@@ -154,6 +279,8 @@ private fun ResultRow.toUser(): User = User(
     id = this[UsersTable.id].toString(),
     email = this[UsersTable.email],
     name = this[UsersTable.name],
+    distanceUnit = this[UsersTable.distanceUnit],
+    emailVerified = this[UsersTable.emailVerifiedAt] != null,
     createdAt = this[UsersTable.createdAt]
 )
 
@@ -170,4 +297,13 @@ private fun ResultRow.toVehicle(): Vehicle = Vehicle(
     currentOdo = this[VehiclesTable.currentOdo],
     createdAt = this[VehiclesTable.createdAt],
     updatedAt = this[VehiclesTable.updatedAt]
-)
\ No newline at end of file
+)
+
+// For rows of accessibleTo, which carry the owner and the user's membership
+private fun ResultRow.toVehicle(userId: String): Vehicle {
+    val owned = this[VehiclesTable.ownerId].toString() == userId
+    return toVehicle().copy(
+        role = if (owned) VehicleRole.OWNER else this[VehicleMembersTable.role],
+        sharedBy = if (owned) null else this[UsersTable.name] ?: this[UsersTable.email]
+    )
+}
\ No newline at end of file
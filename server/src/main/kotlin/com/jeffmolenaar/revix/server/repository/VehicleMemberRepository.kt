@@ -0,0 +1,59 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.database.*
+import kotlinx.datetime.Clock
+import org.jetbrains.exposed.sql.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+
+// Who a vehicle is shared with; access checks go through VehicleRepository.findAccessible
+class VehicleMemberRepository {
+    
+    fun findByVehicle(vehicleId: String): List<VehicleMember> = transaction {
+        VehicleMembersTable.innerJoin(UsersTable)
+            .select { VehicleMembersTable.vehicleId eq UUID.fromString(vehicleId) }
+            .orderBy(VehicleMembersTable.createdAt)
+            .map { it.toVehicleMember() }
+    }
+    
+    // Adds the user to each vehicle, or changes their role where they already are a member
+    fun share(vehicleIds: List<String>, userId: String, role: VehicleRole): Unit = transaction {
+        vehicleIds.distinct().forEach { vehicleId ->
+            val updated = VehicleMembersTable.update({
+                (VehicleMembersTable.vehicleId eq UUID.fromString(vehicleId)) and
+                (VehicleMembersTable.userId eq UUID.fromString(userId))
+            }) {
+                it[VehicleMembersTable.role] = role
+            }
+            
+            if (updated == 0) {
+                VehicleMembersTable.insert {
+                    it[VehicleMembersTable.vehicleId] = UUID.fromString(vehicleId)
+                    it[VehicleMembersTable.userId] = UUID.fromString(userId)
+                    it[VehicleMembersTable.role] = role
+                    it[VehicleMembersTable.createdAt] = Clock.System.now()
+                }
+            }
+        }
+    }
+    
+    fun remove(vehicleId: String, userId: String): Boolean = transaction {
+        VehicleMembersTable.deleteWhere {
+            (VehicleMembersTable.vehicleId eq UUID.fromString(vehicleId)) and
+            (VehicleMembersTable.userId eq UUID.fromString(userId))
+        } > 0
+    }
+}
+
+private fun ResultRow.toVehicleMember(): VehicleMember = VehicleMember(
+    vehicleId = this[VehicleMembersTable.vehicleId].toString(),
+    user = UserSummary(
+        id = this[UsersTable.id].toString(),
+        email = this[UsersTable.email],
+        name = this[UsersTable.name]
+    ),
+    role = this[VehicleMembersTable.role],
+    createdAt = this[VehicleMembersTable.createdAt]
+)
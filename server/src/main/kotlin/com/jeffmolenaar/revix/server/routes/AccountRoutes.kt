@@ -0,0 +1,176 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.auth.AuthService
+import com.jeffmolenaar.revix.server.mail.AccountMailer
+import com.jeffmolenaar.revix.server.repository.RefreshTokenRepository
+import com.jeffmolenaar.revix.server.repository.UserRepository
+import com.jeffmolenaar.revix.validation.ValidationRules
+import com.jeffmolenaar.revix.validation.combine
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.request.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.accountRoutes() {
+    val userRepository by inject<UserRepository>()
+    val refreshTokenRepository by inject<RefreshTokenRepository>()
+    val authService by inject<AuthService>()
+    val accountMailer by inject<AccountMailer>()
+    
+    route("/me") {
+        get {
+            val userId = call.getUserId()
+            val user = userRepository.findById(userId)
+            
+            if (user == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "user_not_found",
+                    message = "User not found"
+                ))
+                return@get
+            }
+            
+            call.respond(user)
+        }
+        
+        // Responds with the updated user; a new email is unverified and gets a verification mail
+        put {
+            val userId = call.getUserId()
+            val request = call.receive<UpdateProfileRequest>()
+            val email = request.email?.trim()
+            
+            // Validate input
+            val validationResult = listOfNotNull(
+                email?.let { ValidationRules.validateEmail(it) },
+                ValidationRules.validateUserName(request.name?.trim())
+            ).combine()
+            if (!validationResult.isValid) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "validation_error",
+                    message = validationResult.errorMessage!!
+                ))
+                return@put
+            }
+            
+            val existingUser = email?.let { userRepository.findByEmail(it) }
+            if (existingUser != null && existingUser.id != userId) {
+                call.respond(HttpStatusCode.Conflict, ApiError(
+                    error = "email_exists",
+                    message = "A user with this email already exists"
+                ))
+                return@put
+            }
+            
+            val emailChanged = email != null && email != userRepository.findById(userId)?.email
+            val user = userRepository.updateProfile(userId, email, request.name)
+            if (user == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "user_not_found",
+                    message = "User not found"
+                ))
+                return@put
+            }
+            
+            // The new email is saved when the mail can't be sent; a new link can be mailed from the account page
+            if (emailChanged) {
+                try {
+                    accountMailer.sendEmailVerification(user, authService.generateEmailVerificationToken(user.id, user.email))
+                } catch (e: Exception) {
+                    call.application.log.error("Sending the verification mail failed", e)
+                }
+            }
+            
+            call.respond(user)
+        }
+        
+        // Mails a new verification link, such as when the first one expired
+        post("/verification") {
+            val userId = call.getUserId()
+            val user = userRepository.findById(userId)
+            if (user == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "user_not_found",
+                    message = "User not found"
+                ))
+                return@post
+            }
+            
+            if (user.emailVerified) {
+                call.respond(HttpStatusCode.Conflict, ApiError(
+                    error = "email_verified",
+                    message = "Your email address is already verified"
+                ))
+                return@post
+            }
+            
+            accountMailer.sendEmailVerification(user, authService.generateEmailVerificationToken(user.id, user.email))
+            call.respond(HttpStatusCode.NoContent)
+        }
+        
+        // Signs out every other session, so whoever knew the old password is locked out
+        put("/password") {
+            val userId = call.getUserId()
+            val request = call.receive<ChangePasswordRequest>()
+            
+            val passwordHash = userRepository.getPasswordHash(userId)
+            if (passwordHash == null || !authService.verifyPassword(request.currentPassword, passwordHash)) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "invalid_password",
+                    message = "The current password is incorrect"
+                ))
+                return@put
+            }
+            
+            val validationResult = ValidationRules.validatePassword(request.newPassword)
+            if (!validationResult.isValid) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "validation_error",
+                    message = validationResult.errorMessage!!
+                ))
+                return@put
+            }
+            
+            userRepository.updatePasswordHash(userId, authService.hashPassword(request.newPassword))
+            refreshTokenRepository.deleteAllForUser(userId, exceptSessionId = call.getSessionId())
+            call.respond(HttpStatusCode.NoContent)
+        }
+        
+        route("/sessions") {
+            get {
+                val userId = call.getUserId()
+                call.respond(refreshTokenRepository.findSessions(userId, call.getSessionId()))
+            }
+            
+            // Signs out everywhere, this session included
+            delete {
+                val userId = call.getUserId()
+                refreshTokenRepository.deleteAllForUser(userId)
+                call.respond(HttpStatusCode.NoContent)
+            }
+            
+            delete("/{id}") {
+                val userId = call.getUserId()
+                val sessionId = call.parameters["id"] ?: run {
+                    call.respond(HttpStatusCode.BadRequest, ApiError(
+                        error = "missing_parameter",
+                        message = "Session ID is required"
+                    ))
+                    return@delete
+                }
+                
+                if (!refreshTokenRepository.delete(sessionId, userId)) {
+                    call.respond(HttpStatusCode.NotFound, ApiError(
+                        error = "session_not_found",
+                        message = "Session not found"
+                    ))
+                    return@delete
+                }
+                
+                call.respond(HttpStatusCode.NoContent)
+            }
+        }
+    }
+}
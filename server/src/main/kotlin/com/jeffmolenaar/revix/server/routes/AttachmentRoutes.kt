@@ -0,0 +1,190 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.attachment.AttachmentService
+import com.jeffmolenaar.revix.server.repository.AttachmentRepository
+import com.jeffmolenaar.revix.server.repository.AttachmentTarget
+import com.jeffmolenaar.revix.server.repository.MaintenanceRepository
+import com.jeffmolenaar.revix.server.repository.PartRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import com.jeffmolenaar.revix.validation.ValidationRules
+import io.ktor.http.*
+import io.ktor.http.content.*
+import io.ktor.server.application.*
+import io.ktor.server.http.content.*
+import io.ktor.server.request.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.attachmentRoutes() {
+    val attachmentService by inject<AttachmentService>()
+    val attachmentRepository by inject<AttachmentRepository>()
+    val maintenanceRepository by inject<MaintenanceRepository>()
+    val partRepository by inject<PartRepository>()
+    val vehicleRepository by inject<VehicleRepository>()
+    
+    // Uploads are multipart forms with the file in a "file" field
+    post("/maintenance/{id}/attachments") {
+        val userId = call.getUserId()
+        val recordId = call.parameters["id"] ?: run {
+            call.respond(HttpStatusCode.BadRequest, ApiError(
+                error = "missing_parameter",
+                message = "Maintenance record ID is required"
+            ))
+            return@post
+        }
+        
+        val record = maintenanceRepository.findAccessible(recordId, userId)
+        if (record == null) {
+            call.respond(HttpStatusCode.NotFound, ApiError(
+                error = "maintenance_not_found",
+                message = "Maintenance record not found"
+            ))
+            return@post
+        }
+        
+        if (vehicleRepository.findAccessible(record.vehicleId, userId)?.role == VehicleRole.VIEWER) {
+            call.respond(HttpStatusCode.Forbidden, ApiError(
+                error = "read_only",
+                message = "This vehicle is shared with you to view only"
+            ))
+            return@post
+        }
+        
+        // Files added by an editor of a shared vehicle belong to the record's owner, like the record itself
+        call.uploadAttachment(record.ownerId, AttachmentTarget.Maintenance(recordId), attachmentService, attachmentRepository)
+    }
+    
+    post("/parts/{id}/attachments") {
+        val userId = call.getUserId()
+        val partId = call.parameters["id"] ?: run {
+            call.respond(HttpStatusCode.BadRequest, ApiError(
+                error = "missing_parameter",
+                message = "Part ID is required"
+            ))
+            return@post
+        }
+        
+        if (partRepository.findById(partId, userId) == null) {
+            call.respond(HttpStatusCode.NotFound, ApiError(
+                error = "part_not_found",
+                message = "Part not found"
+            ))
+            return@post
+        }
+        
+        call.uploadAttachment(userId, AttachmentTarget.Part(partId), attachmentService, attachmentRepository)
+    }
+    
+    // Members of a shared vehicle open the files on its records; only the owner deletes them
+    route("/attachments/{id}") {
+        get {
+            val userId = call.getUserId()
+            val attachment = call.parameters["id"]?.let { attachmentRepository.findAccessible(it, userId) }
+            val file = attachment?.let { attachmentService.file(it, it.ownerId) }
+            if (attachment == null || file == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "attachment_not_found",
+                    message = "Attachment not found"
+                ))
+                return@get
+            }
+            
+            call.response.header(
+                HttpHeaders.ContentDisposition,
+                ContentDisposition.Inline.withParameter(ContentDisposition.Parameters.FileName, headerFileName(attachment.fileName)).toString()
+            )
+            call.response.header("X-Content-Type-Options", "nosniff")
+            call.respond(LocalFileContent(file, ContentType.parse(attachment.contentType)))
+        }
+        
+        get("/thumbnail") {
+            val userId = call.getUserId()
+            val attachment = call.parameters["id"]?.let { attachmentRepository.findAccessible(it, userId) }
+            val thumbnail = attachment?.let { attachmentService.thumbnailFile(it, it.ownerId) }
+            if (thumbnail == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "thumbnail_not_found",
+                    message = "This attachment has no thumbnail"
+                ))
+                return@get
+            }
+            
+            call.response.header("X-Content-Type-Options", "nosniff")
+            call.respond(LocalFileContent(thumbnail, ContentType.Image.JPEG))
+        }
+        
+        delete {
+            val userId = call.getUserId()
+            val attachmentId = call.parameters["id"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Attachment ID is required"
+                ))
+                return@delete
+            }
+            
+            if (!attachmentService.delete(attachmentId, userId)) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "attachment_not_found",
+                    message = "Attachment not found"
+                ))
+                return@delete
+            }
+            
+            call.respond(HttpStatusCode.NoContent)
+        }
+    }
+}
+
+private suspend fun ApplicationCall.uploadAttachment(
+    userId: String,
+    target: AttachmentTarget,
+    attachmentService: AttachmentService,
+    attachmentRepository: AttachmentRepository
+) {
+    if (attachmentRepository.countByTarget(target, userId) >= Attachment.MAX_PER_RECORD) {
+        respond(HttpStatusCode.BadRequest, ApiError(
+            error = "too_many_attachments",
+            message = "A record or part can have at most ${Attachment.MAX_PER_RECORD} attachments"
+        ))
+        return
+    }
+    
+    var fileName: String? = null
+    var bytes: ByteArray? = null
+    receiveMultipart().forEachPart { part ->
+        if (part is PartData.FileItem && part.name == "file" && bytes == null) {
+            fileName = part.originalFileName
+            // One byte past the limit is enough to tell that a file is too large
+            bytes = part.streamProvider().use { it.readNBytes(Attachment.MAX_SIZE_BYTES.toInt() + 1) }
+        }
+        part.dispose()
+    }
+    
+    val content = bytes ?: run {
+        respond(HttpStatusCode.BadRequest, ApiError(
+            error = "missing_file",
+            message = "Send the file in a multipart field named \"file\""
+        ))
+        return
+    }
+    
+    val contentType = attachmentService.detectContentType(content)
+    val validationResult = ValidationRules.validateAttachment(contentType, content.size.toLong())
+    if (!validationResult.isValid) {
+        respond(
+            if (content.size > Attachment.MAX_SIZE_BYTES) HttpStatusCode.PayloadTooLarge else HttpStatusCode.BadRequest,
+            ApiError(error = "validation_error", message = validationResult.errorMessage!!)
+        )
+        return
+    }
+    
+    val attachment = attachmentService.store(userId, target, fileName ?: "attachment", contentType!!, content)
+    respond(HttpStatusCode.Created, attachment)
+}
+
+// Header values are ASCII, so other characters in the name are replaced; the stored name keeps them
+private fun headerFileName(fileName: String): String =
+    fileName.map { if (it.code in 0x20..0x7E) it else '_' }.joinToString("")
@@ -0,0 +1,78 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.repository.AuditFilter
+import com.jeffmolenaar.revix.server.repository.AuditRepository
+import com.jeffmolenaar.revix.server.repository.MaintenanceRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import kotlinx.datetime.LocalDate
+import org.koin.ktor.ext.inject
+import java.util.*
+
+fun Route.auditRoutes() {
+    val auditRepository by inject<AuditRepository>()
+    val vehicleRepository by inject<VehicleRepository>()
+    val maintenanceRepository by inject<MaintenanceRepository>()
+    
+    // The user's audit log, most recent first, optionally for one type of item, one item or a range of days
+    get("/audit") {
+        val userId = call.getUserId()
+        val parameters = call.request.queryParameters
+        val page = (parameters["page"]?.toIntOrNull() ?: 1).coerceAtLeast(1)
+        val pageSize = (parameters["pageSize"]?.toIntOrNull() ?: 50).coerceIn(1, 100)
+        
+        val type = parameters["type"]?.let { value ->
+            TrashItemType.entries.find { it.path == value } ?: run {
+                call.invalidAuditParameter("type must be one of ${TrashItemType.entries.joinToString { it.path }}")
+                return@get
+            }
+        }
+        val entityId = parameters["id"]?.let { value ->
+            value.takeIf { runCatching { UUID.fromString(it) }.isSuccess } ?: run {
+                call.invalidAuditParameter("id must be the ID of a vehicle, part, tag or maintenance record")
+                return@get
+            }
+        }
+        val from = parameters["from"]?.let { value ->
+            runCatching { LocalDate.parse(value) }.getOrNull() ?: run {
+                call.invalidAuditParameter("from must be a date (YYYY-MM-DD)")
+                return@get
+            }
+        }
+        val to = parameters["to"]?.let { value ->
+            runCatching { LocalDate.parse(value) }.getOrNull() ?: run {
+                call.invalidAuditParameter("to must be a date (YYYY-MM-DD)")
+                return@get
+            }
+        }
+        
+        // The history of a vehicle or record shared with the user is kept in its owner's log
+        val ownerId = entityId?.let { id ->
+            when (type) {
+                TrashItemType.VEHICLE -> vehicleRepository.findAccessible(id, userId)?.ownerId
+                TrashItemType.MAINTENANCE -> maintenanceRepository.findAccessible(id, userId)?.ownerId
+                else -> null
+            }
+        } ?: userId
+        
+        val filter = AuditFilter(type, entityId, from, to)
+        val entries = auditRepository.findByOwner(ownerId, filter, page, pageSize)
+        val totalCount = auditRepository.countByOwner(ownerId, filter)
+        val totalPages = ((totalCount + pageSize - 1) / pageSize).toInt()
+        
+        call.respond(PaginatedResponse(
+            data = entries,
+            page = page,
+            pageSize = pageSize,
+            totalCount = totalCount,
+            totalPages = totalPages
+        ))
+    }
+}
+
+private suspend fun ApplicationCall.invalidAuditParameter(message: String) =
+    respond(HttpStatusCode.BadRequest, ApiError(error = "invalid_parameter", message = message))
@@ -2,6 +2,7 @@ package com.jeffmolenaar.revix.server.routes
 
 import com.jeffmolenaar.revix.domain.*
 import com.jeffmolenaar.revix.server.auth.AuthService
+import com.jeffmolenaar.revix.server.mail.AccountMailer
 import com.jeffmolenaar.revix.server.repository.RefreshTokenRepository
 import com.jeffmolenaar.revix.server.repository.UserRepository
 import com.jeffmolenaar.revix.validation.ValidationRules
@@ -20,6 +21,7 @@ fun Route.authRoutes() {
     val userRepository by inject<UserRepository>()
     val refreshTokenRepository by inject<RefreshTokenRepository>()
     val authService by inject<AuthService>()
+    val accountMailer by inject<AccountMailer>()
     
     route("/auth") {
         post("/register") {
@@ -53,13 +55,18 @@ fun Route.authRoutes() {
             val passwordHash = authService.hashPassword(request.password)
             val user = userRepository.create(request.email, passwordHash, request.name)
             
-            // Generate tokens
-            val accessToken = authService.generateAccessToken(user.id)
-            val refreshToken = authService.generateRefreshToken(user.id)
+            // The account stands when the mail can't be sent; a new link can be mailed from the account page
+            try {
+                accountMailer.sendEmailVerification(user, authService.generateEmailVerificationToken(user.id, user.email))
+            } catch (e: Exception) {
+                call.application.log.error("Sending the verification mail failed", e)
+            }
             
-            // Store refresh token
+            // Generate tokens; the stored refresh token is the session the access token belongs to
+            val refreshToken = authService.generateRefreshToken(user.id)
             val refreshTokenHash = authService.hashRefreshToken(refreshToken)
-            refreshTokenRepository.save(user.id, refreshTokenHash, authService.getRefreshTokenExpiration())
+            val sessionId = refreshTokenRepository.save(user.id, refreshTokenHash, authService.getRefreshTokenExpiration())
+            val accessToken = authService.generateAccessToken(user.id, sessionId)
             
             call.respond(HttpStatusCode.Created, AuthResponse(
                 accessToken = accessToken,
@@ -91,13 +98,11 @@ fun Route.authRoutes() {
                 return@post
             }
             
-            // Generate tokens
-            val accessToken = authService.generateAccessToken(user.id)
+            // Generate tokens; the stored refresh token is the session the access token belongs to
             val refreshToken = authService.generateRefreshToken(user.id)
-            
-            // Store refresh token
             val refreshTokenHash = authService.hashRefreshToken(refreshToken)
-            refreshTokenRepository.save(user.id, refreshTokenHash, authService.getRefreshTokenExpiration())
+            val sessionId = refreshTokenRepository.save(user.id, refreshTokenHash, authService.getRefreshTokenExpiration())
+            val accessToken = authService.generateAccessToken(user.id, sessionId)
             
             call.respond(AuthResponse(
                 accessToken = accessToken,
@@ -123,7 +128,7 @@ fun Route.authRoutes() {
             
             // Check if token exists in database and is not expired
             val refreshTokenHash = authService.hashRefreshToken(request.refreshToken)
-            val (storedUserId, expiresAt) = refreshTokenRepository.findByTokenHash(refreshTokenHash) ?: run {
+            val storedToken = refreshTokenRepository.findByTokenHash(refreshTokenHash) ?: run {
                 call.respond(HttpStatusCode.Unauthorized, ApiError(
                     error = "invalid_token",
                     message = "Refresh token not found"
@@ -131,7 +136,7 @@ fun Route.authRoutes() {
                 return@post
             }
             
-            if (expiresAt < Clock.System.now()) {
+            if (storedToken.expiresAt < Clock.System.now()) {
                 refreshTokenRepository.deleteByTokenHash(refreshTokenHash)
                 call.respond(HttpStatusCode.Unauthorized, ApiError(
                     error = "token_expired",
@@ -140,7 +145,7 @@ fun Route.authRoutes() {
                 return@post
             }
             
-            if (storedUserId != userId) {
+            if (storedToken.userId != userId) {
                 call.respond(HttpStatusCode.Unauthorized, ApiError(
                     error = "invalid_token",
                     message = "Token user mismatch"
@@ -149,24 +154,69 @@ fun Route.authRoutes() {
             }
             
             // Generate new access token
-            val accessToken = authService.generateAccessToken(userId)
+            val accessToken = authService.generateAccessToken(userId, storedToken.id)
             
             call.respond(mapOf("accessToken" to accessToken))
         }
         
-        get("/me") {
-            val userId = call.getUserId()
-            val user = userRepository.findById(userId)
+        // Revokes the refresh token, so the session cannot be resumed with it; an unknown token is not an error
+        post("/logout") {
+            val request = call.receive<RefreshTokenRequest>()
+            refreshTokenRepository.deleteByTokenHash(authService.hashRefreshToken(request.refreshToken))
+            call.respond(HttpStatusCode.NoContent)
+        }
+        
+        // Responds the same whether or not the email belongs to an account, so it can't be used to find accounts
+        post("/forgot") {
+            val request = call.receive<ForgotPasswordRequest>()
             
-            if (user == null) {
-                call.respond(HttpStatusCode.NotFound, ApiError(
-                    error = "user_not_found",
-                    message = "User not found"
+            userRepository.findByEmail(request.email.trim())?.let { user ->
+                val passwordHash = userRepository.getPasswordHash(user.id)!!
+                accountMailer.sendPasswordReset(user, authService.generatePasswordResetToken(user.id, passwordHash))
+            }
+            
+            call.respond(HttpStatusCode.NoContent)
+        }
+        
+        // Sets the password from a mailed reset link and signs out every session
+        post("/reset") {
+            val request = call.receive<ResetPasswordRequest>()
+            
+            val userId = authService.verifyPasswordResetToken(request.token) { userRepository.getPasswordHash(it) } ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "invalid_token",
+                    message = "This reset link is invalid, has expired or was already used"
                 ))
-                return@get
+                return@post
             }
             
-            call.respond(user)
+            val validationResult = ValidationRules.validatePassword(request.password)
+            if (!validationResult.isValid) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "validation_error",
+                    message = validationResult.errorMessage!!
+                ))
+                return@post
+            }
+            
+            userRepository.updatePasswordHash(userId, authService.hashPassword(request.password))
+            refreshTokenRepository.deleteAllForUser(userId)
+            call.respond(HttpStatusCode.NoContent)
+        }
+        
+        post("/verify-email") {
+            val request = call.receive<VerifyEmailRequest>()
+            
+            val userId = authService.verifyEmailVerificationToken(request.token) { userRepository.findById(it)?.email } ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "invalid_token",
+                    message = "This verification link is invalid or has expired"
+                ))
+                return@post
+            }
+            
+            userRepository.markEmailVerified(userId)
+            call.respond(HttpStatusCode.NoContent)
         }
     }
 }
@@ -175,4 +225,9 @@ fun Route.authRoutes() {
 fun ApplicationCall.getUserId(): String {
     return principal<JWTPrincipal>()?.payload?.getClaim("userId")?.asString()
         ?: throw IllegalStateException("User ID not found in token")
+}
+
+// The session the access token was issued for; null for tokens issued before sessions were tracked
+fun ApplicationCall.getSessionId(): String? {
+    return principal<JWTPrincipal>()?.payload?.getClaim("sessionId")?.asString()
 }
\ No newline at end of file
@@ -0,0 +1,92 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.export.ExportService
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import kotlinx.datetime.LocalDate
+import org.koin.ktor.ext.inject
+
+fun Route.exportRoutes() {
+    val exportService by inject<ExportService>()
+    val vehicleRepository by inject<VehicleRepository>()
+    
+    route("/export") {
+        // A JSON bundle of everything, or one entity as CSV; both download as a file
+        get {
+            val userId = call.getUserId()
+            val parameters = call.request.queryParameters
+            
+            val format = parameters["format"]?.lowercase() ?: "json"
+            if (format != "json" && format != "csv") {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "invalid_parameter",
+                    message = "format must be one of json, csv"
+                ))
+                return@get
+            }
+            
+            val entity = parameters["entity"]?.let { value ->
+                ExportEntity.entries.find { it.name.equals(value, ignoreCase = true) } ?: run {
+                    call.respond(HttpStatusCode.BadRequest, ApiError(
+                        error = "invalid_parameter",
+                        message = "entity must be one of ${ExportEntity.entries.joinToString { it.name.lowercase() }}"
+                    ))
+                    return@get
+                }
+            }
+            if (format == "csv" && entity == null) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "entity is required for CSV exports"
+                ))
+                return@get
+            }
+            
+            val from = parameters["from"]?.let {
+                runCatching { LocalDate.parse(it) }.getOrNull() ?: run {
+                    call.respond(HttpStatusCode.BadRequest, ApiError(
+                        error = "invalid_parameter",
+                        message = "from must be a date (YYYY-MM-DD)"
+                    ))
+                    return@get
+                }
+            }
+            val to = parameters["to"]?.let {
+                runCatching { LocalDate.parse(it) }.getOrNull() ?: run {
+                    call.respond(HttpStatusCode.BadRequest, ApiError(
+                        error = "invalid_parameter",
+                        message = "to must be a date (YYYY-MM-DD)"
+                    ))
+                    return@get
+                }
+            }
+            
+            // Verify vehicle exists and belongs to user
+            val vehicleId = parameters["vehicleId"]
+            if (vehicleId != null && vehicleRepository.findById(vehicleId, userId) == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@get
+            }
+            
+            val bundle = exportService.bundle(userId, vehicleId, from, to)
+            val fileName = "revix-${entity?.name?.lowercase() ?: "export"}-${bundle.exportedAt.toString().substring(0, 10)}.$format"
+            call.response.header(
+                HttpHeaders.ContentDisposition,
+                ContentDisposition.Attachment.withParameter(ContentDisposition.Parameters.FileName, fileName).toString()
+            )
+            
+            if (format == "csv") {
+                call.respondText(exportService.csv(entity!!, bundle), ContentType.Text.CSV.withCharset(Charsets.UTF_8))
+            } else {
+                call.respond(bundle)
+            }
+        }
+    }
+}
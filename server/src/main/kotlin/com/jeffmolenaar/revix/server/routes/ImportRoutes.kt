@@ -0,0 +1,60 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.imports.ImportService
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.request.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+private const val MAX_IMPORT_ROWS = 2000
+
+fun Route.importRoutes() {
+    val importService by inject<ImportService>()
+    
+    // Each import is first sent as a dry run to preview the per-row errors, then again to commit
+    route("/import") {
+        post("/parts") {
+            val userId = call.getUserId()
+            val request = call.receive<ImportRequest<ImportPartRow>>()
+            if (!call.checkImportSize(request)) return@post
+            
+            call.respondImport(request, importService.importParts(userId, request))
+        }
+        
+        post("/maintenance") {
+            val userId = call.getUserId()
+            val request = call.receive<ImportRequest<ImportMaintenanceRow>>()
+            if (!call.checkImportSize(request)) return@post
+            
+            call.respondImport(request, importService.importMaintenance(userId, request))
+        }
+    }
+}
+
+private suspend fun ApplicationCall.checkImportSize(request: ImportRequest<*>): Boolean {
+    if (request.rows.isEmpty() || request.rows.size > MAX_IMPORT_ROWS) {
+        respond(HttpStatusCode.BadRequest, ApiError(
+            error = "validation_error",
+            message = "An import must have between 1 and $MAX_IMPORT_ROWS rows"
+        ))
+        return false
+    }
+    return true
+}
+
+// A commit with invalid rows writes nothing and fails as a whole
+private suspend fun ApplicationCall.respondImport(request: ImportRequest<*>, result: ImportResult) {
+    val invalidRows = result.rows.count { it.errors.isNotEmpty() }
+    if (!request.dryRun && invalidRows > 0) {
+        respond(HttpStatusCode.BadRequest, ApiError(
+            error = "import_invalid",
+            message = "$invalidRows rows have errors; nothing was imported"
+        ))
+        return
+    }
+    
+    respond(if (request.dryRun) HttpStatusCode.OK else HttpStatusCode.Created, result)
+}
@@ -1,8 +1,12 @@
 package com.jeffmolenaar.revix.server.routes
 
 import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.audit.AuditLog
+import com.jeffmolenaar.revix.server.audit.toAuditSnapshot
 import com.jeffmolenaar.revix.server.repository.MaintenanceRepository
 import com.jeffmolenaar.revix.server.repository.PartRepository
+import com.jeffmolenaar.revix.server.repository.ScheduleRepository
+import com.jeffmolenaar.revix.server.repository.TagRepository
 import com.jeffmolenaar.revix.server.repository.VehicleRepository
 import com.jeffmolenaar.revix.validation.ValidationRules
 import com.jeffmolenaar.revix.validation.combine
@@ -18,6 +22,9 @@ fun Route.maintenanceRoutes() {
     val maintenanceRepository by inject<MaintenanceRepository>()
     val vehicleRepository by inject<VehicleRepository>()
     val partRepository by inject<PartRepository>()
+    val scheduleRepository by inject<ScheduleRepository>()
+    val tagRepository by inject<TagRepository>()
+    val auditLog by inject<AuditLog>()
     
     route("/vehicles/{vehicleId}/maintenance") {
         get {
@@ -30,8 +37,8 @@ fun Route.maintenanceRoutes() {
                 return@get
             }
             
-            // Verify vehicle exists and belongs to user
-            val vehicle = vehicleRepository.findById(vehicleId, userId)
+            // Verify vehicle exists and belongs to or is shared with the user
+            val vehicle = vehicleRepository.findAccessible(vehicleId, userId)
             if (vehicle == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "vehicle_not_found",
@@ -40,13 +47,17 @@ fun Route.maintenanceRoutes() {
                 return@get
             }
             
-            val page = call.request.queryParameters["page"]?.toIntOrNull() ?: 1
-            val pageSize = call.request.queryParameters["pageSize"]?.toIntOrNull() ?: 20
-            val from = call.request.queryParameters["from"]?.let { LocalDate.parse(it) }
-            val to = call.request.queryParameters["to"]?.let { LocalDate.parse(it) }
+            val page = (call.request.queryParameters["page"]?.toIntOrNull() ?: 1).coerceAtLeast(1)
+            val pageSize = (call.request.queryParameters["pageSize"]?.toIntOrNull() ?: 20).coerceIn(1, 100)
+            val filters = call.maintenanceFilters() ?: return@get
             
-            val records = maintenanceRepository.findByVehicle(vehicleId, userId, from, to, page, pageSize)
-            val totalCount = maintenanceRepository.countByVehicle(vehicleId, userId)
+            val records = maintenanceRepository.findByVehicle(
+                vehicleId, vehicle.ownerId, filters.from, filters.to, page, pageSize, filters.query, filters.sort,
+                filters.tagIds, filters.tagMatch
+            )
+            val totalCount = maintenanceRepository.countByVehicle(
+                vehicleId, vehicle.ownerId, filters.from, filters.to, filters.query, filters.tagIds, filters.tagMatch
+            )
             val totalPages = ((totalCount + pageSize - 1) / pageSize).toInt()
             
             call.respond(PaginatedResponse(
@@ -68,8 +79,8 @@ fun Route.maintenanceRoutes() {
                 return@post
             }
             
-            // Verify vehicle exists and belongs to user
-            val vehicle = vehicleRepository.findById(vehicleId, userId)
+            // Verify vehicle exists and belongs to the user or is shared with them as editor
+            val vehicle = vehicleRepository.findAccessible(vehicleId, userId)
             if (vehicle == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "vehicle_not_found",
@@ -78,6 +89,14 @@ fun Route.maintenanceRoutes() {
                 return@post
             }
             
+            if (vehicle.role == VehicleRole.VIEWER) {
+                call.respond(HttpStatusCode.Forbidden, ApiError(
+                    error = "read_only",
+                    message = "This vehicle is shared with you to view only"
+                ))
+                return@post
+            }
+            
             val request = call.receive<CreateMaintenanceRecordRequest>()
             
             // Validate input
@@ -103,7 +122,7 @@ fun Route.maintenanceRoutes() {
                 return@post
             }
             
-            // Validate that all part IDs exist and belong to the user
+            // Validate that all part IDs exist and belong to the user; members log from their own parts and tags
             val partIds = request.items.map { it.partId }.distinct()
             if (partIds.isNotEmpty()) {
                 val parts = partIds.mapNotNull { partId ->
@@ -118,11 +137,73 @@ fun Route.maintenanceRoutes() {
                 }
             }
             
-            val record = maintenanceRepository.create(vehicleId, userId, request)
+            // Validate that all tag IDs exist and belong to the user
+            if (request.tagIds.isNotEmpty()) {
+                val tags = tagRepository.findByIds(request.tagIds, userId)
+                if (tags.size != request.tagIds.size) {
+                    call.respond(HttpStatusCode.BadRequest, ApiError(
+                        error = "invalid_tags",
+                        message = "One or more tag IDs are invalid"
+                    ))
+                    return@post
+                }
+            }
+            
+            // A record can only mark a schedule of the same vehicle done
+            request.scheduleId?.let { scheduleId ->
+                val schedule = scheduleRepository.findById(scheduleId, vehicle.ownerId)
+                if (schedule == null || schedule.vehicleId != vehicleId) {
+                    call.respond(HttpStatusCode.BadRequest, ApiError(
+                        error = "invalid_schedule",
+                        message = "Schedule ID is invalid"
+                    ))
+                    return@post
+                }
+            }
+            
+            val record = maintenanceRepository.create(vehicleId, vehicle.ownerId, request, createdBy = userId)
+            auditLog.created(userId, record.toAuditSnapshot())
             call.respond(HttpStatusCode.Created, record)
         }
     }
     
+    // Records across all of the user's vehicles, shared ones included, with the vehicle embedded, optionally for one vehicle
+    route("/maintenance") {
+        get {
+            val userId = call.getUserId()
+            val page = (call.request.queryParameters["page"]?.toIntOrNull() ?: 1).coerceAtLeast(1)
+            val pageSize = (call.request.queryParameters["pageSize"]?.toIntOrNull() ?: 20).coerceIn(1, 100)
+            val filters = call.maintenanceFilters() ?: return@get
+            val vehicleId = call.request.queryParameters["vehicleId"]?.takeIf { it.isNotBlank() }
+            
+            if (vehicleId != null && vehicleRepository.findAccessible(vehicleId, userId) == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@get
+            }
+            
+            val records = maintenanceRepository.findByOwner(
+                userId, vehicleId, filters.from, filters.to, page, pageSize, filters.query, filters.sort,
+                filters.tagIds, filters.tagMatch, includeShared = true
+            )
+            val totalCount = maintenanceRepository.countByOwner(
+                userId, vehicleId, filters.from, filters.to, filters.query, filters.tagIds, filters.tagMatch,
+                includeShared = true
+            )
+            val totalPages = ((totalCount + pageSize - 1) / pageSize).toInt()
+            
+            call.respond(PaginatedResponse(
+                data = records,
+                page = page,
+                pageSize = pageSize,
+                totalCount = totalCount,
+                totalPages = totalPages
+            ))
+        }
+    }
+    
     route("/maintenance/{id}") {
         get {
             val userId = call.getUserId()
@@ -134,7 +215,7 @@ fun Route.maintenanceRoutes() {
                 return@get
             }
             
-            val record = maintenanceRepository.findById(recordId, userId)
+            val record = maintenanceRepository.findAccessible(recordId, userId)
             if (record == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "maintenance_not_found",
@@ -156,6 +237,24 @@ fun Route.maintenanceRoutes() {
                 return@put
             }
             
+            // Editors of a shared vehicle change its records on behalf of the owner
+            val existingRecord = maintenanceRepository.findAccessible(recordId, userId)
+            if (existingRecord == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "maintenance_not_found",
+                    message = "Maintenance record not found"
+                ))
+                return@put
+            }
+            
+            if (vehicleRepository.findAccessible(existingRecord.vehicleId, userId)?.role == VehicleRole.VIEWER) {
+                call.respond(HttpStatusCode.Forbidden, ApiError(
+                    error = "read_only",
+                    message = "This vehicle is shared with you to view only"
+                ))
+                return@put
+            }
+            
             val request = call.receive<UpdateMaintenanceRecordRequest>()
             
             // Validate input
@@ -186,9 +285,10 @@ fun Route.maintenanceRoutes() {
                 return@put
             }
             
-            // Validate part IDs if items are provided
+            // Validate part IDs if items are provided; parts already on the record stay valid after going to the trash
             request.items?.let { items ->
-                val partIds = items.map { it.partId }.distinct()
+                val existingPartIds = existingRecord.items.map { it.partId }
+                val partIds = items.map { it.partId }.distinct() - existingPartIds.toSet()
                 if (partIds.isNotEmpty()) {
                     val parts = partIds.mapNotNull { partId ->
                         partRepository.findById(partId, userId)
@@ -203,7 +303,23 @@ fun Route.maintenanceRoutes() {
                 }
             }
             
-            val record = maintenanceRepository.update(recordId, userId, request)
+            // Validate tag IDs if provided; tags already on the record stay valid, such as those other members of a shared vehicle put on it
+            request.tagIds?.let { tagIds ->
+                val existingTagIds = existingRecord.tags.map { it.id }
+                val newTagIds = tagIds.distinct() - existingTagIds.toSet()
+                if (newTagIds.isNotEmpty()) {
+                    val tags = tagRepository.findByIds(newTagIds, userId)
+                    if (tags.size != newTagIds.size) {
+                        call.respond(HttpStatusCode.BadRequest, ApiError(
+                            error = "invalid_tags",
+                            message = "One or more tag IDs are invalid"
+                        ))
+                        return@put
+                    }
+                }
+            }
+            
+            val record = maintenanceRepository.update(recordId, existingRecord.ownerId, request, updatedBy = userId)
             if (record == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "maintenance_not_found",
@@ -212,9 +328,11 @@ fun Route.maintenanceRoutes() {
                 return@put
             }
             
+            auditLog.updated(userId, existingRecord.toAuditSnapshot(), record.toAuditSnapshot())
             call.respond(record)
         }
         
+        // Only the owner moves records to the trash, since the trash is theirs
         delete {
             val userId = call.getUserId()
             val recordId = call.parameters["id"] ?: run {
@@ -225,8 +343,8 @@ fun Route.maintenanceRoutes() {
                 return@delete
             }
             
-            val deleted = maintenanceRepository.delete(recordId, userId)
-            if (!deleted) {
+            val record = maintenanceRepository.findById(recordId, userId)
+            if (record == null || !maintenanceRepository.delete(recordId, userId)) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "maintenance_not_found",
                     message = "Maintenance record not found"
@@ -234,7 +352,44 @@ fun Route.maintenanceRoutes() {
                 return@delete
             }
             
+            auditLog.deleted(userId, record.toAuditSnapshot())
             call.respond(HttpStatusCode.NoContent)
         }
     }
-}
\ No newline at end of file
+}
+
+private data class MaintenanceFilters(
+    val from: LocalDate?,
+    val to: LocalDate?,
+    val query: String?,
+    val sort: MaintenanceSort,
+    val tagIds: List<String>,
+    val tagMatch: TagMatch
+)
+
+// Reads the list filters from the query string; responds with 400 and returns null when one is invalid
+private suspend fun ApplicationCall.maintenanceFilters(): MaintenanceFilters? {
+    val parameters = request.queryParameters
+    val from = parameters["from"]?.let {
+        runCatching { LocalDate.parse(it) }.getOrNull() ?: return invalidParameter("from must be a date (YYYY-MM-DD)")
+    }
+    val to = parameters["to"]?.let {
+        runCatching { LocalDate.parse(it) }.getOrNull() ?: return invalidParameter("to must be a date (YYYY-MM-DD)")
+    }
+    val sort = parameters["sort"]?.let { value ->
+        MaintenanceSort.entries.find { it.name.equals(value, ignoreCase = true) }
+            ?: return invalidParameter("sort must be one of ${MaintenanceSort.entries.joinToString { it.name.lowercase() }}")
+    } ?: MaintenanceSort.DATE_DESC
+    val tagIds = parseTagFilter(parameters["tags"]) ?: return invalidParameter("tags must be a comma-separated list of tag IDs")
+    val tagMatch = parameters["tagMatch"]?.let { value ->
+        TagMatch.entries.find { it.name.equals(value, ignoreCase = true) }
+            ?: return invalidParameter("tagMatch must be 'any' or 'all'")
+    } ?: TagMatch.ANY
+    
+    return MaintenanceFilters(from, to, parameters["query"], sort, tagIds, tagMatch)
+}
+
+private suspend fun ApplicationCall.invalidParameter(message: String): MaintenanceFilters? {
+    respond(HttpStatusCode.BadRequest, ApiError(error = "invalid_parameter", message = message))
+    return null
+}
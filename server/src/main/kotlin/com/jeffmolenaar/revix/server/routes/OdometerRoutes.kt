@@ -0,0 +1,105 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.repository.OdometerRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import com.jeffmolenaar.revix.validation.ValidationRules
+import com.jeffmolenaar.revix.validation.combine
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.request.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.odometerRoutes() {
+    val odometerRepository by inject<OdometerRepository>()
+    val vehicleRepository by inject<VehicleRepository>()
+    
+    route("/vehicles/{vehicleId}/odometer") {
+        get {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID is required"
+                ))
+                return@get
+            }
+            
+            // Members of a shared vehicle see the owner's log; only the owner changes it
+            val vehicle = vehicleRepository.findAccessible(vehicleId, userId)
+            if (vehicle == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@get
+            }
+            
+            call.respond(odometerRepository.findByVehicle(vehicleId, vehicle.ownerId))
+        }
+        
+        post {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID is required"
+                ))
+                return@post
+            }
+            
+            // Verify vehicle exists and belongs to user
+            val vehicle = vehicleRepository.findById(vehicleId, userId)
+            if (vehicle == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@post
+            }
+            
+            val request = call.receive<CreateOdometerReadingRequest>()
+            
+            // Validate input
+            val validationResult = listOf(
+                ValidationRules.validateOdoReading(request.reading),
+                ValidationRules.validateOdometerNote(request.note)
+            ).combine()
+            if (!validationResult.isValid) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "validation_error",
+                    message = validationResult.errorMessage!!
+                ))
+                return@post
+            }
+            
+            val reading = odometerRepository.create(vehicleId, userId, request)
+            call.respond(HttpStatusCode.Created, reading)
+        }
+    }
+    
+    // Only manual readings can be deleted here; a record's reading goes with the record
+    delete("/odometer/{id}") {
+        val userId = call.getUserId()
+        val readingId = call.parameters["id"] ?: run {
+            call.respond(HttpStatusCode.BadRequest, ApiError(
+                error = "missing_parameter",
+                message = "Reading ID is required"
+            ))
+            return@delete
+        }
+        
+        val deleted = odometerRepository.delete(readingId, userId)
+        if (!deleted) {
+            call.respond(HttpStatusCode.NotFound, ApiError(
+                error = "reading_not_found",
+                message = "Odometer reading not found"
+            ))
+            return@delete
+        }
+        
+        call.respond(HttpStatusCode.NoContent)
+    }
+}
@@ -1,6 +1,8 @@
 package com.jeffmolenaar.revix.server.routes
 
 import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.audit.AuditLog
+import com.jeffmolenaar.revix.server.audit.toAuditSnapshot
 import com.jeffmolenaar.revix.server.repository.PartRepository
 import com.jeffmolenaar.revix.server.repository.TagRepository
 import com.jeffmolenaar.revix.validation.ValidationRules
@@ -11,9 +13,11 @@ import io.ktor.server.request.*
 import io.ktor.server.response.*
 import io.ktor.server.routing.*
 import org.koin.ktor.ext.inject
+import java.util.*
 
 fun Route.tagRoutes() {
     val tagRepository by inject<TagRepository>()
+    val auditLog by inject<AuditLog>()
     
     route("/tags") {
         get {
@@ -46,6 +50,7 @@ fun Route.tagRoutes() {
             }
             
             val tag = tagRepository.create(userId, request)
+            auditLog.created(userId, tag.toAuditSnapshot())
             call.respond(HttpStatusCode.Created, tag)
         }
         
@@ -85,8 +90,10 @@ fun Route.tagRoutes() {
                 }
             }
             
-            val tag = tagRepository.update(tagId, userId, request)
-            if (tag == null) {
+            // As it was, for the audit log
+            val existingTag = tagRepository.findById(tagId, userId)
+            val tag = existingTag?.let { tagRepository.update(tagId, userId, request) }
+            if (existingTag == null || tag == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "tag_not_found",
                     message = "Tag not found"
@@ -94,6 +101,7 @@ fun Route.tagRoutes() {
                 return@put
             }
             
+            auditLog.updated(userId, existingTag.toAuditSnapshot(), tag.toAuditSnapshot())
             call.respond(tag)
         }
         
@@ -107,8 +115,8 @@ fun Route.tagRoutes() {
                 return@delete
             }
             
-            val deleted = tagRepository.delete(tagId, userId)
-            if (!deleted) {
+            val tag = tagRepository.findById(tagId, userId)
+            if (tag == null || !tagRepository.delete(tagId, userId)) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "tag_not_found",
                     message = "Tag not found"
@@ -116,6 +124,7 @@ fun Route.tagRoutes() {
                 return@delete
             }
             
+            auditLog.deleted(userId, tag.toAuditSnapshot())
             call.respond(HttpStatusCode.NoContent)
         }
     }
@@ -124,17 +133,33 @@ fun Route.tagRoutes() {
 fun Route.partRoutes() {
     val partRepository by inject<PartRepository>()
     val tagRepository by inject<TagRepository>()
+    val auditLog by inject<AuditLog>()
     
     route("/parts") {
         get {
             val userId = call.getUserId()
-            val page = call.request.queryParameters["page"]?.toIntOrNull() ?: 1
-            val pageSize = call.request.queryParameters["pageSize"]?.toIntOrNull() ?: 20
+            val page = (call.request.queryParameters["page"]?.toIntOrNull() ?: 1).coerceAtLeast(1)
+            val pageSize = (call.request.queryParameters["pageSize"]?.toIntOrNull() ?: 20).coerceIn(1, 100)
             val query = call.request.queryParameters["query"]
-            val tagIds = call.request.queryParameters["tags"]?.split(",")?.filter { it.isNotBlank() } ?: emptyList()
+            val tagIds = parseTagFilter(call.request.queryParameters["tags"]) ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "invalid_parameter",
+                    message = "tags must be a comma-separated list of tag IDs"
+                ))
+                return@get
+            }
+            val tagMatch = call.request.queryParameters["tagMatch"]?.let { value ->
+                TagMatch.entries.find { it.name.equals(value, ignoreCase = true) } ?: run {
+                    call.respond(HttpStatusCode.BadRequest, ApiError(
+                        error = "invalid_parameter",
+                        message = "tagMatch must be 'any' or 'all'"
+                    ))
+                    return@get
+                }
+            } ?: TagMatch.ANY
             
-            val parts = partRepository.findByOwner(userId, tagIds, query, page, pageSize)
-            val totalCount = partRepository.countByOwner(userId)
+            val parts = partRepository.findByOwner(userId, tagIds, query, page, pageSize, tagMatch)
+            val totalCount = partRepository.countByOwner(userId, tagIds, query, tagMatch)
             val totalPages = ((totalCount + pageSize - 1) / pageSize).toInt()
             
             call.respond(PaginatedResponse(
@@ -179,6 +204,7 @@ fun Route.partRoutes() {
             }
             
             val part = partRepository.create(userId, request)
+            auditLog.created(userId, part.toAuditSnapshot())
             call.respond(HttpStatusCode.Created, part)
         }
         
@@ -246,8 +272,10 @@ fun Route.partRoutes() {
                 }
             }
             
-            val part = partRepository.update(partId, userId, request)
-            if (part == null) {
+            // As it was, for the audit log
+            val existingPart = partRepository.findById(partId, userId)
+            val part = existingPart?.let { partRepository.update(partId, userId, request) }
+            if (existingPart == null || part == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "part_not_found",
                     message = "Part not found"
@@ -255,6 +283,7 @@ fun Route.partRoutes() {
                 return@put
             }
             
+            auditLog.updated(userId, existingPart.toAuditSnapshot(), part.toAuditSnapshot())
             call.respond(part)
         }
         
@@ -268,8 +297,8 @@ fun Route.partRoutes() {
                 return@delete
             }
             
-            val deleted = partRepository.delete(partId, userId)
-            if (!deleted) {
+            val part = partRepository.findById(partId, userId)
+            if (part == null || !partRepository.delete(partId, userId)) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "part_not_found",
                     message = "Part not found"
@@ -277,7 +306,14 @@ fun Route.partRoutes() {
                 return@delete
             }
             
+            auditLog.deleted(userId, part.toAuditSnapshot())
             call.respond(HttpStatusCode.NoContent)
         }
     }
+}
+
+// The tags filter of the part and maintenance lists: comma-separated tag IDs, or null when one is not an ID
+internal fun parseTagFilter(value: String?): List<String>? {
+    val tagIds = value?.split(",")?.filter { it.isNotBlank() } ?: return emptyList()
+    return tagIds.takeIf { ids -> ids.all { runCatching { UUID.fromString(it) }.isSuccess } }
 }
\ No newline at end of file
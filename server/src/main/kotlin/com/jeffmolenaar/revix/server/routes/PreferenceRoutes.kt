@@ -0,0 +1,47 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.repository.UserRepository
+import com.jeffmolenaar.revix.validation.ValidationRules
+import com.jeffmolenaar.revix.validation.combine
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.request.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.preferenceRoutes() {
+    val userRepository by inject<UserRepository>()
+    
+    route("/me/preferences") {
+        // Responds with the updated user, which carries the preferences
+        put {
+            val userId = call.getUserId()
+            val request = call.receive<UpdatePreferencesRequest>()
+            
+            // Validate input
+            val validationResult = listOfNotNull(
+                request.distanceUnit?.let { ValidationRules.validateDistanceUnit(it) }
+            ).combine()
+            if (!validationResult.isValid) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "validation_error",
+                    message = validationResult.errorMessage!!
+                ))
+                return@put
+            }
+            
+            val user = userRepository.updatePreferences(userId, request)
+            if (user == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "user_not_found",
+                    message = "User not found"
+                ))
+                return@put
+            }
+            
+            call.respond(user)
+        }
+    }
+}
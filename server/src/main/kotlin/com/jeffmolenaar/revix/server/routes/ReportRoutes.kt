@@ -0,0 +1,69 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.report.ReportService
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.reportRoutes() {
+    val reportService by inject<ReportService>()
+    
+    route("/vehicles/{vehicleId}/report") {
+        // The report as data, for the printable view in the web client
+        get {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID is required"
+                ))
+                return@get
+            }
+            
+            val report = reportService.vehicleReport(vehicleId, userId)
+            if (report == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@get
+            }
+            
+            call.respond(report)
+        }
+        
+        // The same report as a PDF download
+        get("/pdf") {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID is required"
+                ))
+                return@get
+            }
+            
+            val report = reportService.vehicleReport(vehicleId, userId)
+            if (report == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@get
+            }
+            
+            val fileName = "service-history-${report.vehicle.manufacturer}-${report.vehicle.model}"
+                .lowercase()
+                .replace(Regex("[^a-z0-9]+"), "-")
+                .trim('-')
+            call.response.header(
+                HttpHeaders.ContentDisposition,
+                ContentDisposition.Attachment.withParameter(ContentDisposition.Parameters.FileName, "$fileName.pdf").toString()
+            )
+            call.respondBytes(reportService.vehicleReportPdf(report), ContentType.Application.Pdf)
+        }
+    }
+}
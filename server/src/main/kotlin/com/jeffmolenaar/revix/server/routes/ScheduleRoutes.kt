@@ -0,0 +1,189 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.repository.ScheduleRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import com.jeffmolenaar.revix.validation.ValidationRules
+import com.jeffmolenaar.revix.validation.combine
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.request.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.scheduleRoutes() {
+    val scheduleRepository by inject<ScheduleRepository>()
+    val vehicleRepository by inject<VehicleRepository>()
+    
+    route("/vehicles/{vehicleId}/schedules") {
+        get {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID is required"
+                ))
+                return@get
+            }
+            
+            // Members of a shared vehicle see the owner's schedules; only the owner changes them
+            val vehicle = vehicleRepository.findAccessible(vehicleId, userId)
+            if (vehicle == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@get
+            }
+            
+            call.respond(scheduleRepository.findByVehicle(vehicleId, vehicle.ownerId))
+        }
+        
+        post {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID is required"
+                ))
+                return@post
+            }
+            
+            // Verify vehicle exists and belongs to user
+            val vehicle = vehicleRepository.findById(vehicleId, userId)
+            if (vehicle == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@post
+            }
+            
+            val request = call.receive<CreateServiceScheduleRequest>()
+            
+            // Validate input
+            val validationResult = listOf(
+                ValidationRules.validateScheduleTitle(request.title),
+                ValidationRules.validateScheduleIntervals(request.intervalOdo, request.intervalMonths)
+            ).combine()
+            if (!validationResult.isValid) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "validation_error",
+                    message = validationResult.errorMessage!!
+                ))
+                return@post
+            }
+            
+            val schedule = scheduleRepository.create(vehicleId, userId, request)
+            call.respond(HttpStatusCode.Created, schedule)
+        }
+    }
+    
+    // Schedules across all of the user's vehicles with the vehicle embedded, for the dashboard and vehicle cards
+    route("/schedules") {
+        get {
+            val userId = call.getUserId()
+            call.respond(scheduleRepository.findByOwner(userId))
+        }
+    }
+    
+    route("/schedules/{id}") {
+        get {
+            val userId = call.getUserId()
+            val scheduleId = call.parameters["id"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Schedule ID is required"
+                ))
+                return@get
+            }
+            
+            val schedule = scheduleRepository.findById(scheduleId, userId)
+            if (schedule == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "schedule_not_found",
+                    message = "Schedule not found"
+                ))
+                return@get
+            }
+            
+            call.respond(schedule)
+        }
+        
+        put {
+            val userId = call.getUserId()
+            val scheduleId = call.parameters["id"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Schedule ID is required"
+                ))
+                return@put
+            }
+            
+            val existing = scheduleRepository.findById(scheduleId, userId)
+            if (existing == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "schedule_not_found",
+                    message = "Schedule not found"
+                ))
+                return@put
+            }
+            
+            val request = call.receive<UpdateServiceScheduleRequest>()
+            
+            // Intervals are validated as they will be after the update, so both cannot be cleared
+            val intervalOdo = if (request.clearIntervalOdo) null else request.intervalOdo ?: existing.intervalOdo
+            val intervalMonths = if (request.clearIntervalMonths) null else request.intervalMonths ?: existing.intervalMonths
+            val validationResults = mutableListOf(
+                ValidationRules.validateScheduleIntervals(intervalOdo, intervalMonths)
+            )
+            
+            request.title?.let { title ->
+                validationResults.add(ValidationRules.validateScheduleTitle(title))
+            }
+            
+            val validationResult = validationResults.combine()
+            if (!validationResult.isValid) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "validation_error",
+                    message = validationResult.errorMessage!!
+                ))
+                return@put
+            }
+            
+            val schedule = scheduleRepository.update(scheduleId, userId, request)
+            if (schedule == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "schedule_not_found",
+                    message = "Schedule not found"
+                ))
+                return@put
+            }
+            
+            call.respond(schedule)
+        }
+        
+        delete {
+            val userId = call.getUserId()
+            val scheduleId = call.parameters["id"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Schedule ID is required"
+                ))
+                return@delete
+            }
+            
+            val deleted = scheduleRepository.delete(scheduleId, userId)
+            if (!deleted) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "schedule_not_found",
+                    message = "Schedule not found"
+                ))
+                return@delete
+            }
+            
+            call.respond(HttpStatusCode.NoContent)
+        }
+    }
+}
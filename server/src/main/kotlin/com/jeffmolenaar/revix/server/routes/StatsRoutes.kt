@@ -0,0 +1,25 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.server.repository.StatsRepository
+import io.ktor.server.application.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.statsRoutes() {
+    val statsRepository by inject<StatsRepository>()
+    
+    route("/stats") {
+        // Dashboard figures computed over all of the user's records
+        get {
+            val userId = call.getUserId()
+            call.respond(statsRepository.dashboard(userId))
+        }
+        
+        // Usage and spend for every tag, for the tags page
+        get("/tags") {
+            val userId = call.getUserId()
+            call.respond(statsRepository.tags(userId))
+        }
+    }
+}
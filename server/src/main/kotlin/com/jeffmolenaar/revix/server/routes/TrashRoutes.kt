@@ -0,0 +1,124 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.attachment.AttachmentService
+import com.jeffmolenaar.revix.server.audit.AuditLog
+import com.jeffmolenaar.revix.server.audit.toAuditSnapshot
+import com.jeffmolenaar.revix.server.repository.TagRepository
+import com.jeffmolenaar.revix.server.repository.TrashRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.trashRoutes() {
+    val trashRepository by inject<TrashRepository>()
+    val tagRepository by inject<TagRepository>()
+    val vehicleRepository by inject<VehicleRepository>()
+    val attachmentService by inject<AttachmentService>()
+    val auditLog by inject<AuditLog>()
+    
+    // What deleting an item would affect, for the confirmation shown before it is moved to the trash
+    TrashItemType.entries.forEach { type ->
+        get("/${type.path}/{id}/delete-preview") {
+            val userId = call.getUserId()
+            val preview = call.parameters["id"]?.let { trashRepository.preview(type, it, userId) } ?: run {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "not_found",
+                    message = "${type.label} not found"
+                ))
+                return@get
+            }
+            
+            call.respond(preview)
+        }
+    }
+    
+    route("/trash") {
+        get {
+            val userId = call.getUserId()
+            call.respond(trashRepository.findByOwner(userId))
+        }
+        
+        post("/{type}/{id}/restore") {
+            val userId = call.getUserId()
+            val type = call.trashItemType() ?: return@post
+            val item = call.parameters["id"]?.let { trashRepository.findById(type, it, userId) } ?: run {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "not_found",
+                    message = "${type.label} is not in the trash"
+                ))
+                return@post
+            }
+            
+            // Another tag may have taken the name while this one was in the trash
+            if (type == TrashItemType.TAG && tagRepository.existsByName(item.name, userId)) {
+                call.respond(HttpStatusCode.Conflict, ApiError(
+                    error = "tag_exists",
+                    message = "A tag named '${item.name}' already exists"
+                ))
+                return@post
+            }
+            
+            val vehicleId = item.vehicle?.id
+            if (vehicleId != null && vehicleRepository.findById(vehicleId, userId) == null) {
+                call.respond(HttpStatusCode.Conflict, ApiError(
+                    error = "vehicle_in_trash",
+                    message = "Restore the vehicle of this maintenance record first"
+                ))
+                return@post
+            }
+            
+            trashRepository.restore(type, item.id, userId)
+            auditLog.restored(userId, item.toAuditSnapshot(userId))
+            call.respond(HttpStatusCode.NoContent)
+        }
+        
+        delete("/{type}/{id}") {
+            val userId = call.getUserId()
+            val type = call.trashItemType() ?: return@delete
+            val item = call.parameters["id"]?.let { trashRepository.findById(type, it, userId) } ?: run {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "not_found",
+                    message = "${type.label} is not in the trash"
+                ))
+                return@delete
+            }
+            
+            // Maintenance items always point at a part, so a part stays as long as a record uses it
+            if (type == TrashItemType.PART) {
+                val usageCount = trashRepository.partUsageCount(item.id)
+                if (usageCount > 0) {
+                    call.respond(HttpStatusCode.Conflict, ApiError(
+                        error = "part_in_use",
+                        message = "This part is used by $usageCount maintenance record${if (usageCount == 1L) "" else "s"}, including any in the trash"
+                    ))
+                    return@delete
+                }
+            }
+            
+            trashRepository.purge(type, item.id, userId)
+            attachmentService.removeOrphanedFiles(userId)
+            call.respond(HttpStatusCode.NoContent)
+        }
+    }
+}
+
+private val TrashItemType.label: String
+    get() = when (this) {
+        TrashItemType.VEHICLE -> "Vehicle"
+        TrashItemType.PART -> "Part"
+        TrashItemType.TAG -> "Tag"
+        TrashItemType.MAINTENANCE -> "Maintenance record"
+    }
+
+private suspend fun ApplicationCall.trashItemType(): TrashItemType? =
+    TrashItemType.entries.find { it.path == parameters["type"] } ?: run {
+        respond(HttpStatusCode.BadRequest, ApiError(
+            error = "invalid_parameter",
+            message = "type must be one of ${TrashItemType.entries.joinToString { it.path }}"
+        ))
+        null
+    }
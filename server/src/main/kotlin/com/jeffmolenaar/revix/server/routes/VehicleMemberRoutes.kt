@@ -0,0 +1,134 @@
+package com.jeffmolenaar.revix.server.routes
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.repository.UserRepository
+import com.jeffmolenaar.revix.server.repository.VehicleMemberRepository
+import com.jeffmolenaar.revix.server.repository.VehicleRepository
+import io.ktor.http.*
+import io.ktor.server.application.*
+import io.ktor.server.request.*
+import io.ktor.server.response.*
+import io.ktor.server.routing.*
+import org.koin.ktor.ext.inject
+
+fun Route.vehicleMemberRoutes() {
+    val vehicleMemberRepository by inject<VehicleMemberRepository>()
+    val vehicleRepository by inject<VehicleRepository>()
+    val userRepository by inject<UserRepository>()
+    
+    // Shares one or more of the user's own vehicles with another registered user
+    post("/vehicles/members") {
+        val userId = call.getUserId()
+        val request = call.receive<ShareVehiclesRequest>()
+        
+        if (request.vehicleIds.isEmpty()) {
+            call.respond(HttpStatusCode.BadRequest, ApiError(
+                error = "validation_error",
+                message = "Choose at least one vehicle to share"
+            ))
+            return@post
+        }
+        
+        if (request.role == VehicleRole.OWNER) {
+            call.respond(HttpStatusCode.BadRequest, ApiError(
+                error = "validation_error",
+                message = "Vehicles can be shared with editors and viewers"
+            ))
+            return@post
+        }
+        
+        // Only the owner shares a vehicle, so members cannot pass it on
+        if (request.vehicleIds.any { vehicleRepository.findById(it, userId) == null }) {
+            call.respond(HttpStatusCode.NotFound, ApiError(
+                error = "vehicle_not_found",
+                message = "Vehicle not found"
+            ))
+            return@post
+        }
+        
+        val member = userRepository.findByEmail(request.email.trim())
+        if (member == null) {
+            call.respond(HttpStatusCode.NotFound, ApiError(
+                error = "user_not_found",
+                message = "No user is registered with this email"
+            ))
+            return@post
+        }
+        
+        if (member.id == userId) {
+            call.respond(HttpStatusCode.BadRequest, ApiError(
+                error = "validation_error",
+                message = "You already own these vehicles"
+            ))
+            return@post
+        }
+        
+        vehicleMemberRepository.share(request.vehicleIds, member.id, request.role)
+        call.respond(HttpStatusCode.NoContent)
+    }
+    
+    route("/vehicles/{vehicleId}/members") {
+        // Members see who else the vehicle is shared with
+        get {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"] ?: run {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID is required"
+                ))
+                return@get
+            }
+            
+            if (vehicleRepository.findAccessible(vehicleId, userId) == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@get
+            }
+            
+            call.respond(vehicleMemberRepository.findByVehicle(vehicleId))
+        }
+        
+        // The owner removes anyone; members remove themselves to stop seeing the vehicle
+        delete("/{userId}") {
+            val userId = call.getUserId()
+            val vehicleId = call.parameters["vehicleId"]
+            val memberId = call.parameters["userId"]
+            if (vehicleId == null || memberId == null) {
+                call.respond(HttpStatusCode.BadRequest, ApiError(
+                    error = "missing_parameter",
+                    message = "Vehicle ID and user ID are required"
+                ))
+                return@delete
+            }
+            
+            val vehicle = vehicleRepository.findAccessible(vehicleId, userId)
+            if (vehicle == null) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "vehicle_not_found",
+                    message = "Vehicle not found"
+                ))
+                return@delete
+            }
+            
+            if (vehicle.role != VehicleRole.OWNER && memberId != userId) {
+                call.respond(HttpStatusCode.Forbidden, ApiError(
+                    error = "not_owner",
+                    message = "Only the owner can stop sharing this vehicle with others"
+                ))
+                return@delete
+            }
+            
+            if (!vehicleMemberRepository.remove(vehicleId, memberId)) {
+                call.respond(HttpStatusCode.NotFound, ApiError(
+                    error = "member_not_found",
+                    message = "This vehicle is not shared with that user"
+                ))
+                return@delete
+            }
+            
+            call.respond(HttpStatusCode.NoContent)
+        }
+    }
+}
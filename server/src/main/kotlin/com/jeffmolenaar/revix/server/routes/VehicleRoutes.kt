@@ -1,6 +1,8 @@
 package com.jeffmolenaar.revix.server.routes
 
 import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.audit.AuditLog
+import com.jeffmolenaar.revix.server.audit.toAuditSnapshot
 import com.jeffmolenaar.revix.server.repository.VehicleRepository
 import com.jeffmolenaar.revix.validation.ValidationRules
 import com.jeffmolenaar.revix.validation.combine
@@ -13,16 +15,18 @@ import org.koin.ktor.ext.inject
 
 fun Route.vehicleRoutes() {
     val vehicleRepository by inject<VehicleRepository>()
+    val auditLog by inject<AuditLog>()
     
     route("/vehicles") {
         get {
             val userId = call.getUserId()
-            val page = call.request.queryParameters["page"]?.toIntOrNull() ?: 1
-            val pageSize = call.request.queryParameters["pageSize"]?.toIntOrNull() ?: 20
+            val page = (call.request.queryParameters["page"]?.toIntOrNull() ?: 1).coerceAtLeast(1)
+            val pageSize = (call.request.queryParameters["pageSize"]?.toIntOrNull() ?: 20).coerceIn(1, 100)
             val query = call.request.queryParameters["query"]
             
-            val vehicles = vehicleRepository.findByOwner(userId, page, pageSize)
-            val totalCount = vehicleRepository.countByOwner(userId)
+            // Vehicles shared with the user are listed with their own, marked by their role
+            val vehicles = vehicleRepository.findByUser(userId, page, pageSize)
+            val totalCount = vehicleRepository.countByUser(userId)
             val totalPages = ((totalCount + pageSize - 1) / pageSize).toInt()
             
             call.respond(PaginatedResponse(
@@ -73,6 +77,7 @@ fun Route.vehicleRoutes() {
             }
             
             val vehicle = vehicleRepository.create(userId, request)
+            auditLog.created(userId, vehicle.toAuditSnapshot())
             call.respond(HttpStatusCode.Created, vehicle)
         }
         
@@ -86,7 +91,7 @@ fun Route.vehicleRoutes() {
                 return@get
             }
             
-            val vehicle = vehicleRepository.findById(vehicleId, userId)
+            val vehicle = vehicleRepository.findAccessible(vehicleId, userId)
             if (vehicle == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "vehicle_not_found",
@@ -127,8 +132,10 @@ fun Route.vehicleRoutes() {
                 return@put
             }
             
-            val vehicle = vehicleRepository.update(vehicleId, userId, request)
-            if (vehicle == null) {
+            // As it was, for the audit log
+            val existingVehicle = vehicleRepository.findById(vehicleId, userId)
+            val vehicle = existingVehicle?.let { vehicleRepository.update(vehicleId, userId, request) }
+            if (existingVehicle == null || vehicle == null) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "vehicle_not_found",
                     message = "Vehicle not found"
@@ -136,6 +143,7 @@ fun Route.vehicleRoutes() {
                 return@put
             }
             
+            auditLog.updated(userId, existingVehicle.toAuditSnapshot(), vehicle.toAuditSnapshot())
             call.respond(vehicle)
         }
         
@@ -149,8 +157,8 @@ fun Route.vehicleRoutes() {
                 return@delete
             }
             
-            val deleted = vehicleRepository.delete(vehicleId, userId)
-            if (!deleted) {
+            val vehicle = vehicleRepository.findById(vehicleId, userId)
+            if (vehicle == null || !vehicleRepository.delete(vehicleId, userId)) {
                 call.respond(HttpStatusCode.NotFound, ApiError(
                     error = "vehicle_not_found",
                     message = "Vehicle not found"
@@ -158,6 +166,7 @@ fun Route.vehicleRoutes() {
                 return@delete
             }
             
+            auditLog.deleted(userId, vehicle.toAuditSnapshot())
             call.respond(HttpStatusCode.NoContent)
         }
     }
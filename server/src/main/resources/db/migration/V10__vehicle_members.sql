@@ -0,0 +1,16 @@
+-- Vehicles shared with other users; the owner is not a member of their own vehicle
+
+CREATE TABLE vehicle_members (
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('EDITOR', 'VIEWER')),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (vehicle_id, user_id)
+);
+
+CREATE INDEX idx_vehicle_members_user_id ON vehicle_members(user_id);
+
+-- Records keep the vehicle owner as owner_id; these say who actually logged and last edited them
+ALTER TABLE maintenance_records ADD COLUMN created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE maintenance_records ADD COLUMN updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+UPDATE maintenance_records SET created_by = owner_id, updated_by = owner_id;
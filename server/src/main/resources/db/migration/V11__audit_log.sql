@@ -0,0 +1,17 @@
+-- Append-only history of changes to vehicles, parts, tags and maintenance records
+-- Entries have no foreign key to the item, so they outlive it when it is deleted for good
+
+CREATE TABLE audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('VEHICLE', 'PART', 'TAG', 'MAINTENANCE')),
+    entity_id UUID NOT NULL,
+    entity_name VARCHAR(255) NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'DELETE', 'RESTORE')),
+    changes TEXT NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_owner_created ON audit_log(owner_id, created_at);
+CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
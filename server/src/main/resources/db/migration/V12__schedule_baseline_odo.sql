@@ -0,0 +1,8 @@
+-- The vehicle's odometer when a schedule was created, from which its distance or hours interval runs until it is first done
+
+ALTER TABLE service_schedules ADD COLUMN baseline_odo BIGINT;
+
+UPDATE service_schedules
+SET baseline_odo = vehicles.current_odo
+FROM vehicles
+WHERE vehicles.id = service_schedules.vehicle_id;
@@ -0,0 +1,25 @@
+-- Recurring service schedules, due after a distance or running time, a number of months, or whichever comes first
+
+CREATE TABLE service_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    interval_odo BIGINT CHECK (interval_odo > 0), -- in the vehicle's odo unit
+    interval_months INTEGER CHECK (interval_months > 0),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    CHECK (interval_odo IS NOT NULL OR interval_months IS NOT NULL)
+);
+
+-- Records created by marking a schedule done
+ALTER TABLE maintenance_records ADD COLUMN schedule_id UUID REFERENCES service_schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_service_schedules_vehicle_id ON service_schedules(vehicle_id);
+CREATE INDEX idx_service_schedules_owner_id ON service_schedules(owner_id);
+CREATE INDEX idx_maintenance_records_schedule_id ON maintenance_records(schedule_id);
+
+CREATE TRIGGER update_service_schedules_updated_at 
+    BEFORE UPDATE ON service_schedules 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,14 @@
+-- Manual odometer readings; the vehicle's odometer log combines these with the readings of its maintenance records
+
+CREATE TABLE odometer_readings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    read_at DATE NOT NULL,
+    reading BIGINT NOT NULL CHECK (reading >= 0),
+    note VARCHAR(200),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_odometer_readings_vehicle_id ON odometer_readings(vehicle_id);
+CREATE INDEX idx_odometer_readings_owner_id ON odometer_readings(owner_id);
@@ -0,0 +1,6 @@
+-- Adds miles as an odometer unit, and the unit each user wants distances in statistics shown in
+
+ALTER TABLE vehicles DROP CONSTRAINT IF EXISTS vehicles_odo_unit_check;
+ALTER TABLE vehicles ADD CONSTRAINT vehicles_odo_unit_check CHECK (odo_unit IN ('KM', 'MI', 'HOURS'));
+
+ALTER TABLE users ADD COLUMN distance_unit VARCHAR(10) NOT NULL DEFAULT 'KM' CHECK (distance_unit IN ('KM', 'MI'));
@@ -0,0 +1,18 @@
+-- Receipts and photos on maintenance records and parts; the files themselves are stored on disk, named by id
+
+CREATE TABLE attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    maintenance_id UUID REFERENCES maintenance_records(id) ON DELETE CASCADE,
+    part_id UUID REFERENCES parts(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL CHECK (size_bytes >= 0),
+    has_thumbnail BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    CONSTRAINT attachments_one_parent CHECK ((maintenance_id IS NULL) <> (part_id IS NULL))
+);
+
+CREATE INDEX idx_attachments_owner_id ON attachments(owner_id);
+CREATE INDEX idx_attachments_maintenance_id ON attachments(maintenance_id);
+CREATE INDEX idx_attachments_part_id ON attachments(part_id);
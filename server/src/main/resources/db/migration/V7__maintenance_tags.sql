@@ -0,0 +1,9 @@
+-- Tags on maintenance records themselves, such as "warranty" or "DIY", next to the tags of the parts they use
+
+CREATE TABLE maintenance_tags (
+    maintenance_id UUID NOT NULL REFERENCES maintenance_records(id) ON DELETE CASCADE,
+    tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (maintenance_id, tag_id)
+);
+
+CREATE INDEX idx_maintenance_tags_tag_id ON maintenance_tags(tag_id);
@@ -0,0 +1,17 @@
+-- Deleting a vehicle, part, tag or maintenance record moves it to the trash; it is only removed for good from there
+
+ALTER TABLE vehicles ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE parts ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tags ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE maintenance_records ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- A tag in the trash does not keep its name taken; restoring it is refused while another tag has the name
+ALTER TABLE tags DROP CONSTRAINT tags_owner_id_name_key;
+ALTER TABLE tags DROP CONSTRAINT tags_owner_id_slug_key;
+CREATE UNIQUE INDEX unique_tag_name_per_owner ON tags(owner_id, name) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX unique_tag_slug_per_owner ON tags(owner_id, slug) WHERE deleted_at IS NULL;
+
+CREATE INDEX idx_vehicles_deleted_at ON vehicles(owner_id, deleted_at);
+CREATE INDEX idx_parts_deleted_at ON parts(owner_id, deleted_at);
+CREATE INDEX idx_tags_deleted_at ON tags(owner_id, deleted_at);
+CREATE INDEX idx_maintenance_records_deleted_at ON maintenance_records(owner_id, deleted_at);
@@ -0,0 +1,2 @@
+-- Set once the user has opened the verification link mailed to their current address
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
@@ -7,7 +7,22 @@ let appData = {
     vehicles: [],
     parts: [],
     tags: [],
-    maintenance: []
+    maintenance: [],
+    // Complete lists for dropdowns; the list views above only hold the pages loaded so far
+    vehicleOptions: [],
+    partOptions: [],
+    schedules: [], // Service schedules of every vehicle, with their due status
+    stats: null,
+    tagStats: {}, // Usage and spend per tag, by tag id
+    trash: [], // Deleted vehicles, parts, tags and records, most recently deleted first
+    sessions: [] // Signed-in sessions of the account, newest first
+};
+
+// Filters of the list views, kept in sync with the URL by the router
+let listFilters = {
+    parts: { q: '', tags: '', match: '' }, // tags is a comma-separated id list, match '' (any) or 'all'
+    // range is a preset ('30d', 'year') or 'custom' for the from/to dates; sort '' is newest first
+    maintenance: { vehicle: '', q: '', range: '', from: '', to: '', sort: '', tags: '', match: '' }
 };
 
 // API Configuration
@@ -22,12 +37,68 @@ function hideLoading() {
     document.getElementById('loading').classList.add('hidden');
 }
 
-function showToast(message, type = 'success', title = '') {
+// HTML Templating
+// Markup produced by html`` is wrapped so nesting it in another template does not escape it twice
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+    
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderTemplateValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderTemplateValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+// Tagged template that escapes every interpolated value unless it is itself html`` output
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, index) =>
+        result + string + (index < values.length ? renderTemplateValue(values[index]) : ''), ''));
+}
+
+// Only allow links that cannot execute script when clicked
+function safeUrl(url) {
+    if (!url) return null;
+    try {
+        const parsed = new URL(url, window.location.origin);
+        return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        return null;
+    }
+}
+
+function safeColor(color, fallback = '#2563eb') {
+    return /^#[0-9a-fA-F]{3,8}$/.test(color || '') ? color : fallback;
+}
+
+// An action ({ label, onClick }) adds a button to the toast, such as Undo after a deletion
+function showToast(message, type = 'success', title = '', action = null) {
     const container = document.getElementById('toast-container');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     
-    toast.innerHTML = `
+    toast.innerHTML = html`
         <div class="toast-header">
             <span class="toast-title">${title || (type === 'error' ? 'Error' : type === 'success' ? 'Success' : 'Info')}</span>
             <button class="toast-close" onclick="this.parentElement.parentElement.remove()">×</button>
@@ -35,42 +106,139 @@ function showToast(message, type = 'success', title = '') {
         <div class="toast-message">${message}</div>
     `;
     
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-sm toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+    
     container.appendChild(toast);
     
-    // Auto remove after 5 seconds
+    // Auto remove after 5 seconds, or 10 when there is an action to take
     setTimeout(() => {
         if (toast.parentElement) {
             toast.remove();
         }
-    }, 5000);
+    }, action ? 10000 : 5000);
 }
 
 function formatCurrency(cents, currency = 'EUR') {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: currency
+        currency: currency || 'EUR'
     }).format(cents / 100);
 }
 
+const CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'CAD', 'AUD'];
+
+function renderCurrencyOptions(selected = 'EUR') {
+    const currencies = selected && !CURRENCIES.includes(selected) ? [...CURRENCIES, selected] : CURRENCIES;
+    return currencies.map(currency => html`<option value="${currency}" ${currency === selected ? 'selected' : ''}>${currency}</option>`);
+}
+
+// Parses "12.50", "12,50", "1.234,50" or "1,234.50" into cents. The last separator is the decimal
+// separator when one or two digits follow it; any other separator groups thousands.
+// Returns null for an empty input and NaN when the input is not a number.
+function parsePriceToCents(value) {
+    const input = String(value ?? '').replace(/\s/g, '');
+    if (input === '') return null;
+    if (!/^-?\d*([.,]\d*)*$/.test(input) || !/\d/.test(input)) return NaN;
+    
+    const lastSeparator = Math.max(input.lastIndexOf('.'), input.lastIndexOf(','));
+    const decimals = lastSeparator === -1 ? 0 : input.length - lastSeparator - 1;
+    const normalized = decimals > 0 && decimals <= 2
+        ? input.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + input.slice(lastSeparator + 1)
+        : input.replace(/[.,]/g, '');
+    
+    return Math.round(parseFloat(normalized) * 100);
+}
+
+function formatPriceInput(cents) {
+    return cents === null || cents === undefined ? '' : (cents / 100).toFixed(2);
+}
+
 function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString();
 }
 
+// YYYY-MM-DD in local time, as used by date inputs and the API
+function localDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 function formatVehicleDisplay(vehicleDetails) {
     const make = `${vehicleDetails.manufacturer} ${vehicleDetails.model}`;
     const identifier = vehicleDetails.licensePlate || vehicleDetails.vin || '';
     return identifier ? `${make} (${identifier})` : make;
 }
 
+// Mirrors OdoUnit in Models.kt; HOURS counts engine running time, so it is never converted
+const ODO_UNITS = {
+    KM: { label: 'Kilometers', short: 'km' },
+    MI: { label: 'Miles', short: 'mi' },
+    HOURS: { label: 'Engine hours', short: 'h' }
+};
+
+function odoUnitShort(unit = 'KM') {
+    return ODO_UNITS[unit]?.short || unit;
+}
+
+function renderOdoUnitOptions(selected = 'KM') {
+    return Object.entries(ODO_UNITS).map(([unit, { label }]) => html`<option value="${unit}" ${unit === selected ? 'selected' : ''}>${label}</option>`);
+}
+
+function formatOdometer(reading, unit = 'KM') {
+    return `${reading.toLocaleString()} ${odoUnitShort(unit)}`;
+}
+
+// Maintenance Cost Helpers
+function itemUnitPriceCents(item) {
+    return item.unitPriceCentsOverride ?? item.part?.priceCents ?? null;
+}
+
+function itemTotalCents(item) {
+    const unitPrice = itemUnitPriceCents(item);
+    return unitPrice === null ? null : Math.round(unitPrice * item.quantity);
+}
+
+// Totals are kept per currency so amounts in different currencies are never added up
+function sumCostsByCurrency(items) {
+    return items.reduce((totals, item) => {
+        const total = itemTotalCents(item);
+        if (total !== null) {
+            const currency = item.part?.currency || 'EUR';
+            totals[currency] = (totals[currency] || 0) + total;
+        }
+        return totals;
+    }, {});
+}
+
+function formatCostTotals(totals) {
+    const entries = Object.entries(totals);
+    if (entries.length === 0) return '—';
+    return entries.map(([currency, cents]) => formatCurrency(cents, currency)).join(' + ');
+}
+
 // API Functions
-async function apiCall(endpoint, options = {}) {
+let refreshPromise = null;
+
+async function apiCall(endpoint, options = {}, allowRefresh = true) {
     const url = `${API_BASE}${endpoint}`;
+    // File uploads are sent as multipart forms, whose content type the browser sets along with the boundary
+    const isForm = typeof FormData !== 'undefined' && options.body instanceof FormData;
     const config = {
+        ...options,
         headers: {
-            'Content-Type': 'application/json',
+            ...(isForm ? {} : { 'Content-Type': 'application/json' }),
             ...options.headers
-        },
-        ...options
+        }
     };
     
     if (authToken && !endpoint.includes('/auth/')) {
@@ -78,7 +246,22 @@ async function apiCall(endpoint, options = {}) {
     }
     
     try {
-        const response = await fetch(url, config);
+        let response;
+        try {
+            response = await fetch(url, config);
+        } catch (error) {
+            // No connection: the synced lists are read from this device and writes to them are queued
+            if (error.name !== 'AbortError' && handlesOffline(endpoint, options)) {
+                return offlineApiCall(endpoint, options);
+            }
+            throw error;
+        }
+        
+        // Access token expired: refresh once and replay the original request
+        if (response.status === 401 && allowRefresh && refreshToken && !endpoint.includes('/auth/')) {
+            await refreshAccessToken();
+            return apiCall(endpoint, options, false);
+        }
         
         if (!response.ok) {
             // Try to parse error message if there's content
@@ -92,6 +275,15 @@ async function apiCall(endpoint, options = {}) {
             throw new Error(errorMessage);
         }
         
+        if ((options.method || 'GET') !== 'GET' && options.offlineFallback !== false && !endpoint.includes('/auth/')) {
+            scheduleOfflineSync();
+        }
+        
+        // Files such as exports are handed back as they are, to be saved by the caller
+        if (options.download) {
+            return response.blob();
+        }
+        
         // Handle responses with no content (like 204 No Content)
         if (response.status === 204 || !response.headers.get('content-type')?.includes('application/json')) {
             return null;
@@ -100,336 +292,3083 @@ async function apiCall(endpoint, options = {}) {
         const data = await response.json();
         return data;
     } catch (error) {
-        console.error('API Error:', error);
+        if (error.name !== 'AbortError') {
+            console.error('API Error:', error);
+        }
         throw error;
     }
 }
 
-// Authentication Functions
-async function login(email, password) {
-    try {
-        showLoading();
-        const response = await apiCall('/auth/login', {
-            method: 'POST',
-            body: JSON.stringify({ email, password })
-        });
-        
-        authToken = response.accessToken;
-        refreshToken = response.refreshToken;
-        currentUser = response.user;
-        
-        // Store tokens
-        localStorage.setItem('authToken', authToken);
-        localStorage.setItem('refreshToken', refreshToken);
-        localStorage.setItem('currentUser', JSON.stringify(currentUser));
-        
-        showApp();
-        showToast('Logged in successfully!');
-    } catch (error) {
-        showToast(error.message, 'error');
-    } finally {
-        hideLoading();
-    }
+// Follows the paginated list endpoints until every page has been fetched
+async function fetchAllPages(endpoint, pageSize = 100) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    const data = [];
+    let page = 1;
+    let totalPages = 1;
+    
+    do {
+        const response = await apiCall(`${endpoint}${separator}page=${page}&pageSize=${pageSize}`);
+        data.push(...(response.data || []));
+        totalPages = response.totalPages || 1;
+        page++;
+    } while (page <= totalPages);
+    
+    return data;
 }
 
-async function register(email, password, name) {
+// Pagination
+// List views load PAGE_SIZE records at a time; the next page is fetched when the list's pager
+// scrolls into view or its "Load more" button is clicked
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300; // Pause in typing before a search box queries the server
+const pagers = {};
+let pagerObserver = null;
+
+function resetPager(name) {
+    pagers[name] = { page: 0, totalPages: 1, totalCount: 0, loading: false };
+}
+
+function hasMorePages(name) {
+    const pager = pagers[name];
+    return Boolean(pager) && pager.page < pager.totalPages;
+}
+
+// Resolves to the records of the next page, or to an empty list when there is none or the list
+// was reset while the request was in flight. fetchPage(page) must resolve to a PaginatedResponse.
+async function fetchNextPage(name, fetchPage) {
+    const pager = pagers[name];
+    if (!hasMorePages(name) || pager.loading) return [];
+    
+    pager.loading = true;
     try {
-        showLoading();
-        const response = await apiCall('/auth/register', {
-            method: 'POST',
-            body: JSON.stringify({ email, password, name })
-        });
-        
-        authToken = response.accessToken;
-        refreshToken = response.refreshToken;
-        currentUser = response.user;
-        
-        // Store tokens
-        localStorage.setItem('authToken', authToken);
-        localStorage.setItem('refreshToken', refreshToken);
-        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+        const response = await fetchPage(pager.page + 1);
+        if (pagers[name] !== pager) return [];
         
-        showApp();
-        showToast('Account created successfully!');
-    } catch (error) {
-        showToast(error.message, 'error');
+        pager.page += 1;
+        pager.totalPages = response.totalPages;
+        pager.totalCount = response.totalCount;
+        return response.data || [];
     } finally {
-        hideLoading();
+        pager.loading = false;
     }
 }
 
-function logout() {
-    authToken = null;
-    refreshToken = null;
-    currentUser = null;
+function loadMore(name) {
+    const loaders = {
+        vehicles: loadMoreVehicles,
+        parts: loadMoreParts,
+        maintenance: loadMoreMaintenance
+    };
+    return loaders[name]?.();
+}
+
+function renderPager(name) {
+    const container = document.getElementById(`${name}-pager`);
+    const pager = pagers[name];
+    if (!container || !pager) return;
     
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('currentUser');
+    const loaded = appData[name].length;
+    container.innerHTML = hasMorePages(name)
+        ? html`
+            <span class="pager-status">Showing ${loaded} of ${pager.totalCount}</span>
+            <button class="btn btn-sm" onclick="loadMore('${name}')">Load more</button>
+        `
+        : '';
     
-    showAuth();
-    showToast('Logged out successfully!');
+    // Observing again reports whether the pager is still in view, so a short page keeps loading
+    if (pagerObserver) {
+        pagerObserver.unobserve(container);
+        pagerObserver.observe(container);
+    }
 }
 
-// UI Functions
-function showAuth() {
-    document.getElementById('auth-container').classList.remove('hidden');
-    document.getElementById('app-container').classList.add('hidden');
-    document.getElementById('navbar').classList.add('hidden');
+// Requests that hit a 401 at the same time share a single refresh call
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const response = await fetch(`${API_BASE}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            
+            if (!response.ok) {
+                clearSession();
+                showAuth();
+                showToast('Your session has expired. Please sign in again.', 'error', 'Session expired');
+                throw new Error('Session expired');
+            }
+            
+            const data = await response.json();
+            authToken = data.accessToken;
+            localStorage.setItem('authToken', authToken);
+            
+            // The server may rotate the refresh token as well
+            if (data.refreshToken) {
+                refreshToken = data.refreshToken;
+                localStorage.setItem('refreshToken', refreshToken);
+            }
+            
+            return authToken;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    
+    return refreshPromise;
 }
 
-function showApp() {
-    document.getElementById('auth-container').classList.add('hidden');
-    document.getElementById('app-container').classList.remove('hidden');
-    document.getElementById('navbar').classList.remove('hidden');
-    
-    // Update user name
-    document.getElementById('user-name').textContent = currentUser?.name || currentUser?.email || 'User';
-    
-    // Load initial data
-    loadDashboardData();
-    showSection('dashboard');
+// Offline Functions
+// The service worker (sw.js) keeps the app shell; the lists below are kept per user in IndexedDB. Without a
+// connection, reads of these lists are answered from there and writes to them are queued. The queue is
+// replayed in order once the connection is back, and a write is held back as a conflict when the server copy
+// changed since it was synced or the server refuses it, for the user to apply anyway or discard.
+const OFFLINE_DB = { name: 'revix-offline', version: 1 };
+const OFFLINE_SYNC_DELAY_MS = 2000; // Pause after a write before the lists are synced again
+
+// The synced lists, by the TRASH_TYPES key of their items
+const OFFLINE_LISTS = {
+    VEHICLE: { name: 'vehicles', fetch: () => fetchAllPages('/vehicles') },
+    PART: { name: 'parts', fetch: () => fetchAllPages('/parts') },
+    TAG: { name: 'tags', fetch: () => apiCall('/tags') },
+    MAINTENANCE: { name: 'maintenance', fetch: () => fetchAllPages('/maintenance') }
+};
+
+const OFFLINE_ACTIONS = { POST: 'Add', PUT: 'Edit', DELETE: 'Delete' };
+
+let offlineDbPromise = null;
+let offlineReplay = null;
+let offlineSyncTimer = null;
+
+function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
 }
 
-function showLogin() {
-    document.getElementById('login-form').classList.remove('hidden');
-    document.getElementById('register-form').classList.add('hidden');
+function offlineStorageAvailable() {
+    return typeof indexedDB !== 'undefined';
 }
 
-function showRegister() {
-    document.getElementById('login-form').classList.add('hidden');
-    document.getElementById('register-form').classList.remove('hidden');
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB.name, OFFLINE_DB.version);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('lists', { keyPath: 'key' });
+                request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDbPromise;
 }
 
-function showSection(sectionName) {
-    // Hide all sections
-    document.querySelectorAll('.content-section').forEach(section => {
-        section.classList.add('hidden');
-    });
-    
-    // Show target section
-    document.getElementById(`${sectionName}-section`).classList.remove('hidden');
-    
-    // Update navigation
-    document.querySelectorAll('.nav-link').forEach(link => {
-        link.classList.remove('active');
+// Runs a single request on one of the stores
+async function offlineRequest(storeName, mode, makeRequest) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
-    document.querySelector(`[href="#${sectionName}"]`).classList.add('active');
-    
-    currentSection = sectionName;
-    
-    // Load section data
-    switch (sectionName) {
-        case 'vehicles':
-            loadVehicles();
-            break;
-        case 'parts':
-            loadParts();
-            loadTags(); // For filter dropdown
-            break;
-        case 'maintenance':
-            loadMaintenance();
-            loadVehicles(); // For filter dropdown
-            break;
-        case 'tags':
-            loadTags();
-            break;
-    }
 }
 
-// Modal Functions
-function showModal(content) {
-    document.getElementById('modal-content').innerHTML = content;
-    document.getElementById('modal-overlay').classList.remove('hidden');
+// The functions below are all the offline code uses of IndexedDB; null when the list was never synced
+async function readOfflineList(name) {
+    const entry = await offlineRequest('lists', 'readonly', store => store.get(`${currentUser.id}:${name}`));
+    return entry ? entry.items : null;
 }
 
-function hideModal() {
-    document.getElementById('modal-overlay').classList.add('hidden');
+function writeOfflineList(name, items) {
+    return offlineRequest('lists', 'readwrite', store => store.put({
+        key: `${currentUser.id}:${name}`,
+        items,
+        syncedAt: new Date().toISOString()
+    }));
 }
 
-// Dashboard Functions
-async function loadDashboardData() {
-    try {
-        const [vehicles, parts, tags] = await Promise.all([
-            apiCall('/vehicles'),
-            apiCall('/parts'),
-            apiCall('/tags')
-        ]);
-        
-        // Update counts
-        document.getElementById('vehicles-count').textContent = vehicles.totalCount || vehicles.data?.length || 0;
-        document.getElementById('parts-count').textContent = parts.totalCount || parts.data?.length || 0;
-        document.getElementById('tags-count').textContent = tags.length || 0;
-        
-        // Load recent maintenance
-        if (vehicles.data?.length > 0) {
-            const maintenancePromises = vehicles.data.slice(0, 3).map(vehicle =>
-                apiCall(`/vehicles/${vehicle.id}/maintenance?pageSize=5`)
-            );
-            const maintenanceResults = await Promise.all(maintenancePromises);
-            const allMaintenance = maintenanceResults.flatMap(result => result.data || []);
-            
-            document.getElementById('maintenance-count').textContent = allMaintenance.length;
-            renderRecentMaintenance(allMaintenance.slice(0, 5));
-        }
-        
-    } catch (error) {
-        showToast('Failed to load dashboard data', 'error');
-    }
+// In the order the writes were made
+async function readOfflineQueue() {
+    const entries = await offlineRequest('queue', 'readonly', store => store.getAll());
+    return entries.filter(entry => entry.userId === currentUser.id);
 }
 
-function renderRecentMaintenance(maintenance) {
-    const container = document.getElementById('recent-maintenance');
+function addToOfflineQueue(entry) {
+    return offlineRequest('queue', 'readwrite', store => store.add({ ...entry, userId: currentUser.id }));
+}
+
+function updateOfflineQueueEntry(entry) {
+    return offlineRequest('queue', 'readwrite', store => store.put(entry));
+}
+
+function removeFromOfflineQueue(id) {
+    return offlineRequest('queue', 'readwrite', store => store.delete(id));
+}
+
+async function clearOfflineData() {
+    if (!offlineStorageAvailable()) return;
+    await offlineRequest('lists', 'readwrite', store => store.clear());
+    await offlineRequest('queue', 'readwrite', store => store.clear());
+}
+
+// What an endpoint is about: /parts/1 is { type: 'PART', id: '1' }, the records of a vehicle,
+// /vehicles/1/maintenance, are { type: 'MAINTENANCE', vehicleId: '1' }, and /vehicles/1/odometer has
+// other: 'odometer'. Null for endpoints outside the synced lists.
+function parseOfflineEndpoint(endpoint) {
+    const [path, query = ''] = endpoint.split('?');
+    const segments = path.split('/').filter(Boolean);
+    const params = new URLSearchParams(query);
+    const type = Object.keys(OFFLINE_LISTS).find(key => OFFLINE_LISTS[key].name === segments[0]);
+    if (!type) return null;
     
-    if (maintenance.length === 0) {
-        container.innerHTML = '<p class="empty-state">No recent maintenance records</p>';
-        return;
+    if (type === 'VEHICLE' && segments.length === 3 && segments[2] === 'maintenance') {
+        return { type: 'MAINTENANCE', vehicleId: segments[1], params };
     }
-    
-    container.innerHTML = maintenance.map(record => `
-        <div class="maintenance-item">
-            <div class="maintenance-item-info">
-                <div class="vehicle-info">${formatVehicleDisplay(record.vehicleDetails)}</div>
-                <div class="maintenance-desc">${record.title}</div>
-            </div>
-            <span class="maintenance-date">${formatDate(record.happenedAt)}</span>
-        </div>
-    `).join('');
+    return {
+        type,
+        id: segments[1] || null,
+        preview: segments[2] === 'delete-preview',
+        other: segments[2] !== 'delete-preview' ? segments.slice(2).join('/') : '',
+        params
+    };
 }
 
-// Vehicle Functions
-async function loadVehicles() {
-    try {
-        showLoading();
-        const response = await apiCall('/vehicles');
-        appData.vehicles = response.data || response;
-        renderVehicles();
-        
-        // Update maintenance filter dropdown
-        const filterSelect = document.getElementById('maintenance-vehicle-filter');
-        if (filterSelect) {
-            filterSelect.innerHTML = '<option value="">All Vehicles</option>' +
-                appData.vehicles.map(vehicle => 
-                    `<option value="${vehicle.id}">${vehicle.manufacturer} ${vehicle.model} (${vehicle.licensePlate || 'No plate'})</option>`
-                ).join('');
-        }
-    } catch (error) {
-        showToast('Failed to load vehicles', 'error');
-    } finally {
-        hideLoading();
+// Whether apiCall answers the request itself when there is no connection
+function handlesOffline(endpoint, options) {
+    if (!offlineStorageAvailable() || !currentUser || options.offlineFallback === false || options.download) {
+        return false;
     }
+    const target = parseOfflineEndpoint(endpoint);
+    if (!target) return false;
+    
+    const method = options.method || 'GET';
+    if (method === 'GET') return true;
+    // Uploads and actions such as sharing need the server
+    if (options.body !== undefined && typeof options.body !== 'string') return false;
+    if (target.other || target.preview) return false;
+    return method === 'POST' ? !target.id : ['PUT', 'DELETE'].includes(method) && Boolean(target.id);
 }
 
-function renderVehicles() {
-    const container = document.getElementById('vehicles-grid');
+async function offlineApiCall(endpoint, options) {
+    const target = parseOfflineEndpoint(endpoint);
+    const method = options.method || 'GET';
+    const result = method === 'GET'
+        ? await readOffline(target)
+        : await queueOfflineWrite(endpoint, method, target, options.body ? JSON.parse(options.body) : null);
+    renderOfflineStatus();
+    return result;
+}
+
+// Named so that pages can show what is not kept offline as unavailable, and the rest of the page without it
+function offlineUnavailable() {
+    const error = new Error('You are offline, and this is not available until the connection is back');
+    error.name = 'OfflineError';
+    return error;
+}
+
+// Stands in for a panel whose data is not kept offline
+function renderNotAvailableOffline() {
+    return html`<p class="empty-state"><i class="fas fa-wifi"></i> Not available offline</p>`;
+}
+
+async function readOffline(target) {
+    if (target.other) throw offlineUnavailable();
     
-    if (appData.vehicles.length === 0) {
-        container.innerHTML = '<p class="empty-state">No vehicles added yet</p>';
-        return;
+    const items = await readOfflineList(OFFLINE_LISTS[target.type].name);
+    if (!items) throw offlineUnavailable();
+    
+    if (target.id) {
+        const item = items.find(candidate => candidate.id === target.id);
+        if (!item) throw new Error(`This ${TRASH_TYPES[target.type].label} is not on this device`);
+        
+        // Without a connection the preview cannot count what the deletion affects
+        return target.preview ? { type: target.type, name: offlineItemName(target.type, item) } : item;
     }
     
-    container.innerHTML = appData.vehicles.map(vehicle => `
-        <div class="vehicle-card">
+    if (target.type === 'TAG') return items;
+    return paginateOffline(filterOfflineList(target, items), target.params);
+}
+
+// The filters of the list endpoints that matter offline; lists are always sorted newest first
+function filterOfflineList(target, items) {
+    const params = target.params;
+    const query = (params.get('query') || '').toLowerCase();
+    
+    if (target.type === 'PART') {
+        const tagIds = (params.get('tags') || '').split(',').filter(Boolean);
+        const matchAll = params.get('tagMatch') === 'all';
+        return items.filter(part => {
+            const partTagIds = (part.tags || []).map(tag => tag.id);
+            const tagsMatch = tagIds.length === 0 ||
+                (matchAll ? tagIds.every(id => partTagIds.includes(id)) : tagIds.some(id => partTagIds.includes(id)));
+            return tagsMatch && (!query || part.name.toLowerCase().includes(query));
+        });
+    }
+    
+    if (target.type === 'MAINTENANCE') {
+        const vehicleId = target.vehicleId || params.get('vehicleId');
+        const from = params.get('from');
+        const to = params.get('to');
+        return items
+            .filter(record =>
+                (!vehicleId || record.vehicleId === vehicleId) &&
+                (!from || record.happenedAt >= from) &&
+                (!to || record.happenedAt <= to) &&
+                (!query || `${record.title} ${record.notes || ''}`.toLowerCase().includes(query)))
+            .sort((a, b) => b.happenedAt.localeCompare(a.happenedAt));
+    }
+    
+    return items;
+}
+
+function paginateOffline(items, params) {
+    const page = Math.max(parseInt(params.get('page')) || 1, 1);
+    const pageSize = parseInt(params.get('pageSize')) || PAGE_SIZE;
+    return {
+        data: items.slice((page - 1) * pageSize, page * pageSize),
+        page,
+        pageSize,
+        totalCount: items.length,
+        totalPages: Math.max(Math.ceil(items.length / pageSize), 1)
+    };
+}
+
+function offlineItemName(type, item) {
+    return type === 'VEHICLE' ? `${item.manufacturer} ${item.model}` : item.title || item.name;
+}
+
+// What identifies the server copy a write was based on; tags have no updatedAt, so their fields do
+function offlineVersion(item) {
+    return item.updatedAt || `${item.name}|${item.color}`;
+}
+
+// Queues the write and applies it to the synced list, so the lists show it right away.
+// Resolves to the item as the server would answer, as far as the synced lists tell.
+async function queueOfflineWrite(endpoint, method, target, body) {
+    const listName = OFFLINE_LISTS[target.type].name;
+    const items = await readOfflineList(listName) || [];
+    const existing = target.id ? items.find(item => item.id === target.id) : null;
+    if (target.id && !existing) {
+        throw new Error(`This ${TRASH_TYPES[target.type].label} is not on this device`);
+    }
+    
+    let result = null;
+    let updatedItems;
+    if (method === 'POST') {
+        result = await offlineItem(await newOfflineItem(target), body);
+        updatedItems = [result, ...items];
+    } else if (method === 'PUT') {
+        result = await offlineItem(existing, body);
+        updatedItems = items.map(item => item.id === existing.id ? result : item);
+    } else {
+        updatedItems = items.filter(item => item.id !== existing.id);
+    }
+    
+    const item = result || existing;
+    await addToOfflineQueue({
+        method,
+        endpoint,
+        body,
+        type: target.type,
+        itemId: item.id,
+        name: offlineItemName(target.type, item),
+        base: existing ? offlineVersion(existing) : null, // Creates cannot conflict
+        queuedAt: new Date().toISOString(),
+        conflict: null
+    });
+    await writeOfflineList(listName, updatedItems);
+    return result;
+}
+
+// Items created offline get a temporary ID, swapped for the server's when the create is replayed
+async function newOfflineItem(target) {
+    const now = new Date().toISOString();
+    const item = {
+        id: `offline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        ownerId: currentUser.id,
+        createdAt: now,
+        updatedAt: now
+    };
+    
+    switch (target.type) {
+        case 'VEHICLE':
+            return { ...item, role: 'OWNER', odoUnit: 'KM' };
+        case 'PART':
+            return { ...item, tags: [], attachments: [] };
+        case 'MAINTENANCE': {
+            const vehicles = await readOfflineList('vehicles') || [];
+            const vehicle = vehicles.find(candidate => candidate.id === target.vehicleId);
+            if (!vehicle) throw new Error('This vehicle is not on this device');
+            
+            const author = { id: currentUser.id, email: currentUser.email, name: currentUser.name };
+            return {
+                ...item,
+                ownerId: vehicle.ownerId,
+                vehicleId: vehicle.id,
+                vehicle: {
+                    id: vehicle.id,
+                    manufacturer: vehicle.manufacturer,
+                    model: vehicle.model,
+                    licensePlate: vehicle.licensePlate,
+                    vin: vehicle.vin,
+                    odoUnit: vehicle.odoUnit
+                },
+                items: [],
+                tags: [],
+                attachments: [],
+                createdBy: author,
+                updatedBy: author
+            };
+        }
+        default:
+            return item;
+    }
+}
+
+// Applies a create or update request to an item; like the server, null fields are left unchanged
+async function offlineItem(item, body) {
+    const { tagIds, items, clearPrice, ...fields } = body || {};
+    const result = { ...item };
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) result[key] = value;
+    });
+    
+    if (clearPrice) {
+        result.priceCents = null;
+        result.currency = null;
+    }
+    // Tags and parts of other members of a shared vehicle are not in the synced lists, but on the item
+    if (tagIds) {
+        const tags = [...(await readOfflineList('tags') || []), ...(item.tags || [])];
+        result.tags = tagIds.map(id => tags.find(tag => tag.id === id)).filter(Boolean);
+    }
+    if (items) {
+        const parts = [...(await readOfflineList('parts') || []), ...(item.items || []).map(entry => entry.part).filter(Boolean)];
+        result.items = items.map((entry, index) => ({
+            ...entry,
+            id: `${result.id}-item-${index}`,
+            maintenanceId: result.id,
+            part: parts.find(part => part.id === entry.partId) || null
+        }));
+    }
+    return result;
+}
+
+// The server's current copy of the item, or null when it is gone
+async function fetchServerCopy(type, id) {
+    try {
+        if (type === 'TAG') {
+            const tags = await apiCall('/tags', { offlineFallback: false });
+            return tags.find(tag => tag.id === id) || null;
+        }
+        return await apiCall(`/${OFFLINE_LISTS[type].name}/${id}`, { offlineFallback: false });
+    } catch (error) {
+        if (error instanceof TypeError) throw error;
+        return null;
+    }
+}
+
+// Swaps a temporary ID in a queued write, which may use it in its endpoint, its item or its body
+function replaceOfflineId(entry, temporaryId, id) {
+    const replace = value => value.split(temporaryId).join(id);
+    return {
+        ...entry,
+        endpoint: replace(entry.endpoint),
+        itemId: replace(entry.itemId),
+        body: entry.body ? JSON.parse(replace(JSON.stringify(entry.body))) : entry.body
+    };
+}
+
+// Whether a queued write uses one of these temporary IDs, in its endpoint, its item or its body
+function usesOfflineId(entry, temporaryIds) {
+    const text = `${entry.endpoint} ${entry.itemId} ${JSON.stringify(entry.body)}`;
+    return [...temporaryIds].some(id => text.includes(id));
+}
+
+// The later writes that need an item created offline: edits of it, and records added to it,
+// along with the writes that in turn need those records
+function offlineDependents(entries, create) {
+    const temporaryIds = new Set([create.itemId]);
+    return entries.filter(entry => {
+        if (entry.id === create.id || !usesOfflineId(entry, temporaryIds)) return false;
+        if (entry.method === 'POST') temporaryIds.add(entry.itemId);
+        return true;
+    });
+}
+
+// Concurrent calls share one replay; resolves to the numbers of writes sent and held back
+function replayOfflineQueue() {
+    if (!offlineReplay) {
+        offlineReplay = sendOfflineQueue().finally(() => {
+            offlineReplay = null;
+        });
+    }
+    return offlineReplay;
+}
+
+async function sendOfflineQueue() {
+    const entries = await readOfflineQueue();
+    let sent = 0;
+    let conflicts = 0;
+    // Temporary IDs of items created offline whose create was not sent; the writes that use one
+    // wait for the create to be applied, and are discarded with it
+    const unsentIds = new Set();
+    
+    for (let index = 0; index < entries.length; index++) {
+        const entry = entries[index];
+        if (entry.conflict || usesOfflineId(entry, unsentIds)) {
+            if (entry.method === 'POST') unsentIds.add(entry.itemId);
+            continue;
+        }
+        
+        try {
+            if (entry.base !== null) {
+                const current = await fetchServerCopy(entry.type, entry.itemId);
+                if (!current && entry.method === 'DELETE') {
+                    // Already gone, which is what the write was after
+                    await removeFromOfflineQueue(entry.id);
+                    continue;
+                }
+                
+                if (!current || offlineVersion(current) !== entry.base) {
+                    await updateOfflineQueueEntry({
+                        ...entry,
+                        conflict: current ? 'It was changed on the server since it was synced' : 'It was deleted on the server'
+                    });
+                    conflicts++;
+                    continue;
+                }
+            }
+            
+            const result = await apiCall(entry.endpoint, {
+                method: entry.method,
+                body: entry.body ? JSON.stringify(entry.body) : undefined,
+                offlineFallback: false
+            });
+            await removeFromOfflineQueue(entry.id);
+            sent++;
+            
+            // Later writes to the item were made on top of this one, so they are now based on the server's new copy
+            for (let later = index + 1; later < entries.length && result; later++) {
+                let next = entry.method === 'POST' ? replaceOfflineId(entries[later], entry.itemId, result.id) : entries[later];
+                if (next.itemId === result.id && next.base !== null) {
+                    next = { ...next, base: offlineVersion(result) };
+                }
+                if (next !== entries[later]) {
+                    entries[later] = next;
+                    await updateOfflineQueueEntry(next);
+                }
+            }
+        } catch (error) {
+            // The connection or the session was lost again; the rest waits for the next replay
+            if (error instanceof TypeError || !authToken) break;
+            
+            await updateOfflineQueueEntry({ ...entry, conflict: error.message });
+            conflicts++;
+            if (entry.method === 'POST') unsentIds.add(entry.itemId);
+        }
+    }
+    
+    return { sent, conflicts };
+}
+
+// Replays the queue, then refreshes the lists from the server unless writes are still waiting to be sent,
+// whose changes the refreshed lists would not show yet
+async function syncOfflineData() {
+    if (!offlineStorageAvailable() || !currentUser || !isOnline()) return;
+    
+    try {
+        const { sent, conflicts } = await replayOfflineQueue();
+        const waiting = (await readOfflineQueue()).filter(entry => !entry.conflict);
+        if (waiting.length === 0) {
+            for (const { name, fetch } of Object.values(OFFLINE_LISTS)) {
+                await writeOfflineList(name, await fetch());
+            }
+        }
+        
+        if (conflicts > 0) {
+            showToast(`${conflicts} change${conflicts === 1 ? '' : 's'} made offline could not be applied`, 'warning', 'Offline changes',
+                { label: 'Review', onClick: showOfflineConflicts });
+        } else if (sent > 0) {
+            showToast(`${sent} change${sent === 1 ? '' : 's'} made offline ${sent === 1 ? 'was' : 'were'} saved`);
+        }
+        if (sent > 0) {
+            currentRoute = null;
+            handleRoute();
+        }
+    } catch (error) {
+        console.error('Offline sync failed:', error);
+    }
+    renderOfflineStatus();
+}
+
+// Writes made online change the lists as well, so they are synced again once the writes have settled
+function scheduleOfflineSync() {
+    clearTimeout(offlineSyncTimer);
+    offlineSyncTimer = setTimeout(syncOfflineData, OFFLINE_SYNC_DELAY_MS);
+}
+
+async function renderOfflineStatus() {
+    const container = document.getElementById('offline-status');
+    if (!offlineStorageAvailable() || !currentUser) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    const entries = await readOfflineQueue().catch(() => []);
+    const conflicts = entries.filter(entry => entry.conflict).length;
+    const waiting = entries.length - conflicts;
+    const online = isOnline();
+    
+    container.classList.toggle('hidden', online && entries.length === 0);
+    container.innerHTML = html`
+        ${online ? '' : html`<span class="offline-badge"><i class="fas fa-wifi"></i> Offline</span>`}
+        ${waiting > 0 ? html`<span>${waiting} change${waiting === 1 ? '' : 's'} waiting to sync</span>` : ''}
+        ${conflicts > 0 ? html`
+            <button class="btn btn-sm btn-warning" onclick="showOfflineConflicts()">
+                ${conflicts} conflict${conflicts === 1 ? '' : 's'}
+            </button>
+        ` : ''}
+    `;
+}
+
+async function showOfflineConflicts() {
+    const entries = await readOfflineQueue();
+    const conflicts = entries.filter(entry => entry.conflict);
+    showModal(html`
+        <div class="modal-header">
+            <h3>Offline Changes</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            ${conflicts.length === 0 ? html`<p class="empty-state">No conflicts left</p>` : html`
+                <p>These changes were made offline but not applied. Apply them anyway to overwrite the server copy, or discard them.</p>
+                <ul class="offline-conflicts">
+                    ${conflicts.map(entry => html`
+                        <li>
+                            <div>
+                                <strong>${OFFLINE_ACTIONS[entry.method]} ${TRASH_TYPES[entry.type].label} ${entry.name}</strong>
+                                <div class="offline-conflict-reason">${entry.conflict}</div>
+                                ${renderOfflineDependents(entry.method === 'POST' ? offlineDependents(entries, entry).length : 0)}
+                            </div>
+                            <div class="offline-conflict-actions">
+                                <button class="btn btn-sm btn-primary" onclick="resolveOfflineConflict(${entry.id}, true)">Apply</button>
+                                <button class="btn btn-sm" onclick="resolveOfflineConflict(${entry.id}, false)">Discard</button>
+                            </div>
+                        </li>
+                    `)}
+                </ul>
+            `}
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Close</button>
+        </div>
+    `);
+}
+
+function renderOfflineDependents(count) {
+    if (count === 0) return '';
+    return html`<div class="offline-conflict-reason">${count} later change${count === 1 ? '' : 's'} to it wait${count === 1 ? 's' : ''} for it, and ${count === 1 ? 'is' : 'are'} discarded with it</div>`;
+}
+
+// Applying sends the write again without checking the server copy; either way the lists are synced after.
+// Discarding a create also discards the writes that need the item it would have created.
+async function resolveOfflineConflict(entryId, apply) {
+    const entries = await readOfflineQueue();
+    const entry = entries.find(candidate => candidate.id === entryId);
+    if (!entry) return;
+    
+    if (apply) {
+        await updateOfflineQueueEntry({ ...entry, base: null, conflict: null });
+    } else {
+        const dependents = entry.method === 'POST' ? offlineDependents(entries, entry) : [];
+        for (const discarded of [entry, ...dependents]) {
+            await removeFromOfflineQueue(discarded.id);
+        }
+    }
+    await syncOfflineData();
+    showOfflineConflicts();
+}
+
+// Authentication Functions
+async function login(email, password) {
+    try {
+        showLoading();
+        const response = await apiCall('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ email, password })
+        });
+        
+        authToken = response.accessToken;
+        refreshToken = response.refreshToken;
+        currentUser = response.user;
+        
+        // Store tokens
+        localStorage.setItem('authToken', authToken);
+        localStorage.setItem('refreshToken', refreshToken);
+        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+        
+        showApp();
+        showToast('Logged in successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function register(email, password, name) {
+    try {
+        showLoading();
+        const response = await apiCall('/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ email, password, name })
+        });
+        
+        authToken = response.accessToken;
+        refreshToken = response.refreshToken;
+        currentUser = response.user;
+        
+        // Store tokens
+        localStorage.setItem('authToken', authToken);
+        localStorage.setItem('refreshToken', refreshToken);
+        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+        
+        showApp();
+        showToast('Account created successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function clearSession() {
+    authToken = null;
+    refreshToken = null;
+    currentUser = null;
+    
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('currentUser');
+}
+
+// Also revokes the session's refresh token on the server; signing out here does not wait for that
+async function logout() {
+    const token = refreshToken;
+    clearSession();
+    showAuth();
+    showToast('Logged out successfully!');
+    
+    // The lists and queued writes on this device are the signed-out user's
+    clearTimeout(offlineSyncTimer);
+    clearOfflineData().catch(error => console.error('Clearing offline data failed:', error));
+    
+    if (token) {
+        try {
+            await apiCall('/auth/logout', { method: 'POST', body: JSON.stringify({ refreshToken: token }) });
+        } catch {
+            // An unrevoked token still expires by itself
+        }
+    }
+}
+
+// Password Reset and Email Verification
+// The links in these mails open the web app on #/reset-password?token=... and #/verify-email?token=...
+let passwordResetToken = null;
+
+// The server answers the same for unknown emails, so the message does not say whether an account exists
+async function requestPasswordReset(email) {
+    try {
+        showLoading();
+        await apiCall('/auth/forgot', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        showLogin();
+        showToast('If an account uses this email, a link to reset its password is on its way.', 'success', 'Check your email');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// The token is taken out of the URL, so it does not stay in the history
+function showResetPassword(token) {
+    passwordResetToken = token;
+    replaceRoute('dashboard');
+    showAuth();
+    showAuthForm('reset-form');
+}
+
+async function resetPassword() {
+    const password = document.getElementById('reset-password').value;
+    if (password !== document.getElementById('reset-password-confirm').value) {
+        showToast('The passwords do not match', 'error');
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall('/auth/reset', {
+            method: 'POST',
+            body: JSON.stringify({ token: passwordResetToken, password })
+        });
+        passwordResetToken = null;
+        // Every session was signed out, this browser's included
+        clearSession();
+        showLogin();
+        showToast('Sign in with your new password.', 'success', 'Password changed');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function verifyEmail(token) {
+    replaceRoute('dashboard');
+    
+    try {
+        await apiCall('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+        if (authToken) {
+            currentUser = await apiCall('/me');
+            localStorage.setItem('currentUser', JSON.stringify(currentUser));
+        }
+        showToast('Your email address is verified.', 'success', 'Email verified');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// UI Functions
+function showAuth() {
+    document.getElementById('auth-container').classList.remove('hidden');
+    document.getElementById('app-container').classList.add('hidden');
+    document.getElementById('navbar').classList.add('hidden');
+}
+
+function showApp() {
+    document.getElementById('auth-container').classList.add('hidden');
+    document.getElementById('app-container').classList.remove('hidden');
+    document.getElementById('navbar').classList.remove('hidden');
+    
+    // Update user name
+    document.getElementById('user-name').textContent = currentUser?.name || currentUser?.email || 'User';
+    
+    // Restore the section, filters and modal from the URL
+    currentRoute = null;
+    handleRoute();
+    
+    // Sends what was changed offline since the last visit and refreshes this device's copy of the lists
+    renderOfflineStatus();
+    syncOfflineData();
+}
+
+const AUTH_FORMS = ['login-form', 'register-form', 'forgot-form', 'reset-form'];
+
+function showAuthForm(formId) {
+    AUTH_FORMS.forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== formId);
+    });
+}
+
+function showLogin() {
+    showAuthForm('login-form');
+}
+
+function showRegister() {
+    showAuthForm('register-form');
+}
+
+function showForgotPassword() {
+    document.getElementById('forgot-email').value = document.getElementById('login-email').value;
+    showAuthForm('forgot-form');
+}
+
+async function showSection(sectionName) {
+    // Hide all sections
+    document.querySelectorAll('.content-section').forEach(section => {
+        section.classList.add('hidden');
+    });
+    
+    // Show target section
+    document.getElementById(`${sectionName}-section`).classList.remove('hidden');
+    
+    // Update navigation
+    document.querySelectorAll('.nav-link').forEach(link => {
+        link.classList.remove('active');
+    });
+    document.querySelector(`[href="#/${sectionName}"]`).classList.add('active');
+    
+    currentSection = sectionName;
+    
+    // Load section data
+    switch (sectionName) {
+        case 'dashboard':
+            await loadDashboardData();
+            break;
+        case 'vehicles':
+            await loadVehicles();
+            break;
+        case 'parts':
+            await Promise.all([
+                loadParts(),
+                loadTags() // For filter dropdown
+            ]);
+            break;
+        case 'maintenance':
+            // For the filter dropdown, the tag filter and record vehicle names
+            await Promise.all([loadVehicleOptions(), loadTagOptions()]);
+            renderMaintenanceTagFilter();
+            await loadMaintenance();
+            break;
+        case 'tags':
+            await Promise.all([loadTags(), loadTagStats()]);
+            break;
+        case 'trash':
+            await loadTrash();
+            break;
+        case 'account':
+            await loadAccount();
+            break;
+    }
+}
+
+// Router
+// Routes look like #/section[/id[/action]][?params], e.g. #/maintenance/{id}/edit or #/parts?tags={id},{id}&q=oil
+const SECTIONS = ['dashboard', 'vehicles', 'parts', 'maintenance', 'tags', 'trash', 'account'];
+let currentRoute = null;
+
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    let segments;
+    try {
+        segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+        // A mangled link, such as one with a cut-off %-escape, has no section; handleRoute opens the dashboard
+        return { section: null, id: null, action: null, params: new URLSearchParams() };
+    }
+    const [section, id, action] = segments;
+    return {
+        section: section || 'dashboard',
+        id: id || null,
+        action: action || null,
+        params: new URLSearchParams(query)
+    };
+}
+
+function buildRoute(path, params = {}) {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    ).toString();
+    return `#/${path}${query ? `?${query}` : ''}`;
+}
+
+function navigate(path, params = {}) {
+    const hash = buildRoute(path, params);
+    if (window.location.hash === hash) {
+        handleRoute();
+    } else {
+        window.location.hash = hash; // handleRoute runs on hashchange
+    }
+}
+
+// Reflects UI state in the URL without adding a history entry or re-routing
+function replaceRoute(path, params = {}) {
+    history.replaceState(null, '', buildRoute(path, params));
+    currentRoute = parseRoute(window.location.hash);
+}
+
+async function handleRoute() {
+    if (!authToken) return;
+    
+    const route = parseRoute(window.location.hash);
+    if (!SECTIONS.includes(route.section)) {
+        replaceRoute('dashboard');
+        await showSection('dashboard');
+        return;
+    }
+    
+    // Only reload section data when the section itself changes; a filter change reloads its list
+    const filtersChanged = applyRouteFilters(route);
+    if (currentRoute?.section !== route.section) {
+        await showSection(route.section);
+    } else if (filtersChanged) {
+        await reloadFilteredList(route.section);
+    }
+    currentRoute = route;
+    
+    applyRouteState(route);
+}
+
+// Copies the filters in the URL into listFilters and the filter inputs; returns whether any changed
+function applyRouteFilters(route) {
+    const current = listFilters[route.section];
+    if (!current) return false;
+    
+    const filters = {};
+    Object.keys(current).forEach(key => {
+        filters[key] = route.params.get(key) || '';
+    });
+    
+    const changed = Object.keys(filters).some(key => filters[key] !== current[key]);
+    listFilters[route.section] = filters;
+    syncFilterInputs();
+    return changed;
+}
+
+function reloadFilteredList(section) {
+    switch (section) {
+        case 'parts':
+            return loadParts();
+        case 'maintenance':
+            return loadMaintenance();
+    }
+}
+
+// Also called after a filter select is refilled, as a select only takes a value it has an option for
+function syncFilterInputs() {
+    const inputs = {
+        'parts-search': listFilters.parts.q,
+        'parts-tag-match': listFilters.parts.match,
+        'maintenance-vehicle-filter': listFilters.maintenance.vehicle,
+        'maintenance-search': listFilters.maintenance.q,
+        'maintenance-date-range': listFilters.maintenance.range,
+        'maintenance-from': listFilters.maintenance.from,
+        'maintenance-to': listFilters.maintenance.to,
+        'maintenance-sort': listFilters.maintenance.sort,
+        'maintenance-tag-match': listFilters.maintenance.match
+    };
+    Object.entries(inputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+    renderPartsTagFilter();
+    renderMaintenanceTagFilter();
+    document.getElementById('maintenance-custom-range')?.classList.toggle('hidden', listFilters.maintenance.range !== 'custom');
+}
+
+function applyRouteState(route) {
+    switch (route.section) {
+        case 'vehicles':
+            if (route.id && !route.action) {
+                showVehicleDetail(route.id);
+                break;
+            }
+            if (route.id && route.action === 'report') {
+                showVehicleReport(route.id);
+                break;
+            }
+            showVehicleList();
+            if (route.id && route.action === 'edit') {
+                showEditVehicleModal(route.id);
+            }
+            break;
+        case 'parts':
+            if (route.id && route.action === 'edit') {
+                showEditPart(route.id);
+            }
+            break;
+        case 'maintenance':
+            if (route.id && route.action === 'edit') {
+                showEditMaintenanceModal(route.id);
+            }
+            break;
+        case 'tags':
+            if (route.id && route.action === 'edit') {
+                showEditTag(route.id);
+            }
+            break;
+    }
+}
+
+// Path of the current section including its filters, used when a record route is closed
+function currentSectionRoute() {
+    const route = currentRoute || parseRoute(window.location.hash);
+    return { path: route.section, params: Object.fromEntries(route.params) };
+}
+
+// Modal Functions
+function showModal(content) {
+    document.getElementById('modal-content').innerHTML = content;
+    document.getElementById('modal-overlay').classList.remove('hidden');
+}
+
+function hideModal() {
+    document.getElementById('modal-overlay').classList.add('hidden');
+    
+    // Closing a record modal returns the URL to its section
+    if (currentRoute?.action) {
+        const { path, params } = currentSectionRoute();
+        replaceRoute(path, params);
+    }
+}
+
+// Dashboard Functions
+let dashboardSpendPeriod = 'month';
+
+async function loadDashboardData() {
+    try {
+        // Figures come from the stats endpoint so they cover every record, not just a fetched page
+        const [stats, maintenance] = await Promise.all([
+            apiCall('/stats'),
+            apiCall('/maintenance?pageSize=5'),
+            loadSchedules()
+        ]);
+        appData.stats = stats;
+        
+        // Update counts
+        document.getElementById('vehicles-count').textContent = stats.vehicleCount || 0;
+        document.getElementById('parts-count').textContent = stats.partCount || 0;
+        document.getElementById('tags-count').textContent = stats.tagCount || 0;
+        document.getElementById('maintenance-count').textContent = stats.maintenanceCount || 0;
+        
+        renderSpendChart();
+        document.getElementById('distance-unit-preference').value = currentUser?.distanceUnit || 'KM';
+        renderVehicleCosts(stats.vehicleCosts || []);
+        renderTopParts(stats.topParts || []);
+        renderTopTags(stats.topTags || []);
+        renderUpcomingService(stats.upcomingService || []);
+        renderDueSchedules();
+        renderRecentMaintenance(maintenance.data || []);
+        
+    } catch (error) {
+        showToast('Failed to load dashboard data', 'error');
+    }
+}
+
+// Distances in the stats are converted server side, so a new unit means fetching them again
+async function setDistanceUnit(distanceUnit) {
+    try {
+        currentUser = await apiCall('/me/preferences', {
+            method: 'PUT',
+            body: JSON.stringify({ distanceUnit })
+        });
+        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+        await loadDashboardData();
+    } catch (error) {
+        showToast('Failed to save distance unit: ' + error.message, 'error');
+    }
+}
+
+function setSpendPeriod(period) {
+    dashboardSpendPeriod = period;
+    document.querySelectorAll('.spend-period-toggle button').forEach(button => {
+        button.classList.toggle('active', button.dataset.period === period);
+    });
+    renderSpendChart();
+}
+
+// The currency with the most spend; bars are scaled on it while labels show every currency
+function mainCurrency(periods) {
+    const sums = {};
+    periods.forEach(period => Object.entries(period.totalsCents).forEach(([currency, cents]) => {
+        sums[currency] = (sums[currency] || 0) + cents;
+    }));
+    const ranked = Object.entries(sums).filter(([, cents]) => cents > 0).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+function formatSpendPeriod(period) {
+    const [year, month] = period.split('-').map(Number);
+    return month ? new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short' }) : String(year);
+}
+
+function renderSpendChart() {
+    const container = document.getElementById('spend-chart');
+    const periods = (dashboardSpendPeriod === 'year' ? appData.stats?.yearlySpend : appData.stats?.monthlySpend) || [];
+    const currency = mainCurrency(periods);
+    
+    if (!currency) {
+        container.innerHTML = '<p class="empty-state">No costs recorded yet</p>';
+        return;
+    }
+    
+    const highest = Math.max(...periods.map(period => period.totalsCents[currency] || 0));
+    container.innerHTML = html`${periods.map(period => {
+        const height = Math.round((period.totalsCents[currency] || 0) / highest * 100);
+        return html`
+            <div class="spend-bar" title="${period.period}: ${formatCostTotals(period.totalsCents)}">
+                <div class="spend-bar-track">
+                    <div class="spend-bar-fill" style="height: ${height}%"></div>
+                </div>
+                <span class="spend-bar-label">${formatSpendPeriod(period.period)}</span>
+            </div>
+        `;
+    })}`;
+}
+
+// Cost per distance unit, kept per currency like the totals
+function costPerDistance(totalsCents, distance) {
+    if (!distance) return null;
+    return Object.fromEntries(Object.entries(totalsCents).map(([currency, cents]) => [currency, cents / distance]));
+}
+
+function renderVehicleCosts(vehicleCosts) {
+    const container = document.getElementById('vehicle-costs');
+    
+    if (vehicleCosts.length === 0) {
+        container.innerHTML = '<p class="empty-state">No vehicles yet</p>';
+        return;
+    }
+    
+    container.innerHTML = html`
+        <table class="stats-table">
+            <thead>
+                <tr><th>Vehicle</th><th>Records</th><th>Total</th><th>Distance</th><th>Per distance</th></tr>
+            </thead>
+            <tbody>
+                ${vehicleCosts.map(cost => {
+                    const perDistance = costPerDistance(cost.totalsCents, cost.distance);
+                    return html`
+                        <tr>
+                            <td>${formatVehicleDisplay(cost.vehicle)}</td>
+                            <td>${cost.recordCount}</td>
+                            <td>${formatCostTotals(cost.totalsCents)}</td>
+                            <td>${cost.distance ? formatOdometer(cost.distance, cost.distanceUnit) : '—'}</td>
+                            <td>${perDistance ? `${formatCostTotals(perDistance)} / ${odoUnitShort(cost.distanceUnit)}` : '—'}</td>
+                        </tr>
+                    `;
+                })}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderTopParts(topParts) {
+    const container = document.getElementById('top-parts');
+    
+    if (topParts.length === 0) {
+        container.innerHTML = '<p class="empty-state">No parts used yet</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${topParts.map(usage => html`
+        <div class="usage-item">
+            <span class="usage-name">${usage.name}</span>
+            <span class="usage-count">${usage.recordCount} record${usage.recordCount === 1 ? '' : 's'} · qty ${usage.totalQuantity}</span>
+        </div>
+    `)}`;
+}
+
+function renderTopTags(topTags) {
+    const container = document.getElementById('top-tags');
+    
+    if (topTags.length === 0) {
+        container.innerHTML = '<p class="empty-state">No tagged parts used yet</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${topTags.map(usage => html`
+        <div class="usage-item">
+            <span class="tag tag-colored" style="--color: ${safeColor(usage.tag.color)}">${usage.tag.name}</span>
+            <span class="usage-count">${usage.recordCount} record${usage.recordCount === 1 ? '' : 's'}</span>
+        </div>
+    `)}`;
+}
+
+function renderUpcomingService(upcoming) {
+    const container = document.getElementById('upcoming-service');
+    
+    if (upcoming.length === 0) {
+        container.innerHTML = '<p class="empty-state">Services show up here once they have been done twice</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${upcoming.map(service => html`
+        <div class="maintenance-item">
+            <div class="maintenance-item-info">
+                <div class="vehicle-info">${formatVehicleDisplay(service.vehicle)}</div>
+                <div class="maintenance-desc">${service.title}</div>
+            </div>
+            ${service.overdue ? html`<span class="status-badge overdue">Overdue</span>` : ''}
+            <span class="maintenance-date">
+                ${formatDate(service.dueAt)}${service.dueOdo !== null && service.dueOdo !== undefined ? ` or ${formatOdometer(service.dueOdo, service.vehicle.odoUnit)}` : ''}
+            </span>
+        </div>
+    `)}`;
+}
+
+function renderRecentMaintenance(maintenance) {
+    const container = document.getElementById('recent-maintenance');
+    
+    if (maintenance.length === 0) {
+        container.innerHTML = '<p class="empty-state">No recent maintenance records</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${maintenance.map(record => html`
+        <div class="maintenance-item">
+            <div class="maintenance-item-info">
+                <div class="vehicle-info">${formatVehicleDisplay(record.vehicle)}</div>
+                <div class="maintenance-desc">${record.title}</div>
+            </div>
+            <span class="maintenance-cost">${formatCostTotals(sumCostsByCurrency(record.items || []))}</span>
+            <span class="maintenance-date">${formatDate(record.happenedAt)}</span>
+        </div>
+    `)}`;
+}
+
+// Vehicle Functions
+async function loadVehicles() {
+    try {
+        showLoading();
+        resetPager('vehicles');
+        const [vehicles] = await Promise.all([
+            fetchNextPage('vehicles', fetchVehiclesPage),
+            loadVehicleOptions(),
+            loadSchedules()
+        ]);
+        appData.vehicles = vehicles;
+        renderVehicles();
+        renderPager('vehicles');
+    } catch (error) {
+        showToast('Failed to load vehicles', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function fetchVehiclesPage(page) {
+    return apiCall(`/vehicles?page=${page}&pageSize=${PAGE_SIZE}`);
+}
+
+async function loadMoreVehicles() {
+    try {
+        const vehicles = await fetchNextPage('vehicles', fetchVehiclesPage);
+        if (vehicles.length === 0) return;
+        
+        appData.vehicles.push(...vehicles);
+        renderVehicles();
+        renderPager('vehicles');
+    } catch (error) {
+        showToast('Failed to load vehicles', 'error');
+    }
+}
+
+// Loads every vehicle for the dropdowns and the maintenance list
+async function loadVehicleOptions() {
+    appData.vehicleOptions = await fetchAllPages('/vehicles');
+    
+    // Update maintenance filter dropdown
+    const filterSelect = document.getElementById('maintenance-vehicle-filter');
+    if (filterSelect) {
+        filterSelect.innerHTML = html`<option value="">All Vehicles</option>${appData.vehicleOptions.map(vehicle => 
+            html`<option value="${vehicle.id}">${vehicle.manufacturer} ${vehicle.model} (${vehicle.licensePlate || 'No plate'})</option>`
+        )}`;
+        syncFilterInputs();
+    }
+}
+
+function renderVehicles() {
+    const container = document.getElementById('vehicles-grid');
+    
+    if (appData.vehicles.length === 0) {
+        container.innerHTML = '<p class="empty-state">No vehicles added yet</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${appData.vehicles.map(vehicle => html`
+        <div class="vehicle-card clickable" onclick="navigate('vehicles/${vehicle.id}')">
+            <div class="card-header">
+                <div class="card-title">${vehicle.manufacturer} ${vehicle.model}</div>
+                ${renderScheduleBadges(appData.schedules.filter(schedule => schedule.vehicleId === vehicle.id))}
+                <div class="card-actions" onclick="event.stopPropagation()">
+                    <button class="btn btn-sm" onclick="showVehicleMembersModal('${vehicle.id}')" title="Sharing">
+                        <i class="fas fa-user-friends"></i>
+                    </button>
+                    ${isOwnVehicle(vehicle) ? html`
+                        <button class="btn btn-sm" onclick="editVehicle('${vehicle.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-error" onclick="deleteVehicle('${vehicle.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            <div class="card-meta">
+                ${renderSharedMarker(vehicle)}
+                ${vehicle.licensePlate ? html`<div class="meta-item"><i class="fas fa-id-card"></i> ${vehicle.licensePlate}</div>` : ''}
+                ${vehicle.vin ? html`<div class="meta-item"><i class="fas fa-barcode"></i> ${vehicle.vin}</div>` : ''}
+                ${vehicle.buildYear ? html`<div class="meta-item"><i class="fas fa-calendar"></i> ${vehicle.buildYear}</div>` : ''}
+                ${vehicle.fuelType ? html`<div class="meta-item"><i class="fas fa-gas-pump"></i> ${vehicle.fuelType}</div>` : ''}
+                ${vehicle.currentOdo ? html`<div class="meta-item"><i class="fas fa-tachometer-alt"></i> ${formatOdometer(vehicle.currentOdo, vehicle.odoUnit)}</div>` : ''}
+            </div>
+        </div>
+    `)}`;
+}
+
+function showAddVehicleModal() {
+    const content = html`
+        <div class="modal-header">
+            <h3>Add Vehicle</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <form id="add-vehicle-form">
+                <div class="form-group">
+                    <label for="vehicle-manufacturer">Manufacturer *</label>
+                    <input type="text" id="vehicle-manufacturer" required>
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-model">Model *</label>
+                    <input type="text" id="vehicle-model" required>
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-license-plate">License Plate</label>
+                    <input type="text" id="vehicle-license-plate">
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-vin">VIN</label>
+                    <input type="text" id="vehicle-vin">
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-build-year">Build Year</label>
+                    <input type="number" id="vehicle-build-year" min="1900" max="2030">
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-fuel-type">Fuel Type</label>
+                    <input type="text" id="vehicle-fuel-type" placeholder="e.g., Gasoline, Diesel, Electric">
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-odo-unit">Odometer Unit</label>
+                    <select id="vehicle-odo-unit">
+                        ${renderOdoUnitOptions()}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-current-odo">Current Odometer Reading</label>
+                    <input type="number" id="vehicle-current-odo" min="0">
+                </div>
+            </form>
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="addVehicle()">Add Vehicle</button>
+        </div>
+    `;
+    showModal(content);
+}
+
+async function addVehicle() {
+    const form = document.getElementById('add-vehicle-form');
+    const formData = new FormData(form);
+    
+    const vehicleData = {
+        manufacturer: document.getElementById('vehicle-manufacturer').value,
+        model: document.getElementById('vehicle-model').value,
+        licensePlate: document.getElementById('vehicle-license-plate').value || null,
+        vin: document.getElementById('vehicle-vin').value || null,
+        buildYear: document.getElementById('vehicle-build-year').value ? parseInt(document.getElementById('vehicle-build-year').value) : null,
+        fuelType: document.getElementById('vehicle-fuel-type').value || null,
+        odoUnit: document.getElementById('vehicle-odo-unit').value,
+        currentOdo: document.getElementById('vehicle-current-odo').value ? parseInt(document.getElementById('vehicle-current-odo').value) : null
+    };
+    
+    try {
+        showLoading();
+        await apiCall('/vehicles', {
+            method: 'POST',
+            body: JSON.stringify(vehicleData)
+        });
+        
+        hideModal();
+        loadVehicles();
+        showToast('Vehicle added successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function showEditVehicleModal(vehicleId) {
+    const vehicle = appData.vehicles.find(v => v.id === vehicleId) ||
+        appData.vehicleOptions.find(v => v.id === vehicleId);
+    if (!vehicle) {
+        showToast('Vehicle not found', 'error');
+        return;
+    }
+    
+    const content = html`
+        <div class="modal-header">
+            <h3>Edit Vehicle</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <form id="edit-vehicle-form">
+                <div class="form-group">
+                    <label for="edit-vehicle-manufacturer">Manufacturer *</label>
+                    <input type="text" id="edit-vehicle-manufacturer" required value="${vehicle.manufacturer}">
+                </div>
+                <div class="form-group">
+                    <label for="edit-vehicle-model">Model *</label>
+                    <input type="text" id="edit-vehicle-model" required value="${vehicle.model}">
+                </div>
+                <div class="form-group">
+                    <label for="edit-vehicle-license-plate">License Plate</label>
+                    <input type="text" id="edit-vehicle-license-plate" value="${vehicle.licensePlate || ''}">
+                </div>
+                <div class="form-group">
+                    <label for="edit-vehicle-vin">VIN</label>
+                    <input type="text" id="edit-vehicle-vin" value="${vehicle.vin || ''}">
+                </div>
+                <div class="form-group">
+                    <label for="edit-vehicle-build-year">Build Year</label>
+                    <input type="number" id="edit-vehicle-build-year" min="1900" max="2030" value="${vehicle.buildYear || ''}">
+                </div>
+                <div class="form-group">
+                    <label for="edit-vehicle-fuel-type">Fuel Type</label>
+                    <select id="edit-vehicle-fuel-type">
+                        <option value="">Select fuel type</option>
+                        <option value="Gasoline" ${vehicle.fuelType === 'Gasoline' ? 'selected' : ''}>Gasoline</option>
+                        <option value="Diesel" ${vehicle.fuelType === 'Diesel' ? 'selected' : ''}>Diesel</option>
+                        <option value="Electric" ${vehicle.fuelType === 'Electric' ? 'selected' : ''}>Electric</option>
+                        <option value="Hybrid" ${vehicle.fuelType === 'Hybrid' ? 'selected' : ''}>Hybrid</option>
+                        <option value="LPG" ${vehicle.fuelType === 'LPG' ? 'selected' : ''}>LPG</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="edit-vehicle-odo-unit">Odometer Unit</label>
+                    <select id="edit-vehicle-odo-unit">
+                        ${renderOdoUnitOptions(vehicle.odoUnit)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="edit-vehicle-current-odo">Current Odometer Reading</label>
+                    <input type="number" id="edit-vehicle-current-odo" min="0" value="${vehicle.currentOdo || ''}">
+                </div>
+            </form>
+            ${renderAuditHistoryPanel()}
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="updateVehicle('${vehicleId}')">Update Vehicle</button>
+        </div>
+    `;
+    showModal(content);
+    loadAuditHistory('VEHICLE', vehicleId);
+}
+
+async function updateVehicle(vehicleId) {
+    const vehicleData = {
+        manufacturer: document.getElementById('edit-vehicle-manufacturer').value,
+        model: document.getElementById('edit-vehicle-model').value,
+        licensePlate: document.getElementById('edit-vehicle-license-plate').value || null,
+        vin: document.getElementById('edit-vehicle-vin').value || null,
+        buildYear: document.getElementById('edit-vehicle-build-year').value ? parseInt(document.getElementById('edit-vehicle-build-year').value) : null,
+        fuelType: document.getElementById('edit-vehicle-fuel-type').value || null,
+        odoUnit: document.getElementById('edit-vehicle-odo-unit').value,
+        currentOdo: document.getElementById('edit-vehicle-current-odo').value ? parseInt(document.getElementById('edit-vehicle-current-odo').value) : null
+    };
+    
+    try {
+        showLoading();
+        await apiCall(`/vehicles/${vehicleId}`, {
+            method: 'PUT',
+            body: JSON.stringify(vehicleData)
+        });
+        
+        hideModal();
+        loadVehicles();
+        showToast('Vehicle updated successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function editVehicle(vehicleId) {
+    navigate(`vehicles/${vehicleId}/edit`);
+}
+
+// Vehicle Detail Functions
+function showVehicleList() {
+    document.getElementById('vehicle-detail-section').classList.add('hidden');
+    document.getElementById('vehicles-section').classList.remove('hidden');
+}
+
+async function showVehicleDetail(vehicleId) {
+    document.getElementById('vehicles-section').classList.add('hidden');
+    document.getElementById('vehicle-detail-section').classList.remove('hidden');
+    
+    try {
+        showLoading();
+        // Schedules and the odometer log are not kept offline; null shows their panel as unavailable
+        const unlessOffline = request => request.catch(error => {
+            if (error.name === 'OfflineError') return null;
+            throw error;
+        });
+        const [vehicle, records, schedules, odometerLog] = await Promise.all([
+            apiCall(`/vehicles/${vehicleId}`),
+            fetchAllPages(`/vehicles/${vehicleId}/maintenance`),
+            unlessOffline(apiCall(`/vehicles/${vehicleId}/schedules`)),
+            unlessOffline(apiCall(`/vehicles/${vehicleId}/odometer`))
+        ]);
+        renderVehicleDetail(vehicle, records, schedules, odometerLog);
+    } catch (error) {
+        document.getElementById('vehicle-detail').innerHTML = '<p class="empty-state">Vehicle not found</p>';
+        showToast('Failed to load vehicle', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Re-renders the detail view after a change made from it
+function refreshVehicleDetail() {
+    if (currentRoute?.section === 'vehicles' && currentRoute.id && !currentRoute.action) {
+        showVehicleDetail(currentRoute.id);
+    }
+}
+
+function renderVehicleDetail(vehicle, records, schedules = [], odometerLog = []) {
+    const container = document.getElementById('vehicle-detail');
+    
+    const timeline = [...records].sort((a, b) =>
+        a.happenedAt.localeCompare(b.happenedAt) || (a.odoReading ?? 0) - (b.odoReading ?? 0)
+    );
+    const totals = sumCostsByCurrency(records.flatMap(record => record.items || []));
+    const lastService = timeline[timeline.length - 1];
+    const lastOdoService = timeline.filter(record => record.odoReading !== null && record.odoReading !== undefined).pop();
+    const sinceLastService = vehicle.currentOdo !== null && vehicle.currentOdo !== undefined && lastOdoService
+        ? vehicle.currentOdo - lastOdoService.odoReading
+        : null;
+    
+    container.innerHTML = html`
+        <div class="section-header">
+            <h2>
+                <a href="#/vehicles" class="btn btn-sm" title="Back to vehicles"><i class="fas fa-arrow-left"></i></a>
+                ${vehicle.manufacturer} ${vehicle.model}
+            </h2>
+            <div class="card-actions">
+                <a href="#/vehicles/${vehicle.id}/report" class="btn">
+                    <i class="fas fa-file-alt"></i> Report
+                </a>
+                <button class="btn" onclick="showVehicleMembersModal('${vehicle.id}')">
+                    <i class="fas fa-user-friends"></i> ${isOwnVehicle(vehicle) ? 'Share' : 'Sharing'}
+                </button>
+                ${isOwnVehicle(vehicle) ? html`
+                    <button class="btn" onclick="editVehicle('${vehicle.id}')">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                ` : ''}
+                ${vehicle.role !== 'VIEWER' ? html`
+                    <button class="btn btn-primary" onclick="showAddMaintenanceModal('${vehicle.id}')">
+                        <i class="fas fa-plus"></i> Add Record
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+        <div class="vehicle-detail-meta">
+            ${renderSharedMarker(vehicle)}
+            ${vehicle.licensePlate ? html`<div class="meta-item"><i class="fas fa-id-card"></i> ${vehicle.licensePlate}</div>` : ''}
+            ${vehicle.vin ? html`<div class="meta-item"><i class="fas fa-barcode"></i> ${vehicle.vin}</div>` : ''}
+            ${vehicle.buildYear ? html`<div class="meta-item"><i class="fas fa-calendar"></i> ${vehicle.buildYear}</div>` : ''}
+            ${vehicle.fuelType ? html`<div class="meta-item"><i class="fas fa-gas-pump"></i> ${vehicle.fuelType}</div>` : ''}
+            ${vehicle.currentOdo ? html`<div class="meta-item"><i class="fas fa-tachometer-alt"></i> ${formatOdometer(vehicle.currentOdo, vehicle.odoUnit)}</div>` : ''}
+        </div>
+        <div class="dashboard-grid">
+            <div class="stat-card">
+                <div class="stat-icon"><i class="fas fa-coins"></i></div>
+                <div class="stat-content">
+                    <h3>${formatCostTotals(totals)}</h3>
+                    <p>Total Spend</p>
+                </div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-icon"><i class="fas fa-wrench"></i></div>
+                <div class="stat-content">
+                    <h3>${records.length}</h3>
+                    <p>Maintenance Records</p>
+                </div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-icon"><i class="fas fa-road"></i></div>
+                <div class="stat-content">
+                    <h3>${sinceLastService !== null ? formatOdometer(sinceLastService, vehicle.odoUnit) : '—'}</h3>
+                    <p>Since Last Service</p>
+                </div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-icon"><i class="fas fa-calendar-check"></i></div>
+                <div class="stat-content">
+                    <h3>${lastService ? formatDate(lastService.happenedAt) : '—'}</h3>
+                    <p>Last Service</p>
+                </div>
+            </div>
+        </div>
+        <div class="recent-activity schedule-panel">
+            <div class="stats-panel-header">
+                <h3>Odometer</h3>
+                ${isOwnVehicle(vehicle) ? html`
+                    <button class="btn btn-sm" onclick="showAddOdometerReadingModal('${vehicle.id}')">
+                        <i class="fas fa-plus"></i> Add Reading
+                    </button>
+                ` : ''}
+            </div>
+            ${odometerLog === null ? renderNotAvailableOffline() : html`
+                ${renderOdometerChart(odometerLog, vehicle.odoUnit)}
+                ${renderOdometerLog(odometerLog, vehicle.odoUnit, vehicle.role)}
+            `}
+        </div>
+        <div class="recent-activity schedule-panel">
+            <div class="stats-panel-header">
+                <h3>Service Schedules</h3>
+                ${isOwnVehicle(vehicle) ? html`
+                    <button class="btn btn-sm" onclick="showAddScheduleModal('${vehicle.id}')">
+                        <i class="fas fa-plus"></i> Add Schedule
+                    </button>
+                ` : ''}
+            </div>
+            ${schedules === null ? renderNotAvailableOffline() : schedules.length === 0
+                ? html`<p class="empty-state">No service schedules for this vehicle yet</p>`
+                : html`<div class="activity-list">${schedules.map(schedule => renderScheduleItem(schedule, vehicle))}</div>`}
+        </div>
+        <div class="recent-activity">
+            <h3>Service Timeline</h3>
+            ${timeline.length === 0 ? html`<p class="empty-state">No maintenance records for this vehicle yet</p>` : html`
+                <div class="vehicle-timeline">
+                    ${timeline.map(record => renderTimelineEntry(record, vehicle))}
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function renderTimelineEntry(record, vehicle) {
+    const items = record.items || [];
+    
+    return html`
+        <div class="timeline-entry">
+            <div class="timeline-marker"></div>
+            <div class="timeline-content">
+                <div class="timeline-header">
+                    <div class="maintenance-desc">${record.title}</div>
+                    ${vehicle.role !== 'VIEWER' ? html`<a href="#/maintenance/${record.id}/edit" class="btn btn-sm" title="Edit"><i class="fas fa-edit"></i></a>` : ''}
+                </div>
+                <div class="timeline-meta">
+                    <span class="meta-item"><i class="fas fa-calendar"></i> ${formatDate(record.happenedAt)}</span>
+                    ${record.odoReading !== null && record.odoReading !== undefined
+                        ? html`<span class="meta-item"><i class="fas fa-tachometer-alt"></i> ${formatOdometer(record.odoReading, vehicle.odoUnit)}</span>`
+                        : ''}
+                    <span class="meta-item"><i class="fas fa-coins"></i> ${formatCostTotals(sumCostsByCurrency(items))}</span>
+                    ${renderRecordAuthors(record)}
+                </div>
+                ${items.length > 0 ? html`
+                    <div class="item-list">
+                        ${items.map(item => html`
+                            <div class="maintenance-item">
+                                <span>${item.part?.name || 'Unknown Part'}</span>
+                                <span>${item.quantity} ${item.unit || ''}</span>
+                                <span>${itemTotalCents(item) !== null ? formatCurrency(itemTotalCents(item), item.part?.currency || 'EUR') : '—'}</span>
+                            </div>
+                        `)}
+                    </div>
+                ` : ''}
+                ${record.notes ? html`<p class="timeline-notes">${record.notes}</p>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+function deleteVehicle(vehicleId) {
+    confirmDelete('VEHICLE', vehicleId);
+}
+
+// Vehicle Sharing Functions
+// Owners share vehicles with other registered users as editor, who logs and edits maintenance, or viewer
+const VEHICLE_ROLES = {
+    OWNER: 'Owner',
+    EDITOR: 'Editor',
+    VIEWER: 'Viewer'
+};
+
+function isOwnVehicle(vehicle) {
+    return !vehicle.role || vehicle.role === 'OWNER';
+}
+
+// The user's role on a vehicle of the dropdowns; records only carry a summary of their vehicle
+function vehicleRole(vehicleId) {
+    return appData.vehicleOptions.find(vehicle => vehicle.id === vehicleId)?.role || 'OWNER';
+}
+
+function formatUserName(user) {
+    if (user.id === currentUser?.id) return 'you';
+    return user.name || user.email;
+}
+
+function renderSharedMarker(vehicle) {
+    if (isOwnVehicle(vehicle)) return '';
+    return html`
+        <div class="meta-item shared-marker">
+            <i class="fas fa-user-friends"></i> Shared with you by ${vehicle.sharedBy} · ${VEHICLE_ROLES[vehicle.role]}
+        </div>
+    `;
+}
+
+// Shown when someone else logged or last edited the record, as happens on shared vehicles
+function renderRecordAuthors(record) {
+    const { createdBy, updatedBy } = record;
+    if (![createdBy, updatedBy].some(user => user && user.id !== currentUser?.id)) return '';
+    
+    const edited = updatedBy && updatedBy.id !== createdBy?.id;
+    return html`
+        <span class="meta-item record-authors">
+            <i class="fas fa-user-edit"></i>
+            Logged by ${createdBy ? formatUserName(createdBy) : 'a former member'}${edited ? html` · edited by ${formatUserName(updatedBy)}` : ''}
+        </span>
+    `;
+}
+
+async function showVehicleMembersModal(vehicleId) {
+    let vehicle;
+    let members;
+    try {
+        showLoading();
+        [vehicle, members] = await Promise.all([
+            apiCall(`/vehicles/${vehicleId}`),
+            apiCall(`/vehicles/${vehicleId}/members`),
+            loadVehicleOptions()
+        ]);
+    } catch (error) {
+        showToast('Failed to load who this vehicle is shared with', 'error');
+        return;
+    } finally {
+        hideLoading();
+    }
+    
+    const owned = isOwnVehicle(vehicle);
+    const content = html`
+        <div class="modal-header">
+            <h3>Sharing: ${vehicle.manufacturer} ${vehicle.model}</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            ${owned ? '' : html`<p class="form-hint">${vehicle.sharedBy} shared this vehicle with you as ${VEHICLE_ROLES[vehicle.role].toLowerCase()}.</p>`}
+            ${members.length === 0
+                ? html`<p class="empty-state">This vehicle is not shared with anyone yet</p>`
+                : html`
+                    <div class="activity-list member-list">
+                        ${members.map(member => html`
+                            <div class="maintenance-item">
+                                <span class="maintenance-desc">${member.user.name || member.user.email}</span>
+                                <span class="member-email">${member.user.name ? member.user.email : ''}</span>
+                                <span class="member-role">${VEHICLE_ROLES[member.role]}</span>
+                                ${owned || member.user.id === currentUser?.id ? html`
+                                    <button class="btn btn-sm btn-error" onclick="removeVehicleMember('${vehicle.id}', '${member.user.id}')">
+                                        ${member.user.id === currentUser?.id ? 'Leave' : 'Remove'}
+                                    </button>
+                                ` : ''}
+                            </div>
+                        `)}
+                    </div>
+                `}
+            ${owned ? html`
+                <form id="share-vehicle-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="share-email">Email *</label>
+                            <input type="email" id="share-email" required placeholder="Their Revix account's email">
+                        </div>
+                        <div class="form-group">
+                            <label for="share-role">Role</label>
+                            <select id="share-role">
+                                <option value="EDITOR">Editor: logs and edits maintenance</option>
+                                <option value="VIEWER">Viewer: can only look</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="share-vehicles">Vehicles</label>
+                        <select id="share-vehicles" multiple>
+                            ${appData.vehicleOptions.filter(isOwnVehicle).map(option =>
+                                html`<option value="${option.id}" ${option.id === vehicle.id ? 'selected' : ''}>${formatVehicleDisplay(option)}</option>`
+                            )}
+                        </select>
+                        <p class="form-hint">Select several vehicles to share them all at once; sharing again changes the role.</p>
+                    </div>
+                </form>
+            ` : ''}
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Close</button>
+            ${owned ? html`<button class="btn btn-primary" onclick="shareVehicles('${vehicle.id}')">Share</button>` : ''}
+        </div>
+    `;
+    showModal(content);
+}
+
+async function shareVehicles(vehicleId) {
+    const email = document.getElementById('share-email').value.trim();
+    const vehicleIds = Array.from(document.getElementById('share-vehicles').selectedOptions).map(option => option.value);
+    
+    if (!email) {
+        showToast('Enter the email of the person to share with', 'error');
+        return;
+    }
+    if (vehicleIds.length === 0) {
+        showToast('Select at least one vehicle to share', 'error');
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall('/vehicles/members', {
+            method: 'POST',
+            body: JSON.stringify({ email, role: document.getElementById('share-role').value, vehicleIds })
+        });
+        showToast(vehicleIds.length === 1 ? `Shared with ${email}` : `Shared ${vehicleIds.length} vehicles with ${email}`);
+        await showVehicleMembersModal(vehicleId);
+    } catch (error) {
+        showToast('Failed to share: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Leaving a vehicle shared with you takes you back to your own vehicles
+async function removeVehicleMember(vehicleId, userId) {
+    const leaving = userId === currentUser?.id;
+    try {
+        showLoading();
+        await apiCall(`/vehicles/${vehicleId}/members/${userId}`, { method: 'DELETE' });
+        if (leaving) {
+            hideModal();
+            showToast('You no longer see this vehicle');
+            navigate('vehicles');
+            loadVehicles();
+        } else {
+            showToast('Stopped sharing with them');
+            await showVehicleMembersModal(vehicleId);
+        }
+    } catch (error) {
+        showToast('Failed to update sharing: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Vehicle Report Functions
+// The service history for a buyer, laid out for printing; the PDF download is rendered by the server
+async function showVehicleReport(vehicleId) {
+    document.getElementById('vehicles-section').classList.add('hidden');
+    document.getElementById('vehicle-detail-section').classList.remove('hidden');
+    
+    try {
+        showLoading();
+        renderVehicleReport(await apiCall(`/vehicles/${vehicleId}/report`));
+    } catch (error) {
+        document.getElementById('vehicle-detail').innerHTML = '<p class="empty-state">Vehicle not found</p>';
+        showToast('Failed to load the report', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderVehicleReport(report) {
+    const { vehicle, records, odometerLog } = report;
+    const details = [
+        ['License plate', vehicle.licensePlate],
+        ['VIN', vehicle.vin],
+        ['Build year', vehicle.buildYear],
+        ['Fuel type', vehicle.fuelType],
+        ['Odometer', vehicle.currentOdo !== null && vehicle.currentOdo !== undefined ? formatOdometer(vehicle.currentOdo, vehicle.odoUnit) : null]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+    
+    document.getElementById('vehicle-detail').innerHTML = html`
+        <div class="report-toolbar no-print">
+            <a href="#/vehicles/${vehicle.id}" class="btn btn-sm" title="Back to vehicle"><i class="fas fa-arrow-left"></i></a>
+            <button class="btn" onclick="window.print()"><i class="fas fa-print"></i> Print</button>
+            <button class="btn btn-primary" onclick="downloadVehicleReportPdf('${vehicle.id}')"><i class="fas fa-file-pdf"></i> Download PDF</button>
+        </div>
+        <article class="vehicle-report">
+            <header class="report-header">
+                <h1>Service History</h1>
+                <h2>${vehicle.manufacturer} ${vehicle.model}</h2>
+                <dl class="report-details">
+                    ${details.map(([label, value]) => html`<div><dt>${label}</dt><dd>${value}</dd></div>`)}
+                </dl>
+                <p class="report-summary">
+                    ${records.length === 0
+                        ? 'No maintenance records'
+                        : `${records.length} maintenance ${records.length === 1 ? 'record' : 'records'} from ${formatDate(records[0].happenedAt)} to ${formatDate(records[records.length - 1].happenedAt)}`}
+                    · Total spend <strong>${formatCostTotals(report.totalsCents)}</strong>
+                </p>
+            </header>
+            ${records.length > 0 ? html`
+                <section>
+                    <h3>Maintenance Records</h3>
+                    <table class="report-table">
+                        <thead>
+                            <tr><th>Date</th><th>Odometer</th><th>Service</th><th>Parts</th><th class="report-amount">Cost</th></tr>
+                        </thead>
+                        <tbody>
+                            ${records.map(record => html`
+                                <tr>
+                                    <td>${formatDate(record.happenedAt)}</td>
+                                    <td>${record.odoReading !== null && record.odoReading !== undefined ? formatOdometer(record.odoReading, vehicle.odoUnit) : '—'}</td>
+                                    <td>
+                                        <strong>${record.title}</strong>
+                                        ${record.notes ? html`<div class="report-notes">${record.notes}</div>` : ''}
+                                    </td>
+                                    <td>
+                                        ${(record.items || []).map(item => html`
+                                            <div>${item.quantity}${item.unit ? ` ${item.unit}` : ''} × ${item.part?.name || 'Unknown part'}</div>
+                                        `)}
+                                    </td>
+                                    <td class="report-amount">${formatCostTotals(sumCostsByCurrency(record.items || []))}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                        <tfoot>
+                            <tr><td colspan="4">Total</td><td class="report-amount">${formatCostTotals(report.totalsCents)}</td></tr>
+                        </tfoot>
+                    </table>
+                </section>
+            ` : ''}
+            ${odometerLog.length > 0 ? html`
+                <section>
+                    <h3>Odometer Readings</h3>
+                    <table class="report-table">
+                        <thead>
+                            <tr><th>Date</th><th>Reading</th><th>Source</th></tr>
+                        </thead>
+                        <tbody>
+                            ${odometerLog.map(entry => html`
+                                <tr>
+                                    <td>${formatDate(entry.readAt)}</td>
+                                    <td>${formatOdometer(entry.reading, vehicle.odoUnit)}</td>
+                                    <td>${entry.source === 'MAINTENANCE' ? 'Maintenance' : 'Reading'}${entry.note ? `: ${entry.note}` : ''}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </section>
+            ` : ''}
+            <footer class="report-footer">Generated ${formatDate(report.generatedAt)} with Revix</footer>
+        </article>
+    `;
+}
+
+async function downloadVehicleReportPdf(vehicleId) {
+    try {
+        showLoading();
+        const file = await apiCall(`/vehicles/${vehicleId}/report/pdf`, { download: true });
+        saveFile(file, `service-history-${localDateString(new Date())}.pdf`);
+    } catch (error) {
+        showToast('Failed to download the PDF: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Odometer Functions
+const ODOMETER_CHART = { width: 600, height: 200, padding: 40 };
+const odometerLogCache = new Map(); // Logs fetched while a maintenance modal is open, by vehicle
+
+function renderOdometerChart(log, odoUnit) {
+    if (log.length < 2) {
+        return html`<p class="empty-state">Add readings to see the odometer over time</p>`;
+    }
+    
+    const { width, height, padding } = ODOMETER_CHART;
+    const times = log.map(entry => new Date(entry.readAt).getTime());
+    const readings = log.map(entry => entry.reading);
+    const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+    const [minReading, maxReading] = [Math.min(...readings), Math.max(...readings)];
+    const x = time => padding + (maxTime === minTime ? 0.5 : (time - minTime) / (maxTime - minTime)) * (width - 2 * padding);
+    const y = reading => height - padding - (maxReading === minReading ? 0.5 : (reading - minReading) / (maxReading - minReading)) * (height - 2 * padding);
+    const points = log.map((entry, index) => ({ entry, x: Math.round(x(times[index])), y: Math.round(y(entry.reading)) }));
+    
+    return html`
+        <svg class="odometer-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Odometer over time">
+            <polyline points="${points.map(point => `${point.x},${point.y}`).join(' ')}"></polyline>
+            ${points.map(point => html`
+                <circle cx="${point.x}" cy="${point.y}" r="4" class="${point.entry.source === 'MANUAL' ? 'manual' : ''}">
+                    <title>${formatDate(point.entry.readAt)}: ${formatOdometer(point.entry.reading, odoUnit)}${point.entry.note ? ` (${point.entry.note})` : ''}</title>
+                </circle>
+            `)}
+            <text x="${padding}" y="${height - 10}">${formatDate(log[0].readAt)}</text>
+            <text x="${width - padding}" y="${height - 10}" text-anchor="end">${formatDate(log[log.length - 1].readAt)}</text>
+            <text x="${padding}" y="20">${formatOdometer(maxReading, odoUnit)}</text>
+        </svg>
+    `;
+}
+
+// Newest first; record readings link to their record, manual readings can be deleted
+// Only the owner deletes manual readings; editors can still open the records in the log
+function renderOdometerLog(log, odoUnit, role = 'OWNER') {
+    if (log.length === 0) return '';
+    
+    return html`
+        <div class="activity-list odometer-log">
+            ${[...log].reverse().map(entry => html`
+                <div class="maintenance-item">
+                    <span class="maintenance-date">${formatDate(entry.readAt)}</span>
+                    <span class="maintenance-desc">${formatOdometer(entry.reading, odoUnit)}</span>
+                    <span class="odometer-note">${entry.source === 'MAINTENANCE' ? html`<i class="fas fa-wrench"></i> ${entry.note}` : entry.note || 'Manual reading'}</span>
+                    ${entry.source === 'MANUAL'
+                        ? (role === 'OWNER' ? html`<button class="btn btn-sm btn-error" onclick="deleteOdometerReading('${entry.id}')" title="Delete"><i class="fas fa-trash"></i></button>` : '')
+                        : (role !== 'VIEWER' ? html`<a href="#/maintenance/${entry.id}/edit" class="btn btn-sm" title="Edit record"><i class="fas fa-edit"></i></a>` : '')}
+                </div>
+            `)}
+        </div>
+    `;
+}
+
+function showAddOdometerReadingModal(vehicleId) {
+    const content = html`
+        <div class="modal-header">
+            <h3>Add Odometer Reading</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <form id="add-odometer-form">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="odometer-date">Date *</label>
+                        <input type="date" id="odometer-date" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="odometer-reading">Reading *</label>
+                        <input type="number" id="odometer-reading" min="0" required>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="odometer-note">Note</label>
+                    <input type="text" id="odometer-note" maxlength="200" placeholder="e.g., Fuel stop, MOT">
+                </div>
+            </form>
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="addOdometerReading('${vehicleId}')">Add Reading</button>
+        </div>
+    `;
+    showModal(content);
+    
+    document.getElementById('odometer-date').valueAsDate = new Date();
+}
+
+async function addOdometerReading(vehicleId) {
+    const readAt = document.getElementById('odometer-date').value;
+    const reading = document.getElementById('odometer-reading').value;
+    if (!readAt || reading === '' || parseInt(reading) < 0) {
+        showToast('Enter a date and a reading of 0 or more', 'error');
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall(`/vehicles/${vehicleId}/odometer`, {
+            method: 'POST',
+            body: JSON.stringify({
+                readAt,
+                reading: parseInt(reading),
+                note: document.getElementById('odometer-note').value || null
+            })
+        });
+        
+        hideModal();
+        refreshVehicleDetail();
+        showToast('Reading added successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteOdometerReading(readingId) {
+    if (!confirm('Are you sure you want to delete this reading?')) {
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall(`/odometer/${readingId}`, { method: 'DELETE' });
+        refreshVehicleDetail();
+        showToast('Reading deleted successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// A reading should not be lower than one from an earlier date, nor higher than one from a later date.
+// Returns a warning for the first such neighbour, or null. The record being edited is left out.
+function findOdometerConflict(log, date, reading, recordId = null) {
+    const others = log.filter(entry => !(entry.source === 'MAINTENANCE' && entry.id === recordId));
+    const earlierHigher = others
+        .filter(entry => entry.readAt < date && entry.reading > reading)
+        .sort((a, b) => b.reading - a.reading)[0];
+    if (earlierHigher) {
+        return `Lower than ${earlierHigher.reading.toLocaleString()} on ${formatDate(earlierHigher.readAt)}${earlierHigher.note ? ` (${earlierHigher.note})` : ''}`;
+    }
+    
+    const laterLower = others
+        .filter(entry => entry.readAt > date && entry.reading < reading)
+        .sort((a, b) => a.reading - b.reading)[0];
+    if (laterLower) {
+        return `Higher than ${laterLower.reading.toLocaleString()} on ${formatDate(laterLower.readAt)}${laterLower.note ? ` (${laterLower.note})` : ''}`;
+    }
+    
+    return null;
+}
+
+// Warns in the maintenance modal when its reading goes backwards; saving is still allowed
+async function checkMaintenanceOdometer(prefix, recordId = null) {
+    const warning = document.getElementById(`${prefix}-odo-warning`);
+    const vehicleId = document.getElementById(`${prefix}-vehicle`).value;
+    const date = document.getElementById(`${prefix}-date`).value;
+    const odo = document.getElementById(`${prefix}-odo`).value;
+    
+    let message = null;
+    if (vehicleId && date && odo !== '') {
+        try {
+            if (!odometerLogCache.has(vehicleId)) {
+                odometerLogCache.set(vehicleId, await apiCall(`/vehicles/${vehicleId}/odometer`));
+            }
+            message = findOdometerConflict(odometerLogCache.get(vehicleId), date, parseInt(odo), recordId);
+        } catch (error) {
+            // The check is advisory; without the log the record can still be saved
+        }
+    }
+    
+    if (!warning) return;
+    warning.textContent = message ? `Check the reading: ${message}` : '';
+    warning.classList.toggle('hidden', !message);
+}
+
+// Service Schedule Functions
+const SCHEDULE_STATUS_LABELS = { OVERDUE: 'Overdue', DUE_SOON: 'Due soon' };
+
+async function loadSchedules() {
+    appData.schedules = await apiCall('/schedules');
+}
+
+// Re-renders the views that show schedule status after a schedule or a record changed
+async function refreshScheduleViews() {
+    const section = currentRoute?.section;
+    if (section !== 'dashboard' && section !== 'vehicles') return;
+    
+    try {
+        await loadSchedules();
+        if (section === 'dashboard') {
+            renderDueSchedules();
+        } else {
+            renderVehicles();
+        }
+    } catch (error) {
+        showToast('Failed to load service schedules', 'error');
+    }
+}
+
+function renderScheduleBadge(status) {
+    return SCHEDULE_STATUS_LABELS[status]
+        ? html`<span class="status-badge ${status === 'OVERDUE' ? 'overdue' : 'due-soon'}">${SCHEDULE_STATUS_LABELS[status]}</span>`
+        : '';
+}
+
+// One badge per status on a vehicle card, e.g. "2 overdue"
+function renderScheduleBadges(schedules) {
+    const overdue = schedules.filter(schedule => schedule.status === 'OVERDUE').length;
+    const dueSoon = schedules.filter(schedule => schedule.status === 'DUE_SOON').length;
+    if (overdue === 0 && dueSoon === 0) return '';
+    
+    return html`
+        <div class="schedule-badges">
+            ${overdue > 0 ? html`<span class="status-badge overdue">${overdue} overdue</span>` : ''}
+            ${dueSoon > 0 ? html`<span class="status-badge due-soon">${dueSoon} due soon</span>` : ''}
+        </div>
+    `;
+}
+
+function formatScheduleInterval(schedule, odoUnit) {
+    const parts = [];
+    if (schedule.intervalOdo) parts.push(formatOdometer(schedule.intervalOdo, odoUnit));
+    if (schedule.intervalMonths) parts.push(`${schedule.intervalMonths} month${schedule.intervalMonths === 1 ? '' : 's'}`);
+    return `Every ${parts.join(' or ')}`;
+}
+
+function formatScheduleDue(schedule, odoUnit) {
+    const parts = [];
+    if (schedule.dueAt) parts.push(formatDate(schedule.dueAt));
+    if (schedule.dueOdo !== null && schedule.dueOdo !== undefined) parts.push(formatOdometer(schedule.dueOdo, odoUnit));
+    return parts.length > 0 ? `Due ${parts.join(' or ')}` : 'Not done yet';
+}
+
+function renderScheduleItem(schedule, vehicle) {
+    return html`
+        <div class="maintenance-item schedule-item">
+            <div class="maintenance-item-info">
+                <div class="maintenance-desc">${schedule.title}</div>
+                <div class="schedule-meta">
+                    ${formatScheduleInterval(schedule, vehicle.odoUnit)} · ${formatScheduleDue(schedule, vehicle.odoUnit)}
+                </div>
+            </div>
+            ${renderScheduleBadge(schedule.status)}
+            <div class="card-actions">
+                ${vehicle.role !== 'VIEWER' ? html`
+                    <button class="btn btn-sm btn-primary" onclick="markScheduleDone('${schedule.id}')" title="Mark done">
+                        <i class="fas fa-check"></i>
+                    </button>
+                ` : ''}
+                ${isOwnVehicle(vehicle) ? html`
+                    <button class="btn btn-sm" onclick="showEditScheduleModal('${schedule.id}')" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-error" onclick="deleteSchedule('${schedule.id}')" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Overdue schedules first, then those due soon, each by due date
+function renderDueSchedules() {
+    const container = document.getElementById('due-schedules');
+    const severity = { OVERDUE: 0, DUE_SOON: 1 };
+    const due = appData.schedules
+        .filter(schedule => schedule.status in severity)
+        .sort((a, b) => severity[a.status] - severity[b.status] || (a.dueAt || '').localeCompare(b.dueAt || ''));
+    
+    if (due.length === 0) {
+        container.innerHTML = '<p class="empty-state">No scheduled service due</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${due.map(schedule => html`
+        <div class="maintenance-item">
+            <div class="maintenance-item-info">
+                <div class="vehicle-info">${formatVehicleDisplay(schedule.vehicle)}</div>
+                <div class="maintenance-desc">${schedule.title}</div>
+                <div class="schedule-meta">${formatScheduleDue(schedule, schedule.vehicle.odoUnit)}</div>
+            </div>
+            ${renderScheduleBadge(schedule.status)}
+            <button class="btn btn-sm btn-primary" onclick="markScheduleDone('${schedule.id}')">
+                <i class="fas fa-check"></i> Mark done
+            </button>
+        </div>
+    `)}`;
+}
+
+// Schedules opened from the vehicle detail view are not in appData when it was deep linked
+async function findSchedule(scheduleId) {
+    return appData.schedules.find(schedule => schedule.id === scheduleId) || apiCall(`/schedules/${scheduleId}`);
+}
+
+// Opens the add record modal prefilled from the schedule; saving the record marks the schedule done
+async function markScheduleDone(scheduleId) {
+    let schedule;
+    try {
+        showLoading();
+        [schedule] = await Promise.all([findSchedule(scheduleId), loadVehicleOptions(), loadPartOptions(), loadTagOptions()]);
+    } catch (error) {
+        showToast('Failed to load the schedule', 'error');
+        return;
+    } finally {
+        hideLoading();
+    }
+    
+    const vehicle = appData.vehicleOptions.find(option => option.id === schedule.vehicleId);
+    showMaintenanceModal(schedule.vehicleId, {
+        scheduleId: schedule.id,
+        title: schedule.title,
+        notes: schedule.notes,
+        odoReading: vehicle?.currentOdo ?? null
+    });
+}
+
+function renderScheduleForm(prefix, schedule, odoUnit) {
+    return html`
+        <div class="form-group">
+            <label for="${prefix}-title">Title *</label>
+            <input type="text" id="${prefix}-title" required placeholder="e.g., Oil Change" value="${schedule.title || ''}">
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label for="${prefix}-interval-odo">Every (${odoUnitShort(odoUnit)})</label>
+                <input type="number" id="${prefix}-interval-odo" min="1" placeholder="e.g., 15000" value="${schedule.intervalOdo ?? ''}">
+            </div>
+            <div class="form-group">
+                <label for="${prefix}-interval-months">Every (months)</label>
+                <input type="number" id="${prefix}-interval-months" min="1" placeholder="e.g., 12" value="${schedule.intervalMonths ?? ''}">
+            </div>
+        </div>
+        <p class="form-hint">Set one or both; with both, the schedule is due at whichever comes first.</p>
+        <div class="form-group">
+            <label for="${prefix}-notes">Notes</label>
+            <textarea id="${prefix}-notes" rows="2">${schedule.notes || ''}</textarea>
+        </div>
+    `;
+}
+
+function readScheduleForm(prefix) {
+    const intervalOdo = document.getElementById(`${prefix}-interval-odo`).value;
+    const intervalMonths = document.getElementById(`${prefix}-interval-months`).value;
+    return {
+        title: document.getElementById(`${prefix}-title`).value,
+        intervalOdo: intervalOdo ? parseInt(intervalOdo) : null,
+        intervalMonths: intervalMonths ? parseInt(intervalMonths) : null,
+        notes: document.getElementById(`${prefix}-notes`).value || null
+    };
+}
+
+// Mirrors ValidationRules in Validation.kt so the messages match what the server would answer
+function validateScheduleData(schedule) {
+    const errors = [];
+    
+    if (!schedule.title.trim()) {
+        errors.push('Schedule title is required');
+    } else if (schedule.title.length > 200) {
+        errors.push('Schedule title must be 200 characters or less');
+    }
+    
+    if (schedule.intervalOdo === null && schedule.intervalMonths === null) {
+        errors.push('Set an odometer interval, a month interval, or both');
+    } else if (schedule.intervalOdo !== null && !(schedule.intervalOdo > 0)) {
+        errors.push('Odometer interval must be greater than 0');
+    } else if (schedule.intervalMonths !== null && !(schedule.intervalMonths > 0)) {
+        errors.push('Month interval must be greater than 0');
+    }
+    
+    return errors;
+}
+
+async function showAddScheduleModal(vehicleId) {
+    let vehicle;
+    try {
+        vehicle = appData.vehicleOptions.find(option => option.id === vehicleId) || await apiCall(`/vehicles/${vehicleId}`);
+    } catch (error) {
+        showToast('Vehicle not found', 'error');
+        return;
+    }
+    
+    const content = html`
+        <div class="modal-header">
+            <h3>Add Service Schedule</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <form id="add-schedule-form">
+                ${renderScheduleForm('schedule', {}, vehicle.odoUnit)}
+            </form>
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="addSchedule('${vehicle.id}')">Add Schedule</button>
+        </div>
+    `;
+    showModal(content);
+}
+
+async function addSchedule(vehicleId) {
+    const scheduleData = readScheduleForm('schedule');
+    
+    const errors = validateScheduleData(scheduleData);
+    if (errors.length > 0) {
+        showToast(errors.join('; '), 'error');
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall(`/vehicles/${vehicleId}/schedules`, {
+            method: 'POST',
+            body: JSON.stringify(scheduleData)
+        });
+        
+        hideModal();
+        refreshVehicleDetail();
+        showToast('Schedule added successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function showEditScheduleModal(scheduleId) {
+    let schedule;
+    try {
+        schedule = await findSchedule(scheduleId);
+    } catch (error) {
+        showToast('Schedule not found', 'error');
+        return;
+    }
+    
+    const content = html`
+        <div class="modal-header">
+            <h3>Edit Service Schedule</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <form id="edit-schedule-form">
+                ${renderScheduleForm('edit-schedule', schedule, schedule.vehicle.odoUnit)}
+            </form>
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="updateSchedule('${schedule.id}')">Update Schedule</button>
+        </div>
+    `;
+    showModal(content);
+}
+
+async function updateSchedule(scheduleId) {
+    const scheduleData = readScheduleForm('edit-schedule');
+    
+    const errors = validateScheduleData(scheduleData);
+    if (errors.length > 0) {
+        showToast(errors.join('; '), 'error');
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall(`/schedules/${scheduleId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                ...scheduleData,
+                clearIntervalOdo: scheduleData.intervalOdo === null,
+                clearIntervalMonths: scheduleData.intervalMonths === null
+            })
+        });
+        
+        hideModal();
+        refreshVehicleDetail();
+        refreshScheduleViews();
+        showToast('Schedule updated successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteSchedule(scheduleId) {
+    if (!confirm('Are you sure you want to delete this schedule? Records that marked it done are kept.')) {
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall(`/schedules/${scheduleId}`, { method: 'DELETE' });
+        refreshVehicleDetail();
+        refreshScheduleViews();
+        showToast('Schedule deleted successfully!');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Parts Functions
+let partsSearchTimer = null;
+let partsRequest = null; // AbortController of the parts list request in flight
+// The parts list is searched and filtered by the server; a new search cancels the one in flight
+async function loadParts() {
+    partsRequest?.abort();
+    partsRequest = new AbortController();
+    
+    try {
+        showLoading();
+        resetPager('parts');
+        appData.parts = await fetchNextPage('parts', fetchPartsPage);
+        renderParts();
+        renderPager('parts');
+        renderPartsResultCount();
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            showToast('Failed to load parts', 'error');
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+function fetchPartsPage(page) {
+    const { q, tags, match } = listFilters.parts;
+    const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+    if (q.trim()) params.set('query', q.trim());
+    if (tags) params.set('tags', tags);
+    if (tags && match) params.set('tagMatch', match);
+    
+    return apiCall(`/parts?${params}`, { signal: partsRequest?.signal });
+}
+
+async function loadMoreParts() {
+    try {
+        const parts = await fetchNextPage('parts', fetchPartsPage);
+        if (parts.length === 0) return;
+        
+        appData.parts.push(...parts);
+        renderParts();
+        renderPager('parts');
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            showToast('Failed to load parts', 'error');
+        }
+    }
+}
+
+// Waits for a pause in typing so a search is not sent for every keystroke
+function searchParts() {
+    clearTimeout(partsSearchTimer);
+    partsSearchTimer = setTimeout(loadParts, SEARCH_DEBOUNCE_MS);
+}
+
+function hasPartsFilters() {
+    return Boolean(listFilters.parts.q.trim() || listFilters.parts.tags);
+}
+
+function selectedPartsTagIds() {
+    return listFilters.parts.tags ? listFilters.parts.tags.split(',') : [];
+}
+
+function togglePartsTagFilter(tagId) {
+    const selected = selectedPartsTagIds();
+    listFilters.parts.tags = (selected.includes(tagId)
+        ? selected.filter(id => id !== tagId)
+        : [...selected, tagId]).join(',');
+    
+    renderPartsTagFilter();
+    loadParts();
+    syncPartsRoute();
+}
+
+function renderPartsTagFilter() {
+    renderTagFilter('parts-tag-filter', 'parts-tag-match', selectedPartsTagIds(), 'togglePartsTagFilter');
+}
+
+// Shared by the parts and maintenance lists; toggleFunction is called with the id of a clicked tag
+function renderTagFilter(containerId, matchId, selected, toggleFunction) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = html`${appData.tags.map(tag => html`
+        <button type="button" class="tag tag-colored tag-filter-chip ${selected.includes(tag.id) ? 'active' : ''}"
+                style="--color: ${safeColor(tag.color)}" aria-pressed="${selected.includes(tag.id)}"
+                onclick="${toggleFunction}('${tag.id}')">${tag.name}</button>
+    `)}`;
+    
+    // Choosing between any and all only matters once more than one tag is selected
+    document.getElementById(matchId)?.classList.toggle('hidden', selected.length < 2);
+}
+
+function renderPartsResultCount() {
+    const counter = document.getElementById('parts-result-count');
+    if (!counter || !pagers.parts) return;
+    
+    const count = pagers.parts.totalCount;
+    counter.textContent = `${count} ${count === 1 ? 'part' : 'parts'}${hasPartsFilters() ? ' found' : ''}`;
+}
+
+// Loads the whole catalog for the part selector in the maintenance modals
+async function loadPartOptions() {
+    appData.partOptions = await fetchAllPages('/parts');
+}
+
+function renderParts() {
+    const container = document.getElementById('parts-grid');
+    
+    if (appData.parts.length === 0) {
+        container.innerHTML = hasPartsFilters()
+            ? '<p class="empty-state">No parts match your search</p>'
+            : '<p class="empty-state">No parts added yet</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${appData.parts.map(part => html`
+        <div class="part-card">
             <div class="card-header">
-                <div class="card-title">${vehicle.manufacturer} ${vehicle.model}</div>
+                <div class="card-title">${part.name}</div>
                 <div class="card-actions">
-                    <button class="btn btn-sm" onclick="editVehicle('${vehicle.id}')">
+                    <button class="btn btn-sm" onclick="editPart('${part.id}')">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="btn btn-sm btn-error" onclick="deleteVehicle('${vehicle.id}')">
+                    <button class="btn btn-sm btn-error" onclick="deletePart('${part.id}')">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
             </div>
             <div class="card-meta">
-                ${vehicle.licensePlate ? `<div class="meta-item"><i class="fas fa-id-card"></i> ${vehicle.licensePlate}</div>` : ''}
-                ${vehicle.vin ? `<div class="meta-item"><i class="fas fa-barcode"></i> ${vehicle.vin}</div>` : ''}
-                ${vehicle.buildYear ? `<div class="meta-item"><i class="fas fa-calendar"></i> ${vehicle.buildYear}</div>` : ''}
-                ${vehicle.fuelType ? `<div class="meta-item"><i class="fas fa-gas-pump"></i> ${vehicle.fuelType}</div>` : ''}
-                ${vehicle.currentOdo ? `<div class="meta-item"><i class="fas fa-tachometer-alt"></i> ${vehicle.currentOdo.toLocaleString()} ${vehicle.odoUnit}</div>` : ''}
+                <div class="meta-item">
+                    <i class="fas fa-dollar-sign"></i>
+                    ${part.priceCents !== null && part.priceCents !== undefined
+                        ? formatCurrency(part.priceCents, part.currency)
+                        : html`<span class="no-price">No price</span>`}
+                </div>
+                ${part.description ? html`<div class="meta-item"><i class="fas fa-info-circle"></i> ${part.description}</div>` : ''}
+                ${safeUrl(part.url) ? html`<div class="meta-item"><i class="fas fa-link"></i> <a href="${safeUrl(part.url)}" target="_blank" rel="noopener noreferrer">Supplier Link</a></div>` : ''}
             </div>
+            ${part.tags && part.tags.length > 0 ? html`
+                <div class="card-tags">
+                    ${part.tags.map(tag => html`<span class="tag tag-colored" style="--color: ${safeColor(tag.color)}">${tag.name}</span>`)}
+                </div>
+            ` : ''}
+            ${renderAttachmentThumbnails(part.attachments)}
         </div>
-    `).join('');
+    `)}`;
+    loadAttachmentThumbnails(container);
 }
 
-function showAddVehicleModal() {
-    const content = `
+function showAddPartModal() {
+    resetAttachmentDraft();
+    const content = html`
         <div class="modal-header">
-            <h3>Add Vehicle</h3>
+            <h3>Add Part</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="add-vehicle-form">
+            <form id="add-part-form">
                 <div class="form-group">
-                    <label for="vehicle-manufacturer">Manufacturer *</label>
-                    <input type="text" id="vehicle-manufacturer" required>
+                    <label for="part-name">Part Name *</label>
+                    <input type="text" id="part-name" required>
                 </div>
                 <div class="form-group">
-                    <label for="vehicle-model">Model *</label>
-                    <input type="text" id="vehicle-model" required>
+                    <label for="part-description">Description</label>
+                    <textarea id="part-description" rows="3"></textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="part-price">Price</label>
+                        <input type="text" id="part-price" inputmode="decimal" placeholder="No price">
+                    </div>
+                    <div class="form-group">
+                        <label for="part-currency">Currency</label>
+                        <select id="part-currency">
+                            ${renderCurrencyOptions()}
+                        </select>
+                    </div>
                 </div>
                 <div class="form-group">
-                    <label for="vehicle-license-plate">License Plate</label>
-                    <input type="text" id="vehicle-license-plate">
+                    <label for="part-url">Supplier URL</label>
+                    <input type="url" id="part-url">
                 </div>
                 <div class="form-group">
-                    <label for="vehicle-vin">VIN</label>
-                    <input type="text" id="vehicle-vin">
+                    <label for="part-tags">Tags</label>
+                    <select id="part-tags" multiple>
+                        ${appData.tags.map(tag => html`<option value="${tag.id}">${tag.name}</option>`)}
+                    </select>
+                </div>
+                ${renderAttachmentField()}
+            </form>
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="addPart()">Add Part</button>
+        </div>
+    `;
+    showModal(content);
+}
+
+async function addPart() {
+    const priceCents = parsePriceToCents(document.getElementById('part-price').value);
+    const partData = {
+        name: document.getElementById('part-name').value,
+        description: document.getElementById('part-description').value || null,
+        priceCents,
+        currency: priceCents === null ? null : document.getElementById('part-currency').value,
+        url: document.getElementById('part-url').value || null,
+        tagIds: Array.from(document.getElementById('part-tags').selectedOptions).map(option => option.value)
+    };
+    
+    const errors = validatePartData(partData);
+    if (errors.length > 0) {
+        showToast(errors.join('; '), 'error');
+        return;
+    }
+    
+    try {
+        showLoading();
+        const part = await apiCall('/parts', {
+            method: 'POST',
+            body: JSON.stringify(partData)
+        });
+        const failedAttachments = await saveAttachments(`/parts/${part.id}/attachments`);
+        
+        hideModal();
+        loadParts();
+        showSavedToast('Part added successfully!', failedAttachments);
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function deletePart(partId) {
+    confirmDelete('PART', partId);
+}
+
+function editPart(partId) {
+    navigate(`parts/${partId}/edit`, currentSectionRoute().params);
+}
+
+// Parts on pages that are not loaded yet are fetched, so deep links work for the whole catalog
+async function showEditPart(partId) {
+    try {
+        const part = appData.parts.find(p => p.id === partId) || await apiCall(`/parts/${partId}`);
+        showEditPartModal(part);
+    } catch (error) {
+        showToast('Part not found', 'error');
+    }
+}
+
+function showEditPartModal(part) {
+    resetAttachmentDraft(part.attachments);
+    const content = html`
+        <div class="modal-header">
+            <h3>Edit Part</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <form id="edit-part-form">
+                <div class="form-group">
+                    <label for="edit-part-name">Part Name *</label>
+                    <input type="text" id="edit-part-name" required value="${part.name}">
                 </div>
                 <div class="form-group">
-                    <label for="vehicle-build-year">Build Year</label>
-                    <input type="number" id="vehicle-build-year" min="1900" max="2030">
+                    <label for="edit-part-description">Description</label>
+                    <textarea id="edit-part-description" rows="3">${part.description || ''}</textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="edit-part-price">Price</label>
+                        <input type="text" id="edit-part-price" inputmode="decimal" placeholder="No price" value="${formatPriceInput(part.priceCents)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="edit-part-currency">Currency</label>
+                        <select id="edit-part-currency">
+                            ${renderCurrencyOptions(part.currency || 'EUR')}
+                        </select>
+                    </div>
                 </div>
                 <div class="form-group">
-                    <label for="vehicle-fuel-type">Fuel Type</label>
-                    <input type="text" id="vehicle-fuel-type" placeholder="e.g., Gasoline, Diesel, Electric">
+                    <label for="edit-part-url">Supplier URL</label>
+                    <input type="url" id="edit-part-url" value="${part.url || ''}">
+                </div>
+                <div class="form-group">
+                    <label for="edit-part-tags">Tags</label>
+                    <select id="edit-part-tags" multiple>
+                        ${appData.tags.map(tag => html`<option value="${tag.id}" ${part.tags && part.tags.some(t => t.id === tag.id) ? 'selected' : ''}>${tag.name}</option>`)}
+                    </select>
+                </div>
+                ${renderAttachmentField()}
+            </form>
+            ${renderAuditHistoryPanel()}
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="updatePart('${part.id}')">Update Part</button>
+        </div>
+    `;
+    showModal(content);
+    loadAuditHistory('PART', part.id);
+}
+
+async function updatePart(partId) {
+    const priceCents = parsePriceToCents(document.getElementById('edit-part-price').value);
+    const partData = {
+        name: document.getElementById('edit-part-name').value,
+        description: document.getElementById('edit-part-description').value || null,
+        priceCents,
+        currency: priceCents === null ? null : document.getElementById('edit-part-currency').value,
+        clearPrice: priceCents === null,
+        url: document.getElementById('edit-part-url').value || null,
+        tagIds: Array.from(document.getElementById('edit-part-tags').selectedOptions).map(option => option.value)
+    };
+    
+    const errors = validatePartData(partData);
+    if (errors.length > 0) {
+        showToast(errors.join('; '), 'error');
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall(`/parts/${partId}`, {
+            method: 'PUT',
+            body: JSON.stringify(partData)
+        });
+        const failedAttachments = await saveAttachments(`/parts/${partId}/attachments`);
+        
+        hideModal();
+        loadParts();
+        showSavedToast('Part updated successfully!', failedAttachments);
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Mirrors ValidationRules in Validation.kt so the messages match what the server would answer
+function validatePartData(part) {
+    const errors = [];
+    
+    if (!part.name.trim()) {
+        errors.push('Part name is required');
+    } else if (part.name.length > 200) {
+        errors.push('Part name must be 200 characters or less');
+    }
+    
+    if (Number.isNaN(part.priceCents)) {
+        errors.push('Price must be a number, e.g. 12.50 or 12,50');
+    } else if (part.priceCents !== null && part.priceCents < 0) {
+        errors.push('Price cannot be negative');
+    }
+    
+    if (part.currency !== null) {
+        if (part.currency.length !== 3) {
+            errors.push('Currency must be a 3-letter ISO code');
+        } else if (part.currency !== part.currency.toUpperCase()) {
+            errors.push('Currency must be uppercase');
+        }
+    }
+    
+    return errors;
+}
+
+// Tags Functions
+async function loadTags() {
+    try {
+        const response = await apiCall('/tags');
+        appData.tags = response;
+        renderTags();
+        
+        // Drop deleted tags from the parts filter
+        const selected = selectedPartsTagIds();
+        listFilters.parts.tags = selected.filter(id => appData.tags.some(tag => tag.id === id)).join(',');
+        renderPartsTagFilter();
+    } catch (error) {
+        showToast('Failed to load tags', 'error');
+    }
+}
+
+// For the record form and the maintenance tag filter
+async function loadTagOptions() {
+    appData.tags = await apiCall('/tags');
+}
+
+async function loadTagStats() {
+    try {
+        const stats = await apiCall('/stats/tags');
+        appData.tagStats = Object.fromEntries(stats.map(entry => [entry.tag.id, entry]));
+        renderTags();
+    } catch (error) {
+        showToast('Failed to load tag usage', 'error');
+    }
+}
+
+function renderTags() {
+    const container = document.getElementById('tags-grid');
+    
+    if (appData.tags.length === 0) {
+        container.innerHTML = '<p class="empty-state">No tags created yet</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${appData.tags.map(tag => html`
+        <div class="tag-card">
+            <div class="card-header">
+                <div class="card-title">
+                    <span class="tag tag-colored" style="--color: ${safeColor(tag.color)}">${tag.name}</span>
+                </div>
+                <div class="card-actions">
+                    <button class="btn btn-sm" onclick="editTag('${tag.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-error" onclick="deleteTag('${tag.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="card-meta">
+                ${renderTagUsage(tag.id)}
+                <div class="meta-item">
+                    <i class="fas fa-calendar"></i>
+                    Created ${formatDate(tag.createdAt)}
                 </div>
+            </div>
+        </div>
+    `)}`;
+}
+
+// Counts link to the parts and maintenance lists filtered by the tag; records include those using a tagged part
+function renderTagUsage(tagId) {
+    const stats = appData.tagStats[tagId] || { partCount: 0, recordCount: 0, totalsCents: {} };
+    return html`
+        <a class="meta-item tag-usage-link" href="${buildRoute('parts', { tags: tagId })}">
+            <i class="fas fa-cog"></i>
+            ${stats.partCount} ${stats.partCount === 1 ? 'part' : 'parts'}
+        </a>
+        <a class="meta-item tag-usage-link" href="${buildRoute('maintenance', { tags: tagId })}">
+            <i class="fas fa-wrench"></i>
+            ${stats.recordCount} maintenance ${stats.recordCount === 1 ? 'record' : 'records'}
+        </a>
+        <div class="meta-item">
+            <i class="fas fa-coins"></i>
+            ${formatCostTotals(stats.totalsCents)}
+        </div>
+    `;
+}
+
+function showAddTagModal() {
+    const content = html`
+        <div class="modal-header">
+            <h3>Add Tag</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <form id="add-tag-form">
                 <div class="form-group">
-                    <label for="vehicle-odo-unit">Odometer Unit</label>
-                    <select id="vehicle-odo-unit">
-                        <option value="KM">Kilometers</option>
-                        <option value="HOURS">Hours</option>
-                    </select>
+                    <label for="tag-name">Tag Name *</label>
+                    <input type="text" id="tag-name" required>
                 </div>
                 <div class="form-group">
-                    <label for="vehicle-current-odo">Current Odometer Reading</label>
-                    <input type="number" id="vehicle-current-odo" min="0">
+                    <label for="tag-color">Color</label>
+                    <input type="color" id="tag-color" value="#2563eb">
                 </div>
             </form>
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="addVehicle()">Add Vehicle</button>
+            <button class="btn btn-primary" onclick="addTag()">Add Tag</button>
         </div>
     `;
     showModal(content);
 }
 
-async function addVehicle() {
-    const form = document.getElementById('add-vehicle-form');
-    const formData = new FormData(form);
-    
-    const vehicleData = {
-        manufacturer: document.getElementById('vehicle-manufacturer').value,
-        model: document.getElementById('vehicle-model').value,
-        licensePlate: document.getElementById('vehicle-license-plate').value || null,
-        vin: document.getElementById('vehicle-vin').value || null,
-        buildYear: document.getElementById('vehicle-build-year').value ? parseInt(document.getElementById('vehicle-build-year').value) : null,
-        fuelType: document.getElementById('vehicle-fuel-type').value || null,
-        odoUnit: document.getElementById('vehicle-odo-unit').value,
-        currentOdo: document.getElementById('vehicle-current-odo').value ? parseInt(document.getElementById('vehicle-current-odo').value) : null
+async function addTag() {
+    const tagData = {
+        name: document.getElementById('tag-name').value,
+        color: document.getElementById('tag-color').value
     };
     
     try {
         showLoading();
-        await apiCall('/vehicles', {
+        await apiCall('/tags', {
             method: 'POST',
-            body: JSON.stringify(vehicleData)
+            body: JSON.stringify(tagData)
         });
         
         hideModal();
-        loadVehicles();
-        showToast('Vehicle added successfully!');
+        loadTags();
+        showToast('Tag added successfully!');
     } catch (error) {
         showToast(error.message, 'error');
     } finally {
@@ -437,94 +3376,67 @@ async function addVehicle() {
     }
 }
 
-function showEditVehicleModal(vehicleId) {
-    const vehicle = appData.vehicles.find(v => v.id === vehicleId);
-    if (!vehicle) {
-        showToast('Vehicle not found', 'error');
+function deleteTag(tagId) {
+    confirmDelete('TAG', tagId);
+}
+
+function editTag(tagId) {
+    navigate(`tags/${tagId}/edit`);
+}
+
+function showEditTag(tagId) {
+    const tag = appData.tags.find(t => t.id === tagId);
+    if (!tag) {
+        showToast('Tag not found', 'error');
         return;
     }
-    
-    const content = `
+    showEditTagModal(tag);
+}
+
+function showEditTagModal(tag) {
+    const content = html`
         <div class="modal-header">
-            <h3>Edit Vehicle</h3>
+            <h3>Edit Tag</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="edit-vehicle-form">
-                <div class="form-group">
-                    <label for="edit-vehicle-manufacturer">Manufacturer *</label>
-                    <input type="text" id="edit-vehicle-manufacturer" required value="${vehicle.manufacturer}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-vehicle-model">Model *</label>
-                    <input type="text" id="edit-vehicle-model" required value="${vehicle.model}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-vehicle-license-plate">License Plate</label>
-                    <input type="text" id="edit-vehicle-license-plate" value="${vehicle.licensePlate || ''}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-vehicle-vin">VIN</label>
-                    <input type="text" id="edit-vehicle-vin" value="${vehicle.vin || ''}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-vehicle-build-year">Build Year</label>
-                    <input type="number" id="edit-vehicle-build-year" min="1900" max="2030" value="${vehicle.buildYear || ''}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-vehicle-fuel-type">Fuel Type</label>
-                    <select id="edit-vehicle-fuel-type">
-                        <option value="">Select fuel type</option>
-                        <option value="Gasoline" ${vehicle.fuelType === 'Gasoline' ? 'selected' : ''}>Gasoline</option>
-                        <option value="Diesel" ${vehicle.fuelType === 'Diesel' ? 'selected' : ''}>Diesel</option>
-                        <option value="Electric" ${vehicle.fuelType === 'Electric' ? 'selected' : ''}>Electric</option>
-                        <option value="Hybrid" ${vehicle.fuelType === 'Hybrid' ? 'selected' : ''}>Hybrid</option>
-                        <option value="LPG" ${vehicle.fuelType === 'LPG' ? 'selected' : ''}>LPG</option>
-                    </select>
-                </div>
+            <form id="edit-tag-form">
                 <div class="form-group">
-                    <label for="edit-vehicle-odo-unit">Odometer Unit</label>
-                    <select id="edit-vehicle-odo-unit">
-                        <option value="KM" ${vehicle.odoUnit === 'KM' ? 'selected' : ''}>Kilometers</option>
-                        <option value="MI" ${vehicle.odoUnit === 'MI' ? 'selected' : ''}>Miles</option>
-                    </select>
+                    <label for="edit-tag-name">Tag Name *</label>
+                    <input type="text" id="edit-tag-name" required value="${tag.name}">
                 </div>
                 <div class="form-group">
-                    <label for="edit-vehicle-current-odo">Current Odometer Reading</label>
-                    <input type="number" id="edit-vehicle-current-odo" min="0" value="${vehicle.currentOdo || ''}">
+                    <label for="edit-tag-color">Color</label>
+                    <input type="color" id="edit-tag-color" value="${safeColor(tag.color)}">
                 </div>
             </form>
+            ${renderAuditHistoryPanel()}
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="updateVehicle('${vehicleId}')">Update Vehicle</button>
+            <button class="btn btn-primary" onclick="updateTag('${tag.id}')">Update Tag</button>
         </div>
     `;
     showModal(content);
+    loadAuditHistory('TAG', tag.id);
 }
 
-async function updateVehicle(vehicleId) {
-    const vehicleData = {
-        manufacturer: document.getElementById('edit-vehicle-manufacturer').value,
-        model: document.getElementById('edit-vehicle-model').value,
-        licensePlate: document.getElementById('edit-vehicle-license-plate').value || null,
-        vin: document.getElementById('edit-vehicle-vin').value || null,
-        buildYear: document.getElementById('edit-vehicle-build-year').value ? parseInt(document.getElementById('edit-vehicle-build-year').value) : null,
-        fuelType: document.getElementById('edit-vehicle-fuel-type').value || null,
-        odoUnit: document.getElementById('edit-vehicle-odo-unit').value,
-        currentOdo: document.getElementById('edit-vehicle-current-odo').value ? parseInt(document.getElementById('edit-vehicle-current-odo').value) : null
+async function updateTag(tagId) {
+    const tagData = {
+        name: document.getElementById('edit-tag-name').value,
+        color: document.getElementById('edit-tag-color').value
     };
     
     try {
         showLoading();
-        await apiCall(`/vehicles/${vehicleId}`, {
+        await apiCall(`/tags/${tagId}`, {
             method: 'PUT',
-            body: JSON.stringify(vehicleData)
+            body: JSON.stringify(tagData)
         });
         
         hideModal();
-        loadVehicles();
-        showToast('Vehicle updated successfully!');
+        loadTags();
+        showToast('Tag updated successfully!');
     } catch (error) {
         showToast(error.message, 'error');
     } finally {
@@ -532,133 +3444,355 @@ async function updateVehicle(vehicleId) {
     }
 }
 
-function editVehicle(vehicleId) {
-    showEditVehicleModal(vehicleId);
-}
+// Maintenance Functions
+let maintenanceSearchTimer = null;
+let maintenanceRequest = null; // AbortController of the maintenance list request in flight
 
-async function deleteVehicle(vehicleId) {
-    if (!confirm('Are you sure you want to delete this vehicle? This action cannot be undone.')) {
-        return;
-    }
+// Presets are kept in the URL instead of their dates, so "last 30 days" stays relative to today
+const MAINTENANCE_DATE_RANGES = {
+    '30d': () => {
+        const from = new Date();
+        from.setDate(from.getDate() - 30);
+        return { from: localDateString(from), to: '' };
+    },
+    year: () => ({ from: `${new Date().getFullYear()}-01-01`, to: '' }),
+    custom: () => ({ from: listFilters.maintenance.from, to: listFilters.maintenance.to })
+};
+
+// Records of all vehicles come from one endpoint, filtered and sorted by the server
+async function loadMaintenance() {
+    maintenanceRequest?.abort();
+    maintenanceRequest = new AbortController();
     
     try {
         showLoading();
-        await apiCall(`/vehicles/${vehicleId}`, { method: 'DELETE' });
-        loadVehicles();
-        showToast('Vehicle deleted successfully!');
+        resetPager('maintenance');
+        appData.maintenance = await fetchNextPage('maintenance', fetchMaintenancePage);
+        renderMaintenance();
+        renderPager('maintenance');
     } catch (error) {
-        showToast(error.message, 'error');
+        if (error.name !== 'AbortError') {
+            showToast('Failed to load maintenance records', 'error');
+        }
     } finally {
         hideLoading();
     }
 }
 
-// Parts Functions
-async function loadParts() {
+function fetchMaintenancePage(page) {
+    return apiCall(`/maintenance?${maintenanceQueryParams(page)}`, { signal: maintenanceRequest?.signal });
+}
+
+function maintenanceQueryParams(page) {
+    const { vehicle, q, sort, tags, match } = listFilters.maintenance;
+    const { from, to } = maintenanceDateRange();
+    const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+    if (vehicle) params.set('vehicleId', vehicle);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (q.trim()) params.set('query', q.trim());
+    if (sort) params.set('sort', sort);
+    if (tags) params.set('tags', tags);
+    if (tags && match) params.set('tagMatch', match);
+    return params;
+}
+
+function maintenanceDateRange() {
+    const range = MAINTENANCE_DATE_RANGES[listFilters.maintenance.range];
+    return range ? range() : { from: '', to: '' };
+}
+
+async function loadMoreMaintenance() {
+    try {
+        const records = await fetchNextPage('maintenance', fetchMaintenancePage);
+        if (records.length === 0) return;
+        
+        appData.maintenance.push(...records);
+        renderMaintenance();
+        renderPager('maintenance');
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            showToast('Failed to load maintenance records', 'error');
+        }
+    }
+}
+
+function setMaintenanceFilter(key, value) {
+    listFilters.maintenance[key] = value;
+    
+    // Custom dates only apply to the custom range
+    if (key === 'range' && value !== 'custom') {
+        listFilters.maintenance.from = '';
+        listFilters.maintenance.to = '';
+    }
+    
+    syncFilterInputs();
+    replaceRoute('maintenance', listFilters.maintenance);
+}
+
+function hasMaintenanceFilters() {
+    const { vehicle, q, range, tags } = listFilters.maintenance;
+    return Boolean(vehicle || q.trim() || range || tags);
+}
+
+// A record matches a tag it carries itself or one of a part used in it
+function selectedMaintenanceTagIds() {
+    return listFilters.maintenance.tags ? listFilters.maintenance.tags.split(',') : [];
+}
+
+function toggleMaintenanceTagFilter(tagId) {
+    const selected = selectedMaintenanceTagIds();
+    setMaintenanceFilter('tags', (selected.includes(tagId)
+        ? selected.filter(id => id !== tagId)
+        : [...selected, tagId]).join(','));
+    loadMaintenance();
+}
+
+function renderMaintenanceTagFilter() {
+    renderTagFilter('maintenance-tag-filter', 'maintenance-tag-match', selectedMaintenanceTagIds(), 'toggleMaintenanceTagFilter');
+}
+
+// Tags other members of a shared vehicle put on the record are not in the user's list, but stay on it when saving
+function renderMaintenanceTagOptions(selectedTags = []) {
+    const otherTags = selectedTags.filter(tag => !appData.tags.some(t => t.id === tag.id));
+    return html`${appData.tags.map(tag => html`
+        <option value="${tag.id}" ${selectedTags.some(t => t.id === tag.id) ? 'selected' : ''}>${tag.name}</option>
+    `)}${otherTags.map(tag => html`
+        <option value="${tag.id}" selected>${tag.name}</option>
+    `)}`;
+}
+
+function selectedTagOptionIds(selectId) {
+    return Array.from(document.getElementById(selectId).selectedOptions).map(option => option.value);
+}
+
+function renderMaintenance() {
+    const container = document.getElementById('maintenance-list');
+    
+    if (appData.maintenance.length === 0) {
+        container.innerHTML = hasMaintenanceFilters()
+            ? '<p class="empty-state">No maintenance records match your filters</p>'
+            : '<p class="empty-state">No maintenance records yet</p>';
+        return;
+    }
+    
+    container.innerHTML = html`${appData.maintenance.map(record => html`
+        <div class="maintenance-record" id="maintenance-${record.id}">
+            <div class="maintenance-header" onclick="toggleMaintenanceDetails('${record.id}')">
+                <div class="maintenance-title-container">
+                    <button class="maintenance-toggle-btn" title="Expand/Collapse">
+                        <i class="fas fa-chevron-down"></i>
+                    </button>
+                    <div class="maintenance-title">
+                        <div class="vehicle-info">${formatVehicleDisplay(record.vehicle)}</div>
+                        <div class="maintenance-desc">${record.title}</div>
+                        ${record.tags && record.tags.length > 0 ? html`
+                            <div class="maintenance-tags">
+                                ${record.tags.map(tag => html`<span class="tag tag-colored" style="--color: ${safeColor(tag.color)}">${tag.name}</span>`)}
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+                <div class="maintenance-date">${formatDate(record.happenedAt)}</div>
+                <div class="maintenance-actions" onclick="event.stopPropagation()">
+                    ${vehicleRole(record.vehicleId) !== 'VIEWER' ? html`
+                        <button class="btn btn-sm" onclick="editMaintenance('${record.id}')" title="Edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                    ` : ''}
+                    ${vehicleRole(record.vehicleId) === 'OWNER' ? html`
+                        <button class="btn btn-sm btn-error" onclick="deleteMaintenance('${record.id}')" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            <div class="maintenance-details" id="details-${record.id}">
+                <div class="meta-item">
+                    <i class="fas fa-car"></i>
+                    ${record.vehicle.manufacturer} ${record.vehicle.model}
+                </div>
+                ${record.odoReading ? html`
+                    <div class="meta-item">
+                        <i class="fas fa-tachometer-alt"></i>
+                        ${formatOdometer(record.odoReading, record.vehicle.odoUnit)}
+                    </div>
+                ` : ''}
+                ${record.notes ? html`
+                    <div class="meta-item">
+                        <i class="fas fa-sticky-note"></i>
+                        ${record.notes}
+                    </div>
+                ` : ''}
+                <div class="meta-item">
+                    <i class="fas fa-coins"></i>
+                    ${formatCostTotals(sumCostsByCurrency(record.items || []))}
+                </div>
+                ${renderRecordAuthors(record)}
+                ${renderAttachmentThumbnails(record.attachments)}
+            </div>
+            ${record.items && record.items.length > 0 ? html`
+                <div class="maintenance-items" id="items-${record.id}">
+                    <h4>Parts Used:</h4>
+                    <div class="item-list">
+                        ${record.items.map(item => html`
+                            <div class="maintenance-item">
+                                <span>${item.part?.name || 'Unknown Part'}</span>
+                                <span>Qty: ${item.quantity} ${item.unit || ''}</span>
+                                ${itemUnitPriceCents(item) !== null ? html`
+                                    <span>× ${formatCurrency(itemUnitPriceCents(item), item.part?.currency || 'EUR')}</span>
+                                    <span class="maintenance-cost">${formatCurrency(itemTotalCents(item), item.part?.currency || 'EUR')}</span>
+                                ` : ''}
+                            </div>
+                        `)}
+                    </div>
+                </div>
+            ` : ''}
+        </div>
+    `)}`;
+    loadAttachmentThumbnails(container);
+}
+
+function toggleMaintenanceDetails(recordId) {
+    const record = document.getElementById(`maintenance-${recordId}`);
+    const details = document.getElementById(`details-${recordId}`);
+    const items = document.getElementById(`items-${recordId}`);
+    const toggleBtn = record.querySelector('.maintenance-toggle-btn i');
+    
+    const isCollapsed = record.classList.contains('collapsed');
+    
+    if (isCollapsed) {
+        // Expand
+        record.classList.remove('collapsed');
+        details.style.display = 'grid';
+        if (items) items.style.display = 'block';
+        toggleBtn.classList.remove('fa-chevron-right');
+        toggleBtn.classList.add('fa-chevron-down');
+    } else {
+        // Collapse
+        record.classList.add('collapsed');
+        details.style.display = 'none';
+        if (items) items.style.display = 'none';
+        toggleBtn.classList.remove('fa-chevron-down');
+        toggleBtn.classList.add('fa-chevron-right');
+    }
+}
+
+async function showAddMaintenanceModal(vehicleId = null) {
     try {
         showLoading();
-        const response = await apiCall('/parts');
-        appData.parts = response.data || response;
-        renderParts();
+        await Promise.all([loadVehicleOptions(), loadPartOptions(), loadTagOptions()]);
     } catch (error) {
-        showToast('Failed to load parts', 'error');
+        showToast('Failed to load vehicles, parts and tags', 'error');
+        return;
     } finally {
         hideLoading();
     }
+    
+    showMaintenanceModal(vehicleId);
 }
 
-function renderParts() {
-    const container = document.getElementById('parts-grid');
-    
-    if (appData.parts.length === 0) {
-        container.innerHTML = '<p class="empty-state">No parts added yet</p>';
+// prefill holds the scheduleId, title, notes and odometer reading of a schedule being marked done
+function showMaintenanceModal(vehicleId = null, prefill = {}) {
+    const vehicles = appData.vehicleOptions.filter(vehicle => vehicle.role !== 'VIEWER');
+    if (vehicles.length === 0) {
+        showToast('Please add a vehicle first', 'warning');
         return;
     }
     
-    container.innerHTML = appData.parts.map(part => `
-        <div class="part-card">
-            <div class="card-header">
-                <div class="card-title">${part.name}</div>
-                <div class="card-actions">
-                    <button class="btn btn-sm" onclick="editPart('${part.id}')">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-sm btn-error" onclick="deletePart('${part.id}')">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-            <div class="card-meta">
-                <div class="meta-item">
-                    <i class="fas fa-dollar-sign"></i>
-                    ${formatCurrency(part.priceCents, part.currency)}
-                </div>
-                ${part.description ? `<div class="meta-item"><i class="fas fa-info-circle"></i> ${part.description}</div>` : ''}
-                ${part.url ? `<div class="meta-item"><i class="fas fa-link"></i> <a href="${part.url}" target="_blank">Supplier Link</a></div>` : ''}
-            </div>
-            ${part.tags && part.tags.length > 0 ? `
-                <div class="card-tags">
-                    ${part.tags.map(tag => `<span class="tag tag-colored" style="--color: ${tag.color || '#2563eb'}">${tag.name}</span>`).join('')}
-                </div>
-            ` : ''}
-        </div>
-    `).join('');
-}
-
-function showAddPartModal() {
-    const content = `
+    resetAttachmentDraft();
+    const content = html`
         <div class="modal-header">
-            <h3>Add Part</h3>
+            <h3>Add Maintenance Record</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="add-part-form">
+            <form id="add-maintenance-form">
+                <input type="hidden" id="maintenance-schedule-id" value="${prefill.scheduleId || ''}">
                 <div class="form-group">
-                    <label for="part-name">Part Name *</label>
-                    <input type="text" id="part-name" required>
+                    <label for="maintenance-vehicle">Vehicle *</label>
+                    <select id="maintenance-vehicle" required ${prefill.scheduleId ? 'disabled' : ''} onchange="checkMaintenanceOdometer('maintenance')">
+                        <option value="">Select a vehicle</option>
+                        ${vehicles.map(vehicle => 
+                            html`<option value="${vehicle.id}" ${vehicle.id === vehicleId ? 'selected' : ''}>${vehicle.manufacturer} ${vehicle.model} (${vehicle.licensePlate || 'No plate'})</option>`
+                        )}
+                    </select>
                 </div>
                 <div class="form-group">
-                    <label for="part-description">Description</label>
-                    <textarea id="part-description" rows="3"></textarea>
+                    <label for="maintenance-title">Title *</label>
+                    <input type="text" id="maintenance-title" required placeholder="e.g., Oil Change, Brake Pads" value="${prefill.title || ''}">
                 </div>
                 <div class="form-group">
-                    <label for="part-url">Supplier URL</label>
-                    <input type="url" id="part-url">
+                    <label for="maintenance-date">Date *</label>
+                    <input type="date" id="maintenance-date" required onchange="checkMaintenanceOdometer('maintenance')">
                 </div>
                 <div class="form-group">
-                    <label for="part-tags">Tags</label>
-                    <select id="part-tags" multiple>
-                        ${appData.tags.map(tag => `<option value="${tag.id}">${tag.name}</option>`).join('')}
+                    <label for="maintenance-odo">Odometer Reading</label>
+                    <input type="number" id="maintenance-odo" min="0" value="${prefill.odoReading ?? ''}" oninput="checkMaintenanceOdometer('maintenance')">
+                    <p class="form-warning hidden" id="maintenance-odo-warning"></p>
+                </div>
+                <div class="form-group">
+                    <label for="maintenance-notes">Notes</label>
+                    <textarea id="maintenance-notes" rows="3">${prefill.notes || ''}</textarea>
+                </div>
+                <div class="form-group">
+                    <label for="maintenance-tags">Tags</label>
+                    <select id="maintenance-tags" multiple>
+                        ${renderMaintenanceTagOptions()}
                     </select>
                 </div>
+                <div class="form-group">
+                    <label>Parts Used</label>
+                    <div id="maintenance-parts-container">
+                    </div>
+                    <button type="button" class="btn btn-sm" onclick="addMaintenancePart()">
+                        <i class="fas fa-plus"></i> Add Part
+                    </button>
+                    <div class="maintenance-record-total">
+                        Total: <span id="maintenance-record-total">—</span>
+                    </div>
+                </div>
+                ${renderAttachmentField()}
             </form>
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="addPart()">Add Part</button>
+            <button class="btn btn-primary" onclick="addMaintenance()">Add Record</button>
         </div>
     `;
     showModal(content);
+    
+    // Set today's date as default
+    document.getElementById('maintenance-date').valueAsDate = new Date();
+    odometerLogCache.clear();
+    checkMaintenanceOdometer('maintenance');
 }
 
-async function addPart() {
-    const partData = {
-        name: document.getElementById('part-name').value,
-        description: document.getElementById('part-description').value || null,
-        url: document.getElementById('part-url').value || null,
-        tagIds: Array.from(document.getElementById('part-tags').selectedOptions).map(option => option.value)
+async function addMaintenance() {
+    const vehicleId = document.getElementById('maintenance-vehicle').value;
+    const maintenanceData = {
+        title: document.getElementById('maintenance-title').value,
+        happenedAt: document.getElementById('maintenance-date').value,
+        odoReading: document.getElementById('maintenance-odo').value ? parseInt(document.getElementById('maintenance-odo').value) : null,
+        notes: document.getElementById('maintenance-notes').value || null,
+        items: collectMaintenanceItems('maintenance-parts-container'),
+        tagIds: selectedTagOptionIds('maintenance-tags'),
+        scheduleId: document.getElementById('maintenance-schedule-id').value || null
     };
     
     try {
         showLoading();
-        await apiCall('/parts', {
+        const record = await apiCall(`/vehicles/${vehicleId}/maintenance`, {
             method: 'POST',
-            body: JSON.stringify(partData)
+            body: JSON.stringify(maintenanceData)
         });
+        const failedAttachments = await saveAttachments(`/maintenance/${record.id}/attachments`);
         
         hideModal();
-        loadParts();
-        showToast('Part added successfully!');
+        loadMaintenance();
+        refreshVehicleDetail();
+        refreshScheduleViews();
+        showSavedToast('Maintenance record added successfully!', failedAttachments);
     } catch (error) {
         showToast(error.message, 'error');
     } finally {
@@ -666,86 +3800,116 @@ async function addPart() {
     }
 }
 
-async function deletePart(partId) {
-    if (!confirm('Are you sure you want to delete this part?')) {
-        return;
-    }
-    
+// Records on pages that are not loaded yet are fetched, so deep links work for every record
+async function showEditMaintenanceModal(maintenanceId) {
+    let record;
     try {
         showLoading();
-        await apiCall(`/parts/${partId}`, { method: 'DELETE' });
-        loadParts();
-        showToast('Part deleted successfully!');
+        [record] = await Promise.all([
+            appData.maintenance.find(m => m.id === maintenanceId) || apiCall(`/maintenance/${maintenanceId}`),
+            loadVehicleOptions(),
+            loadPartOptions(),
+            loadTagOptions()
+        ]);
     } catch (error) {
-        showToast(error.message, 'error');
+        showToast('Maintenance record not found', 'error');
+        return;
     } finally {
         hideLoading();
     }
+    
+    showEditMaintenanceModalContent(record);
 }
 
-function editPart(partId) {
-    const part = appData.parts.find(p => p.id === partId);
-    if (!part) {
-        showToast('Part not found', 'error');
-        return;
-    }
-    showEditPartModal(part);
-}
-
-function showEditPartModal(part) {
-    const content = `
+function showEditMaintenanceModalContent(record) {
+    resetAttachmentDraft(record.attachments);
+    const content = html`
         <div class="modal-header">
-            <h3>Edit Part</h3>
+            <h3>Edit Maintenance Record</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="edit-part-form">
+            <form id="edit-maintenance-form">
                 <div class="form-group">
-                    <label for="edit-part-name">Part Name *</label>
-                    <input type="text" id="edit-part-name" required value="${part.name}">
+                    <label for="edit-maintenance-vehicle">Vehicle *</label>
+                    <select id="edit-maintenance-vehicle" required>
+                        ${appData.vehicleOptions.map(vehicle => 
+                            html`<option value="${vehicle.id}" ${vehicle.id === record.vehicleId ? 'selected' : ''}>${vehicle.manufacturer} ${vehicle.model} (${vehicle.licensePlate || 'No plate'})</option>`
+                        )}
+                    </select>
                 </div>
                 <div class="form-group">
-                    <label for="edit-part-description">Description</label>
-                    <textarea id="edit-part-description" rows="3">${part.description || ''}</textarea>
+                    <label for="edit-maintenance-title">Title *</label>
+                    <input type="text" id="edit-maintenance-title" required placeholder="e.g., Oil Change, Brake Pads" value="${record.title}">
                 </div>
                 <div class="form-group">
-                    <label for="edit-part-url">Supplier URL</label>
-                    <input type="url" id="edit-part-url" value="${part.url || ''}">
+                    <label for="edit-maintenance-date">Date *</label>
+                    <input type="date" id="edit-maintenance-date" required value="${record.happenedAt}" onchange="checkMaintenanceOdometer('edit-maintenance', '${record.id}')">
                 </div>
                 <div class="form-group">
-                    <label for="edit-part-tags">Tags</label>
-                    <select id="edit-part-tags" multiple>
-                        ${appData.tags.map(tag => `<option value="${tag.id}" ${part.tags && part.tags.some(t => t.id === tag.id) ? 'selected' : ''}>${tag.name}</option>`).join('')}
+                    <label for="edit-maintenance-odo">Odometer Reading</label>
+                    <input type="number" id="edit-maintenance-odo" min="0" value="${record.odoReading || ''}" oninput="checkMaintenanceOdometer('edit-maintenance', '${record.id}')">
+                    <p class="form-warning hidden" id="edit-maintenance-odo-warning"></p>
+                </div>
+                <div class="form-group">
+                    <label for="edit-maintenance-notes">Notes</label>
+                    <textarea id="edit-maintenance-notes" rows="3">${record.notes || ''}</textarea>
+                </div>
+                <div class="form-group">
+                    <label for="edit-maintenance-tags">Tags</label>
+                    <select id="edit-maintenance-tags" multiple>
+                        ${renderMaintenanceTagOptions(record.tags)}
                     </select>
                 </div>
+                <div class="form-group">
+                    <label>Parts Used</label>
+                    <div id="edit-maintenance-parts-container">
+                        ${(record.items || []).map(item => renderMaintenancePartRow(item, record))}
+                    </div>
+                    <button type="button" class="btn btn-sm" onclick="addMaintenancePart()">
+                        <i class="fas fa-plus"></i> Add Part
+                    </button>
+                    <div class="maintenance-record-total">
+                        Total: <span id="maintenance-record-total">—</span>
+                    </div>
+                </div>
+                ${renderAttachmentField()}
             </form>
+            ${renderAuditHistoryPanel()}
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="updatePart('${part.id}')">Update Part</button>
+            <button class="btn btn-primary" onclick="updateMaintenance('${record.id}')">Update Record</button>
         </div>
     `;
     showModal(content);
+    updateMaintenanceTotals();
+    odometerLogCache.clear();
+    checkMaintenanceOdometer('edit-maintenance', record.id);
+    loadAuditHistory('MAINTENANCE', record.id);
 }
 
-async function updatePart(partId) {
-    const partData = {
-        name: document.getElementById('edit-part-name').value,
-        description: document.getElementById('edit-part-description').value || null,
-        url: document.getElementById('edit-part-url').value || null,
-        tagIds: Array.from(document.getElementById('edit-part-tags').selectedOptions).map(option => option.value)
+async function updateMaintenance(maintenanceId) {
+    const maintenanceData = {
+        title: document.getElementById('edit-maintenance-title').value,
+        happenedAt: document.getElementById('edit-maintenance-date').value,
+        odoReading: document.getElementById('edit-maintenance-odo').value ? parseInt(document.getElementById('edit-maintenance-odo').value) : null,
+        notes: document.getElementById('edit-maintenance-notes').value || null,
+        items: collectMaintenanceItems('edit-maintenance-parts-container'),
+        tagIds: selectedTagOptionIds('edit-maintenance-tags')
     };
     
     try {
         showLoading();
-        await apiCall(`/parts/${partId}`, {
+        await apiCall(`/maintenance/${maintenanceId}`, {
             method: 'PUT',
-            body: JSON.stringify(partData)
+            body: JSON.stringify(maintenanceData)
         });
+        const failedAttachments = await saveAttachments(`/maintenance/${maintenanceId}/attachments`);
         
         hideModal();
-        loadParts();
-        showToast('Part updated successfully!');
+        loadMaintenance();
+        showSavedToast('Maintenance record updated successfully!', failedAttachments);
     } catch (error) {
         showToast(error.message, 'error');
     } finally {
@@ -753,99 +3917,454 @@ async function updatePart(partId) {
     }
 }
 
-// Tags Functions
-async function loadTags() {
-    try {
-        const response = await apiCall('/tags');
-        appData.tags = response;
-        renderTags();
+function editMaintenance(maintenanceId) {
+    navigate(`maintenance/${maintenanceId}/edit`, currentSectionRoute().params);
+}
+
+function deleteMaintenance(maintenanceId) {
+    confirmDelete('MAINTENANCE', maintenanceId);
+}
+
+function addMaintenancePart() {
+    const container = document.getElementById('maintenance-parts-container') || document.getElementById('edit-maintenance-parts-container');
+    if (!container) return;
+    
+    container.insertAdjacentHTML('beforeend', renderMaintenancePartRow());
+}
+
+function removeMaintenancePart(button) {
+    button.closest('.maintenance-part-item').remove();
+    updateMaintenanceTotals();
+}
+
+// A part row in the add/edit maintenance modals; the unit price is prefilled from the part
+function renderMaintenancePartRow(item = null, record = null) {
+    const part = item ? item.part || appData.partOptions.find(p => p.id === item.partId) : null;
+    const unitPrice = item ? itemUnitPriceCents({ ...item, part }) : null;
+    // Parts in the trash and parts of other members of a shared vehicle are not in the user's catalog,
+    // but stay selectable on the records that already use them
+    const otherPart = item && !appData.partOptions.some(p => p.id === item.partId) ? part : null;
+    
+    return html`
+        <div class="maintenance-part-item">
+            <select class="part-select" onchange="onMaintenancePartChange(this)">
+                <option value="">Select a part</option>
+                ${appData.partOptions.map(p => 
+                    html`<option value="${p.id}" ${item && p.id === item.partId ? 'selected' : ''}>${p.name}</option>`
+                )}
+                ${otherPart ? html`<option value="${otherPart.id}" selected>${otherPart.name} (${otherPart.deletedAt ? 'in trash' : `from ${partOwnerName(otherPart, record)}`})</option>` : ''}
+            </select>
+            <input type="number" class="part-quantity" placeholder="Qty" min="0" step="0.1" value="${item ? item.quantity : ''}" oninput="updateMaintenanceTotals()">
+            <input type="text" class="part-unit" placeholder="Unit" value="${item?.unit || ''}">
+            <input type="text" class="part-price" inputmode="decimal" placeholder="Unit price" value="${formatPriceInput(unitPrice)}" oninput="updateMaintenanceTotals()">
+            <span class="part-line-total"></span>
+            <button type="button" class="btn btn-sm btn-error" onclick="removeMaintenancePart(this)">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `;
+}
+
+// Whose catalog a part of another member comes from: the owner who shared the vehicle, or whoever logged or edited the record
+function partOwnerName(part, record) {
+    const sharedVehicle = appData.vehicleOptions.find(vehicle => vehicle.ownerId === part.ownerId && vehicle.sharedBy);
+    if (sharedVehicle) return sharedVehicle.sharedBy;
+    
+    const member = [record?.createdBy, record?.updatedBy].find(user => user && user.id === part.ownerId);
+    return member ? member.name || member.email : 'another member';
+}
+
+function onMaintenancePartChange(select) {
+    const part = appData.partOptions.find(p => p.id === select.value);
+    const priceInput = select.closest('.maintenance-part-item').querySelector('.part-price');
+    priceInput.value = formatPriceInput(part?.priceCents);
+    updateMaintenanceTotals();
+}
+
+// Reads a part row into the same shape as a MaintenanceItem so the cost helpers apply to it
+function readMaintenancePartRow(row) {
+    const partId = row.querySelector('.part-select').value;
+    const quantity = parseFloat(row.querySelector('.part-quantity').value);
+    const price = parsePriceToCents(row.querySelector('.part-price').value);
+    
+    return {
+        partId,
+        part: appData.partOptions.find(p => p.id === partId) || null,
+        quantity,
+        unit: row.querySelector('.part-unit').value || null,
+        unitPriceCentsOverride: Number.isNaN(price) ? null : price
+    };
+}
+
+function updateMaintenanceTotals() {
+    const container = document.getElementById('maintenance-parts-container') || document.getElementById('edit-maintenance-parts-container');
+    if (!container) return;
+    
+    const items = [];
+    container.querySelectorAll('.maintenance-part-item').forEach(row => {
+        const item = readMaintenancePartRow(row);
+        const valid = item.partId && item.quantity > 0;
+        const total = valid ? itemTotalCents(item) : null;
         
-        // Update parts tag filter
-        const filterSelect = document.getElementById('parts-tag-filter');
-        if (filterSelect) {
-            filterSelect.innerHTML = '<option value="">All Tags</option>' +
-                appData.tags.map(tag => `<option value="${tag.id}">${tag.name}</option>`).join('');
+        row.querySelector('.part-line-total').textContent = total !== null
+            ? formatCurrency(total, item.part?.currency || 'EUR')
+            : '';
+        if (valid) items.push(item);
+    });
+    
+    document.getElementById('maintenance-record-total').textContent = formatCostTotals(sumCostsByCurrency(items));
+}
+
+// The price paid is stored on every item so later part price changes do not rewrite history
+function collectMaintenanceItems(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} .maintenance-part-item`))
+        .map(readMaintenancePartRow)
+        .filter(item => item.partId && item.quantity > 0)
+        .map(item => ({
+            partId: item.partId,
+            quantity: item.quantity,
+            unit: item.unit,
+            unitPriceCentsOverride: item.unitPriceCentsOverride
+        }));
+}
+
+// Trash Functions
+// Deleting moves an item to the trash, where it can be restored or deleted for good
+const TRASH_TYPES = {
+    VEHICLE: { path: 'vehicles', label: 'vehicle', icon: 'fa-car', reload: () => loadVehicles() },
+    PART: { path: 'parts', label: 'part', icon: 'fa-cog', reload: () => loadParts() },
+    TAG: { path: 'tags', label: 'tag', icon: 'fa-tag', reload: () => loadTags() },
+    MAINTENANCE: { path: 'maintenance', label: 'maintenance record', icon: 'fa-wrench', reload: () => loadMaintenance() }
+};
+
+// Asks before deleting, with what the deletion affects, e.g. "3 maintenance records use this part"
+async function confirmDelete(type, id) {
+    const { path, label } = TRASH_TYPES[type];
+    let preview;
+    try {
+        showLoading();
+        preview = await apiCall(`/${path}/${id}/delete-preview`);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    } finally {
+        hideLoading();
+    }
+    
+    const effects = deletionEffects(preview);
+    showModal(html`
+        <div class="modal-header">
+            <h3>Delete ${label}</h3>
+            <button class="modal-close" onclick="hideModal()">×</button>
+        </div>
+        <div class="modal-body">
+            <p>Move <strong>${preview.name}</strong> to the trash? You can restore it from the trash later.</p>
+            ${effects.length > 0 ? html`
+                <ul class="deletion-effects">
+                    ${effects.map(effect => html`<li>${effect}</li>`)}
+                </ul>
+            ` : ''}
+        </div>
+        <div class="modal-footer">
+            <button class="btn" onclick="hideModal()">Cancel</button>
+            <button class="btn btn-error" onclick="moveToTrash('${type}', '${id}')">Move to Trash</button>
+        </div>
+    `);
+}
+
+function deletionEffects(preview) {
+    const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+    const effects = [];
+    
+    switch (preview.type) {
+        case 'VEHICLE':
+            [
+                [preview.maintenanceRecordCount, 'maintenance record'],
+                [preview.scheduleCount, 'service schedule'],
+                [preview.odometerReadingCount, 'odometer reading']
+            ].filter(([number]) => number > 0).forEach(([number, noun]) => {
+                effects.push(`${count(number, noun)} of this vehicle will be hidden until it is restored`);
+            });
+            break;
+        case 'PART':
+            if (preview.maintenanceRecordCount > 0) {
+                const uses = preview.maintenanceRecordCount === 1 ? 'uses' : 'use';
+                effects.push(`${count(preview.maintenanceRecordCount, 'maintenance record')} ${uses} this part and will keep showing it`);
+            }
+            break;
+        case 'TAG': {
+            const tagged = [[preview.partCount, 'part'], [preview.maintenanceRecordCount, 'maintenance record']]
+                .filter(([number]) => number > 0)
+                .map(([number, noun]) => count(number, noun));
+            if (tagged.length > 0) {
+                effects.push(`The tag will be removed from ${tagged.join(' and ')}`);
+            }
+            break;
         }
+        case 'MAINTENANCE':
+            if (preview.partCount > 0) {
+                effects.push(`${count(preview.partCount, 'part')} used on this record will stay in your catalog`);
+            }
+            break;
+    }
+    
+    if (preview.attachmentCount > 0) {
+        effects.push(`${count(preview.attachmentCount, 'attachment')} will go to the trash with it`);
+    }
+    return effects;
+}
+
+async function moveToTrash(type, id) {
+    const { path, label, reload } = TRASH_TYPES[type];
+    hideModal();
+    
+    try {
+        showLoading();
+        await apiCall(`/${path}/${id}`, { method: 'DELETE' });
+        reload();
+        showToast(`The ${label} was moved to the trash.`, 'success', 'Deleted', {
+            label: 'Undo',
+            onClick: () => restoreFromTrash(type, id)
+        });
     } catch (error) {
-        showToast('Failed to load tags', 'error');
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
     }
 }
 
-function renderTags() {
-    const container = document.getElementById('tags-grid');
+async function loadTrash() {
+    try {
+        appData.trash = await apiCall('/trash');
+        renderTrash();
+    } catch (error) {
+        showToast('Failed to load the trash', 'error');
+    }
+}
+
+function renderTrash() {
+    const container = document.getElementById('trash-list');
     
-    if (appData.tags.length === 0) {
-        container.innerHTML = '<p class="empty-state">No tags created yet</p>';
+    if (appData.trash.length === 0) {
+        container.innerHTML = '<p class="empty-state">The trash is empty</p>';
         return;
     }
-    
-    container.innerHTML = appData.tags.map(tag => `
-        <div class="tag-card">
-            <div class="card-header">
-                <div class="card-title">
-                    <span class="tag tag-colored" style="--color: ${tag.color || '#2563eb'}">${tag.name}</span>
+    
+    container.innerHTML = html`${appData.trash.map(item => {
+        const { label, icon } = TRASH_TYPES[item.type];
+        return html`
+            <div class="trash-item">
+                <div class="trash-item-info">
+                    <div class="trash-item-name">
+                        <i class="fas ${icon}"></i>
+                        ${item.name}
+                    </div>
+                    <div class="trash-item-meta">
+                        ${label.charAt(0).toUpperCase() + label.slice(1)}${item.vehicle ? html` of ${item.vehicle.manufacturer} ${item.vehicle.model}` : ''}
+                        · Deleted ${formatDate(item.deletedAt)}
+                    </div>
                 </div>
                 <div class="card-actions">
-                    <button class="btn btn-sm" onclick="editTag('${tag.id}')">
-                        <i class="fas fa-edit"></i>
+                    <button class="btn btn-sm" onclick="restoreFromTrash('${item.type}', '${item.id}')">
+                        <i class="fas fa-undo"></i>
+                        Restore
                     </button>
-                    <button class="btn btn-sm btn-error" onclick="deleteTag('${tag.id}')">
-                        <i class="fas fa-trash"></i>
+                    <button class="btn btn-sm btn-error" onclick="confirmPurge('${item.type}', '${item.id}')">
+                        <i class="fas fa-times"></i>
+                        Delete Permanently
                     </button>
                 </div>
             </div>
-            <div class="card-meta">
-                <div class="meta-item">
-                    <i class="fas fa-calendar"></i>
-                    Created ${formatDate(tag.createdAt)}
-                </div>
-            </div>
-        </div>
-    `).join('');
+        `;
+    })}`;
 }
 
-function showAddTagModal() {
-    const content = `
+async function restoreFromTrash(type, id) {
+    const { path, label, reload } = TRASH_TYPES[type];
+    
+    try {
+        showLoading();
+        await apiCall(`/trash/${path}/${id}/restore`, { method: 'POST' });
+        await (currentSection === 'trash' ? loadTrash() : reload());
+        showToast(`The ${label} was restored.`);
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function confirmPurge(type, id) {
+    const item = appData.trash.find(entry => entry.type === type && entry.id === id);
+    if (!item) return;
+    
+    showModal(html`
         <div class="modal-header">
-            <h3>Add Tag</h3>
+            <h3>Delete Permanently</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="add-tag-form">
-                <div class="form-group">
-                    <label for="tag-name">Tag Name *</label>
-                    <input type="text" id="tag-name" required>
-                </div>
-                <div class="form-group">
-                    <label for="tag-color">Color</label>
-                    <input type="color" id="tag-color" value="#2563eb">
-                </div>
-            </form>
+            <p>Delete <strong>${item.name}</strong> for good? This cannot be undone.</p>
+            ${type === 'VEHICLE' ? html`<p>Its maintenance records, service schedules and odometer readings are deleted with it.</p>` : ''}
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="addTag()">Add Tag</button>
+            <button class="btn btn-error" onclick="purgeFromTrash('${type}', '${id}')">Delete Permanently</button>
         </div>
+    `);
+}
+
+// The server refuses a part that maintenance records still use; its message says how many
+async function purgeFromTrash(type, id) {
+    const { path, label } = TRASH_TYPES[type];
+    hideModal();
+    
+    try {
+        showLoading();
+        await apiCall(`/trash/${path}/${id}`, { method: 'DELETE' });
+        await loadTrash();
+        showToast(`The ${label} was deleted permanently.`);
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Audit History Functions
+// Creating, editing, deleting and restoring are logged by the server; the edit modals show the history of their item
+const AUDIT_ACTIONS = {
+    CREATE: 'Created',
+    UPDATE: 'Edited',
+    DELETE: 'Moved to the trash',
+    RESTORE: 'Restored from the trash'
+};
+
+// Labels of the fields the server compares, by the field names of AuditChange
+const AUDIT_FIELDS = {
+    manufacturer: 'Manufacturer',
+    model: 'Model',
+    licensePlate: 'License plate',
+    vin: 'VIN',
+    buildYear: 'Build year',
+    fuelType: 'Fuel type',
+    odoUnit: 'Odometer unit',
+    currentOdo: 'Current odometer',
+    name: 'Name',
+    description: 'Description',
+    price: 'Price',
+    url: 'Supplier URL',
+    color: 'Color',
+    title: 'Title',
+    happenedAt: 'Date',
+    odoReading: 'Odometer',
+    notes: 'Notes',
+    items: 'Parts',
+    tags: 'Tags'
+};
+
+function renderAuditHistoryPanel() {
+    return html`
+        <details class="audit-history">
+            <summary>History</summary>
+            <div id="audit-history"><p class="empty-state">Loading history…</p></div>
+        </details>
     `;
-    showModal(content);
 }
 
-async function addTag() {
-    const tagData = {
-        name: document.getElementById('tag-name').value,
-        color: document.getElementById('tag-color').value
-    };
+// Fills the panel of the open edit modal; type is a key of TRASH_TYPES
+async function loadAuditHistory(type, id) {
+    let entries;
+    try {
+        const response = await apiCall(`/audit?type=${TRASH_TYPES[type].path}&id=${id}&pageSize=100`);
+        entries = response.data;
+    } catch (error) {
+        entries = null;
+    }
+    
+    // The modal may have been closed or replaced while the history loaded
+    const container = document.getElementById('audit-history');
+    if (!container) return;
+    container.innerHTML = entries ? renderAuditEntries(entries) : html`<p class="empty-state">The history could not be loaded</p>`;
+}
+
+function renderAuditEntries(entries) {
+    if (entries.length === 0) {
+        return html`<p class="empty-state">No changes have been logged yet</p>`;
+    }
     
+    return html`
+        <ul class="audit-entries">
+            ${entries.map(entry => html`
+                <li>
+                    <div class="audit-entry-summary">
+                        ${AUDIT_ACTIONS[entry.action]} by ${entry.actor ? formatUserName(entry.actor) : 'a deleted account'}
+                        <span class="audit-entry-date">${new Date(entry.createdAt).toLocaleString()}</span>
+                    </div>
+                    ${entry.action === 'UPDATE' ? html`
+                        <ul class="audit-changes">
+                            ${entry.changes.map(change => html`
+                                <li>
+                                    ${AUDIT_FIELDS[change.field] || change.field}:
+                                    <span class="audit-before">${change.before ?? 'empty'}</span>
+                                    → ${change.after ?? 'empty'}
+                                </li>
+                            `)}
+                        </ul>
+                    ` : ''}
+                </li>
+            `)}
+        </ul>
+    `;
+}
+
+// Account Functions
+async function loadAccount() {
+    document.getElementById('profile-name').value = currentUser?.name || '';
+    document.getElementById('profile-email').value = currentUser?.email || '';
+    renderEmailVerification();
+    await loadSessions();
+}
+
+function renderEmailVerification() {
+    document.getElementById('email-verification').innerHTML = currentUser?.emailVerified
+        ? html`<span class="email-verified"><i class="fas fa-check-circle"></i> Verified</span>`
+        : html`
+            <span><i class="fas fa-exclamation-circle"></i> Not verified yet</span>
+            <button type="button" class="btn btn-sm" onclick="resendVerification()">Resend verification email</button>
+        `;
+}
+
+async function resendVerification() {
     try {
         showLoading();
-        await apiCall('/tags', {
-            method: 'POST',
-            body: JSON.stringify(tagData)
+        await apiCall('/me/verification', { method: 'POST' });
+        showToast(`Open the link we sent to ${currentUser.email} to verify it.`, 'success', 'Check your email');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// A changed email is mailed a verification link by the server
+async function saveProfile() {
+    const email = document.getElementById('profile-email').value.trim();
+    const emailChanged = email !== currentUser.email;
+    
+    try {
+        showLoading();
+        currentUser = await apiCall('/me', {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: document.getElementById('profile-name').value,
+                email
+            })
         });
-        
-        hideModal();
-        loadTags();
-        showToast('Tag added successfully!');
+        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+        document.getElementById('user-name').textContent = currentUser.name || currentUser.email;
+        renderEmailVerification();
+        showToast(emailChanged ? `Open the link we sent to ${email} to verify it.` : 'Profile saved successfully!');
     } catch (error) {
         showToast(error.message, 'error');
     } finally {
@@ -853,16 +4372,26 @@ async function addTag() {
     }
 }
 
-async function deleteTag(tagId) {
-    if (!confirm('Are you sure you want to delete this tag?')) {
+// The server signs out the other sessions, so the list is loaded again afterwards
+async function changePassword() {
+    const inputs = ['current-password', 'new-password', 'confirm-password'].map(id => document.getElementById(id));
+    const [currentPassword, newPassword, confirmPassword] = inputs.map(input => input.value);
+    if (newPassword !== confirmPassword) {
+        showToast('The new passwords do not match', 'error');
         return;
     }
     
     try {
         showLoading();
-        await apiCall(`/tags/${tagId}`, { method: 'DELETE' });
-        loadTags();
-        showToast('Tag deleted successfully!');
+        await apiCall('/me/password', {
+            method: 'PUT',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        inputs.forEach(input => {
+            input.value = '';
+        });
+        showToast('Your other sessions were signed out.', 'success', 'Password changed');
+        await loadSessions();
     } catch (error) {
         showToast(error.message, 'error');
     } finally {
@@ -870,57 +4399,84 @@ async function deleteTag(tagId) {
     }
 }
 
-function editTag(tagId) {
-    const tag = appData.tags.find(t => t.id === tagId);
-    if (!tag) {
-        showToast('Tag not found', 'error');
+async function loadSessions() {
+    try {
+        appData.sessions = await apiCall('/me/sessions');
+        renderSessions();
+    } catch (error) {
+        showToast('Failed to load sessions', 'error');
+    }
+}
+
+function renderSessions() {
+    const container = document.getElementById('sessions-list');
+    
+    if (appData.sessions.length === 0) {
+        container.innerHTML = '<p class="empty-state">No active sessions</p>';
         return;
     }
-    showEditTagModal(tag);
+    
+    container.innerHTML = html`${appData.sessions.map(session => html`
+        <div class="session-item">
+            <div>
+                <div>
+                    Signed in ${formatDate(session.createdAt)}
+                    ${session.current ? html`<span class="session-current">· This session</span>` : ''}
+                </div>
+                <div class="session-meta">Expires ${formatDate(session.expiresAt)} unless it is used again</div>
+            </div>
+            <button class="btn btn-sm btn-error" onclick="revokeSession('${session.id}')">
+                <i class="fas fa-sign-out-alt"></i>
+                Sign Out
+            </button>
+        </div>
+    `)}`;
 }
 
-function showEditTagModal(tag) {
-    const content = `
+// Signing out the current session is the same as logging out
+async function revokeSession(sessionId) {
+    if (appData.sessions.find(session => session.id === sessionId)?.current) {
+        await logout();
+        return;
+    }
+    
+    try {
+        showLoading();
+        await apiCall(`/me/sessions/${sessionId}`, { method: 'DELETE' });
+        await loadSessions();
+        showToast('The session was signed out.');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function revokeAllSessions() {
+    showModal(html`
         <div class="modal-header">
-            <h3>Edit Tag</h3>
+            <h3>Sign Out Everywhere</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="edit-tag-form">
-                <div class="form-group">
-                    <label for="edit-tag-name">Tag Name *</label>
-                    <input type="text" id="edit-tag-name" required value="${tag.name}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-tag-color">Color</label>
-                    <input type="color" id="edit-tag-color" value="${tag.color || '#2563eb'}">
-                </div>
-            </form>
+            <p>Sign out on every device and browser, this one included? Each of them will need your password to sign in again.</p>
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="updateTag('${tag.id}')">Update Tag</button>
+            <button class="btn btn-error" onclick="signOutEverywhere()">Sign Out Everywhere</button>
         </div>
-    `;
-    showModal(content);
+    `);
 }
 
-async function updateTag(tagId) {
-    const tagData = {
-        name: document.getElementById('edit-tag-name').value,
-        color: document.getElementById('edit-tag-color').value
-    };
+async function signOutEverywhere() {
+    hideModal();
     
     try {
         showLoading();
-        await apiCall(`/tags/${tagId}`, {
-            method: 'PUT',
-            body: JSON.stringify(tagData)
-        });
-        
-        hideModal();
-        loadTags();
-        showToast('Tag updated successfully!');
+        await apiCall('/me/sessions', { method: 'DELETE' });
+        clearSession();
+        showAuth();
+        showToast('You were signed out on every device.', 'success', 'Signed out');
     } catch (error) {
         showToast(error.message, 'error');
     } finally {
@@ -928,441 +4484,677 @@ async function updateTag(tagId) {
     }
 }
 
-// Maintenance Functions
-async function loadMaintenance() {
-    try {
-        showLoading();
-        if (appData.vehicles.length === 0) {
-            await loadVehicles();
-        }
-        
-        const maintenancePromises = appData.vehicles.map(vehicle =>
-            apiCall(`/vehicles/${vehicle.id}/maintenance`)
-        );
-        const maintenanceResults = await Promise.all(maintenancePromises);
-        
-        appData.maintenance = maintenanceResults.flatMap((result, index) =>
-            (result.data || []).map(record => ({
-                ...record,
-                vehicleName: `${appData.vehicles[index].manufacturer} ${appData.vehicles[index].model}`,
-                vehicleDetails: {
-                    manufacturer: appData.vehicles[index].manufacturer,
-                    model: appData.vehicles[index].model,
-                    licensePlate: appData.vehicles[index].licensePlate,
-                    vin: appData.vehicles[index].vin
-                }
-            }))
-        );
-        
-        renderMaintenance();
-    } catch (error) {
-        showToast('Failed to load maintenance records', 'error');
-    } finally {
-        hideLoading();
-    }
+// Attachment Functions
+// Mirror Attachment in Models.kt; the server checks the file's actual type as well
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_MAX_COUNT = 20;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+// The attachments of the record or part in the open modal; uploads and removals are sent when it is saved
+let attachmentDraft = { existing: [], files: [], removedIds: [] };
+const attachmentsById = new Map(); // Attachments rendered in a list, to open them by ID
+const thumbnailUrls = new Map(); // Object URLs of thumbnails already fetched, by attachment ID
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-function renderMaintenance() {
-    const container = document.getElementById('maintenance-list');
-    
-    if (appData.maintenance.length === 0) {
-        container.innerHTML = '<p class="empty-state">No maintenance records yet</p>';
-        return;
-    }
-    
-    container.innerHTML = appData.maintenance.map(record => `
-        <div class="maintenance-record" id="maintenance-${record.id}">
-            <div class="maintenance-header" onclick="toggleMaintenanceDetails('${record.id}')">
-                <div class="maintenance-title-container">
-                    <button class="maintenance-toggle-btn" title="Expand/Collapse">
-                        <i class="fas fa-chevron-down"></i>
-                    </button>
-                    <div class="maintenance-title">
-                        <div class="vehicle-info">${formatVehicleDisplay(record.vehicleDetails)}</div>
-                        <div class="maintenance-desc">${record.title}</div>
-                    </div>
-                </div>
-                <div class="maintenance-date">${formatDate(record.happenedAt)}</div>
-                <div class="maintenance-actions" onclick="event.stopPropagation()">
-                    <button class="btn btn-sm" onclick="editMaintenance('${record.id}')" title="Edit">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-sm btn-error" onclick="deleteMaintenance('${record.id}')" title="Delete">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-            <div class="maintenance-details" id="details-${record.id}">
-                <div class="meta-item">
-                    <i class="fas fa-car"></i>
-                    ${record.vehicleName}
-                </div>
-                ${record.odoReading ? `
-                    <div class="meta-item">
-                        <i class="fas fa-tachometer-alt"></i>
-                        ${record.odoReading.toLocaleString()} ${record.odoUnit || 'KM'}
-                    </div>
-                ` : ''}
-                ${record.notes ? `
-                    <div class="meta-item">
-                        <i class="fas fa-sticky-note"></i>
-                        ${record.notes}
-                    </div>
-                ` : ''}
+function attachmentIcon(contentType) {
+    return contentType === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image';
+}
+
+function resetAttachmentDraft(attachments = []) {
+    attachmentDraft = { existing: attachments, files: [], removedIds: [] };
+}
+
+function renderAttachmentField() {
+    return html`
+        <div class="form-group">
+            <label>Attachments</label>
+            <div class="attachment-dropzone" id="attachment-dropzone"
+                 onclick="document.getElementById('attachment-input').click()"
+                 ondragover="event.preventDefault(); this.classList.add('dragover')"
+                 ondragleave="this.classList.remove('dragover')"
+                 ondrop="dropAttachmentFiles(event)">
+                <i class="fas fa-paperclip"></i>
+                Drop receipts or photos here, or click to choose files
+                <small>JPEG, PNG, WebP or PDF, up to ${formatFileSize(ATTACHMENT_MAX_BYTES)} each</small>
             </div>
-            ${record.items && record.items.length > 0 ? `
-                <div class="maintenance-items" id="items-${record.id}">
-                    <h4>Parts Used:</h4>
-                    <div class="item-list">
-                        ${record.items.map(item => `
-                            <div class="maintenance-item">
-                                <span>${item.part?.name || 'Unknown Part'}</span>
-                                <span>Qty: ${item.quantity} ${item.unit || ''}</span>
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-            ` : ''}
+            <input type="file" id="attachment-input" class="hidden" multiple accept="${ATTACHMENT_TYPES.join(',')}"
+                   onchange="addAttachmentFiles(this.files); this.value = ''">
+            <ul class="attachment-list" id="attachment-list">${renderAttachmentDraft()}</ul>
         </div>
-    `).join('');
+    `;
 }
 
-function toggleMaintenanceDetails(recordId) {
-    const record = document.getElementById(`maintenance-${recordId}`);
-    const details = document.getElementById(`details-${recordId}`);
-    const items = document.getElementById(`items-${recordId}`);
-    const toggleBtn = record.querySelector('.maintenance-toggle-btn i');
-    
-    const isCollapsed = record.classList.contains('collapsed');
+function renderAttachmentDraft() {
+    const kept = attachmentDraft.existing.filter(attachment => !attachmentDraft.removedIds.includes(attachment.id));
+    return html`
+        ${kept.map(attachment => html`
+            <li>
+                <i class="fas ${attachmentIcon(attachment.contentType)}"></i>
+                <span class="attachment-name">${attachment.fileName}</span>
+                <span class="attachment-size">${formatFileSize(attachment.sizeBytes)}</span>
+                ${!attachment.ownerId || attachment.ownerId === currentUser?.id ? html`
+                    <button type="button" class="btn btn-sm btn-error" onclick="removeExistingAttachment('${attachment.id}')" title="Remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </li>
+        `)}
+        ${attachmentDraft.files.map((file, index) => html`
+            <li class="attachment-pending">
+                <i class="fas ${attachmentIcon(file.type)}"></i>
+                <span class="attachment-name">${file.name}</span>
+                <span class="attachment-size">${formatFileSize(file.size)} · to upload</span>
+                <button type="button" class="btn btn-sm btn-error" onclick="removePendingAttachment(${index})" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `)}
+    `;
+}
+
+function refreshAttachmentDraft() {
+    document.getElementById('attachment-list').innerHTML = renderAttachmentDraft();
+}
+
+function dropAttachmentFiles(event) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('dragover');
+    addAttachmentFiles(event.dataTransfer.files);
+}
+
+// Files of the wrong type or size are left out with a warning; the rest are queued for upload
+function addAttachmentFiles(fileList) {
+    const kept = attachmentDraft.existing.length - attachmentDraft.removedIds.length;
+    const rejected = [];
     
-    if (isCollapsed) {
-        // Expand
-        record.classList.remove('collapsed');
-        details.style.display = 'grid';
-        if (items) items.style.display = 'block';
-        toggleBtn.classList.remove('fa-chevron-right');
-        toggleBtn.classList.add('fa-chevron-down');
-    } else {
-        // Collapse
-        record.classList.add('collapsed');
-        details.style.display = 'none';
-        if (items) items.style.display = 'none';
-        toggleBtn.classList.remove('fa-chevron-down');
-        toggleBtn.classList.add('fa-chevron-right');
+    Array.from(fileList).forEach(file => {
+        if (!ATTACHMENT_TYPES.includes(file.type)) {
+            rejected.push(`${file.name} is not a JPEG, PNG or WebP image, or a PDF`);
+        } else if (file.size > ATTACHMENT_MAX_BYTES) {
+            rejected.push(`${file.name} is larger than ${formatFileSize(ATTACHMENT_MAX_BYTES)}`);
+        } else if (kept + attachmentDraft.files.length >= ATTACHMENT_MAX_COUNT) {
+            rejected.push(`${file.name} was not added; at most ${ATTACHMENT_MAX_COUNT} attachments are allowed`);
+        } else {
+            attachmentDraft.files.push(file);
+        }
+    });
+    
+    if (rejected.length > 0) {
+        showToast(rejected.join('; '), 'warning');
     }
+    refreshAttachmentDraft();
 }
 
-function showAddMaintenanceModal() {
-    if (appData.vehicles.length === 0) {
-        showToast('Please add a vehicle first', 'warning');
-        return;
+function removePendingAttachment(index) {
+    attachmentDraft.files.splice(index, 1);
+    refreshAttachmentDraft();
+}
+
+function removeExistingAttachment(attachmentId) {
+    attachmentDraft.removedIds.push(attachmentId);
+    refreshAttachmentDraft();
+}
+
+// Sends the draft's removals and uploads once the record or part is saved; returns the names that failed
+async function saveAttachments(uploadEndpoint) {
+    const failed = [];
+    
+    for (const attachmentId of attachmentDraft.removedIds) {
+        try {
+            await apiCall(`/attachments/${attachmentId}`, { method: 'DELETE' });
+        } catch (error) {
+            failed.push(attachmentDraft.existing.find(attachment => attachment.id === attachmentId)?.fileName || attachmentId);
+        }
     }
     
-    // Load parts if not already loaded
-    if (appData.parts.length === 0) {
-        loadParts().then(() => {
-            showMaintenanceModal();
-        });
+    for (const file of attachmentDraft.files) {
+        const form = new FormData();
+        form.append('file', file, file.name);
+        try {
+            await apiCall(uploadEndpoint, { method: 'POST', body: form });
+        } catch (error) {
+            failed.push(file.name);
+        }
+    }
+    
+    resetAttachmentDraft();
+    return failed;
+}
+
+// The record or part itself was saved even when some of its attachments were not
+function showSavedToast(message, failedAttachments) {
+    if (failedAttachments.length > 0) {
+        showToast(`${message} These attachments could not be saved: ${failedAttachments.join(', ')}`, 'warning');
     } else {
-        showMaintenanceModal();
+        showToast(message);
     }
 }
 
-function showMaintenanceModal() {
-    if (appData.vehicles.length === 0) {
-        showToast('Please add a vehicle first', 'warning');
+function renderAttachmentThumbnails(attachments = []) {
+    if (attachments.length === 0) return '';
+    attachments.forEach(attachment => attachmentsById.set(attachment.id, attachment));
+    
+    return html`
+        <div class="attachment-thumbnails">
+            ${attachments.map(attachment => html`
+                <button type="button" class="attachment-thumb" onclick="event.stopPropagation(); openAttachment('${attachment.id}')" title="${attachment.fileName}">
+                    ${attachment.hasThumbnail
+                        ? html`<img data-thumbnail-id="${attachment.id}" alt="${attachment.fileName}">`
+                        : html`<i class="fas ${attachmentIcon(attachment.contentType)}"></i><span>${attachment.fileName}</span>`}
+                </button>
+            `)}
+        </div>
+    `;
+}
+
+// Thumbnails need the access token, so they are fetched here rather than by the img tags themselves
+async function loadAttachmentThumbnails(container) {
+    const images = Array.from(container.querySelectorAll('img[data-thumbnail-id]'));
+    await Promise.all(images.map(async image => {
+        const attachmentId = image.dataset.thumbnailId;
+        try {
+            if (!thumbnailUrls.has(attachmentId)) {
+                const thumbnail = await apiCall(`/attachments/${attachmentId}/thumbnail`, { download: true });
+                thumbnailUrls.set(attachmentId, URL.createObjectURL(thumbnail));
+            }
+            image.src = thumbnailUrls.get(attachmentId);
+        } catch (error) {
+            image.alt = 'Thumbnail unavailable';
+        }
+    }));
+}
+
+// The tab is opened before the file is fetched, since browsers block tabs opened later on
+async function openAttachment(attachmentId) {
+    const attachment = attachmentsById.get(attachmentId);
+    const tab = window.open('', '_blank');
+    
+    try {
+        const file = await apiCall(`/attachments/${attachmentId}`, { download: true });
+        if (tab) {
+            tab.location.href = URL.createObjectURL(file);
+        } else {
+            saveFile(file, attachment?.fileName || 'attachment');
+        }
+    } catch (error) {
+        tab?.close();
+        showToast('Failed to open the attachment: ' + error.message, 'error');
+    }
+}
+
+// Export Functions
+async function showExportModal() {
+    try {
+        showLoading();
+        await loadVehicleOptions();
+    } catch (error) {
+        showToast('Failed to load vehicles', 'error');
         return;
+    } finally {
+        hideLoading();
     }
     
-    const content = `
+    const content = html`
         <div class="modal-header">
-            <h3>Add Maintenance Record</h3>
+            <h3>Export Data</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="add-maintenance-form">
-                <div class="form-group">
-                    <label for="maintenance-vehicle">Vehicle *</label>
-                    <select id="maintenance-vehicle" required>
-                        <option value="">Select a vehicle</option>
-                        ${appData.vehicles.map(vehicle => 
-                            `<option value="${vehicle.id}">${vehicle.manufacturer} ${vehicle.model} (${vehicle.licensePlate || 'No plate'})</option>`
-                        ).join('')}
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="maintenance-title">Title *</label>
-                    <input type="text" id="maintenance-title" required placeholder="e.g., Oil Change, Brake Pads">
-                </div>
-                <div class="form-group">
-                    <label for="maintenance-date">Date *</label>
-                    <input type="date" id="maintenance-date" required>
-                </div>
-                <div class="form-group">
-                    <label for="maintenance-odo">Odometer Reading</label>
-                    <input type="number" id="maintenance-odo" min="0">
+            <form id="export-form">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="export-format">Format</label>
+                        <select id="export-format" onchange="updateExportForm()">
+                            <option value="json">JSON (everything in one file)</option>
+                            <option value="csv">CSV (one table)</option>
+                        </select>
+                    </div>
+                    <div class="form-group hidden" id="export-entity-group">
+                        <label for="export-entity">Table</label>
+                        <select id="export-entity">
+                            <option value="maintenance">Maintenance records</option>
+                            <option value="vehicles">Vehicles</option>
+                            <option value="parts">Parts</option>
+                            <option value="tags">Tags</option>
+                        </select>
+                    </div>
                 </div>
                 <div class="form-group">
-                    <label for="maintenance-notes">Notes</label>
-                    <textarea id="maintenance-notes" rows="3"></textarea>
+                    <label for="export-vehicle">Vehicle</label>
+                    <select id="export-vehicle">
+                        <option value="">All Vehicles</option>
+                        ${appData.vehicleOptions.filter(isOwnVehicle).map(vehicle => html`<option value="${vehicle.id}">${formatVehicleDisplay(vehicle)}</option>`)}
+                    </select>
                 </div>
-                <div class="form-group">
-                    <label>Parts Used</label>
-                    <div id="maintenance-parts-container">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="export-from">From</label>
+                        <input type="date" id="export-from">
+                    </div>
+                    <div class="form-group">
+                        <label for="export-to">To</label>
+                        <input type="date" id="export-to">
                     </div>
-                    <button type="button" class="btn btn-sm" onclick="addMaintenancePart()">
-                        <i class="fas fa-plus"></i> Add Part
-                    </button>
                 </div>
+                <p class="form-hint">The vehicle and dates narrow vehicles and maintenance records; parts and tags are always exported in full.</p>
             </form>
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="addMaintenance()">Add Record</button>
+            <button class="btn btn-primary" onclick="downloadExport()">Download</button>
         </div>
     `;
     showModal(content);
-    
-    // Set today's date as default
-    document.getElementById('maintenance-date').valueAsDate = new Date();
 }
 
-async function addMaintenance() {
-    const vehicleId = document.getElementById('maintenance-vehicle').value;
-    const maintenanceData = {
-        title: document.getElementById('maintenance-title').value,
-        happenedAt: document.getElementById('maintenance-date').value,
-        odoReading: document.getElementById('maintenance-odo').value ? parseInt(document.getElementById('maintenance-odo').value) : null,
-        notes: document.getElementById('maintenance-notes').value || null,
-        items: []
+function updateExportForm() {
+    const isCsv = document.getElementById('export-format').value === 'csv';
+    document.getElementById('export-entity-group').classList.toggle('hidden', !isCsv);
+}
+
+// Query string for the export endpoint; the entity only applies to CSV
+function exportQuery(options) {
+    const params = new URLSearchParams({ format: options.format });
+    if (options.format === 'csv') params.set('entity', options.entity);
+    if (options.vehicleId) params.set('vehicleId', options.vehicleId);
+    if (options.from) params.set('from', options.from);
+    if (options.to) params.set('to', options.to);
+    return params.toString();
+}
+
+async function downloadExport() {
+    const options = {
+        format: document.getElementById('export-format').value,
+        entity: document.getElementById('export-entity').value,
+        vehicleId: document.getElementById('export-vehicle').value,
+        from: document.getElementById('export-from').value,
+        to: document.getElementById('export-to').value
     };
     
-    // Collect parts data
-    const partSelects = document.querySelectorAll('#maintenance-parts-container .part-select');
-    partSelects.forEach((select, index) => {
-        const partId = select.value;
-        const quantity = document.querySelector(`.part-quantity[data-index="${index}"]`)?.value;
-        const unit = document.querySelector(`.part-unit[data-index="${index}"]`)?.value;
-        
-        if (partId && quantity && parseFloat(quantity) > 0) {
-            maintenanceData.items.push({
-                partId: partId,
-                quantity: parseFloat(quantity),
-                unit: unit || null
-            });
-        }
-    });
+    if (options.from && options.to && options.from > options.to) {
+        showToast('The from date must be before the to date', 'error');
+        return;
+    }
     
     try {
         showLoading();
-        await apiCall(`/vehicles/${vehicleId}/maintenance`, {
-            method: 'POST',
-            body: JSON.stringify(maintenanceData)
-        });
-        
+        const file = await apiCall(`/export?${exportQuery(options)}`, { download: true });
+        const name = options.format === 'csv' ? options.entity : 'export';
+        saveFile(file, `revix-${name}-${localDateString(new Date())}.${options.format}`);
         hideModal();
-        loadMaintenance();
-        showToast('Maintenance record added successfully!');
     } catch (error) {
-        showToast(error.message, 'error');
+        showToast('Failed to export data: ' + error.message, 'error');
     } finally {
         hideLoading();
     }
 }
 
-function showEditMaintenanceModal(maintenanceId) {
-    const record = appData.maintenance.find(m => m.id === maintenanceId);
-    if (!record) {
-        showToast('Maintenance record not found', 'error');
-        return;
+function saveFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Import Functions
+// Mirrors MAX_IMPORT_ROWS in ImportRoutes.kt
+const IMPORT_MAX_ROWS = 2000;
+
+// Fields a CSV column can be mapped to; aliases are header names that map to the field automatically
+const IMPORT_FIELDS = {
+    parts: [
+        { key: 'name', label: 'Name', required: true, aliases: ['part', 'part name'] },
+        { key: 'description', label: 'Description', aliases: [] },
+        { key: 'price', label: 'Price', aliases: ['unit price', 'cost'] },
+        { key: 'currency', label: 'Currency', aliases: [] },
+        { key: 'url', label: 'URL', aliases: ['link'] },
+        { key: 'tags', label: 'Tags (separated by ;)', aliases: ['tag', 'category'] }
+    ],
+    maintenance: [
+        { key: 'vehicle', label: 'License plate or VIN', required: true, aliases: ['license plate', 'plate', 'vin', 'registration'] },
+        { key: 'happenedAt', label: 'Date', required: true, aliases: ['date', 'happened at'] },
+        { key: 'odoReading', label: 'Odometer', aliases: ['odometer', 'odo', 'mileage', 'hours'] },
+        { key: 'title', label: 'Title', required: true, aliases: ['service', 'description'] },
+        { key: 'notes', label: 'Notes', aliases: [] },
+        { key: 'parts', label: 'Parts (e.g. Oil filter; Engine oil x 4.5)', aliases: ['items', 'parts used'] }
+    ]
+};
+
+// The wizard's state: which kind is imported, the parsed file, the column mapping and the last preview
+let importWizard = null;
+
+// Splits CSV text into rows of cells, honouring quoted cells with commas, quotes and line breaks.
+// The delimiter is a comma, or a semicolon when the header has more of those, as spreadsheets in many locales export.
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
     }
     
-    // Load parts if not already loaded
-    if (appData.parts.length === 0) {
-        loadParts().then(() => {
-            showEditMaintenanceModalContent(record);
-        });
-    } else {
-        showEditMaintenanceModalContent(record);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function importHeaderKey(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Maps each field to the first column whose header matches its key, label or one of its aliases
+function guessImportMapping(kind, headers) {
+    const keys = headers.map(importHeaderKey);
+    return Object.fromEntries(IMPORT_FIELDS[kind].map(field => {
+        const names = [field.key, field.label, ...field.aliases].map(importHeaderKey);
+        const index = keys.findIndex(key => names.includes(key));
+        return [field.key, index === -1 ? '' : String(index)];
+    }));
+}
+
+// Accepts YYYY-MM-DD, or a day-first DD-MM-YYYY with -, / or . between the parts
+function parseImportDate(value) {
+    const input = value.trim();
+    let match = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const [year, month, day] = match
+        ? [match[1], match[2], match[3]]
+        : (match = input.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/)) ? [match[3], match[2], match[1]] : [];
+    if (!year) return null;
+    
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return null;
+    return localDateString(date);
+}
+
+// "Oil filter; Engine oil x 4.5" becomes one of each filter and 4.5 of the oil
+function parseImportItems(value) {
+    return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const match = entry.match(/^(.*?)\s*[x×*]\s*(\d+(?:[.,]\d+)?)$/i);
+        return match
+            ? { partName: match[1].trim(), quantity: parseFloat(match[2].replace(',', '.')) }
+            : { partName: entry, quantity: 1 };
+    });
+}
+
+// Converts one CSV row into the row the import endpoint takes, with the errors found on the way
+function buildImportRow(kind, cells, mapping) {
+    const cell = key => mapping[key] === '' ? '' : (cells[Number(mapping[key])] ?? '').trim();
+    
+    if (kind === 'parts') {
+        const row = {
+            name: cell('name'),
+            description: cell('description') || null,
+            priceCents: parsePriceToCents(cell('price')),
+            currency: cell('currency').toUpperCase() || null,
+            url: cell('url') || null,
+            tags: cell('tags').split(';').map(tag => tag.trim()).filter(Boolean)
+        };
+        return { row, errors: validatePartData(row) };
     }
+    
+    const errors = [];
+    const happenedAt = parseImportDate(cell('happenedAt'));
+    if (!cell('vehicle')) errors.push('License plate or VIN is required');
+    if (!happenedAt) errors.push('Date must be YYYY-MM-DD or DD-MM-YYYY');
+    if (!cell('title')) errors.push('Maintenance title is required');
+    
+    const odometer = cell('odoReading').replace(/[\s.,]/g, '');
+    if (odometer && !/^\d+$/.test(odometer)) errors.push('Odometer must be a whole number');
+    
+    const items = parseImportItems(cell('parts'));
+    return {
+        row: {
+            vehicle: cell('vehicle'),
+            happenedAt,
+            odoReading: odometer ? Number(odometer) : null,
+            title: cell('title'),
+            notes: cell('notes') || null,
+            items
+        },
+        errors
+    };
 }
 
-function showEditMaintenanceModalContent(record) {
-    const content = `
+function showImportModal(kind) {
+    importWizard = { kind, fileName: '', headers: [], rows: [], mapping: {}, preview: null };
+    renderImportStep();
+}
+
+function renderImportStep() {
+    const wizard = importWizard;
+    const title = wizard.kind === 'parts' ? 'Import Parts' : 'Import Maintenance Records';
+    const mappingMissing = IMPORT_FIELDS[wizard.kind].some(field => field.required && wizard.mapping[field.key] === '');
+    const preview = wizard.preview;
+    const canImport = preview && preview.errorCount === 0 && preview.result.created > 0;
+    
+    const content = html`
         <div class="modal-header">
-            <h3>Edit Maintenance Record</h3>
+            <h3>${title}</h3>
             <button class="modal-close" onclick="hideModal()">×</button>
         </div>
         <div class="modal-body">
-            <form id="edit-maintenance-form">
-                <div class="form-group">
-                    <label for="edit-maintenance-vehicle">Vehicle *</label>
-                    <select id="edit-maintenance-vehicle" required>
-                        ${appData.vehicles.map(vehicle => 
-                            `<option value="${vehicle.id}" ${vehicle.id === record.vehicleId ? 'selected' : ''}>${vehicle.manufacturer} ${vehicle.model} (${vehicle.licensePlate || 'No plate'})</option>`
-                        ).join('')}
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="edit-maintenance-title">Title *</label>
-                    <input type="text" id="edit-maintenance-title" required placeholder="e.g., Oil Change, Brake Pads" value="${record.title}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-maintenance-date">Date *</label>
-                    <input type="date" id="edit-maintenance-date" required value="${record.happenedAt}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-maintenance-odo">Odometer Reading</label>
-                    <input type="number" id="edit-maintenance-odo" min="0" value="${record.odoReading || ''}">
-                </div>
-                <div class="form-group">
-                    <label for="edit-maintenance-notes">Notes</label>
-                    <textarea id="edit-maintenance-notes" rows="3">${record.notes || ''}</textarea>
-                </div>
-                <div class="form-group">
-                    <label>Parts Used</label>
-                    <div id="edit-maintenance-parts-container">
-                        ${(record.items || []).map((item, index) => `
-                            <div class="maintenance-part-item" data-index="${index}">
-                                <select class="part-select" data-index="${index}">
-                                    <option value="">Select a part</option>
-                                    ${appData.parts.map(part => 
-                                        `<option value="${part.id}" ${part.id === item.partId ? 'selected' : ''}>${part.name}</option>`
-                                    ).join('')}
-                                </select>
-                                <input type="number" class="part-quantity" data-index="${index}" placeholder="Qty" min="0" step="0.1" value="${item.quantity}">
-                                <input type="text" class="part-unit" data-index="${index}" placeholder="Unit" value="${item.unit || ''}">
-                                <button type="button" class="btn btn-sm btn-error" onclick="removeMaintenancePart(${index})">
-                                    <i class="fas fa-trash"></i>
-                                </button>
-                            </div>
-                        `).join('')}
+            <div class="form-group">
+                <label for="import-file">CSV file</label>
+                <input type="file" id="import-file" accept=".csv,text/csv" onchange="readImportFile(this.files[0])">
+                ${wizard.fileName ? html`<p class="form-hint">${wizard.fileName}: ${wizard.rows.length} rows</p>` : ''}
+            </div>
+            ${wizard.headers.length > 0 ? html`
+                <h4>Columns</h4>
+                ${IMPORT_FIELDS[wizard.kind].map(field => html`
+                    <div class="form-group">
+                        <label for="import-map-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                        <select id="import-map-${field.key}" onchange="setImportMapping('${field.key}', this.value)">
+                            <option value="">— Not imported —</option>
+                            ${wizard.headers.map((header, index) => html`<option value="${index}" ${wizard.mapping[field.key] === String(index) ? 'selected' : ''}>${header}</option>`)}
+                        </select>
                     </div>
-                    <button type="button" class="btn btn-sm" onclick="addMaintenancePart()">
-                        <i class="fas fa-plus"></i> Add Part
-                    </button>
-                </div>
-            </form>
+                `)}
+                ${wizard.kind === 'maintenance'
+                    ? html`<p class="form-hint">Vehicles are matched by license plate or VIN and parts by name, so import parts first.</p>`
+                    : html`<p class="form-hint">Tags are matched by name and created when they do not exist yet.</p>`}
+            ` : ''}
+            ${preview ? renderImportPreview(preview) : ''}
         </div>
         <div class="modal-footer">
             <button class="btn" onclick="hideModal()">Cancel</button>
-            <button class="btn btn-primary" onclick="updateMaintenance('${record.id}')">Update Record</button>
+            <button class="btn" onclick="previewImport()" ${wizard.rows.length === 0 || mappingMissing ? 'disabled' : ''}>Preview</button>
+            <button class="btn btn-primary" onclick="commitImport()" ${canImport ? '' : 'disabled'}>
+                Import${preview ? ` ${importRowCount(preview.result.created)}` : ''}
+            </button>
         </div>
     `;
     showModal(content);
 }
 
-async function updateMaintenance(maintenanceId) {
-    const maintenanceData = {
-        title: document.getElementById('edit-maintenance-title').value,
-        happenedAt: document.getElementById('edit-maintenance-date').value,
-        odoReading: document.getElementById('edit-maintenance-odo').value ? parseInt(document.getElementById('edit-maintenance-odo').value) : null,
-        notes: document.getElementById('edit-maintenance-notes').value || null,
-        items: []
-    };
+function importRowCount(count) {
+    return `${count} ${count === 1 ? 'row' : 'rows'}`;
+}
+
+function renderImportPreview(preview) {
+    const { result, problems, errorCount } = preview;
+    return html`
+        <div class="import-preview">
+            <h4>Preview</h4>
+            <p>
+                ${errorCount > 0
+                    ? `${importRowCount(errorCount)} with errors; fix them in the file and choose it again.`
+                    : `${importRowCount(result.created)} to import.`}
+                ${result.skipped > 0 ? ` ${importRowCount(result.skipped)} already present, which will be skipped.` : ''}
+            </p>
+            ${problems.length > 0 ? html`
+                <table class="stats-table">
+                    <thead>
+                        <tr><th>Row</th><th>Problem</th></tr>
+                    </thead>
+                    <tbody>
+                        ${problems.map(problem => html`
+                            <tr class="${problem.errors.length > 0 ? 'import-error' : 'import-warning'}">
+                                <td>${problem.line}</td>
+                                <td>${[...problem.errors, ...problem.warnings].join('; ')}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function readImportFile(file) {
+    if (!file) return;
     
-    // Collect parts data
-    const partSelects = document.querySelectorAll('#edit-maintenance-parts-container .part-select');
-    partSelects.forEach((select, index) => {
-        const partId = select.value;
-        const quantity = document.querySelector(`.part-quantity[data-index="${index}"]`)?.value;
-        const unit = document.querySelector(`.part-unit[data-index="${index}"]`)?.value;
-        
-        if (partId && quantity && parseFloat(quantity) > 0) {
-            maintenanceData.items.push({
-                partId: partId,
-                quantity: parseFloat(quantity),
-                unit: unit || null
-            });
-        }
+    const rows = parseCsv(await file.text());
+    if (rows.length < 2) {
+        showToast('The file needs a header row and at least one data row', 'error');
+        return;
+    }
+    if (rows.length - 1 > IMPORT_MAX_ROWS) {
+        showToast(`An import can have at most ${IMPORT_MAX_ROWS} rows`, 'error');
+        return;
+    }
+    
+    const [headers, ...dataRows] = rows;
+    importWizard = {
+        ...importWizard,
+        fileName: file.name,
+        headers: headers.map(header => header.trim()),
+        rows: dataRows,
+        mapping: guessImportMapping(importWizard.kind, headers),
+        preview: null
+    };
+    renderImportStep();
+}
+
+function setImportMapping(key, value) {
+    importWizard.mapping[key] = value;
+    importWizard.preview = null;
+    renderImportStep();
+}
+
+// Rows that fail in the browser are not sent; the rest go to the server, whose answers refer to
+// their position in the request and are mapped back to spreadsheet rows (the header is row 1)
+function prepareImport() {
+    const built = importWizard.rows.map((cells, index) => ({ line: index + 2, ...buildImportRow(importWizard.kind, cells, importWizard.mapping) }));
+    const sent = built.filter(entry => entry.errors.length === 0);
+    return { built, sent };
+}
+
+async function sendImport(rows, dryRun) {
+    return apiCall(`/import/${importWizard.kind}`, {
+        method: 'POST',
+        body: JSON.stringify({ rows, dryRun })
     });
+}
+
+async function previewImport() {
+    const { built, sent } = prepareImport();
     
     try {
         showLoading();
-        await apiCall(`/maintenance/${maintenanceId}`, {
-            method: 'PUT',
-            body: JSON.stringify(maintenanceData)
-        });
+        const result = sent.length > 0
+            ? await sendImport(sent.map(entry => entry.row), true)
+            : { dryRun: true, created: 0, skipped: 0, rows: [] };
         
-        hideModal();
-        loadMaintenance();
-        showToast('Maintenance record updated successfully!');
+        const problems = [
+            ...built.filter(entry => entry.errors.length > 0).map(entry => ({ line: entry.line, errors: entry.errors, warnings: [] })),
+            ...result.rows.map(row => ({ line: sent[row.index].line, errors: row.errors, warnings: row.warnings }))
+        ].sort((a, b) => a.line - b.line);
+        
+        importWizard.preview = {
+            result,
+            problems,
+            errorCount: problems.filter(problem => problem.errors.length > 0).length
+        };
+        renderImportStep();
     } catch (error) {
-        showToast(error.message, 'error');
+        showToast('Failed to preview the import: ' + error.message, 'error');
     } finally {
         hideLoading();
     }
 }
 
-function editMaintenance(maintenanceId) {
-    showEditMaintenanceModal(maintenanceId);
-}
-
-async function deleteMaintenance(maintenanceId) {
-    if (!confirm('Are you sure you want to delete this maintenance record? This action cannot be undone.')) {
-        return;
-    }
+async function commitImport() {
+    const { sent } = prepareImport();
     
     try {
         showLoading();
-        await apiCall(`/maintenance/${maintenanceId}`, { method: 'DELETE' });
-        loadMaintenance();
-        showToast('Maintenance record deleted successfully!');
+        const result = await sendImport(sent.map(entry => entry.row), false);
+        hideModal();
+        showToast(`Imported ${importRowCount(result.created)}${result.skipped > 0 ? `, skipped ${result.skipped}` : ''}`);
+        
+        if (importWizard.kind === 'parts') {
+            await Promise.all([loadParts(), loadTags()]);
+        } else {
+            await loadMaintenance();
+        }
+        importWizard = null;
     } catch (error) {
-        showToast(error.message, 'error');
+        showToast('Failed to import: ' + error.message, 'error');
     } finally {
         hideLoading();
     }
 }
 
-function addMaintenancePart() {
-    const container = document.getElementById('maintenance-parts-container') || document.getElementById('edit-maintenance-parts-container');
-    if (!container) return;
-    
-    const existingParts = container.querySelectorAll('.maintenance-part-item');
-    const index = existingParts.length;
-    
-    const partItem = document.createElement('div');
-    partItem.className = 'maintenance-part-item';
-    partItem.setAttribute('data-index', index);
-    
-    partItem.innerHTML = `
-        <select class="part-select" data-index="${index}">
-            <option value="">Select a part</option>
-            ${appData.parts.map(part => 
-                `<option value="${part.id}">${part.name}</option>`
-            ).join('')}
-        </select>
-        <input type="number" class="part-quantity" data-index="${index}" placeholder="Qty" min="0" step="0.1">
-        <input type="text" class="part-unit" data-index="${index}" placeholder="Unit">
-        <button type="button" class="btn btn-sm btn-error" onclick="removeMaintenancePart(${index})">
-            <i class="fas fa-trash"></i>
-        </button>
-    `;
-    
-    container.appendChild(partItem);
-}
-
-function removeMaintenancePart(index) {
-    const partItem = document.querySelector(`.maintenance-part-item[data-index="${index}"]`);
-    if (partItem) {
-        partItem.remove();
-    }
-}
-
 // Event Listeners
 document.addEventListener('DOMContentLoaded', function() {
     // Check for stored auth token
     const storedToken = localStorage.getItem('authToken');
     const storedUser = localStorage.getItem('currentUser');
+    const mailLink = parseRoute(window.location.hash);
+    const mailToken = mailLink.params.get('token');
     
     if (storedToken && storedUser) {
         authToken = storedToken;
         refreshToken = localStorage.getItem('refreshToken');
         currentUser = JSON.parse(storedUser);
-        showApp();
+    }
+    
+    if (mailLink.section === 'reset-password' && mailToken) {
+        showResetPassword(mailToken);
     } else {
-        showAuth();
+        if (mailLink.section === 'verify-email' && mailToken) {
+            verifyEmail(mailToken);
+        }
+        authToken ? showApp() : showAuth();
     }
     
     // Auth form handlers
@@ -1381,15 +5173,36 @@ document.addEventListener('DOMContentLoaded', function() {
         register(email, password, name);
     });
     
-    // Navigation
-    document.querySelectorAll('.nav-link').forEach(link => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            const section = this.getAttribute('href').substring(1);
-            showSection(section);
-        });
+    document.getElementById('forgot-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        requestPasswordReset(document.getElementById('forgot-email').value);
+    });
+    
+    document.getElementById('reset-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        resetPassword();
+    });
+    
+    document.getElementById('profile-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        saveProfile();
+    });
+    
+    document.getElementById('password-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        changePassword();
     });
     
+    // Navigation (nav links are plain #/section hrefs, back/forward included)
+    window.addEventListener('hashchange', handleRoute);
+    
+    // Offline support: the service worker serves the app shell, and queued writes are sent once the connection is back
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/static/sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+    window.addEventListener('online', syncOfflineData);
+    window.addEventListener('offline', renderOfflineStatus);
+    
     // Mobile menu toggle
     const navToggle = document.getElementById('nav-toggle');
     const navMenu = document.getElementById('nav-menu');
@@ -1410,54 +5223,56 @@ document.addEventListener('DOMContentLoaded', function() {
     const partsSearch = document.getElementById('parts-search');
     if (partsSearch) {
         partsSearch.addEventListener('input', function() {
-            filterParts();
+            listFilters.parts.q = this.value;
+            searchParts();
+            syncPartsRoute();
         });
     }
     
-    const partsTagFilter = document.getElementById('parts-tag-filter');
-    if (partsTagFilter) {
-        partsTagFilter.addEventListener('change', function() {
-            filterParts();
+    const partsTagMatch = document.getElementById('parts-tag-match');
+    if (partsTagMatch) {
+        partsTagMatch.addEventListener('change', function() {
+            listFilters.parts.match = this.value;
+            loadParts();
+            syncPartsRoute();
         });
     }
     
-    const maintenanceVehicleFilter = document.getElementById('maintenance-vehicle-filter');
-    if (maintenanceVehicleFilter) {
-        maintenanceVehicleFilter.addEventListener('change', function() {
-            filterMaintenance();
+    const maintenanceSearch = document.getElementById('maintenance-search');
+    if (maintenanceSearch) {
+        maintenanceSearch.addEventListener('input', function() {
+            setMaintenanceFilter('q', this.value);
+            clearTimeout(maintenanceSearchTimer);
+            maintenanceSearchTimer = setTimeout(loadMaintenance, SEARCH_DEBOUNCE_MS);
         });
     }
-});
-
-function filterParts() {
-    const searchTerm = document.getElementById('parts-search').value.toLowerCase();
-    const selectedTag = document.getElementById('parts-tag-filter').value;
     
-    const filteredParts = appData.parts.filter(part => {
-        const matchesSearch = part.name.toLowerCase().includes(searchTerm) ||
-                            (part.description && part.description.toLowerCase().includes(searchTerm));
-        const matchesTag = !selectedTag || (part.tags && part.tags.some(tag => tag.id === selectedTag));
-        
-        return matchesSearch && matchesTag;
+    const maintenanceFilters = {
+        'maintenance-vehicle-filter': 'vehicle',
+        'maintenance-date-range': 'range',
+        'maintenance-from': 'from',
+        'maintenance-to': 'to',
+        'maintenance-sort': 'sort',
+        'maintenance-tag-match': 'match'
+    };
+    Object.entries(maintenanceFilters).forEach(([id, key]) => {
+        document.getElementById(id)?.addEventListener('change', function() {
+            setMaintenanceFilter(key, this.value);
+            loadMaintenance();
+        });
     });
     
-    // Temporarily update the parts data for rendering
-    const originalParts = appData.parts;
-    appData.parts = filteredParts;
-    renderParts();
-    appData.parts = originalParts;
-}
+    // Infinite scroll: a list loads its next page once its pager comes into view
+    if ('IntersectionObserver' in window) {
+        pagerObserver = new IntersectionObserver(entries => {
+            entries
+                .filter(entry => entry.isIntersecting && hasMorePages(entry.target.dataset.list))
+                .forEach(entry => loadMore(entry.target.dataset.list));
+        }, { rootMargin: '200px' });
+        document.querySelectorAll('.list-pager').forEach(pager => pagerObserver.observe(pager));
+    }
+});
 
-function filterMaintenance() {
-    const selectedVehicle = document.getElementById('maintenance-vehicle-filter').value;
-    
-    const filteredMaintenance = selectedVehicle 
-        ? appData.maintenance.filter(record => record.vehicleId === selectedVehicle)
-        : appData.maintenance;
-    
-    // Temporarily update the maintenance data for rendering
-    const originalMaintenance = appData.maintenance;
-    appData.maintenance = filteredMaintenance;
-    renderMaintenance();
-    appData.maintenance = originalMaintenance;
+function syncPartsRoute() {
+    replaceRoute('parts', listFilters.parts);
 }
\ No newline at end of file
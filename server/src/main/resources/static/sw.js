@@ -0,0 +1,51 @@
+// Keeps the app shell available without a connection. The API is left alone: the page keeps its own
+// copy of the synced data in IndexedDB and queues writes while offline (see the Offline Functions in app.js).
+const SHELL_CACHE = 'revix-shell-v1';
+const SHELL_FILES = [
+    '/static/index.html',
+    '/static/css/style.css',
+    '/static/manifest.json',
+    '/js/app.js',
+    '/images/icon.svg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops the caches of earlier versions of this worker
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so a new version of the app is picked up as soon as it is deployed; the cache answers
+// when there is no connection. Other files, such as custom.css and the icon font, are cached as they load.
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.pathname.startsWith('/api/') || url.pathname === '/health') {
+        return;
+    }
+    
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                // Cross-origin files such as the icon font come back opaque, without a status to check
+                if (response.ok || response.type === 'opaque') {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || (request.mode === 'navigate' ? caches.match('/static/index.html') : Response.error())))
+    );
+});
@@ -0,0 +1,77 @@
+// The account page: profile, password change and signed-in sessions, and logging out on the server
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const sessions = [
+    { id: 's1', createdAt: '2024-05-01T10:00:00Z', expiresAt: '2024-05-08T10:00:00Z', current: true },
+    { id: 's2', createdAt: '2024-04-30T10:00:00Z', expiresAt: '2024-05-07T10:00:00Z', current: false }
+];
+
+function loadAppWithAccount() {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        var toasts = [];
+        showToast = (message, type = 'success') => toasts.push({ message, type });
+        authToken = 'access';
+        refreshToken = 'refresh';
+        currentUser = { id: 'u1', email: 'jo@example.com', name: 'Jo' };
+        localStorage.setItem('refreshToken', refreshToken);
+        apiCall = async (endpoint, options = {}) => {
+            requests.push({ endpoint, method: options.method || 'GET', body: options.body ? JSON.parse(options.body) : null });
+            if (endpoint === '/me/sessions' && !options.method) return ${JSON.stringify(sessions)};
+            return null;
+        };
+    `);
+    return app;
+}
+
+test('logging out revokes the refresh token on the server', async () => {
+    const app = loadAppWithAccount();
+
+    await app.run('logout()');
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        { endpoint: '/auth/logout', method: 'POST', body: { refreshToken: 'refresh' } }
+    ]);
+    assert.strictEqual(app.run('refreshToken'), null);
+    assert.strictEqual(app.run(`localStorage.getItem('refreshToken')`), null);
+});
+
+test('changing the password checks the confirmation and reloads the sessions', async () => {
+    const app = loadAppWithAccount();
+    app.run(`
+        document.getElementById('current-password').value = 'OldPass123';
+        document.getElementById('new-password').value = 'NewPass123';
+        document.getElementById('confirm-password').value = 'NewPass12';
+    `);
+
+    await app.run('changePassword()');
+    assert.strictEqual(app.run('requests.length'), 0);
+    assert.strictEqual(app.run('toasts[0].message'), 'The new passwords do not match');
+
+    app.run(`document.getElementById('confirm-password').value = 'NewPass123'`);
+    await app.run('changePassword()');
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        { endpoint: '/me/password', method: 'PUT', body: { currentPassword: 'OldPass123', newPassword: 'NewPass123' } },
+        { endpoint: '/me/sessions', method: 'GET', body: null }
+    ]);
+    assert.strictEqual(app.run(`document.getElementById('new-password').value`), '');
+    assert.ok(app.html('sessions-list').includes('This session'));
+});
+
+test('signing out another session revokes it, and signing out this one logs out', async () => {
+    const app = loadAppWithAccount();
+    await app.run('loadAccount()');
+    assert.strictEqual(app.run(`document.getElementById('profile-email').value`), 'jo@example.com');
+    assert.strictEqual((app.html('sessions-list').match(/revokeSession/g) || []).length, 2);
+
+    await app.run(`revokeSession('s2')`);
+    await app.run(`revokeSession('s1')`);
+    const changes = JSON.parse(app.run('JSON.stringify(requests.filter(request => request.method !== "GET"))'));
+    assert.deepStrictEqual(changes.map(request => `${request.method} ${request.endpoint}`), [
+        'DELETE /me/sessions/s2',
+        'POST /auth/logout'
+    ]);
+    assert.strictEqual(app.run('authToken'), null);
+});
@@ -0,0 +1,62 @@
+// Loads the browser-only web client into a Node VM with just enough of a DOM for rendering
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const APP_JS = path.join(__dirname, '../../main/resources/static/js/app.js');
+
+function createElement() {
+    return {
+        innerHTML: '',
+        textContent: '',
+        value: '',
+        selectedOptions: [],
+        style: {},
+        dataset: {},
+        children: [],
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        appendChild(child) { this.children.push(child); },
+        addEventListener() {},
+        setAttribute() {},
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+}
+
+function loadApp() {
+    const elements = new Map();
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, createElement());
+            return elements.get(id);
+        },
+        createElement,
+        querySelector: () => createElement(),
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+    const storage = new Map();
+    const context = vm.createContext({
+        document,
+        window: { location: { origin: 'http://localhost:8080', hash: '' }, addEventListener() {} },
+        localStorage: {
+            getItem: key => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        URL,
+        URLSearchParams,
+        console,
+        AbortController,
+        history: { replaceState() {} },
+        setTimeout: () => 0,
+        clearTimeout() {}
+    });
+    vm.runInContext(fs.readFileSync(APP_JS, 'utf8'), context);
+    return {
+        run: code => vm.runInContext(code, context),
+        html: id => String(document.getElementById(id).innerHTML)
+    };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,95 @@
+// Queues, uploads and lists attachments with apiCall and FormData stubbed
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function stubUploads(app, failing = []) {
+    app.run(`
+        var requests = [];
+        var FormData = class {
+            constructor() { this.fields = []; }
+            append(name, value, fileName) { this.fields.push({ name, fileName }); }
+        };
+        apiCall = async (endpoint, options = {}) => {
+            const file = options.body instanceof FormData ? options.body.fields[0].fileName : null;
+            requests.push({ endpoint, method: options.method || 'GET', file });
+            if (${JSON.stringify(failing)}.includes(file)) throw new Error('Attachment must be 10 MB or less');
+            return { id: 'new' };
+        };
+    `);
+}
+
+test('files of other types or over the size limit are not queued', () => {
+    const app = loadApp();
+    app.run('var warnings = []; showToast = (message, type) => warnings.push(message);');
+    app.run('resetAttachmentDraft()');
+
+    app.run(`addAttachmentFiles([
+        { name: 'receipt.pdf', type: 'application/pdf', size: 2048 },
+        { name: 'notes.txt', type: 'text/plain', size: 10 },
+        { name: 'huge.jpg', type: 'image/jpeg', size: 11 * 1024 * 1024 }
+    ])`);
+
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(attachmentDraft.files.map(file => file.name))')), ['receipt.pdf']);
+    const warning = app.run('warnings[0]');
+    assert.ok(warning.includes('notes.txt is not a JPEG'));
+    assert.ok(warning.includes('huge.jpg is larger than 10.0 MB'));
+    assert.ok(app.html('attachment-list').includes('receipt.pdf'));
+});
+
+test('saving sends removals and uploads, and reports the files that failed', async () => {
+    const app = loadApp();
+    stubUploads(app, ['scan.png']);
+    app.run(`resetAttachmentDraft([{ id: 'a1', fileName: 'old.jpg', contentType: 'image/jpeg', sizeBytes: 100 }])`);
+    app.run(`removeExistingAttachment('a1')`);
+    app.run(`addAttachmentFiles([
+        { name: 'invoice.pdf', type: 'application/pdf', size: 100 },
+        { name: 'scan.png', type: 'image/png', size: 100 }
+    ])`);
+
+    const failed = await app.run(`saveAttachments('/maintenance/r1/attachments')`);
+    assert.deepStrictEqual(Array.from(failed), ['scan.png']);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        { endpoint: '/attachments/a1', method: 'DELETE', file: null },
+        { endpoint: '/maintenance/r1/attachments', method: 'POST', file: 'invoice.pdf' },
+        { endpoint: '/maintenance/r1/attachments', method: 'POST', file: 'scan.png' }
+    ]);
+    assert.strictEqual(app.run('attachmentDraft.files.length'), 0);
+});
+
+test('uploads leave the content type to the browser', async () => {
+    const app = loadApp();
+    app.run(`
+        var FormData = class {};
+        var sent = [];
+        fetch = async (url, config) => {
+            sent.push(config.headers);
+            return { ok: true, status: 201, headers: { get: () => 'application/json' }, json: async () => ({}) };
+        };
+    `);
+
+    await app.run(`apiCall('/parts/p1/attachments', { method: 'POST', body: new FormData() })`);
+    await app.run(`apiCall('/parts', { method: 'POST', body: '{}' })`);
+    const headers = JSON.parse(app.run('JSON.stringify(sent)'));
+    assert.strictEqual(headers[0]['Content-Type'], undefined);
+    assert.strictEqual(headers[1]['Content-Type'], 'application/json');
+});
+
+test('maintenance records show image thumbnails and file icons with escaped names', () => {
+    const app = loadApp();
+    app.run(`appData.maintenance = [{
+        id: 'r1', title: 'Brakes', happenedAt: '2024-03-01', items: [],
+        vehicle: { id: 'v1', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' },
+        attachments: [
+            { id: 'a1', fileName: 'photo.jpg', contentType: 'image/jpeg', sizeBytes: 100, hasThumbnail: true },
+            { id: 'a2', fileName: '<invoice>.pdf', contentType: 'application/pdf', sizeBytes: 100, hasThumbnail: false }
+        ]
+    }];`);
+
+    app.run('renderMaintenance()');
+    const list = app.html('maintenance-list');
+    assert.ok(list.includes('data-thumbnail-id="a1"'));
+    assert.ok(list.includes('fa-file-pdf'));
+    assert.ok(list.includes('&lt;invoice&gt;.pdf'));
+    assert.ok(!list.includes('data-thumbnail-id="a2"'));
+});
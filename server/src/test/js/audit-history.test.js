@@ -0,0 +1,70 @@
+// The history panel of the edit modals: which log it asks for and how changes are shown
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const entries = [
+    {
+        id: 'e2', entityType: 'MAINTENANCE', entityId: 'm1', entityName: 'Oil change', action: 'UPDATE',
+        changes: [
+            { field: 'odoReading', before: '120000', after: '121000' },
+            { field: 'notes', before: 'Synthetic', after: null }
+        ],
+        actor: { id: 'u2', email: 'sam@example.com', name: 'Sam' },
+        createdAt: '2024-05-02T10:00:00Z'
+    },
+    {
+        id: 'e1', entityType: 'MAINTENANCE', entityId: 'm1', entityName: 'Oil change', action: 'CREATE',
+        changes: [{ field: 'title', before: null, after: 'Oil change' }],
+        actor: null,
+        createdAt: '2024-05-01T10:00:00Z'
+    }
+];
+
+function loadAppWithHistory(history) {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        currentUser = { id: 'u1', email: 'jo@example.com' };
+        apiCall = async endpoint => {
+            requests.push(endpoint);
+            if (endpoint.startsWith('/audit?')) {
+                if (${history === null}) throw new Error('Network error');
+                return { data: ${JSON.stringify(history)}, page: 1, pageSize: 100, totalCount: ${history ? history.length : 0}, totalPages: 1 };
+            }
+            return null;
+        };
+    `);
+    return app;
+}
+
+test('edit modals ask for the history of their own item', async () => {
+    const app = loadAppWithHistory([]);
+    app.run(`showEditTagModal({ id: 't1', name: 'Warranty', color: '#ff0000' })`);
+    await app.run('Promise.resolve()');
+
+    assert.ok(app.html('modal-content').includes('audit-history'));
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), ['/audit?type=tags&id=t1&pageSize=100']);
+    assert.ok(app.html('audit-history').includes('No changes have been logged yet'));
+});
+
+test('edits list each changed field with its old and new value, and who made them', async () => {
+    const app = loadAppWithHistory(entries);
+    await app.run(`loadAuditHistory('MAINTENANCE', 'm1')`);
+    const markup = app.html('audit-history');
+
+    assert.strictEqual(app.run('requests[0]'), '/audit?type=maintenance&id=m1&pageSize=100');
+    assert.ok(markup.includes('Edited by Sam'));
+    assert.ok(markup.includes('Odometer:'));
+    assert.ok(markup.includes('<span class="audit-before">120000</span>'));
+    assert.ok(markup.includes('→ 121000'));
+    assert.ok(markup.includes('→ empty'), 'cleared fields say so');
+    assert.ok(markup.includes('Created by a deleted account'));
+    assert.strictEqual((markup.match(/audit-changes/g) || []).length, 1, 'only edits list their changes');
+});
+
+test('a history that fails to load says so instead of staying on loading', async () => {
+    const app = loadAppWithHistory(null);
+    await app.run(`loadAuditHistory('VEHICLE', 'v1')`);
+    assert.ok(app.html('audit-history').includes('The history could not be loaded'));
+});
@@ -0,0 +1,94 @@
+// Renders the dashboard from a stubbed stats endpoint
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function stats(overrides = {}) {
+    return {
+        vehicleCount: 2, partCount: 42, tagCount: 3, maintenanceCount: 130,
+        monthlySpend: [
+            { period: '2024-05', totalsCents: {} },
+            { period: '2024-06', totalsCents: { EUR: 5000, USD: 90000 } },
+            { period: '2024-07', totalsCents: { EUR: 100000 } }
+        ],
+        yearlySpend: [{ period: '2024', totalsCents: { EUR: 105000, USD: 90000 } }],
+        vehicleCosts: [],
+        topParts: [],
+        topTags: [],
+        upcomingService: [],
+        ...overrides
+    };
+}
+
+function stubApi(app, stats) {
+    app.run('var requests = [];');
+    app.run(`apiCall = async endpoint => {
+        requests.push(endpoint);
+        if (endpoint === '/schedules') return [];
+        return endpoint === '/stats' ? ${JSON.stringify(stats)} : { data: [], page: 1, pageSize: 5, totalCount: 0, totalPages: 0 };
+    };`);
+}
+
+test('dashboard counts come from the stats endpoint', async () => {
+    const app = loadApp();
+    stubApi(app, stats());
+
+    await app.run('loadDashboardData()');
+    assert.strictEqual(app.run(`document.getElementById('vehicles-count').textContent`), 2);
+    assert.strictEqual(app.run(`document.getElementById('maintenance-count').textContent`), 130);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), ['/stats', '/maintenance?pageSize=5', '/schedules']);
+});
+
+test('spend bars are scaled on the currency with the most spend', async () => {
+    const app = loadApp();
+    stubApi(app, stats());
+
+    await app.run('loadDashboardData()');
+    const markup = app.html('spend-chart');
+    assert.ok(markup.includes('height: 0%'));
+    assert.ok(markup.includes('height: 5%'));
+    assert.ok(markup.includes('height: 100%'));
+    assert.ok(markup.includes('€50.00 + $900.00'), 'labels keep every currency');
+
+    app.run(`setSpendPeriod('year')`);
+    assert.strictEqual((app.html('spend-chart').match(/spend-bar"/g) || []).length, 1);
+});
+
+test('cost per vehicle divides the totals by the distance driven', () => {
+    const app = loadApp();
+    app.run(`renderVehicleCosts([
+        { vehicle: { id: 'a', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' }, recordCount: 3, totalsCents: { EUR: 50000 }, distance: 10000, distanceUnit: 'KM' },
+        { vehicle: { id: 'b', manufacturer: 'Saab', model: '900', odoUnit: 'MI' }, recordCount: 0, totalsCents: {}, distance: null, distanceUnit: 'KM' }
+    ]);`);
+    const markup = app.html('vehicle-costs');
+    assert.ok(markup.includes('€500.00'));
+    assert.ok(markup.includes('10,000 km'));
+    assert.ok(markup.includes('€0.05 / km'));
+    assert.ok(markup.includes('<td>—</td>'));
+});
+
+test('engine hours stay per hour whatever the distance unit', () => {
+    const app = loadApp();
+    app.run(`renderVehicleCosts([
+        { vehicle: { id: 't', manufacturer: 'Fendt', model: '211', odoUnit: 'HOURS' }, recordCount: 2, totalsCents: { EUR: 20000 }, distance: 400, distanceUnit: 'HOURS' }
+    ]);`);
+    assert.ok(app.html('vehicle-costs').includes('€0.50 / h'));
+});
+
+test('changing the distance unit saves it and reloads the stats', async () => {
+    const app = loadApp();
+    stubApi(app, stats());
+    app.run(`currentUser = { id: 'u', email: 'a@b.c', distanceUnit: 'KM' };`);
+    app.run(`var baseApiCall = apiCall;
+        apiCall = async (endpoint, options) => endpoint === '/me/preferences'
+            ? (requests.push(endpoint + ' ' + options.body), { ...currentUser, ...JSON.parse(options.body) })
+            : baseApiCall(endpoint);`);
+
+    await app.run(`setDistanceUnit('MI')`);
+    assert.strictEqual(app.run('currentUser.distanceUnit'), 'MI');
+    assert.strictEqual(JSON.parse(app.run(`localStorage.getItem('currentUser')`)).distanceUnit, 'MI');
+    assert.strictEqual(app.run(`document.getElementById('distance-unit-preference').value`), 'MI');
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        '/me/preferences {"distanceUnit":"MI"}', '/stats', '/maintenance?pageSize=5', '/schedules'
+    ]);
+});
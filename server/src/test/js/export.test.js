@@ -0,0 +1,60 @@
+// Builds export requests from the export modal with apiCall and the file download stubbed
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function stubExport(app) {
+    app.run('var requests = []; var saved = [];');
+    app.run(`apiCall = async (endpoint, options = {}) => {
+        requests.push({ endpoint, download: !!options.download });
+        return endpoint === '/vehicles?page=1&pageSize=100'
+            ? { data: [{ id: 'a', manufacturer: 'Volvo', model: '240' }], page: 1, pageSize: 100, totalCount: 1, totalPages: 1 }
+            : 'file';
+    };`);
+    app.run('saveFile = (file, name) => saved.push({ file, name });');
+}
+
+function fillForm(app, values) {
+    Object.entries(values).forEach(([id, value]) => {
+        app.run(`document.getElementById('export-${id}').value = ${JSON.stringify(value)};`);
+    });
+}
+
+test('the entity is only sent for CSV exports', () => {
+    const app = loadApp();
+    assert.strictEqual(app.run(`exportQuery({ format: 'json', entity: 'parts', vehicleId: '', from: '', to: '' })`), 'format=json');
+    assert.strictEqual(
+        app.run(`exportQuery({ format: 'csv', entity: 'maintenance', vehicleId: 'a', from: '2024-01-01', to: '2024-12-31' })`),
+        'format=csv&entity=maintenance&vehicleId=a&from=2024-01-01&to=2024-12-31'
+    );
+});
+
+test('the modal lists vehicles to scope the export to', async () => {
+    const app = loadApp();
+    stubExport(app);
+
+    await app.run('showExportModal()');
+    assert.ok(app.html('modal-content').includes('<option value="a">Volvo 240</option>'));
+});
+
+test('downloading saves the file under a dated name', async () => {
+    const app = loadApp();
+    stubExport(app);
+    fillForm(app, { format: 'csv', entity: 'parts', vehicle: '', from: '', to: '' });
+
+    await app.run('downloadExport()');
+    const requests = JSON.parse(app.run('JSON.stringify(requests)'));
+    assert.deepStrictEqual(requests, [{ endpoint: '/export?format=csv&entity=parts', download: true }]);
+    const saved = JSON.parse(app.run('JSON.stringify(saved)'));
+    assert.strictEqual(saved.length, 1);
+    assert.match(saved[0].name, /^revix-parts-\d{4}-\d{2}-\d{2}\.csv$/);
+});
+
+test('a date range that ends before it starts is not requested', async () => {
+    const app = loadApp();
+    stubExport(app);
+    fillForm(app, { format: 'json', entity: 'maintenance', vehicle: 'a', from: '2024-06-01', to: '2024-01-01' });
+
+    await app.run('downloadExport()');
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), []);
+});
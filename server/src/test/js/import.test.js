@@ -0,0 +1,96 @@
+// CSV parsing and the import wizard's preview, with apiCall replaced by a stub import endpoint
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function csvFile(text, name = 'history.csv') {
+    return `({ name: ${JSON.stringify(name)}, text: async () => ${JSON.stringify(text)} })`;
+}
+
+function stubImport(app, serverRows = []) {
+    app.run('var requests = [];');
+    app.run(`apiCall = async (endpoint, options = {}) => {
+        if (!endpoint.startsWith('/import/')) return { data: [], page: 1, pageSize: 20, totalCount: 0, totalPages: 0 };
+        const body = JSON.parse(options.body);
+        requests.push({ endpoint, ...body });
+        return { dryRun: body.dryRun, created: body.rows.length, skipped: 0, rows: ${JSON.stringify(serverRows)} };
+    };`);
+}
+
+test('quoted cells keep their delimiters, quotes and line breaks', () => {
+    const app = loadApp();
+    const rows = app.run(`parseCsv('\\uFEFFname,notes\\r\\n"Filter, oil","Said ""OEM""\\nonly"\\r\\n\\r\\nPlug,\\n')`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(rows)), [
+        ['name', 'notes'],
+        ['Filter, oil', 'Said "OEM"\nonly'],
+        ['Plug', '']
+    ]);
+});
+
+test('semicolon separated files are detected from the header', () => {
+    const app = loadApp();
+    const rows = app.run(`parseCsv('Name;Price\\nBrake pads;12,50\\n')`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(rows)), [['Name', 'Price'], ['Brake pads', '12,50']]);
+});
+
+test('columns are mapped by header name and alias', () => {
+    const app = loadApp();
+    const mapping = app.run(`guessImportMapping('maintenance', ['Date', 'Plate', 'Service', 'Mileage', 'Remarks'])`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(mapping)), {
+        vehicle: '1', happenedAt: '0', odoReading: '3', title: '2', notes: '', parts: ''
+    });
+});
+
+test('dates are read as ISO or day first, and impossible dates are refused', () => {
+    const app = loadApp();
+    assert.strictEqual(app.run(`parseImportDate('2023-04-05')`), '2023-04-05');
+    assert.strictEqual(app.run(`parseImportDate('5/4/2023')`), '2023-04-05');
+    assert.strictEqual(app.run(`parseImportDate('05.04.2023')`), '2023-04-05');
+    assert.strictEqual(app.run(`parseImportDate('31-02-2023')`), null);
+    assert.strictEqual(app.run(`parseImportDate('April 5')`), null);
+});
+
+test('parts cells list names with an optional quantity', () => {
+    const app = loadApp();
+    const items = app.run(`parseImportItems('Oil filter; Engine oil x 4,5;  ')`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(items)), [
+        { partName: 'Oil filter', quantity: 1 },
+        { partName: 'Engine oil', quantity: 4.5 }
+    ]);
+});
+
+test('the preview merges browser and server problems under spreadsheet row numbers', async () => {
+    const app = loadApp();
+    stubImport(app, [{ index: 1, errors: ['No vehicle with license plate or VIN "XX-99"'], warnings: [] }]);
+
+    app.run(`showImportModal('maintenance')`);
+    await app.run(`readImportFile(${csvFile('Plate,Date,Service,Odometer\nAB-12-CD,2023-04-05,Oil change,120.000\nAB-12-CD,someday,Tyres,\nXX-99,2023-06-01,Brakes,\n')})`);
+    await app.run('previewImport()');
+
+    const requests = JSON.parse(app.run('JSON.stringify(requests)'));
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].dryRun, true);
+    assert.deepStrictEqual(requests[0].rows.map(row => row.title), ['Oil change', 'Brakes'], 'rows failing in the browser are not sent');
+    assert.strictEqual(requests[0].rows[0].odoReading, 120000);
+
+    const problems = JSON.parse(app.run('JSON.stringify(importWizard.preview.problems)'));
+    assert.deepStrictEqual(problems.map(problem => problem.line), [3, 4]);
+    assert.ok(app.html('modal-content').includes('2 rows with errors'));
+});
+
+test('a clean preview can be committed', async () => {
+    const app = loadApp();
+    stubImport(app);
+
+    app.run(`showImportModal('parts')`);
+    await app.run(`readImportFile(${csvFile('Name,Price,Tags\nOil filter,"12,50",Engine; Filters\n')})`);
+    await app.run('previewImport()');
+    assert.ok(app.html('modal-content').includes('1 row to import'));
+
+    await app.run('commitImport()');
+    const requests = JSON.parse(app.run('JSON.stringify(requests)'));
+    assert.deepStrictEqual(requests.map(request => request.dryRun), [true, false]);
+    assert.deepStrictEqual(requests[1].rows, [{
+        name: 'Oil filter', description: null, priceCents: 1250, currency: null, url: null, tags: ['Engine', 'Filters']
+    }]);
+});
@@ -0,0 +1,45 @@
+// Maintenance filters and sorting are sent to the server as request parameters
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function loadAppWithMaintenance() {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        apiCall = async endpoint => {
+            requests.push(endpoint);
+            return { data: [], page: 1, pageSize: 20, totalCount: 0, totalPages: 0 };
+        };
+    `);
+    return app;
+}
+
+test('vehicle, search, custom dates and sort are sent as request parameters', async () => {
+    const app = loadAppWithMaintenance();
+    app.run(`listFilters.maintenance = { vehicle: 'v1', q: ' brakes ', range: 'custom', from: '2024-01-01', to: '2024-06-30', sort: 'cost_desc' };`);
+    await app.run('loadMaintenance()');
+
+    assert.strictEqual(
+        app.run('requests[0]'),
+        '/maintenance?page=1&pageSize=20&vehicleId=v1&from=2024-01-01&to=2024-06-30&query=brakes&sort=cost_desc'
+    );
+    assert.ok(app.html('maintenance-list').includes('match your filters'));
+});
+
+test('date presets resolve to dates when the request is made', async () => {
+    const app = loadAppWithMaintenance();
+    app.run(`listFilters.maintenance = { vehicle: '', q: '', range: 'year', from: '', to: '', sort: '' };`);
+    await app.run('loadMaintenance()');
+
+    const year = app.run('new Date().getFullYear()');
+    assert.strictEqual(app.run('requests[0]'), `/maintenance?page=1&pageSize=20&from=${year}-01-01`);
+});
+
+test('leaving the custom range clears its dates', () => {
+    const app = loadApp();
+    app.run(`listFilters.maintenance = { vehicle: '', q: '', range: 'custom', from: '2024-01-01', to: '2024-02-01', sort: '' };`);
+    app.run(`setMaintenanceFilter('range', '30d');`);
+
+    assert.strictEqual(app.run('listFilters.maintenance.from + listFilters.maintenance.to'), '');
+});
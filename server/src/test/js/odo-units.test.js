@@ -0,0 +1,31 @@
+// Odometer units offered by the vehicle modals and used when formatting readings
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function unitOptions(markup) {
+    return [...markup.matchAll(/<option value="(KM|MI|HOURS)"/g)].map(match => match[1]);
+}
+
+test('add and edit vehicle modals offer the same units', () => {
+    const app = loadApp();
+    app.run('showAddVehicleModal()');
+    assert.deepStrictEqual(unitOptions(app.html('modal-content')), ['KM', 'MI', 'HOURS']);
+
+    app.run(`appData.vehicles = [{ id: 't', manufacturer: 'Fendt', model: '211', odoUnit: 'HOURS' }];`);
+    app.run(`showEditVehicleModal('t')`);
+    const markup = app.html('modal-content');
+    assert.deepStrictEqual(unitOptions(markup), ['KM', 'MI', 'HOURS']);
+    assert.ok(markup.includes('<option value="HOURS" selected>'), 'an hours vehicle keeps its unit when edited');
+});
+
+test('readings use the same unit labels everywhere', () => {
+    const app = loadApp();
+    assert.strictEqual(app.run(`formatOdometer(123456, 'KM')`), '123,456 km');
+    assert.strictEqual(app.run(`formatOdometer(80000, 'MI')`), '80,000 mi');
+    assert.strictEqual(app.run(`formatOdometer(1200, 'HOURS')`), '1,200 h');
+
+    app.run(`appData.vehicles = [{ id: 'a', manufacturer: 'Saab', model: '900', odoUnit: 'MI', currentOdo: 80000 }];
+        renderVehicles();`);
+    assert.ok(app.html('vehicles-grid').includes('80,000 mi'));
+});
@@ -0,0 +1,64 @@
+// Odometer log consistency checks and the odometer chart
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const LOG = [
+    { id: 'r1', vehicleId: 'a', readAt: '2024-01-10', reading: 10000, source: 'MANUAL', note: null },
+    { id: 'm1', vehicleId: 'a', readAt: '2024-03-01', reading: 12000, source: 'MAINTENANCE', note: 'Oil change' },
+    { id: 'r2', vehicleId: 'a', readAt: '2024-06-01', reading: 15000, source: 'MANUAL', note: 'MOT' }
+];
+
+function conflict(app, date, reading, recordId = null) {
+    return app.run(`findOdometerConflict(${JSON.stringify(LOG)}, '${date}', ${reading}, ${JSON.stringify(recordId)})`);
+}
+
+test('a reading between its dated neighbours is fine', () => {
+    const app = loadApp();
+    assert.strictEqual(conflict(app, '2024-04-01', 13000), null);
+    assert.strictEqual(conflict(app, '2024-07-01', 15000), null);
+});
+
+test('a reading that goes backwards names the neighbour it conflicts with', () => {
+    const app = loadApp();
+    const lower = conflict(app, '2024-04-01', 11000);
+    assert.ok(lower.startsWith('Lower than 12,000'), lower);
+    assert.ok(lower.includes('Oil change'));
+
+    const higher = conflict(app, '2024-02-01', 16000);
+    assert.ok(higher.startsWith('Higher than 12,000'), higher);
+});
+
+test('editing a record does not compare it with its own reading', () => {
+    const app = loadApp();
+    assert.ok(conflict(app, '2024-03-01', 16000) !== null);
+    assert.ok(conflict(app, '2024-03-01', 14000, 'm1') === null);
+});
+
+test('the maintenance modal shows the warning without blocking the form', async () => {
+    const app = loadApp();
+    app.run('var requests = [];');
+    app.run(`apiCall = async endpoint => { requests.push(endpoint); return ${JSON.stringify(LOG)}; };`);
+    app.run(`
+        document.getElementById('maintenance-vehicle').value = 'a';
+        document.getElementById('maintenance-date').value = '2024-04-01';
+        document.getElementById('maintenance-odo').value = '9000';
+    `);
+
+    await app.run(`checkMaintenanceOdometer('maintenance')`);
+    assert.ok(app.run(`document.getElementById('maintenance-odo-warning').textContent`).includes('Lower than 12,000'));
+
+    app.run(`document.getElementById('maintenance-odo').value = '13000';`);
+    await app.run(`checkMaintenanceOdometer('maintenance')`);
+    assert.strictEqual(app.run(`document.getElementById('maintenance-odo-warning').textContent`), '');
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), ['/vehicles/a/odometer'], 'the log is fetched once per modal');
+});
+
+test('the chart plots every reading in date order', () => {
+    const app = loadApp();
+    const markup = String(app.run(`renderOdometerChart(${JSON.stringify(LOG)}, 'KM')`));
+    assert.strictEqual((markup.match(/<circle/g) || []).length, 3);
+    assert.ok(markup.includes('points="40,160'), 'the oldest, lowest reading is bottom left');
+    assert.ok(markup.includes('560,40"'), 'the newest, highest reading is top right');
+    assert.ok(String(app.run(`renderOdometerChart([], 'KM')`)).includes('empty-state'));
+});
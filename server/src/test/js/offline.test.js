@@ -0,0 +1,184 @@
+// Working without a connection: reads from the synced lists, queued writes and replaying them with conflicts
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const vehicles = [
+    { id: 'v1', ownerId: 'u1', manufacturer: 'Volvo', model: '240', odoUnit: 'KM', role: 'OWNER', updatedAt: '2024-01-01T00:00:00Z' },
+    { id: 'v2', ownerId: 'u1', manufacturer: 'Saab', model: '900', odoUnit: 'KM', role: 'OWNER', updatedAt: '2024-01-01T00:00:00Z' }
+];
+const maintenance = [
+    { id: 'm1', vehicleId: 'v1', ownerId: 'u1', title: 'Oil change', happenedAt: '2024-03-01', odoReading: 120000, items: [], tags: [], updatedAt: '2024-03-01T10:00:00Z' },
+    { id: 'm2', vehicleId: 'v2', ownerId: 'u1', title: 'Tyres', happenedAt: '2024-04-01', items: [], tags: [], updatedAt: '2024-04-01T10:00:00Z' }
+];
+const parts = [{ id: 'p1', ownerId: 'u1', name: 'Oil filter', currency: 'EUR', tags: [] }];
+const tags = [{ id: 't1', ownerId: 'u1', name: 'DIY', color: '#00ff00' }];
+
+// Keeps the synced lists and the queue in memory instead of IndexedDB, with no connection
+function loadOfflineApp() {
+    const app = loadApp();
+    app.run(`
+        var lists = new Map(Object.entries(${JSON.stringify({ vehicles, maintenance, parts, tags })}));
+        var queue = [];
+        var nextQueueId = 1;
+        var toasts = [];
+        showToast = (message, type = 'success') => toasts.push({ message, type });
+        currentUser = { id: 'u1', email: 'jo@example.com', name: 'Jo' };
+        offlineStorageAvailable = () => true;
+        readOfflineList = async name => lists.has(name) ? JSON.parse(JSON.stringify(lists.get(name))) : null;
+        writeOfflineList = async (name, items) => { lists.set(name, items); };
+        readOfflineQueue = async () => queue.map(entry => ({ ...entry }));
+        addToOfflineQueue = async entry => { queue.push({ ...entry, id: nextQueueId++, userId: currentUser.id }); };
+        updateOfflineQueueEntry = async entry => { queue = queue.map(other => other.id === entry.id ? entry : other); };
+        removeFromOfflineQueue = async id => { queue = queue.filter(entry => entry.id !== id); };
+        fetch = async () => { throw new TypeError('Failed to fetch'); };
+    `);
+    return app;
+}
+
+// Answers the replay like the server would; records whose id is in changedOnServer have a newer copy there
+function goOnline(app, changedOnServer = []) {
+    app.run(`
+        var requests = [];
+        apiCall = async (endpoint, options = {}) => {
+            const method = options.method || 'GET';
+            const body = options.body ? JSON.parse(options.body) : null;
+            requests.push(method + ' ' + endpoint);
+            if (method === 'POST') return { id: 'm-server', vehicleId: 'v1', ...body, updatedAt: '2024-05-01T10:00:00Z' };
+            if (method === 'PUT') return { id: endpoint.split('/').pop(), ...body, updatedAt: '2024-05-02T10:00:00Z' };
+            if (endpoint === '/tags') return [];
+            if (endpoint.includes('?')) return { data: [], totalPages: 1 };
+            const id = endpoint.split('/').pop();
+            if (id === 'm-server') return { id, updatedAt: '2024-05-01T10:00:00Z' };
+            const record = ${JSON.stringify(maintenance)}.find(candidate => candidate.id === id);
+            return { ...record, updatedAt: ${JSON.stringify(changedOnServer)}.includes(id) ? '2024-06-01T10:00:00Z' : record.updatedAt };
+        };
+    `);
+}
+
+test('without a connection the synced lists are read from the device, filtered and paged', async () => {
+    const app = loadOfflineApp();
+
+    const page = await app.run(`apiCall('/vehicles/v1/maintenance?page=1&pageSize=20')`);
+    assert.deepStrictEqual(Array.from(page.data, record => record.id), ['m1']);
+    assert.strictEqual(page.totalCount, 1);
+
+    const search = await app.run(`apiCall('/maintenance?query=tyre&page=1&pageSize=20')`);
+    assert.deepStrictEqual(Array.from(search.data, record => record.id), ['m2']);
+    assert.strictEqual((await app.run(`apiCall('/maintenance/m1')`)).title, 'Oil change');
+    await assert.rejects(app.run(`apiCall('/vehicles/v1/odometer')`), { name: 'OfflineError' });
+
+    await assert.rejects(app.run(`apiCall('/vehicles/v1/members')`), /You are offline/);
+    await assert.rejects(app.run(`apiCall('/stats')`), /Failed to fetch/, 'what is not synced fails as before');
+});
+
+test('writes made offline are queued and show up in the lists right away', async () => {
+    const app = loadOfflineApp();
+    const record = await app.run(`apiCall('/vehicles/v1/maintenance', {
+        method: 'POST',
+        body: JSON.stringify({ title: 'Brake pads', happenedAt: '2024-05-01', items: [{ partId: 'p1', quantity: 2 }], tagIds: ['t1'] })
+    })`);
+
+    assert.ok(record.id.startsWith('offline-'));
+    assert.strictEqual(record.items[0].part.name, 'Oil filter');
+    assert.deepStrictEqual(Array.from(record.tags, tag => tag.name), ['DIY']);
+    assert.strictEqual(record.vehicle.manufacturer, 'Volvo');
+    assert.strictEqual(record.createdBy.name, 'Jo');
+
+    await app.run(`apiCall('/maintenance/m1', { method: 'PUT', body: JSON.stringify({ odoReading: 121000, notes: null }) })`);
+    await app.run(`apiCall('/maintenance/m2', { method: 'DELETE' })`);
+
+    const list = await app.run(`apiCall('/maintenance?page=1&pageSize=20')`);
+    assert.deepStrictEqual(Array.from(list.data, item => item.id), [record.id, 'm1']);
+    assert.strictEqual(list.data[1].odoReading, 121000);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(queue.map(entry => [entry.method, entry.endpoint, entry.base]))')), [
+        ['POST', '/vehicles/v1/maintenance', null],
+        ['PUT', '/maintenance/m1', '2024-03-01T10:00:00Z'],
+        ['DELETE', '/maintenance/m2', '2024-04-01T10:00:00Z']
+    ]);
+});
+
+test('on reconnect the queue is replayed in order, with the server ID of items created offline', async () => {
+    const app = loadOfflineApp();
+    const record = await app.run(`apiCall('/vehicles/v1/maintenance', { method: 'POST', body: JSON.stringify({ title: 'Brake pads', happenedAt: '2024-05-01' }) })`);
+    await app.run(`apiCall('/maintenance/${record.id}', { method: 'PUT', body: JSON.stringify({ odoReading: 125000 }) })`);
+
+    goOnline(app);
+    await app.run('syncOfflineData()');
+
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests.slice(0, 3))')), [
+        'POST /vehicles/v1/maintenance',
+        'GET /maintenance/m-server',
+        'PUT /maintenance/m-server'
+    ]);
+    assert.strictEqual(app.run('queue.length'), 0);
+    assert.strictEqual(app.run('toasts[0].message'), '2 changes made offline were saved');
+});
+
+test('a write whose server copy changed is held back until it is applied or discarded', async () => {
+    const app = loadOfflineApp();
+    await app.run(`apiCall('/maintenance/m1', { method: 'PUT', body: JSON.stringify({ odoReading: 121000 }) })`);
+    await app.run(`apiCall('/maintenance/m2', { method: 'PUT', body: JSON.stringify({ title: 'Winter tyres' }) })`);
+
+    goOnline(app, ['m1']);
+    await app.run('syncOfflineData()');
+
+    assert.ok(!app.run('requests.includes("PUT /maintenance/m1")'));
+    assert.ok(app.run('requests.includes("PUT /maintenance/m2")'));
+    assert.strictEqual(app.run('queue.length'), 1);
+    assert.strictEqual(app.run('queue[0].conflict'), 'It was changed on the server since it was synced');
+    assert.strictEqual(app.run('toasts[0].type'), 'warning');
+
+    await app.run('showOfflineConflicts()');
+    assert.ok(app.html('modal-content').includes('Edit maintenance record Oil change'));
+
+    await app.run('resolveOfflineConflict(queue[0].id, true)');
+    assert.ok(app.run('requests.includes("PUT /maintenance/m1")'));
+    assert.strictEqual(app.run('queue.length'), 0);
+});
+
+test('the vehicle page shows schedules and the odometer log as unavailable instead of empty', async () => {
+    const app = loadOfflineApp();
+    await app.run(`showVehicleDetail('v1')`);
+    const page = app.html('vehicle-detail');
+
+    assert.ok(page.includes('Oil change'));
+    assert.strictEqual((page.match(/Not available offline/g) || []).length, 2);
+    assert.ok(!page.includes('No service schedules'));
+});
+
+test('writes that need an item whose create failed wait for it, and are discarded with it', async () => {
+    const app = loadOfflineApp();
+    const vehicle = await app.run(`apiCall('/vehicles', { method: 'POST', body: JSON.stringify({ manufacturer: 'Fiat', model: 'Panda' }) })`);
+    const record = await app.run(`apiCall('/vehicles/${vehicle.id}/maintenance', { method: 'POST', body: JSON.stringify({ title: 'Tyres', happenedAt: '2024-05-01' }) })`);
+    await app.run(`apiCall('/maintenance/${record.id}', { method: 'PUT', body: JSON.stringify({ odoReading: 1000 }) })`);
+    await app.run(`apiCall('/maintenance/m1', { method: 'PUT', body: JSON.stringify({ odoReading: 121000 }) })`);
+
+    goOnline(app);
+    app.run(`
+        authToken = 'token';
+        const answer = apiCall;
+        apiCall = async (endpoint, options = {}) => {
+            if (endpoint === '/vehicles' && options.method === 'POST') {
+                requests.push('POST /vehicles');
+                throw new Error('License plate is already in use');
+            }
+            return answer(endpoint, options);
+        };
+    `);
+    await app.run('syncOfflineData()');
+
+    assert.ok(!app.run('requests.some(request => request.includes("offline-"))'), 'temporary IDs never reach the server');
+    assert.ok(app.run('requests.includes("PUT /maintenance/m1")'), 'other writes are still sent');
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(queue.map(entry => [entry.method, Boolean(entry.conflict)]))')), [
+        ['POST', true],
+        ['POST', false],
+        ['PUT', false]
+    ]);
+
+    await app.run('showOfflineConflicts()');
+    assert.ok(app.html('modal-content').includes('2 later changes to it wait for it, and are discarded with it'));
+
+    await app.run('resolveOfflineConflict(queue[0].id, false)');
+    assert.strictEqual(app.run('queue.length'), 0);
+});
@@ -0,0 +1,65 @@
+// Pages through the list endpoints with apiCall replaced by an in-memory server
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function stubApi(app, handler) {
+    app.run('var requests = [];');
+    app.run(`apiCall = async endpoint => { requests.push(endpoint); return (${handler})(endpoint); };`);
+}
+
+function pageOf(items, endpoint) {
+    const params = new URLSearchParams(endpoint.split('?')[1]);
+    const page = Number(params.get('page') || 1);
+    const pageSize = Number(params.get('pageSize') || 20);
+    return {
+        data: items.slice((page - 1) * pageSize, page * pageSize),
+        page,
+        pageSize,
+        totalCount: items.length,
+        totalPages: Math.ceil(items.length / pageSize)
+    };
+}
+
+test('parts load one page at a time until the last page', async () => {
+    const app = loadApp();
+    app.run(`var pageOf = ${pageOf};`);
+    stubApi(app, `endpoint => pageOf(Array.from({ length: 45 }, (_, i) => ({ id: 'p' + i, name: 'Part ' + i, tags: [] })), endpoint)`);
+
+    await app.run('loadParts()');
+    assert.strictEqual(app.run('appData.parts.length'), 20);
+    assert.ok(app.html('parts-pager').includes('Showing 20 of 45'));
+
+    await app.run('loadMore("parts")');
+    await app.run('loadMore("parts")');
+    await app.run('loadMore("parts")');
+    assert.strictEqual(app.run('appData.parts.length'), 45);
+    assert.strictEqual(app.run('new Set(appData.parts.map(p => p.id)).size'), 45);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        '/parts?page=1&pageSize=20',
+        '/parts?page=2&pageSize=20',
+        '/parts?page=3&pageSize=20'
+    ]);
+    assert.strictEqual(app.html('parts-pager'), '');
+});
+
+test('maintenance pages come from the endpoint across all vehicles', async () => {
+    const app = loadApp();
+    app.run(`var pageOf = ${pageOf};`);
+    stubApi(app, `endpoint => pageOf(Array.from({ length: 28 }, (_, i) => ({
+        id: 'm' + i, vehicleId: 'a', title: 'Service', items: [],
+        vehicle: { id: 'a', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' }
+    })), endpoint)`);
+
+    await app.run('loadMaintenance()');
+    assert.strictEqual(app.run('appData.maintenance.length'), 20);
+    assert.strictEqual(app.run('pagers.maintenance.totalCount'), 28);
+
+    await app.run('loadMore("maintenance")');
+    assert.strictEqual(app.run('appData.maintenance.length'), 28);
+    assert.strictEqual(app.run('hasMorePages("maintenance")'), false);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        '/maintenance?page=1&pageSize=20',
+        '/maintenance?page=2&pageSize=20'
+    ]);
+});
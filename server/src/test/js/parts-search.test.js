@@ -0,0 +1,60 @@
+// Parts search and tag filtering are sent to the server instead of filtering the loaded page
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function loadAppWithParts() {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        apiCall = async (endpoint, options = {}) => {
+            requests.push({ endpoint, signal: options.signal });
+            return { data: [{ id: 'p1', name: 'Oil filter', tags: [] }], page: 1, pageSize: 20, totalCount: 1, totalPages: 1 };
+        };
+    `);
+    return app;
+}
+
+test('loadParts sends the search text, tags and tag match to the server', async () => {
+    const app = loadAppWithParts();
+    app.run(`listFilters.parts = { q: ' oil ', tags: 't1,t2', match: 'all' };`);
+    await app.run('loadParts()');
+
+    assert.strictEqual(
+        app.run('requests[0].endpoint'),
+        '/parts?page=1&pageSize=20&query=oil&tags=t1%2Ct2&tagMatch=all'
+    );
+    assert.strictEqual(app.run(`document.getElementById('parts-result-count').textContent`), '1 part found');
+});
+
+test('tag match is only sent with a tag filter', async () => {
+    const app = loadAppWithParts();
+    app.run(`listFilters.parts = { q: '', tags: '', match: 'all' };`);
+    await app.run('loadParts()');
+
+    assert.strictEqual(app.run('requests[0].endpoint'), '/parts?page=1&pageSize=20');
+    assert.strictEqual(app.run(`document.getElementById('parts-result-count').textContent`), '1 part');
+});
+
+test('a new search aborts the request still in flight', async () => {
+    const app = loadAppWithParts();
+    const first = app.run('loadParts()');
+    const second = app.run('loadParts()');
+    await Promise.all([first, second]);
+
+    assert.strictEqual(app.run('requests[0].signal.aborted'), true);
+    assert.strictEqual(app.run('requests[1].signal.aborted'), false);
+});
+
+test('toggling a tag chip adds it to and removes it from the filter', async () => {
+    const app = loadAppWithParts();
+    app.run(`appData.tags = [{ id: 't1', name: 'Oil' }, { id: 't2', name: 'Brakes' }];`);
+
+    await app.run(`togglePartsTagFilter('t1')`);
+    await app.run(`togglePartsTagFilter('t2')`);
+    assert.strictEqual(app.run('listFilters.parts.tags'), 't1,t2');
+    assert.ok(app.html('parts-tag-filter').includes('aria-pressed="true"'));
+
+    await app.run(`togglePartsTagFilter('t1')`);
+    assert.strictEqual(app.run('listFilters.parts.tags'), 't2');
+});
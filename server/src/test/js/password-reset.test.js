@@ -0,0 +1,88 @@
+// Forgot password, the reset link, email verification links and resending the verification mail
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function loadAppWithAuth(signedIn = false) {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        var toasts = [];
+        showToast = (message, type = 'success') => toasts.push({ message, type });
+        const respond = (status, body) => ({
+            status,
+            ok: status < 400,
+            headers: { get: () => 'application/json' },
+            json: async () => body
+        });
+        if (${signedIn}) {
+            authToken = 'access';
+            refreshToken = 'refresh';
+            currentUser = { id: 'u1', email: 'jo@example.com', emailVerified: false };
+        }
+        scheduleOfflineSync = () => {};
+        // Like the server, the current user is only handed out with the access token
+        fetch = async (url, config) => {
+            const endpoint = url.slice(API_BASE.length);
+            requests.push({ endpoint, method: config.method || 'GET', body: config.body ? JSON.parse(config.body) : null });
+            if (endpoint === '/me' && config.method === undefined) {
+                return config.headers.Authorization === 'Bearer access'
+                    ? respond(200, { id: 'u1', email: 'jo@example.com', emailVerified: true })
+                    : respond(401, { message: 'Token is not valid or has expired' });
+            }
+            return respond(204, null);
+        };
+    `);
+    return app;
+}
+
+test('forgot password mails a link for the email typed on the sign in form', async () => {
+    const app = loadAppWithAuth();
+    app.run(`document.getElementById('login-email').value = 'jo@example.com'; showForgotPassword()`);
+    assert.strictEqual(app.run(`document.getElementById('forgot-email').value`), 'jo@example.com');
+
+    await app.run(`requestPasswordReset('jo@example.com')`);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        { endpoint: '/auth/forgot', method: 'POST', body: { email: 'jo@example.com' } }
+    ]);
+    assert.ok(app.run('toasts[0].message').startsWith('If an account uses this email'));
+});
+
+test('a reset link sets the new password with its token and signs out', async () => {
+    const app = loadAppWithAuth(true);
+    app.run(`
+        showResetPassword('reset-token');
+        document.getElementById('reset-password').value = 'NewPass123';
+        document.getElementById('reset-password-confirm').value = 'Other123';
+    `);
+
+    await app.run('resetPassword()');
+    assert.strictEqual(app.run('requests.length'), 0);
+    assert.strictEqual(app.run('toasts[0].message'), 'The passwords do not match');
+
+    app.run(`document.getElementById('reset-password-confirm').value = 'NewPass123'`);
+    await app.run('resetPassword()');
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        { endpoint: '/auth/reset', method: 'POST', body: { token: 'reset-token', password: 'NewPass123' } }
+    ]);
+    assert.strictEqual(app.run('authToken'), null);
+    assert.strictEqual(app.run('passwordResetToken'), null);
+});
+
+test('verification links refresh the signed in user, and the account page offers to resend them', async () => {
+    const app = loadAppWithAuth(true);
+    app.run('renderEmailVerification()');
+    assert.ok(app.html('email-verification').includes('resendVerification()'));
+
+    await app.run('resendVerification()');
+    await app.run(`verifyEmail('verify-token')`);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests.map(request => request.endpoint))')), [
+        '/me/verification',
+        '/auth/verify-email',
+        '/me'
+    ]);
+    assert.strictEqual(app.run('currentUser.emailVerified'), true);
+
+    app.run('renderEmailVerification()');
+    assert.ok(app.html('email-verification').includes('Verified'));
+});
@@ -0,0 +1,33 @@
+// Price input parsing and part validation in the web client's part modals
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+test('parsePriceToCents accepts dot and comma decimals', () => {
+    const app = loadApp();
+    const parse = value => app.run(`parsePriceToCents(${JSON.stringify(value)})`);
+    
+    assert.strictEqual(parse('12.50'), 1250);
+    assert.strictEqual(parse('12,50'), 1250);
+    assert.strictEqual(parse('12,5'), 1250);
+    assert.strictEqual(parse('1.234,56'), 123456);
+    assert.strictEqual(parse('1,234.56'), 123456);
+    assert.strictEqual(parse('1.234'), 123400);
+    assert.strictEqual(parse(' 45 '), 4500);
+    assert.strictEqual(parse(''), null);
+    assert.ok(Number.isNaN(parse('abc')));
+    assert.ok(Number.isNaN(parse('12,50 EUR')));
+});
+
+test('validatePartData uses the server validation messages', () => {
+    const app = loadApp();
+    const validate = part => JSON.parse(app.run(`JSON.stringify(validatePartData(${JSON.stringify(part)}))`));
+    
+    assert.deepStrictEqual(validate({ name: 'Oil filter', priceCents: 1250, currency: 'EUR' }), []);
+    assert.deepStrictEqual(validate({ name: 'Oil filter', priceCents: null, currency: null }), []);
+    assert.deepStrictEqual(validate({ name: ' ', priceCents: -100, currency: 'eur' }), [
+        'Part name is required',
+        'Price cannot be negative',
+        'Currency must be uppercase'
+    ]);
+});
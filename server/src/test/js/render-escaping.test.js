@@ -0,0 +1,131 @@
+// Feeds hostile strings through the web client's renderers and modal builders.
+// Runs on Node's built-in test runner without any dependencies:
+//   node --test server/src/test/js/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const XSS = '"><img src=x onerror=alert(1)>';
+const QUOTE = 'Oil "5W-30" filter';
+
+function hostileVehicle() {
+    return {
+        id: 'v1', manufacturer: XSS, model: QUOTE, licensePlate: XSS, vin: XSS,
+        buildYear: 2020, fuelType: XSS, odoUnit: 'KM', currentOdo: 1000
+    };
+}
+
+function hostilePart() {
+    return {
+        id: 'p1', name: QUOTE, description: XSS, priceCents: 1250, currency: 'EUR',
+        url: 'javascript:alert(1)',
+        tags: [{ id: 't1', name: XSS, color: 'red;background:url(x)', createdAt: '2024-01-01T00:00:00Z' }]
+    };
+}
+
+function hostileRecord() {
+    return {
+        id: 'm1', vehicleId: 'v1', title: XSS, notes: XSS, happenedAt: '2024-01-01', odoReading: 1000,
+        vehicle: hostileVehicle(),
+        items: [{ partId: 'p1', part: { name: XSS }, quantity: 1, unit: XSS }]
+    };
+}
+
+function assertEscaped(markup) {
+    assert.ok(!markup.includes('<img'), `unescaped markup in: ${markup}`);
+    assert.ok(markup.includes('&lt;img'), 'hostile text should still be shown, escaped');
+}
+
+test('renderVehicles escapes vehicle fields', () => {
+    const app = loadApp();
+    app.run(`appData.vehicles = [${JSON.stringify(hostileVehicle())}]; renderVehicles();`);
+    assertEscaped(app.html('vehicles-grid'));
+});
+
+test('renderParts escapes part fields and drops unsafe links and colors', () => {
+    const app = loadApp();
+    app.run(`appData.parts = [${JSON.stringify(hostilePart())}]; renderParts();`);
+    const markup = app.html('parts-grid');
+    assertEscaped(markup);
+    assert.ok(!markup.includes('javascript:'));
+    assert.ok(!markup.includes('background:url'));
+    assert.ok(markup.includes('Oil &quot;5W-30&quot; filter'));
+});
+
+test('renderTags and the parts tag filter escape tag names', () => {
+    const app = loadApp();
+    app.run(`appData.tags = ${JSON.stringify(hostilePart().tags)}; renderTags(); renderPartsTagFilter();`);
+    assertEscaped(app.html('tags-grid'));
+    assertEscaped(app.html('parts-tag-filter'));
+    assert.ok(!app.html('parts-tag-filter').includes('background:url'));
+});
+
+test('renderMaintenance and renderRecentMaintenance escape record fields', () => {
+    const app = loadApp();
+    app.run(`appData.maintenance = [${JSON.stringify(hostileRecord())}]; renderMaintenance();`);
+    assertEscaped(app.html('maintenance-list'));
+
+    app.run(`renderRecentMaintenance([${JSON.stringify(hostileRecord())}]);`);
+    assertEscaped(app.html('recent-maintenance'));
+});
+
+test('dashboard stats panels escape vehicle, part and tag names', () => {
+    const app = loadApp();
+    const vehicle = hostileVehicle();
+    const tag = hostilePart().tags[0];
+    app.run(`
+        renderVehicleCosts([{ vehicle: ${JSON.stringify(vehicle)}, recordCount: 1, totalsCents: { EUR: 100 }, distance: 10 }]);
+        renderTopParts([{ partId: 'p1', name: ${JSON.stringify(XSS)}, recordCount: 1, totalQuantity: 1 }]);
+        renderTopTags([{ tag: ${JSON.stringify(tag)}, recordCount: 1 }]);
+        renderUpcomingService([{ vehicle: ${JSON.stringify(vehicle)}, title: ${JSON.stringify(XSS)}, lastDoneAt: '2024-01-01', dueAt: '2024-07-01', dueOdo: null, overdue: true }]);
+    `);
+    assertEscaped(app.html('vehicle-costs'));
+    assertEscaped(app.html('top-parts'));
+    assertEscaped(app.html('top-tags'));
+    assert.ok(!app.html('top-tags').includes('background:url'));
+    assertEscaped(app.html('upcoming-service'));
+});
+
+test('service schedules escape titles in the vehicle detail and on the dashboard', async () => {
+    const app = loadApp();
+    const schedule = {
+        id: 's1', vehicleId: 'v1', title: XSS, intervalOdo: 15000, intervalMonths: null, notes: XSS,
+        dueAt: '2025-01-01', dueOdo: null, status: 'OVERDUE', vehicle: hostileVehicle()
+    };
+    app.run(`renderVehicleDetail(${JSON.stringify(hostileVehicle())}, [], [${JSON.stringify(schedule)}]);`);
+    assertEscaped(app.html('vehicle-detail'));
+
+    app.run(`appData.schedules = [${JSON.stringify(schedule)}]; renderDueSchedules();`);
+    await app.run(`showEditScheduleModal('s1')`);
+    assertEscaped(app.html('due-schedules'));
+    assertEscaped(app.html('modal-content'));
+});
+
+test('edit modals keep quotes inside value attributes', () => {
+    const app = loadApp();
+    app.run(`appData.tags = []; showEditPartModal(${JSON.stringify(hostilePart())});`);
+    assert.ok(app.html('modal-content').includes('value="Oil &quot;5W-30&quot; filter"'));
+
+    app.run(`appData.vehicles = [${JSON.stringify(hostileVehicle())}]; showEditVehicleModal('v1');`);
+    assertEscaped(app.html('modal-content'));
+
+    app.run(`appData.parts = [${JSON.stringify(hostilePart())}]; showEditMaintenanceModalContent(${JSON.stringify(hostileRecord())});`);
+    assertEscaped(app.html('modal-content'));
+});
+
+test('showToast escapes the message', () => {
+    const app = loadApp();
+    app.run(`showToast(${JSON.stringify(XSS)}, 'error');`);
+    const toast = app.run(`document.getElementById('toast-container').children[0]`);
+    assertEscaped(String(toast.innerHTML));
+});
+
+test('renderVehicleDetail escapes vehicle, timeline and odometer fields', () => {
+    const app = loadApp();
+    const odometerLog = [
+        { id: 'r1', vehicleId: 'v1', readAt: '2024-01-01', reading: 900, source: 'MANUAL', note: XSS },
+        { id: 'm1', vehicleId: 'v1', readAt: '2024-02-01', reading: 1000, source: 'MAINTENANCE', note: XSS }
+    ];
+    app.run(`renderVehicleDetail(${JSON.stringify(hostileVehicle())}, [${JSON.stringify(hostileRecord())}], [], ${JSON.stringify(odometerLog)});`);
+    assertEscaped(app.html('vehicle-detail'));
+});
@@ -0,0 +1,63 @@
+// Renders the vehicle report from a stubbed API and downloads its PDF
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const report = {
+    vehicle: { id: 'v1', manufacturer: 'Volvo', model: '240 <GL>', licensePlate: 'AB-12-CD', odoUnit: 'KM', currentOdo: 201500 },
+    generatedAt: '2024-07-01T10:00:00Z',
+    records: [
+        {
+            id: 'r1', happenedAt: '2024-01-15', odoReading: 198000, title: 'Oil change', notes: '<b>Synthetic</b>',
+            items: [{ quantity: 4.5, unit: 'L', unitPriceCentsOverride: 1000, part: { name: 'Oil 5W-30', priceCents: 1000, currency: 'EUR' } }]
+        },
+        { id: 'r2', happenedAt: '2024-06-01', odoReading: null, title: 'Inspection', notes: null, items: [] }
+    ],
+    odometerLog: [{ id: 'o1', readAt: '2024-01-15', reading: 198000, source: 'MAINTENANCE', note: 'Oil change' }],
+    totalsCents: { EUR: 4500 }
+};
+
+function stubReport(app) {
+    app.run('var requests = []; var saved = [];');
+    app.run(`apiCall = async (endpoint, options = {}) => {
+        requests.push({ endpoint, download: !!options.download });
+        return options.download ? 'file' : ${JSON.stringify(report)};
+    };`);
+    app.run('saveFile = (file, name) => saved.push({ file, name });');
+}
+
+test('the report lists records, parts and readings with escaped text', async () => {
+    const app = loadApp();
+    stubReport(app);
+
+    await app.run(`showVehicleReport('v1')`);
+    const view = app.html('vehicle-detail');
+    assert.ok(view.includes('Volvo 240 &lt;GL&gt;'));
+    assert.ok(view.includes('&lt;b&gt;Synthetic&lt;/b&gt;'));
+    assert.ok(view.includes('4.5 L × Oil 5W-30'));
+    assert.ok(view.includes('2 maintenance records from'));
+    assert.ok(view.includes('198,000 km'));
+    assert.ok(view.includes('Maintenance: Oil change'));
+    assert.ok(view.includes('€45.00'));
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [{ endpoint: '/vehicles/v1/report', download: false }]);
+});
+
+test('the PDF is downloaded and saved under a dated name', async () => {
+    const app = loadApp();
+    stubReport(app);
+
+    await app.run(`downloadVehicleReportPdf('v1')`);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [{ endpoint: '/vehicles/v1/report/pdf', download: true }]);
+    const saved = JSON.parse(app.run('JSON.stringify(saved)'));
+    assert.strictEqual(saved.length, 1);
+    assert.match(saved[0].name, /^service-history-\d{4}-\d{2}-\d{2}\.pdf$/);
+});
+
+test('the report route opens the report instead of the detail view', () => {
+    const app = loadApp();
+    app.run('var opened = []; showVehicleReport = id => opened.push(`report:${id}`); showVehicleDetail = id => opened.push(`detail:${id}`);');
+
+    app.run(`applyRouteState(parseRoute('#/vehicles/v1/report'))`);
+    app.run(`applyRouteState(parseRoute('#/vehicles/v1'))`);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(opened)')), ['report:v1', 'detail:v1']);
+});
@@ -0,0 +1,67 @@
+// The hash router: deep links to sections, their filters and record modals, and what happens to unknown links
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+// Records which sections, lists and modals the router opens; replaceState moves the hash like a browser does
+function loadRoutedApp() {
+    const app = loadApp();
+    app.run(`
+        var opened = [];
+        authToken = 'token';
+        showSection = async section => { opened.push('section:' + section); };
+        loadParts = async () => { opened.push('list:parts'); };
+        loadMaintenance = async () => { opened.push('list:maintenance'); };
+        showEditMaintenanceModal = id => opened.push('edit:' + id);
+        showEditPart = id => opened.push('edit:' + id);
+        history.replaceState = (state, title, url) => { window.location.hash = url; };
+    `);
+    return app;
+}
+
+async function visit(app, hash) {
+    app.run(`window.location.hash = ${JSON.stringify(hash)}; opened = []`);
+    await app.run('handleRoute()');
+    return Array.from(app.run('opened'));
+}
+
+test('routes with filters and record IDs survive a round trip through the URL', () => {
+    const app = loadApp();
+    const hash = app.run(`buildRoute('maintenance', { q: 'oil & filter', tags: 't1,t2', match: 'all', range: '', sort: null })`);
+    assert.strictEqual(hash, '#/maintenance?q=oil+%26+filter&tags=t1%2Ct2&match=all');
+
+    const route = app.run(`parseRoute(${JSON.stringify(hash)})`);
+    assert.strictEqual(route.section, 'maintenance');
+    assert.deepStrictEqual(Object.fromEntries(route.params), { q: 'oil & filter', tags: 't1,t2', match: 'all' });
+
+    const edit = app.run(`parseRoute('#/parts/p%201/edit?q=oil')`);
+    assert.deepStrictEqual([edit.section, edit.id, edit.action, edit.params.get('q')], ['parts', 'p 1', 'edit', 'oil']);
+    assert.strictEqual(app.run(`parseRoute('').section`), 'dashboard');
+});
+
+test('a deep link applies its filters, and an edit route over them opens the modal without reloading', async () => {
+    const app = loadRoutedApp();
+
+    assert.deepStrictEqual(await visit(app, '#/maintenance?q=oil&tags=t1,t2&match=all&sort=cost_desc'), ['section:maintenance']);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(listFilters.maintenance)')), {
+        vehicle: '', q: 'oil', range: '', from: '', to: '', sort: 'cost_desc', tags: 't1,t2', match: 'all'
+    });
+
+    assert.deepStrictEqual(await visit(app, '#/maintenance/m1/edit?q=oil&tags=t1,t2&match=all&sort=cost_desc'), ['edit:m1']);
+
+    // Closing the modal returns to the filtered list
+    app.run('hideModal()');
+    assert.strictEqual(app.run('window.location.hash'), '#/maintenance?q=oil&tags=t1%2Ct2&match=all&sort=cost_desc');
+
+    assert.deepStrictEqual(await visit(app, '#/maintenance?q=brakes'), ['list:maintenance'], 'a filter change reloads the list');
+    assert.deepStrictEqual(await visit(app, '#/parts/p1/edit?tags=t3'), ['section:parts', 'edit:p1']);
+    assert.strictEqual(app.run('listFilters.parts.tags'), 't3');
+});
+
+test('unknown and malformed links fall back to the dashboard', async () => {
+    for (const hash of ['#/garage', '#/maintenance/%E0%A4%A/edit', '#/%']) {
+        const app = loadRoutedApp();
+        assert.deepStrictEqual(await visit(app, hash), ['section:dashboard'], hash);
+        assert.strictEqual(app.run('window.location.hash'), '#/dashboard', hash);
+    }
+});
@@ -0,0 +1,96 @@
+// Service schedule badges, the dashboard due list and marking a schedule done
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function schedule(overrides = {}) {
+    return {
+        id: 's1', vehicleId: 'a', title: 'Oil change', intervalOdo: 15000, intervalMonths: 12, notes: null,
+        lastDoneAt: '2024-01-01', lastDoneOdo: 80000, dueAt: '2025-01-01', dueOdo: 95000, status: 'OK',
+        vehicle: { id: 'a', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' },
+        ...overrides
+    };
+}
+
+test('vehicle cards count overdue and due soon schedules', () => {
+    const app = loadApp();
+    app.run(`
+        appData.vehicles = [{ id: 'a', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' }, { id: 'b', manufacturer: 'Saab', model: '900', odoUnit: 'KM' }];
+        appData.schedules = ${JSON.stringify([
+            schedule({ id: 's1', status: 'OVERDUE' }),
+            schedule({ id: 's2', status: 'OVERDUE' }),
+            schedule({ id: 's3', status: 'DUE_SOON' }),
+            schedule({ id: 's4', vehicleId: 'b', status: 'OK' })
+        ])};
+        renderVehicles();
+    `);
+    const markup = app.html('vehicles-grid');
+    assert.ok(markup.includes('2 overdue'));
+    assert.ok(markup.includes('1 due soon'));
+    assert.strictEqual((markup.match(/schedule-badges/g) || []).length, 1, 'vehicles without due service get no badges');
+});
+
+test('the dashboard lists overdue schedules before those due soon and leaves out the rest', () => {
+    const app = loadApp();
+    app.run(`
+        appData.schedules = ${JSON.stringify([
+            schedule({ id: 's1', title: 'Tyres', status: 'DUE_SOON', dueAt: '2025-02-01' }),
+            schedule({ id: 's2', title: 'Brakes', status: 'OK' }),
+            schedule({ id: 's3', title: 'Coolant', status: 'OVERDUE', dueAt: '2025-03-01' }),
+            schedule({ id: 's4', title: 'Filter', status: 'DUE_SOON', dueAt: '2025-01-15' })
+        ])};
+        renderDueSchedules();
+    `);
+    const markup = app.html('due-schedules');
+    const order = ['Coolant', 'Filter', 'Tyres'].map(title => markup.indexOf(title));
+    assert.ok(order.every(index => index !== -1));
+    assert.deepStrictEqual([...order].sort((a, b) => a - b), order);
+    assert.ok(!markup.includes('Brakes'));
+});
+
+test('hours-based schedules show their interval in hours', () => {
+    const app = loadApp();
+    const text = app.run(`formatScheduleInterval({ intervalOdo: 250, intervalMonths: null }, 'HOURS')`);
+    assert.strictEqual(text, 'Every 250 h');
+    assert.strictEqual(app.run(`formatScheduleDue({ dueAt: null, dueOdo: null }, 'HOURS')`), 'Not done yet');
+});
+
+test('marking a schedule done prefills the record and sends the schedule id', async () => {
+    const app = loadApp();
+    app.run('var requests = [];');
+    app.run(`apiCall = async (endpoint, options = {}) => {
+        requests.push({ endpoint, method: options.method || 'GET', body: options.body ? JSON.parse(options.body) : null });
+        if (endpoint.startsWith('/vehicles')) return { data: [{ id: 'a', manufacturer: 'Volvo', model: '240', odoUnit: 'KM', currentOdo: 96000 }], page: 1, pageSize: 100, totalCount: 1, totalPages: 1 };
+        if (endpoint.startsWith('/parts')) return { data: [], page: 1, pageSize: 100, totalCount: 0, totalPages: 0 };
+        if (endpoint === '/tags') return [];
+        return {};
+    };`);
+    app.run(`appData.schedules = [${JSON.stringify(schedule({ notes: 'Use 5W-30' }))}];`);
+
+    await app.run(`markScheduleDone('s1')`);
+    const markup = app.html('modal-content');
+    assert.ok(markup.includes('id="maintenance-schedule-id" value="s1"'));
+    assert.ok(markup.includes('value="Oil change"'));
+    assert.ok(markup.includes('value="96000"'));
+    assert.ok(markup.includes('Use 5W-30'));
+
+    app.run(`
+        document.getElementById('maintenance-vehicle').value = 'a';
+        document.getElementById('maintenance-title').value = 'Oil change';
+        document.getElementById('maintenance-date').value = '2025-01-10';
+        document.getElementById('maintenance-schedule-id').value = 's1';
+    `);
+    await app.run('addMaintenance()');
+    const post = JSON.parse(app.run('JSON.stringify(requests)')).find(request => request.method === 'POST');
+    assert.strictEqual(post.endpoint, '/vehicles/a/maintenance');
+    assert.strictEqual(post.body.scheduleId, 's1');
+});
+
+test('schedule validation needs at least one positive interval', () => {
+    const app = loadApp();
+    const errors = data => JSON.parse(app.run(`JSON.stringify(validateScheduleData(${JSON.stringify(data)}))`));
+    assert.deepStrictEqual(errors({ title: 'Oil', intervalOdo: null, intervalMonths: null }), ['Set an odometer interval, a month interval, or both']);
+    assert.deepStrictEqual(errors({ title: 'Oil', intervalOdo: 0, intervalMonths: 12 }), ['Odometer interval must be greater than 0']);
+    assert.deepStrictEqual(errors({ title: '', intervalOdo: null, intervalMonths: 6 }), ['Schedule title is required']);
+    assert.deepStrictEqual(errors({ title: 'Oil', intervalOdo: 250, intervalMonths: null }), []);
+});
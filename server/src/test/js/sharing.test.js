@@ -0,0 +1,109 @@
+// Vehicles shared with other users: the "shared with you" marker, sharing several vehicles and record attribution
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const jo = { id: 'u1', email: 'jo@example.com', name: 'Jo' };
+const sam = { id: 'u2', email: 'sam@example.com', name: 'Sam' };
+
+const vehicles = [
+    { id: 'a', ownerId: 'u1', manufacturer: 'Volvo', model: '240', odoUnit: 'KM', role: 'OWNER' },
+    { id: 'b', ownerId: 'u1', manufacturer: 'Saab', model: '900', odoUnit: 'KM', role: 'OWNER' },
+    { id: 'c', ownerId: 'u2', manufacturer: 'Fiat', model: 'Panda', odoUnit: 'KM', role: 'VIEWER', sharedBy: 'Sam' }
+];
+
+function loadAppWithVehicles() {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        var toasts = [];
+        showToast = (message, type = 'success') => toasts.push({ message, type });
+        currentUser = ${JSON.stringify(jo)};
+        appData.vehicles = ${JSON.stringify(vehicles)};
+        appData.vehicleOptions = ${JSON.stringify(vehicles)};
+        apiCall = async (endpoint, options = {}) => {
+            requests.push({ endpoint, method: options.method || 'GET', body: options.body ? JSON.parse(options.body) : null });
+            if (endpoint === '/vehicles/a') return ${JSON.stringify(vehicles[0])};
+            if (endpoint === '/vehicles/a/members') return [{ vehicleId: 'a', user: ${JSON.stringify(sam)}, role: 'EDITOR', createdAt: '2024-05-01T10:00:00Z' }];
+            if (endpoint.startsWith('/vehicles?')) return { data: ${JSON.stringify(vehicles)}, totalPages: 1 };
+            return null;
+        };
+    `);
+    return app;
+}
+
+test('vehicles shared with you are marked and cannot be edited or deleted', () => {
+    const app = loadAppWithVehicles();
+    app.run('renderVehicles()');
+    const markup = app.html('vehicles-grid');
+
+    assert.ok(markup.includes('Shared with you by Sam · Viewer'));
+    assert.strictEqual((markup.match(/shared-marker/g) || []).length, 1);
+    assert.strictEqual((markup.match(/editVehicle\(/g) || []).length, 2);
+    assert.ok(!markup.includes(`deleteVehicle('c')`));
+});
+
+test('sharing sends the email, role and every selected vehicle, then shows the members', async () => {
+    const app = loadAppWithVehicles();
+    await app.run(`showVehicleMembersModal('a')`);
+    const modal = app.html('modal-content');
+    assert.ok(modal.includes('Sam'));
+    assert.ok(modal.includes(`removeVehicleMember('a', 'u2')`));
+    assert.ok(!modal.includes('Fiat Panda'), 'vehicles shared with you cannot be passed on');
+
+    app.run(`
+        requests.length = 0;
+        document.getElementById('share-email').value = ' kim@example.com ';
+        document.getElementById('share-role').value = 'VIEWER';
+        document.getElementById('share-vehicles').selectedOptions = [{ value: 'a' }, { value: 'b' }];
+    `);
+    await app.run(`shareVehicles('a')`);
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests[0])')), {
+        endpoint: '/vehicles/members',
+        method: 'POST',
+        body: { email: 'kim@example.com', role: 'VIEWER', vehicleIds: ['a', 'b'] }
+    });
+    assert.strictEqual(app.run('toasts[0].message'), 'Shared 2 vehicles with kim@example.com');
+    assert.ok(app.run('requests.some(request => request.endpoint === "/vehicles/a/members")'));
+});
+
+test('records say who logged and edited them, and records of viewed vehicles are read-only', () => {
+    const app = loadAppWithVehicles();
+    app.run(`
+        appData.maintenance = [
+            { id: 'm1', vehicleId: 'a', title: 'Oil change', happenedAt: '2024-05-01', items: [], createdBy: ${JSON.stringify(jo)}, updatedBy: ${JSON.stringify(jo)},
+              vehicle: { id: 'a', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' } },
+            { id: 'm2', vehicleId: 'c', title: 'Tyres', happenedAt: '2024-04-01', items: [], createdBy: ${JSON.stringify(sam)}, updatedBy: ${JSON.stringify(jo)},
+              vehicle: { id: 'c', manufacturer: 'Fiat', model: 'Panda', odoUnit: 'KM' } }
+        ];
+        renderMaintenance();
+    `);
+    const markup = app.html('maintenance-list');
+
+    assert.strictEqual((markup.match(/record-authors/g) || []).length, 1, 'records you logged yourself need no attribution');
+    assert.ok(markup.includes('Logged by Sam · edited by you'));
+    assert.ok(markup.includes(`editMaintenance('m1')`));
+    assert.ok(!markup.includes(`editMaintenance('m2')`));
+    assert.ok(!markup.includes(`deleteMaintenance('m2')`));
+});
+
+test('parts and tags other members put on a shared record stay on it in the edit form', () => {
+    const app = loadAppWithVehicles();
+    app.run(`
+        appData.tags = [{ id: 't1', ownerId: 'u1', name: 'DIY' }];
+        appData.partOptions = [{ id: 'p1', ownerId: 'u1', name: 'Oil filter' }];
+        showEditMaintenanceModalContent({
+            id: 'm1', vehicleId: 'a', ownerId: 'u1', title: 'Oil change', happenedAt: '2024-05-01', createdBy: ${JSON.stringify(sam)},
+            items: [
+                { partId: 'p2', quantity: 4, part: { id: 'p2', ownerId: 'u2', name: 'Engine oil' } },
+                { partId: 'p3', quantity: 1, part: { id: 'p3', ownerId: 'u1', name: 'Old filter', deletedAt: '2024-04-01T00:00:00Z' } }
+            ],
+            tags: [{ id: 't1', ownerId: 'u1', name: 'DIY' }, { id: 't2', ownerId: 'u2', name: 'Warranty' }]
+        });
+    `);
+    const modal = app.html('modal-content');
+
+    assert.ok(modal.includes('<option value="p2" selected>Engine oil (from Sam)</option>'));
+    assert.ok(modal.includes('<option value="p3" selected>Old filter (in trash)</option>'));
+    assert.ok(modal.includes('<option value="t2" selected>Warranty</option>'), 'saving keeps the tags of other members');
+});
@@ -0,0 +1,79 @@
+// Tags on maintenance records, the maintenance tag filter and per-tag usage on the tags page
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+const tags = [
+    { id: 't1', name: 'Warranty', color: '#2563eb', createdAt: '2024-01-01T00:00:00Z' },
+    { id: 't2', name: 'DIY', color: '#16a34a', createdAt: '2024-01-01T00:00:00Z' }
+];
+
+function loadAppWithMaintenance() {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        appData.tags = ${JSON.stringify(tags)};
+        apiCall = async (endpoint, options = {}) => {
+            requests.push({ endpoint, method: options.method || 'GET', body: options.body ? JSON.parse(options.body) : null });
+            return { data: [], page: 1, pageSize: 20, totalCount: 0, totalPages: 0 };
+        };
+    `);
+    return app;
+}
+
+test('selected tags filter the maintenance list, and the match mode applies once two are selected', async () => {
+    const app = loadAppWithMaintenance();
+
+    await app.run(`toggleMaintenanceTagFilter('t1')`);
+    await app.run(`toggleMaintenanceTagFilter('t2')`);
+    app.run(`listFilters.maintenance.match = 'all'`);
+    await app.run('loadMaintenance()');
+
+    const endpoints = JSON.parse(app.run('JSON.stringify(requests.map(request => request.endpoint))'));
+    assert.strictEqual(endpoints[0], '/maintenance?page=1&pageSize=20&tags=t1');
+    assert.strictEqual(endpoints[2], '/maintenance?page=1&pageSize=20&tags=t1%2Ct2&tagMatch=all');
+    assert.ok(app.html('maintenance-tag-filter').includes('aria-pressed="true"'));
+    assert.ok(app.html('maintenance-list').includes('match your filters'));
+
+    await app.run(`toggleMaintenanceTagFilter('t1')`);
+    assert.strictEqual(app.run('listFilters.maintenance.tags'), 't2');
+});
+
+test('records are saved with the selected tags and show them as chips', async () => {
+    const app = loadAppWithMaintenance();
+    app.run(`
+        appData.vehicleOptions = [{ id: 'v1', manufacturer: 'Volvo', model: '240' }];
+        showMaintenanceModal('v1');
+        document.getElementById('maintenance-vehicle').value = 'v1';
+        document.getElementById('maintenance-title').value = 'Brakes';
+        document.getElementById('maintenance-tags').selectedOptions = [{ value: 't2' }];
+    `);
+    assert.ok(app.html('modal-content').includes('<option value="t1"'));
+
+    await app.run('addMaintenance()');
+    const post = JSON.parse(app.run('JSON.stringify(requests)')).find(request => request.method === 'POST');
+    assert.deepStrictEqual(post.body.tagIds, ['t2']);
+
+    app.run(`appData.maintenance = [{
+        id: 'r1', title: 'Brakes', happenedAt: '2024-03-01', items: [], attachments: [],
+        vehicle: { id: 'v1', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' },
+        tags: [{ id: 't3', name: '<Dealer>', color: '#000000' }]
+    }]; renderMaintenance();`);
+    assert.ok(app.html('maintenance-list').includes('&lt;Dealer&gt;'));
+});
+
+test('the tags page shows usage and spend with links to the filtered lists', () => {
+    const app = loadApp();
+    app.run(`
+        appData.tags = ${JSON.stringify(tags)};
+        appData.tagStats = { t1: { tag: ${JSON.stringify(tags[0])}, partCount: 1, recordCount: 3, totalsCents: { EUR: 12550 } } };
+        renderTags();
+    `);
+    const grid = app.html('tags-grid');
+    assert.ok(grid.includes('1 part'));
+    assert.ok(grid.includes('3 maintenance records'));
+    assert.ok(grid.includes('€125.50'));
+    assert.ok(grid.includes('href="#/parts?tags=t1"'));
+    assert.ok(grid.includes('href="#/maintenance?tags=t1"'));
+    assert.ok(grid.includes('0 parts'), 'tags without stats count as unused');
+});
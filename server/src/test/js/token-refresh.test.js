@@ -0,0 +1,79 @@
+// Expired access tokens: apiCall refreshes once, shares that refresh between requests and replays the request
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+// The server accepts only the access token in validToken; refreshing hands out 'new-access' unless refreshFails
+function loadAppWithSession({ validToken = 'new-access', refreshFails = false } = {}) {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        var toasts = [];
+        var signedOut = false;
+        showToast = (message, type = 'success') => toasts.push({ message, type });
+        showAuth = () => { signedOut = true; };
+        authToken = 'old-access';
+        refreshToken = 'refresh';
+        localStorage.setItem('authToken', authToken);
+        localStorage.setItem('refreshToken', refreshToken);
+        const respond = (status, body) => ({
+            status,
+            ok: status < 400,
+            headers: { get: () => 'application/json' },
+            json: async () => body
+        });
+        fetch = async (url, config) => {
+            const endpoint = url.slice(API_BASE.length);
+            requests.push(endpoint + ' ' + (config.headers.Authorization || ''));
+            if (endpoint === '/auth/refresh') {
+                return ${refreshFails}
+                    ? respond(401, { message: 'Invalid refresh token' })
+                    : respond(200, { accessToken: 'new-access', refreshToken: 'new-refresh' });
+            }
+            return config.headers.Authorization === 'Bearer ${validToken}'
+                ? respond(200, { endpoint })
+                : respond(401, { message: 'Token expired' });
+        };
+    `);
+    return app;
+}
+
+test('requests that get a 401 at the same time share one refresh and are each replayed once', async () => {
+    const app = loadAppWithSession();
+
+    const results = await app.run(`Promise.all([apiCall('/vehicles'), apiCall('/parts')])`);
+
+    assert.deepStrictEqual(Array.from(results, result => result.endpoint), ['/vehicles', '/parts']);
+    assert.deepStrictEqual(Array.from(app.run('requests')).sort(), [
+        '/auth/refresh ',
+        '/parts Bearer new-access',
+        '/parts Bearer old-access',
+        '/vehicles Bearer new-access',
+        '/vehicles Bearer old-access'
+    ]);
+    assert.strictEqual(app.run(`localStorage.getItem('authToken')`), 'new-access');
+    assert.strictEqual(app.run(`localStorage.getItem('refreshToken')`), 'new-refresh');
+});
+
+test('a request still refused after the refresh is not replayed again', async () => {
+    const app = loadAppWithSession({ validToken: 'none' });
+
+    await assert.rejects(app.run(`apiCall('/vehicles')`), /Token expired/);
+    assert.deepStrictEqual(Array.from(app.run('requests')), [
+        '/vehicles Bearer old-access',
+        '/auth/refresh ',
+        '/vehicles Bearer new-access'
+    ]);
+});
+
+test('a failed refresh signs the user out', async () => {
+    const app = loadAppWithSession({ refreshFails: true });
+
+    await assert.rejects(app.run(`Promise.all([apiCall('/vehicles'), apiCall('/parts')])`), /Session expired/);
+    assert.strictEqual(app.run(`requests.filter(request => request.startsWith('/auth/refresh')).length`), 1);
+    assert.strictEqual(app.run(`requests.filter(request => request.includes('Bearer')).length`), 2, 'nothing is replayed');
+    assert.ok(app.run('signedOut'));
+    assert.strictEqual(app.run('authToken'), null);
+    assert.strictEqual(app.run(`localStorage.getItem('refreshToken')`), null);
+    assert.strictEqual(app.run('toasts[0].message'), 'Your session has expired. Please sign in again.');
+});
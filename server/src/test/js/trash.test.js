@@ -0,0 +1,72 @@
+// Delete previews, moving items to the trash with undo, and the trash page
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./app-harness');
+
+function loadAppWithTrash(preview) {
+    const app = loadApp();
+    app.run(`
+        var requests = [];
+        var toasts = [];
+        showToast = (message, type = 'success', title = '', action = null) => toasts.push({ message, type, action });
+        apiCall = async (endpoint, options = {}) => {
+            requests.push({ endpoint, method: options.method || 'GET' });
+            if (endpoint.endsWith('/delete-preview')) return ${JSON.stringify(preview)};
+            return { data: [], page: 1, pageSize: 20, totalCount: 0, totalPages: 0 };
+        };
+    `);
+    return app;
+}
+
+test('deleting asks first and tells what the deletion affects', async () => {
+    const app = loadAppWithTrash({ type: 'PART', name: '<Oil filter>', maintenanceRecordCount: 3, attachmentCount: 1 });
+
+    await app.run(`deletePart('p1')`);
+    const modal = app.html('modal-content');
+    assert.ok(modal.includes('&lt;Oil filter&gt;'));
+    assert.ok(modal.includes('3 maintenance records use this part'));
+    assert.ok(modal.includes('1 attachment will go to the trash with it'));
+    assert.ok(modal.includes(`moveToTrash('PART', 'p1')`));
+    assert.deepStrictEqual(JSON.parse(app.run('JSON.stringify(requests)')), [
+        { endpoint: '/parts/p1/delete-preview', method: 'GET' }
+    ]);
+});
+
+test('moving to the trash offers an undo that restores the item', async () => {
+    const app = loadAppWithTrash({ type: 'VEHICLE', name: 'Volvo 240', maintenanceRecordCount: 1, scheduleCount: 2 });
+
+    await app.run(`confirmDelete('VEHICLE', 'v1')`);
+    assert.ok(app.html('modal-content').includes('1 maintenance record of this vehicle will be hidden'));
+    assert.ok(app.html('modal-content').includes('2 service schedules of this vehicle'));
+
+    await app.run(`moveToTrash('VEHICLE', 'v1')`);
+    assert.strictEqual(app.run('toasts[0].action.label'), 'Undo');
+    await app.run('toasts[0].action.onClick()');
+
+    const requests = JSON.parse(app.run('JSON.stringify(requests.filter(request => request.method !== "GET"))'));
+    assert.deepStrictEqual(requests, [
+        { endpoint: '/vehicles/v1', method: 'DELETE' },
+        { endpoint: '/trash/vehicles/v1/restore', method: 'POST' }
+    ]);
+    assert.strictEqual(app.run('toasts[1].message'), 'The vehicle was restored.');
+});
+
+test('the trash lists deleted items, and records keep showing parts that are in it', () => {
+    const app = loadApp();
+    app.run(`
+        appData.trash = [
+            { type: 'MAINTENANCE', id: 'r1', name: 'Brakes', vehicle: { id: 'v1', manufacturer: 'Volvo', model: '240', odoUnit: 'KM' }, deletedAt: '2024-03-01T00:00:00Z' },
+            { type: 'TAG', id: 't1', name: '<DIY>', deletedAt: '2024-02-01T00:00:00Z' }
+        ];
+        renderTrash();
+    `);
+    const list = app.html('trash-list');
+    assert.ok(list.includes('Maintenance record of Volvo 240'));
+    assert.ok(list.includes('&lt;DIY&gt;'));
+    assert.ok(list.includes(`restoreFromTrash('TAG', 't1')`));
+    assert.ok(list.includes(`confirmPurge('MAINTENANCE', 'r1')`));
+
+    app.run(`appData.partOptions = [{ id: 'p2', name: 'Pads' }]`);
+    const row = String(app.run(`renderMaintenancePartRow({ partId: 'p1', quantity: 1, part: { id: 'p1', name: 'Old filter', priceCents: 500, deletedAt: '2024-03-01T00:00:00Z' } })`));
+    assert.ok(row.includes('<option value="p1" selected>Old filter (in trash)</option>'));
+});
@@ -0,0 +1,20 @@
+package com.jeffmolenaar.revix.server
+
+import com.jeffmolenaar.revix.server.database.*
+import org.jetbrains.exposed.sql.Database
+import org.jetbrains.exposed.sql.SchemaUtils
+import org.jetbrains.exposed.sql.transactions.transaction
+import java.util.*
+
+// Connects the repositories to a new, empty in-memory H2 database with every table,
+// created from the table objects rather than the Flyway migrations
+fun connectTestDatabase() {
+    Database.connect("jdbc:h2:mem:test-${UUID.randomUUID()};MODE=PostgreSQL;DB_CLOSE_DELAY=-1", driver = "org.h2.Driver")
+    transaction {
+        SchemaUtils.create(
+            UsersTable, RefreshTokensTable, VehiclesTable, VehicleMembersTable, TagsTable, PartsTable, PartTagsTable,
+            ServiceSchedulesTable, MaintenanceRecordsTable, MaintenanceTagsTable, MaintenanceItemsTable,
+            OdometerReadingsTable, AttachmentsTable, AuditLogTable
+        )
+    }
+}
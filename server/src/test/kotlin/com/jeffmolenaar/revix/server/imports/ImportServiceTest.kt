@@ -0,0 +1,135 @@
+package com.jeffmolenaar.revix.server.imports
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.audit.AuditLog
+import com.jeffmolenaar.revix.server.connectTestDatabase
+import com.jeffmolenaar.revix.server.database.AuditLogTable
+import com.jeffmolenaar.revix.server.repository.*
+import kotlinx.datetime.LocalDate
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import kotlin.test.*
+
+class ImportServiceTest {
+    
+    private val vehicleRepository = VehicleRepository()
+    private val partRepository = PartRepository()
+    private val tagRepository = TagRepository()
+    private val maintenanceRepository = MaintenanceRepository()
+    private val importService = ImportService(
+        vehicleRepository,
+        partRepository,
+        tagRepository,
+        maintenanceRepository,
+        AuditLog(AuditRepository())
+    )
+    private lateinit var ownerId: String
+    
+    @BeforeTest
+    fun setUp() {
+        connectTestDatabase()
+        ownerId = UserRepository().create("jo@example.com", "hash", "Jo").id
+    }
+    
+    private fun auditEntryCount(): Long = transaction { AuditLogTable.selectAll().count() }
+    
+    private val partRows = listOf(
+        ImportPartRow(name = "Oil filter", priceCents = 1250, currency = "EUR", tags = listOf("Engine")),
+        ImportPartRow(name = "Engine oil", tags = listOf("engine", "Fluids"))
+    )
+    
+    @Test
+    fun testPartsDryRunWritesNothing() {
+        val result = importService.importParts(ownerId, ImportRequest(partRows, dryRun = true))
+        
+        assertTrue(result.dryRun)
+        assertEquals(2, result.created)
+        assertEquals(listOf("Creates tag \"Engine\""), result.rows.single { it.index == 0 }.warnings)
+        assertEquals(listOf("Creates tag \"Fluids\""), result.rows.single { it.index == 1 }.warnings)
+        assertTrue(partRepository.findByOwner(ownerId).isEmpty())
+        assertTrue(tagRepository.findByOwner(ownerId).isEmpty())
+        assertEquals(0L, auditEntryCount())
+    }
+    
+    @Test
+    fun testPartsCommitWritesRowsTagsAndAuditEntries() {
+        val result = importService.importParts(ownerId, ImportRequest(partRows, dryRun = false))
+        
+        assertFalse(result.dryRun)
+        assertEquals(2, result.created)
+        val parts = partRepository.findByOwner(ownerId).associateBy { it.name }
+        assertEquals(setOf("Oil filter", "Engine oil"), parts.keys)
+        assertEquals(listOf("Engine", "Fluids"), parts.getValue("Engine oil").tags.map { it.name }.sorted())
+        assertEquals(listOf("Engine", "Fluids"), tagRepository.findByOwner(ownerId).map { it.name })
+        assertEquals(4L, auditEntryCount(), "Two parts and two tags")
+        
+        // Importing the same sheet again only skips
+        val again = importService.importParts(ownerId, ImportRequest(partRows, dryRun = false))
+        assertEquals(0, again.created)
+        assertEquals(2, again.skipped)
+        assertEquals(2, partRepository.findByOwner(ownerId).size)
+    }
+    
+    @Test
+    fun testPartsCommitWithAnInvalidRowWritesNothing() {
+        val rows = partRows + ImportPartRow(name = " ", currency = "euro")
+        val result = importService.importParts(ownerId, ImportRequest(rows, dryRun = false))
+        
+        assertEquals(0, result.created)
+        assertEquals(2, result.rows.single { it.index == 2 }.errors.size)
+        assertTrue(partRepository.findByOwner(ownerId).isEmpty())
+        assertTrue(tagRepository.findByOwner(ownerId).isEmpty())
+        assertEquals(0L, auditEntryCount())
+    }
+    
+    @Test
+    fun testMaintenanceDryRunAndCommit() {
+        val vehicle = vehicleRepository.create(ownerId, CreateVehicleRequest(licensePlate = "AB-12-CD", manufacturer = "Volvo", model = "240"))
+        partRepository.create(ownerId, CreatePartRequest(name = "Oil filter", priceCents = 1250, currency = "EUR"))
+        val rows = listOf(
+            ImportMaintenanceRow(
+                vehicle = "ab 12 cd",
+                happenedAt = LocalDate.parse("2024-03-01"),
+                odoReading = 120000,
+                title = "Oil change",
+                items = listOf(ImportMaintenanceItem("oil filter", 1.0))
+            )
+        )
+        
+        val dryRun = importService.importMaintenance(ownerId, ImportRequest(rows, dryRun = true))
+        assertEquals(1, dryRun.created)
+        assertTrue(maintenanceRepository.findByOwner(ownerId).isEmpty())
+        
+        val commit = importService.importMaintenance(ownerId, ImportRequest(rows, dryRun = false))
+        assertEquals(1, commit.created)
+        val record = maintenanceRepository.findByOwner(ownerId).single()
+        assertEquals(vehicle.id, record.vehicleId)
+        assertEquals(1250L, record.items.single().unitPriceCentsOverride)
+        assertEquals(1L, auditEntryCount())
+        
+        val again = importService.importMaintenance(ownerId, ImportRequest(rows, dryRun = false))
+        assertEquals(0, again.created)
+        assertEquals(1, again.skipped)
+    }
+    
+    @Test
+    fun testMaintenanceRowsNeedAKnownVehicleAndParts() {
+        val rows = listOf(
+            ImportMaintenanceRow(
+                vehicle = "XX-99-YY",
+                happenedAt = LocalDate.parse("2024-03-01"),
+                title = "Oil change",
+                items = listOf(ImportMaintenanceItem("Spark plug"))
+            )
+        )
+        
+        val result = importService.importMaintenance(ownerId, ImportRequest(rows, dryRun = false))
+        
+        assertEquals(0, result.created)
+        assertEquals(
+            listOf("No vehicle with license plate or VIN \"XX-99-YY\"", "No part named \"Spark plug\" in the catalog"),
+            result.rows.single().errors
+        )
+        assertTrue(maintenanceRepository.findByOwner(ownerId).isEmpty())
+    }
+}
@@ -0,0 +1,64 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.connectTestDatabase
+import kotlinx.datetime.LocalDate
+import kotlin.test.*
+
+// The vehicle's current reading follows the highest reading in its log as readings come and go
+class CurrentOdoTest {
+    
+    private val vehicleRepository = VehicleRepository()
+    private val maintenanceRepository = MaintenanceRepository()
+    private val odometerRepository = OdometerRepository()
+    private val trashRepository = TrashRepository()
+    private lateinit var ownerId: String
+    private lateinit var vehicleId: String
+    
+    @BeforeTest
+    fun setUp() {
+        connectTestDatabase()
+        ownerId = UserRepository().create("jo@example.com", "hash", "Jo").id
+        vehicleId = vehicleRepository.create(ownerId, CreateVehicleRequest(manufacturer = "Volvo", model = "240", currentOdo = 100000)).id
+    }
+    
+    private fun currentOdo(): Long? = vehicleRepository.findById(vehicleId, ownerId)?.currentOdo
+    
+    private fun record(odoReading: Long): MaintenanceRecord = maintenanceRepository.create(
+        vehicleId,
+        ownerId,
+        CreateMaintenanceRecordRequest(happenedAt = LocalDate.parse("2024-03-01"), odoReading = odoReading, title = "Oil change")
+    )
+    
+    @Test
+    fun testTrashingARecordMovesTheCurrentReadingBack() {
+        val record = record(120000)
+        assertEquals(120000L, currentOdo())
+        
+        assertTrue(maintenanceRepository.delete(record.id, ownerId))
+        assertEquals(100000L, currentOdo())
+        
+        assertTrue(trashRepository.restore(TrashItemType.MAINTENANCE, record.id, ownerId))
+        assertEquals(120000L, currentOdo())
+    }
+    
+    @Test
+    fun testLoweringARecordReadingMovesTheCurrentReadingBack() {
+        val record = record(120000)
+        
+        maintenanceRepository.update(record.id, ownerId, UpdateMaintenanceRecordRequest(odoReading = 110000))
+        assertEquals(110000L, currentOdo())
+        
+        maintenanceRepository.update(record.id, ownerId, UpdateMaintenanceRecordRequest(odoReading = 90000))
+        assertEquals(100000L, currentOdo(), "The manual reading is now the highest")
+    }
+    
+    @Test
+    fun testRemovingAReadingBelowTheCurrentOneChangesNothing() {
+        val record = record(90000)
+        odometerRepository.create(vehicleId, ownerId, CreateOdometerReadingRequest(readAt = LocalDate.parse("2024-04-01"), reading = 130000))
+        
+        assertTrue(maintenanceRepository.delete(record.id, ownerId))
+        assertEquals(130000L, currentOdo())
+    }
+}
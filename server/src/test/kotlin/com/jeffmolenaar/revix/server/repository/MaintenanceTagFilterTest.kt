@@ -0,0 +1,61 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.*
+import com.jeffmolenaar.revix.server.connectTestDatabase
+import kotlinx.datetime.LocalDate
+import kotlin.test.*
+
+// A record counts as tagged with its own tags and with the tags of the parts it uses
+class MaintenanceTagFilterTest {
+    
+    private val tagRepository = TagRepository()
+    private val partRepository = PartRepository()
+    private val maintenanceRepository = MaintenanceRepository()
+    private lateinit var ownerId: String
+    private lateinit var diy: Tag
+    private lateinit var engine: Tag
+    
+    @BeforeTest
+    fun setUp() {
+        connectTestDatabase()
+        ownerId = UserRepository().create("jo@example.com", "hash", "Jo").id
+        diy = tagRepository.create(ownerId, CreateTagRequest("DIY"))
+        engine = tagRepository.create(ownerId, CreateTagRequest("Engine"))
+        val oilFilter = partRepository.create(ownerId, CreatePartRequest(name = "Oil filter", tagIds = listOf(engine.id)))
+        val vehicleId = VehicleRepository().create(ownerId, CreateVehicleRequest(manufacturer = "Volvo", model = "240")).id
+        
+        fun record(title: String, tagIds: List<String>, partIds: List<String> = emptyList()) = maintenanceRepository.create(
+            vehicleId,
+            ownerId,
+            CreateMaintenanceRecordRequest(
+                happenedAt = LocalDate.parse("2024-03-01"),
+                title = title,
+                items = partIds.map { CreateMaintenanceItemRequest(partId = it, quantity = 1.0) },
+                tagIds = tagIds
+            )
+        )
+        record("Washed", listOf(diy.id))
+        record("Oil change at the garage", emptyList(), listOf(oilFilter.id))
+        record("Oil change at home", listOf(diy.id), listOf(oilFilter.id))
+        record("Tyres", emptyList())
+    }
+    
+    private fun titles(tagIds: List<String>, tagMatch: TagMatch): Set<String> =
+        maintenanceRepository.findByOwner(ownerId, tagIds = tagIds, tagMatch = tagMatch).map { it.title }.toSet()
+    
+    @Test
+    fun testAnyTag() {
+        assertEquals(setOf("Washed", "Oil change at home"), titles(listOf(diy.id), TagMatch.ANY))
+        assertEquals(
+            setOf("Washed", "Oil change at the garage", "Oil change at home"),
+            titles(listOf(diy.id, engine.id), TagMatch.ANY)
+        )
+        assertEquals(3L, maintenanceRepository.countByOwner(ownerId, tagIds = listOf(diy.id, engine.id)))
+    }
+    
+    @Test
+    fun testAllTags() {
+        assertEquals(setOf("Oil change at home"), titles(listOf(diy.id, engine.id), TagMatch.ALL))
+        assertEquals(setOf("Oil change at the garage", "Oil change at home"), titles(listOf(engine.id), TagMatch.ALL))
+    }
+}
@@ -0,0 +1,98 @@
+package com.jeffmolenaar.revix.server.repository
+
+import com.jeffmolenaar.revix.domain.ScheduleStatus
+import com.jeffmolenaar.revix.domain.ServiceSchedule
+import kotlinx.datetime.Instant
+import kotlinx.datetime.LocalDate
+import kotlin.test.*
+
+class ScheduleEvaluationTest {
+    
+    private val createdAt = Instant.parse("2024-01-15T12:00:00Z")
+    
+    private fun schedule(intervalOdo: Long? = null, intervalMonths: Int? = null) = ServiceSchedule(
+        id = "s1",
+        vehicleId = "v1",
+        ownerId = "u1",
+        title = "Impeller",
+        intervalOdo = intervalOdo,
+        intervalMonths = intervalMonths,
+        createdAt = createdAt,
+        updatedAt = createdAt
+    )
+    
+    private fun done(happenedAt: String, odoReading: Long?, scheduleId: String? = "s1") = ScheduleHistory(
+        vehicleId = "v1",
+        scheduleId = scheduleId,
+        title = "Impeller",
+        happenedAt = LocalDate.parse(happenedAt),
+        odoReading = odoReading
+    )
+    
+    @Test
+    fun testMonthIntervalRunsFromCreationUntilFirstDone() {
+        val evaluated = schedule(intervalMonths = 12)
+            .evaluated(emptyList(), currentOdo = null, baselineOdo = null, today = LocalDate.parse("2025-02-01"))
+        
+        assertEquals(LocalDate.parse("2025-01-15"), evaluated.dueAt)
+        assertEquals(ScheduleStatus.OVERDUE, evaluated.status)
+        assertNull(evaluated.lastDoneAt)
+    }
+    
+    @Test
+    fun testOdometerIntervalRunsFromBaselineUntilFirstDone() {
+        val today = LocalDate.parse("2024-03-01")
+        
+        val ok = schedule(intervalOdo = 250).evaluated(emptyList(), currentOdo = 1100, baselineOdo = 1000, today = today)
+        assertEquals(1250L, ok.dueOdo)
+        assertEquals(ScheduleStatus.OK, ok.status)
+        
+        val dueSoon = schedule(intervalOdo = 250).evaluated(emptyList(), currentOdo = 1230, baselineOdo = 1000, today = today)
+        assertEquals(ScheduleStatus.DUE_SOON, dueSoon.status)
+        
+        val overdue = schedule(intervalOdo = 250).evaluated(emptyList(), currentOdo = 1260, baselineOdo = 1000, today = today)
+        assertEquals(ScheduleStatus.OVERDUE, overdue.status)
+    }
+    
+    @Test
+    fun testLastDoneReadingReplacesBaseline() {
+        val evaluated = schedule(intervalOdo = 250)
+            .evaluated(listOf(done("2024-02-01", 1200)), currentOdo = 1300, baselineOdo = 1000, today = LocalDate.parse("2024-03-01"))
+        
+        assertEquals(1450L, evaluated.dueOdo)
+        assertEquals(1200L, evaluated.lastDoneOdo)
+        assertEquals(ScheduleStatus.OK, evaluated.status)
+    }
+    
+    @Test
+    fun testRecordWithoutReadingKeepsBaseline() {
+        val evaluated = schedule(intervalOdo = 250)
+            .evaluated(listOf(done("2024-02-01", null)), currentOdo = 1300, baselineOdo = 1000, today = LocalDate.parse("2024-03-01"))
+        
+        assertEquals(1250L, evaluated.dueOdo)
+        assertEquals(ScheduleStatus.OVERDUE, evaluated.status)
+        assertEquals(LocalDate.parse("2024-02-01"), evaluated.lastDoneAt)
+    }
+    
+    @Test
+    fun testWhicheverComesFirst() {
+        val evaluated = schedule(intervalOdo = 10000, intervalMonths = 12)
+            .evaluated(listOf(done("2024-01-20", 50000)), currentOdo = 52000, baselineOdo = 49000, today = LocalDate.parse("2025-02-01"))
+        
+        assertEquals(LocalDate.parse("2025-01-20"), evaluated.dueAt)
+        assertEquals(60000L, evaluated.dueOdo)
+        assertEquals(ScheduleStatus.OVERDUE, evaluated.status)
+    }
+    
+    @Test
+    fun testRecordsWithSameTitleCountAsDone() {
+        val history = listOf(
+            done("2023-06-01", 800, scheduleId = null),
+            done("2023-01-01", 500, scheduleId = null).copy(title = "Oil change")
+        )
+        val evaluated = schedule(intervalOdo = 250).evaluated(history, currentOdo = 900, baselineOdo = 1000, today = LocalDate.parse("2024-03-01"))
+        
+        assertEquals(LocalDate.parse("2023-06-01"), evaluated.lastDoneAt)
+        assertEquals(1050L, evaluated.dueOdo)
+    }
+}
@@ -0,0 +1,17 @@
+package com.jeffmolenaar.revix.server.routes
+
+import kotlin.test.*
+
+class TagFilterTest {
+    
+    @Test
+    fun testTagFilter() {
+        val id = "3f1c2a9e-8d4b-4c55-9a1e-2b7f6c0d9e11"
+        val other = "9b8a7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d"
+        
+        assertEquals(emptyList(), parseTagFilter(null))
+        assertEquals(emptyList(), parseTagFilter(""))
+        assertEquals(listOf(id, other), parseTagFilter("$id,,$other"))
+        assertNull(parseTagFilter("$id,not-a-tag"))
+    }
+}
@@ -0,0 +1,14 @@
+package com.jeffmolenaar.revix.server.validation
+
+import com.jeffmolenaar.revix.validation.ValidationRules
+import kotlin.test.*
+
+class AccountValidationTest {
+    
+    @Test
+    fun testUserName() {
+        assertTrue(ValidationRules.validateUserName(null).isValid)
+        assertTrue(ValidationRules.validateUserName("Jo").isValid)
+        assertFalse(ValidationRules.validateUserName("a".repeat(256)).isValid)
+    }
+}
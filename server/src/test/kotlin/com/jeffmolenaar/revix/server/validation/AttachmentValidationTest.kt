@@ -0,0 +1,17 @@
+package com.jeffmolenaar.revix.server.validation
+
+import com.jeffmolenaar.revix.domain.Attachment
+import com.jeffmolenaar.revix.validation.ValidationRules
+import kotlin.test.*
+
+class AttachmentValidationTest {
+    
+    @Test
+    fun testAttachment() {
+        assertTrue(ValidationRules.validateAttachment("image/jpeg", 1024).isValid)
+        assertTrue(ValidationRules.validateAttachment("application/pdf", Attachment.MAX_SIZE_BYTES).isValid)
+        assertFalse(ValidationRules.validateAttachment("image/jpeg", 0).isValid)
+        assertFalse(ValidationRules.validateAttachment("image/jpeg", Attachment.MAX_SIZE_BYTES + 1).isValid)
+        assertFalse(ValidationRules.validateAttachment(null, 1024).isValid)
+    }
+}
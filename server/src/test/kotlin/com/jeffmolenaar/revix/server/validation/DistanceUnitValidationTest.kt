@@ -0,0 +1,15 @@
+package com.jeffmolenaar.revix.server.validation
+
+import com.jeffmolenaar.revix.domain.OdoUnit
+import com.jeffmolenaar.revix.validation.ValidationRules
+import kotlin.test.*
+
+class DistanceUnitValidationTest {
+    
+    @Test
+    fun testDistanceUnit() {
+        assertTrue(ValidationRules.validateDistanceUnit(OdoUnit.KM).isValid)
+        assertTrue(ValidationRules.validateDistanceUnit(OdoUnit.MI).isValid)
+        assertFalse(ValidationRules.validateDistanceUnit(OdoUnit.HOURS).isValid)
+    }
+}
@@ -0,0 +1,14 @@
+package com.jeffmolenaar.revix.server.validation
+
+import com.jeffmolenaar.revix.validation.ValidationRules
+import kotlin.test.*
+
+class OdometerValidationTest {
+    
+    @Test
+    fun testOdometerNote() {
+        assertTrue(ValidationRules.validateOdometerNote(null).isValid)
+        assertTrue(ValidationRules.validateOdometerNote("a".repeat(200)).isValid)
+        assertFalse(ValidationRules.validateOdometerNote("a".repeat(201)).isValid)
+    }
+}
@@ -0,0 +1,24 @@
+package com.jeffmolenaar.revix.server.validation
+
+import com.jeffmolenaar.revix.validation.ValidationRules
+import kotlin.test.*
+
+class ScheduleValidationTest {
+    
+    @Test
+    fun testScheduleTitle() {
+        assertTrue(ValidationRules.validateScheduleTitle("Oil change").isValid)
+        assertFalse(ValidationRules.validateScheduleTitle(" ").isValid)
+        assertFalse(ValidationRules.validateScheduleTitle("a".repeat(201)).isValid)
+    }
+    
+    @Test
+    fun testScheduleIntervals() {
+        assertTrue(ValidationRules.validateScheduleIntervals(15000, null).isValid)
+        assertTrue(ValidationRules.validateScheduleIntervals(null, 12).isValid)
+        assertTrue(ValidationRules.validateScheduleIntervals(15000, 12).isValid)
+        assertFalse(ValidationRules.validateScheduleIntervals(null, null).isValid)
+        assertFalse(ValidationRules.validateScheduleIntervals(0, 12).isValid)
+        assertFalse(ValidationRules.validateScheduleIntervals(15000, -1).isValid)
+    }
+}
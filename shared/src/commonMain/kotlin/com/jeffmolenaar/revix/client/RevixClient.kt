@@ -4,8 +4,10 @@ import com.jeffmolenaar.revix.domain.*
 import io.ktor.client.*
 import io.ktor.client.call.*
 import io.ktor.client.request.*
+import io.ktor.client.request.forms.*
 import io.ktor.client.statement.*
 import io.ktor.http.*
+import io.ktor.http.content.*
 import kotlinx.coroutines.sync.Mutex
 import kotlinx.coroutines.sync.withLock
 
@@ -42,6 +44,15 @@ class RevixClient(private val config: RevixClientConfig) {
     val parts = PartService()
     val tags = TagService()
     val maintenance = MaintenanceService()
+    val schedules = ScheduleService()
+    val odometer = OdometerService()
+    val stats = StatsService()
+    val export = ExportService()
+    val imports = ImportService()
+    val reports = ReportService()
+    val attachments = AttachmentService()
+    val trash = TrashService()
+    val audit = AuditService()
     
     /**
      * Close the HTTP client when done
@@ -101,7 +112,9 @@ class RevixClient(private val config: RevixClientConfig) {
                     }
                 }
                 
-                if (body != null) {
+                if (body is OutgoingContent) {
+                    setBody(body)
+                } else if (body != null) {
                     contentType(ContentType.Application.Json)
                     setBody(body)
                 }
@@ -119,7 +132,9 @@ class RevixClient(private val config: RevixClientConfig) {
                         }
                     }
                     
-                    if (body != null) {
+                    if (body is OutgoingContent) {
+                        setBody(body)
+                    } else if (body != null) {
                         contentType(ContentType.Application.Json)
                         setBody(body)
                     }
@@ -199,17 +214,107 @@ class RevixClient(private val config: RevixClientConfig) {
         }
         
         /**
-         * Logout the current user
+         * Logout the current user, revoking the session's refresh token on the server
+         */
+        suspend fun logout() {
+            val currentRefreshToken = refreshToken
+            try {
+                if (currentRefreshToken != null) {
+                    apiRequestResponse("/auth/logout", HttpMethod.Post, RefreshTokenRequest(currentRefreshToken), requireAuth = false)
+                }
+            } finally {
+                clearTokens()
+            }
+        }
+        
+        /**
+         * Mail a password reset link; succeeds whether or not the email belongs to an account
+         */
+        suspend fun forgotPassword(email: String) {
+            apiRequestResponse("/auth/forgot", HttpMethod.Post, ForgotPasswordRequest(email), requireAuth = false)
+        }
+        
+        /**
+         * Set a new password with the token from a reset link; every session is signed out
+         */
+        suspend fun resetPassword(token: String, password: String) {
+            val response = apiRequestResponse("/auth/reset", HttpMethod.Post, ResetPasswordRequest(token, password), requireAuth = false)
+            if (!response.status.isSuccess()) {
+                throw RevixApiException.fromApiError(response.status.value, response.body())
+            }
+        }
+        
+        /**
+         * Verify the email address with the token from a verification link
+         */
+        suspend fun verifyEmail(token: String) {
+            val response = apiRequestResponse("/auth/verify-email", HttpMethod.Post, VerifyEmailRequest(token), requireAuth = false)
+            if (!response.status.isSuccess()) {
+                throw RevixApiException.fromApiError(response.status.value, response.body())
+            }
+        }
+        
+        /**
+         * Mail a new verification link to the current user
          */
-        fun logout() {
-            clearTokens()
+        suspend fun resendVerification() {
+            apiRequestResponse("/me/verification", HttpMethod.Post)
         }
         
         /**
          * Get the current user profile
          */
         suspend fun getCurrentUser(): User {
-            return apiRequest("/auth/me")
+            return apiRequest("/me")
+        }
+        
+        /**
+         * Update the current user's preferences, such as the unit distances are shown in
+         */
+        suspend fun updatePreferences(request: UpdatePreferencesRequest): User {
+            return apiRequest("/me/preferences", HttpMethod.Put, request)
+        }
+        
+        /**
+         * Update the current user's name and email
+         */
+        suspend fun updateProfile(request: UpdateProfileRequest): User {
+            return apiRequest("/me", HttpMethod.Put, request)
+        }
+        
+        /**
+         * Change the password; other sessions are signed out
+         */
+        suspend fun changePassword(currentPassword: String, newPassword: String) {
+            val response = apiRequestResponse("/me/password", HttpMethod.Put, ChangePasswordRequest(currentPassword, newPassword))
+            if (!response.status.isSuccess()) {
+                throw RevixApiException.fromApiError(response.status.value, response.body())
+            }
+        }
+        
+        /**
+         * Get the signed-in sessions, with the current one marked
+         */
+        suspend fun getSessions(): List<Session> {
+            return apiRequest("/me/sessions")
+        }
+        
+        /**
+         * Sign out a session
+         */
+        suspend fun revokeSession(id: String) {
+            apiRequestResponse("/me/sessions/$id", HttpMethod.Delete)
+        }
+        
+        /**
+         * Sign out every session, this one included
+         */
+        suspend fun revokeAllSessions() {
+            try {
+                apiRequestResponse("/me/sessions", HttpMethod.Delete)
+            } finally {
+                clearTokens()
+            }
         }
         
         /**
@@ -226,7 +331,7 @@ class RevixClient(private val config: RevixClientConfig) {
      */
     inner class VehicleService {
         /**
-         * Get all vehicles for the current user
+         * Get all vehicles for the current user, including those shared with them
          */
         suspend fun getAll(page: Int = 1, pageSize: Int = 20): PaginatedResponse<Vehicle> {
             return apiRequest("/vehicles?page=$page&pageSize=$pageSize")
@@ -254,11 +359,35 @@ class RevixClient(private val config: RevixClientConfig) {
         }
         
         /**
-         * Delete a vehicle
+         * Move a vehicle to the trash
          */
         suspend fun delete(id: String) {
             apiRequestResponse("/vehicles/$id", HttpMethod.Delete)
         }
+        
+        /**
+         * Share one or more of your vehicles with another registered user, or change their role
+         */
+        suspend fun share(request: ShareVehiclesRequest) {
+            val response = apiRequestResponse("/vehicles/members", HttpMethod.Post, request)
+            if (!response.status.isSuccess()) {
+                throw RevixApiException.fromApiError(response.status.value, response.body())
+            }
+        }
+        
+        /**
+         * Get the users a vehicle is shared with
+         */
+        suspend fun getMembers(vehicleId: String): List<VehicleMember> {
+            return apiRequest("/vehicles/$vehicleId/members")
+        }
+        
+        /**
+         * Stop sharing a vehicle with a user; members pass their own ID to leave
+         */
+        suspend fun removeMember(vehicleId: String, userId: String) {
+            apiRequestResponse("/vehicles/$vehicleId/members/$userId", HttpMethod.Delete)
+        }
     }
     
     /**
@@ -272,13 +401,15 @@ class RevixClient(private val config: RevixClientConfig) {
             page: Int = 1, 
             pageSize: Int = 20, 
             query: String? = null, 
-            tagIds: List<String>? = null
+            tagIds: List<String>? = null,
+            tagMatch: TagMatch = TagMatch.ANY
         ): PaginatedResponse<Part> {
             val params = mutableListOf<String>()
             params.add("page=$page")
             params.add("pageSize=$pageSize")
             query?.let { params.add("query=$it") }
             tagIds?.let { if (it.isNotEmpty()) params.add("tags=${it.joinToString(",")}") }
+            if (tagMatch != TagMatch.ANY) params.add("tagMatch=${tagMatch.name.lowercase()}")
             
             val queryString = if (params.isNotEmpty()) "?" + params.joinToString("&") else ""
             return apiRequest("/parts$queryString")
@@ -306,7 +437,7 @@ class RevixClient(private val config: RevixClientConfig) {
         }
         
         /**
-         * Delete a part
+         * Move a part to the trash
          */
         suspend fun delete(id: String) {
             apiRequestResponse("/parts/$id", HttpMethod.Delete)
@@ -339,17 +470,317 @@ class RevixClient(private val config: RevixClientConfig) {
         }
         
         /**
-         * Delete a tag
+         * Move a tag to the trash
          */
         suspend fun delete(id: String) {
             apiRequestResponse("/tags/$id", HttpMethod.Delete)
         }
     }
     
+    /**
+     * Service schedules management service
+     */
+    inner class ScheduleService {
+        /**
+         * Get schedules across all vehicles with their due date, due odometer reading and status
+         */
+        suspend fun getAll(): List<ServiceSchedule> {
+            return apiRequest("/schedules")
+        }
+        
+        /**
+         * Get schedules for a specific vehicle
+         */
+        suspend fun getByVehicle(vehicleId: String): List<ServiceSchedule> {
+            return apiRequest("/vehicles/$vehicleId/schedules")
+        }
+        
+        /**
+         * Get a specific schedule by ID
+         */
+        suspend fun getById(id: String): ServiceSchedule {
+            return apiRequest("/schedules/$id")
+        }
+        
+        /**
+         * Create a new schedule for a vehicle
+         */
+        suspend fun create(vehicleId: String, request: CreateServiceScheduleRequest): ServiceSchedule {
+            return apiRequest("/vehicles/$vehicleId/schedules", HttpMethod.Post, request)
+        }
+        
+        /**
+         * Update an existing schedule
+         */
+        suspend fun update(id: String, request: UpdateServiceScheduleRequest): ServiceSchedule {
+            return apiRequest("/schedules/$id", HttpMethod.Put, request)
+        }
+        
+        /**
+         * Delete a schedule; records that marked it done are kept
+         */
+        suspend fun delete(id: String) {
+            apiRequestResponse("/schedules/$id", HttpMethod.Delete)
+        }
+    }
+    
+    /**
+     * Attachment service; attachments are listed on the maintenance records and parts they belong to
+     */
+    inner class AttachmentService {
+        /**
+         * Upload a JPEG, PNG, WebP or PDF file to a maintenance record
+         */
+        suspend fun uploadToMaintenance(recordId: String, fileName: String, bytes: ByteArray): Attachment {
+            return apiRequest("/maintenance/$recordId/attachments", HttpMethod.Post, fileUpload(fileName, bytes))
+        }
+        
+        /**
+         * Upload a JPEG, PNG, WebP or PDF file to a part
+         */
+        suspend fun uploadToPart(partId: String, fileName: String, bytes: ByteArray): Attachment {
+            return apiRequest("/parts/$partId/attachments", HttpMethod.Post, fileUpload(fileName, bytes))
+        }
+        
+        /**
+         * Get the file of an attachment
+         */
+        suspend fun getFile(id: String): ByteArray {
+            return apiRequest("/attachments/$id")
+        }
+        
+        /**
+         * Get the JPEG thumbnail of an image attachment; only attachments with hasThumbnail have one
+         */
+        suspend fun getThumbnail(id: String): ByteArray {
+            return apiRequest("/attachments/$id/thumbnail")
+        }
+        
+        /**
+         * Delete an attachment and its file
+         */
+        suspend fun delete(id: String) {
+            apiRequestResponse("/attachments/$id", HttpMethod.Delete)
+        }
+        
+        private fun fileUpload(fileName: String, bytes: ByteArray): MultiPartFormDataContent =
+            MultiPartFormDataContent(formData {
+                append("file", bytes, Headers.build {
+                    append(HttpHeaders.ContentDisposition, "filename=\"${fileName.replace("\"", "")}\"")
+                })
+            })
+    }
+    
+    /**
+     * Vehicle report service
+     */
+    inner class ReportService {
+        /**
+         * Get a vehicle's service history report: details, records oldest first, odometer log and totals
+         */
+        suspend fun getVehicleReport(vehicleId: String): VehicleReport {
+            return apiRequest("/vehicles/$vehicleId/report")
+        }
+        
+        /**
+         * Get the vehicle's service history report as PDF bytes
+         */
+        suspend fun getVehicleReportPdf(vehicleId: String): ByteArray {
+            return apiRequest("/vehicles/$vehicleId/report/pdf")
+        }
+    }
+    
+    /**
+     * Odometer log service
+     */
+    inner class OdometerService {
+        /**
+         * Get the odometer log of a vehicle: manual readings and maintenance record readings, oldest first
+         */
+        suspend fun getByVehicle(vehicleId: String): List<OdometerReading> {
+            return apiRequest("/vehicles/$vehicleId/odometer")
+        }
+        
+        /**
+         * Add a manual reading; the vehicle's current reading is raised when this one is higher
+         */
+        suspend fun create(vehicleId: String, request: CreateOdometerReadingRequest): OdometerReading {
+            return apiRequest("/vehicles/$vehicleId/odometer", HttpMethod.Post, request)
+        }
+        
+        /**
+         * Delete a manual reading
+         */
+        suspend fun delete(id: String) {
+            apiRequestResponse("/odometer/$id", HttpMethod.Delete)
+        }
+    }
+    
+    /**
+     * Dashboard statistics service
+     */
+    inner class StatsService {
+        /**
+         * Get spend, cost and usage figures over all of the user's records
+         */
+        suspend fun getDashboard(): DashboardStats {
+            return apiRequest("/stats")
+        }
+        
+        /**
+         * Get every tag with the parts and records that carry it and the spend on those records
+         */
+        suspend fun getTags(): List<TagStats> {
+            return apiRequest("/stats/tags")
+        }
+    }
+    
+    /**
+     * Trash service for deleted vehicles, parts, tags and maintenance records
+     */
+    inner class TrashService {
+        /**
+         * Get everything in the trash, most recently deleted first
+         */
+        suspend fun getAll(): List<TrashItem> {
+            return apiRequest("/trash")
+        }
+        
+        /**
+         * Get what deleting an item would affect
+         */
+        suspend fun getDeletePreview(type: TrashItemType, id: String): DeletionPreview {
+            return apiRequest("/${type.path}/$id/delete-preview")
+        }
+        
+        /**
+         * Take an item out of the trash
+         */
+        suspend fun restore(type: TrashItemType, id: String) {
+            apiRequestResponse("/trash/${type.path}/$id/restore", HttpMethod.Post)
+        }
+        
+        /**
+         * Delete an item in the trash for good; a part still used by a maintenance record is refused
+         */
+        suspend fun purge(type: TrashItemType, id: String) {
+            apiRequestResponse("/trash/${type.path}/$id", HttpMethod.Delete)
+        }
+    }
+    
+    /**
+     * Audit log service
+     */
+    inner class AuditService {
+        /**
+         * Get audit log entries, most recent first, optionally for one type of item, one item or a range of days
+         */
+        suspend fun getAll(
+            page: Int = 1,
+            pageSize: Int = 50,
+            type: TrashItemType? = null,
+            id: String? = null,
+            from: String? = null,
+            to: String? = null
+        ): PaginatedResponse<AuditEntry> {
+            val params = mutableListOf<String>()
+            params.add("page=$page")
+            params.add("pageSize=$pageSize")
+            type?.let { params.add("type=${it.path}") }
+            id?.let { params.add("id=$it") }
+            from?.let { params.add("from=$it") }
+            to?.let { params.add("to=$it") }
+            
+            return apiRequest("/audit?" + params.joinToString("&"))
+        }
+        
+        /**
+         * Get the history of one vehicle, part, tag or maintenance record
+         */
+        suspend fun getHistory(type: TrashItemType, id: String): List<AuditEntry> {
+            return getAll(pageSize = 100, type = type, id = id).data
+        }
+    }
+    
+    /**
+     * Data export service
+     */
+    inner class ExportService {
+        /**
+         * Export vehicles, parts, tags and maintenance records as one bundle, optionally scoped to a vehicle or date range
+         */
+        suspend fun getBundle(vehicleId: String? = null, from: String? = null, to: String? = null): ExportBundle {
+            return apiRequest("/export?" + exportParams("json", null, vehicleId, from, to))
+        }
+        
+        /**
+         * Export one entity as CSV text
+         */
+        suspend fun getCsv(entity: ExportEntity, vehicleId: String? = null, from: String? = null, to: String? = null): String {
+            return apiRequest("/export?" + exportParams("csv", entity, vehicleId, from, to))
+        }
+        
+        private fun exportParams(format: String, entity: ExportEntity?, vehicleId: String?, from: String?, to: String?): String {
+            val params = mutableListOf("format=$format")
+            entity?.let { params.add("entity=${it.name.lowercase()}") }
+            vehicleId?.let { params.add("vehicleId=$it") }
+            from?.let { params.add("from=$it") }
+            to?.let { params.add("to=$it") }
+            return params.joinToString("&")
+        }
+    }
+    
+    /**
+     * Bulk import service
+     */
+    inner class ImportService {
+        /**
+         * Import parts, matching tags by name; a dry run only reports what would happen
+         */
+        suspend fun importParts(rows: List<ImportPartRow>, dryRun: Boolean = true): ImportResult {
+            return apiRequest("/import/parts", HttpMethod.Post, ImportRequest(rows, dryRun))
+        }
+        
+        /**
+         * Import maintenance records, matching vehicles by license plate or VIN and parts by name
+         */
+        suspend fun importMaintenance(rows: List<ImportMaintenanceRow>, dryRun: Boolean = true): ImportResult {
+            return apiRequest("/import/maintenance", HttpMethod.Post, ImportRequest(rows, dryRun))
+        }
+    }
+    
     /**
      * Maintenance records management service
      */
     inner class MaintenanceService {
+        /**
+         * Get maintenance records across all vehicles, each with its vehicle embedded
+         */
+        suspend fun getAll(
+            page: Int = 1,
+            pageSize: Int = 20,
+            vehicleId: String? = null,
+            from: String? = null,
+            to: String? = null,
+            query: String? = null,
+            sort: MaintenanceSort = MaintenanceSort.DATE_DESC,
+            tagIds: List<String>? = null,
+            tagMatch: TagMatch = TagMatch.ANY
+        ): PaginatedResponse<MaintenanceRecord> {
+            val params = mutableListOf<String>()
+            params.add("page=$page")
+            params.add("pageSize=$pageSize")
+            vehicleId?.let { params.add("vehicleId=$it") }
+            from?.let { params.add("from=$it") }
+            to?.let { params.add("to=$it") }
+            query?.let { params.add("query=$it") }
+            if (sort != MaintenanceSort.DATE_DESC) params.add("sort=${sort.name.lowercase()}")
+            tagIds?.let { if (it.isNotEmpty()) params.add("tags=${it.joinToString(",")}") }
+            if (tagMatch != TagMatch.ANY) params.add("tagMatch=${tagMatch.name.lowercase()}")
+            
+            return apiRequest("/maintenance?" + params.joinToString("&"))
+        }
+        
         /**
          * Get maintenance records for a specific vehicle
          */
@@ -358,13 +789,21 @@ class RevixClient(private val config: RevixClientConfig) {
             page: Int = 1, 
             pageSize: Int = 20,
             from: String? = null,
-            to: String? = null
+            to: String? = null,
+            query: String? = null,
+            sort: MaintenanceSort = MaintenanceSort.DATE_DESC,
+            tagIds: List<String>? = null,
+            tagMatch: TagMatch = TagMatch.ANY
         ): PaginatedResponse<MaintenanceRecord> {
             val params = mutableListOf<String>()
             params.add("page=$page")
             params.add("pageSize=$pageSize")
             from?.let { params.add("from=$it") }
             to?.let { params.add("to=$it") }
+            query?.let { params.add("query=$it") }
+            if (sort != MaintenanceSort.DATE_DESC) params.add("sort=${sort.name.lowercase()}")
+            tagIds?.let { if (it.isNotEmpty()) params.add("tags=${it.joinToString(",")}") }
+            if (tagMatch != TagMatch.ANY) params.add("tagMatch=${tagMatch.name.lowercase()}")
             
             val queryString = if (params.isNotEmpty()) "?" + params.joinToString("&") else ""
             return apiRequest("/vehicles/$vehicleId/maintenance$queryString")
@@ -392,7 +831,7 @@ class RevixClient(private val config: RevixClientConfig) {
         }
         
         /**
-         * Delete a maintenance record
+         * Move a maintenance record to the trash
          */
         suspend fun delete(id: String) {
             apiRequestResponse("/maintenance/$id", HttpMethod.Delete)
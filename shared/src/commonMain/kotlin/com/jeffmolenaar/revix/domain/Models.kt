@@ -9,9 +9,16 @@ data class User(
     val id: String,
     val email: String,
     val name: String? = null,
+    val distanceUnit: OdoUnit = OdoUnit.KM, // Unit for distances in statistics; KM or MI
+    val emailVerified: Boolean = false,
     val createdAt: Instant
 )
 
+@Serializable
+data class UpdatePreferencesRequest(
+    val distanceUnit: OdoUnit? = null
+)
+
 @Serializable
 data class CreateUserRequest(
     val email: String,
@@ -37,9 +44,62 @@ data class RefreshTokenRequest(
     val refreshToken: String
 )
 
+@Serializable
+data class UpdateProfileRequest(
+    val email: String? = null,
+    val name: String? = null // Blank clears the name
+)
+
+@Serializable
+data class ChangePasswordRequest(
+    val currentPassword: String,
+    val newPassword: String
+)
+
+@Serializable
+data class ForgotPasswordRequest(
+    val email: String
+)
+
+// The token comes from the link in the reset mail
+@Serializable
+data class ResetPasswordRequest(
+    val token: String,
+    val password: String
+)
+
+@Serializable
+data class VerifyEmailRequest(
+    val token: String
+)
+
+// A signed-in device or browser, backed by its refresh token
+@Serializable
+data class Session(
+    val id: String,
+    val createdAt: Instant,
+    val expiresAt: Instant,
+    val current: Boolean = false // The session the request was made with
+)
+
 @Serializable
 enum class OdoUnit {
-    KM, HOURS
+    KM, MI, HOURS;
+    
+    // Engine hours count running time rather than distance, so they never convert
+    val isDistance: Boolean get() = this != HOURS
+    
+    // The value in another unit, or null when only one of the two units is a distance
+    fun convert(value: Double, to: OdoUnit): Double? = when {
+        this == to -> value
+        !isDistance || !to.isDistance -> null
+        this == KM -> value / KM_PER_MILE
+        else -> value * KM_PER_MILE
+    }
+    
+    companion object {
+        const val KM_PER_MILE = 1.609344
+    }
 }
 
 @Serializable
@@ -54,6 +114,8 @@ data class Vehicle(
     val fuelType: String? = null,
     val odoUnit: OdoUnit = OdoUnit.KM,
     val currentOdo: Long? = null,
+    val role: VehicleRole = VehicleRole.OWNER, // The requesting user's role
+    val sharedBy: String? = null, // The owner's name or email, on vehicles shared with the requesting user
     val createdAt: Instant,
     val updatedAt: Instant
 )
@@ -82,6 +144,43 @@ data class UpdateVehicleRequest(
     val currentOdo: Long? = null
 )
 
+@Serializable
+enum class VehicleRole {
+    OWNER,
+    EDITOR, // Logs and edits maintenance
+    VIEWER
+}
+
+@Serializable
+data class UserSummary(
+    val id: String,
+    val email: String,
+    val name: String? = null
+)
+
+// A user a vehicle is shared with
+@Serializable
+data class VehicleMember(
+    val vehicleId: String,
+    val user: UserSummary,
+    val role: VehicleRole,
+    val createdAt: Instant
+)
+
+// Shares each of the vehicles with the registered user with this email; sharing again changes the role
+@Serializable
+data class ShareVehiclesRequest(
+    val vehicleIds: List<String>,
+    val email: String,
+    val role: VehicleRole // EDITOR or VIEWER
+)
+
+@Serializable
+enum class TagMatch {
+    ANY, // Parts with at least one of the tags
+    ALL  // Parts with every one of the tags
+}
+
 @Serializable
 data class Tag(
     val id: String,
@@ -114,6 +213,8 @@ data class Part(
     val currency: String? = null,
     val url: String? = null,
     val tags: List<Tag> = emptyList(),
+    val attachments: List<Attachment> = emptyList(),
+    val deletedAt: Instant? = null, // Set on the parts of maintenance items when the part is in the trash
     val createdAt: Instant,
     val updatedAt: Instant
 )
@@ -135,7 +236,8 @@ data class UpdatePartRequest(
     val priceCents: Long? = null,
     val currency: String? = null,
     val url: String? = null,
-    val tagIds: List<String>? = null
+    val tagIds: List<String>? = null,
+    val clearPrice: Boolean = false // Removes price and currency; null fields are left unchanged
 )
 
 @Serializable
@@ -169,17 +271,42 @@ data class MaintenanceRecord(
     val title: String,
     val notes: String? = null,
     val items: List<MaintenanceItem> = emptyList(),
+    val tags: List<Tag> = emptyList(), // The record's own tags; the tags of its parts are on the items
+    val vehicle: VehicleSummary? = null, // Embedded by the list and detail endpoints
+    val scheduleId: String? = null, // Set when the record marks a service schedule done
+    val attachments: List<Attachment> = emptyList(),
+    val createdBy: UserSummary? = null, // Who logged the record, which on a shared vehicle need not be the owner
+    val updatedBy: UserSummary? = null,
     val createdAt: Instant,
     val updatedAt: Instant
 )
 
+@Serializable
+data class VehicleSummary(
+    val id: String,
+    val manufacturer: String,
+    val model: String,
+    val licensePlate: String? = null,
+    val vin: String? = null,
+    val odoUnit: OdoUnit
+)
+
+@Serializable
+enum class MaintenanceSort {
+    DATE_DESC, DATE_ASC,
+    ODO_DESC, ODO_ASC,
+    COST_DESC, COST_ASC // Sum of quantity × unit price of the items, regardless of currency
+}
+
 @Serializable
 data class CreateMaintenanceRecordRequest(
     val happenedAt: LocalDate,
     val odoReading: Long? = null,
     val title: String,
     val notes: String? = null,
-    val items: List<CreateMaintenanceItemRequest> = emptyList()
+    val items: List<CreateMaintenanceItemRequest> = emptyList(),
+    val tagIds: List<String> = emptyList(),
+    val scheduleId: String? = null
 )
 
 @Serializable
@@ -188,7 +315,292 @@ data class UpdateMaintenanceRecordRequest(
     val odoReading: Long? = null,
     val title: String? = null,
     val notes: String? = null,
-    val items: List<CreateMaintenanceItemRequest>? = null
+    val items: List<CreateMaintenanceItemRequest>? = null,
+    val tagIds: List<String>? = null
+)
+
+// A receipt or photo on a maintenance record or a part; the file is fetched separately
+@Serializable
+data class Attachment(
+    val id: String,
+    val ownerId: String,
+    val fileName: String,
+    val contentType: String,
+    val sizeBytes: Long,
+    val hasThumbnail: Boolean,
+    val createdAt: Instant
+) {
+    companion object {
+        const val MAX_SIZE_BYTES = 10L * 1024 * 1024
+        const val MAX_PER_RECORD = 20 // Per maintenance record or part
+        val CONTENT_TYPES = setOf("image/jpeg", "image/png", "image/webp", "application/pdf")
+    }
+}
+
+@Serializable
+enum class OdometerSource {
+    MANUAL, MAINTENANCE
+}
+
+// An entry of a vehicle's odometer log: a manual reading or the reading of a maintenance record
+@Serializable
+data class OdometerReading(
+    val id: String, // The maintenance record ID for MAINTENANCE entries
+    val vehicleId: String,
+    val readAt: LocalDate,
+    val reading: Long,
+    val source: OdometerSource,
+    val note: String? = null, // The record title for MAINTENANCE entries
+    val createdAt: Instant
+)
+
+@Serializable
+data class CreateOdometerReadingRequest(
+    val readAt: LocalDate,
+    val reading: Long,
+    val note: String? = null
+)
+
+@Serializable
+enum class ScheduleStatus {
+    OK, DUE_SOON, OVERDUE
+}
+
+// Due by odometer, by date, or whichever comes first when both intervals are set
+@Serializable
+data class ServiceSchedule(
+    val id: String,
+    val vehicleId: String,
+    val ownerId: String,
+    val title: String,
+    val intervalOdo: Long? = null, // In the vehicle's odo unit
+    val intervalMonths: Int? = null,
+    val notes: String? = null,
+    val lastDoneAt: LocalDate? = null,
+    val lastDoneOdo: Long? = null,
+    val dueAt: LocalDate? = null,
+    val dueOdo: Long? = null,
+    val status: ScheduleStatus = ScheduleStatus.OK,
+    val vehicle: VehicleSummary? = null,
+    val createdAt: Instant,
+    val updatedAt: Instant
+)
+
+@Serializable
+data class CreateServiceScheduleRequest(
+    val title: String,
+    val intervalOdo: Long? = null,
+    val intervalMonths: Int? = null,
+    val notes: String? = null
+)
+
+@Serializable
+data class UpdateServiceScheduleRequest(
+    val title: String? = null,
+    val intervalOdo: Long? = null,
+    val intervalMonths: Int? = null,
+    val notes: String? = null,
+    val clearIntervalOdo: Boolean = false,
+    val clearIntervalMonths: Boolean = false
+)
+
+// Amounts are kept per currency, keyed by currency code, so different currencies are never added up
+@Serializable
+data class DashboardStats(
+    val vehicleCount: Long,
+    val partCount: Long,
+    val tagCount: Long,
+    val maintenanceCount: Long,
+    val monthlySpend: List<PeriodSpend>, // The last 12 months, oldest first
+    val yearlySpend: List<PeriodSpend>, // Every year with records, oldest first
+    val vehicleCosts: List<VehicleCost>,
+    val topParts: List<PartUsage>,
+    val topTags: List<TagUsage>,
+    val upcomingService: List<UpcomingService>
+)
+
+@Serializable
+data class PeriodSpend(
+    val period: String, // "2024-03" for a month, "2024" for a year
+    val totalsCents: Map<String, Long>
+)
+
+@Serializable
+data class VehicleCost(
+    val vehicle: VehicleSummary,
+    val recordCount: Long,
+    val totalsCents: Map<String, Long>,
+    val distance: Long? = null, // Odometer span covered by the records, in distanceUnit
+    val distanceUnit: OdoUnit // The user's distance unit, or HOURS for vehicles that count engine hours
+)
+
+@Serializable
+data class PartUsage(
+    val partId: String,
+    val name: String,
+    val recordCount: Long,
+    val totalQuantity: Double
+)
+
+@Serializable
+data class TagUsage(
+    val tag: Tag,
+    val recordCount: Long
+)
+
+// A record counts towards a tag when it is tagged itself or uses a part with the tag. The spend is the whole
+// record for records tagged themselves, and otherwise the items whose part has the tag.
+@Serializable
+data class TagStats(
+    val tag: Tag,
+    val partCount: Long,
+    val recordCount: Long,
+    val totalsCents: Map<String, Long>
+)
+
+// Estimated from the average interval between earlier records with the same title
+@Serializable
+data class UpcomingService(
+    val vehicle: VehicleSummary,
+    val title: String,
+    val lastDoneAt: LocalDate,
+    val dueAt: LocalDate,
+    val dueOdo: Long? = null,
+    val overdue: Boolean
+)
+
+// A vehicle's service history for a buyer: its records oldest first with their items, and its odometer log
+@Serializable
+data class VehicleReport(
+    val vehicle: Vehicle,
+    val generatedAt: Instant,
+    val records: List<MaintenanceRecord>,
+    val odometerLog: List<OdometerReading>,
+    val totalsCents: Map<String, Long> // Per currency, like the dashboard figures
+)
+
+@Serializable
+enum class ExportEntity {
+    VEHICLES, PARTS, TAGS, MAINTENANCE
+}
+
+// Everything a user owns in one document; the vehicle and date scope only narrow vehicles and maintenance
+@Serializable
+data class ExportBundle(
+    val exportedAt: Instant,
+    val vehicleId: String? = null,
+    val from: LocalDate? = null,
+    val to: LocalDate? = null,
+    val vehicles: List<Vehicle>,
+    val parts: List<Part>,
+    val tags: List<Tag>,
+    val maintenance: List<MaintenanceRecord>
+)
+
+@Serializable
+data class ImportRequest<T>(
+    val rows: List<T>,
+    val dryRun: Boolean = true // Validate and report without writing anything
+)
+
+// A spreadsheet row mapped onto CreatePartRequest; tags are matched by name and created when missing
+@Serializable
+data class ImportPartRow(
+    val name: String,
+    val description: String? = null,
+    val priceCents: Long? = null,
+    val currency: String? = null,
+    val url: String? = null,
+    val tags: List<String> = emptyList()
+)
+
+// A spreadsheet row mapped onto CreateMaintenanceRecordRequest; the vehicle is matched by license plate or VIN
+@Serializable
+data class ImportMaintenanceRow(
+    val vehicle: String,
+    val happenedAt: LocalDate,
+    val odoReading: Long? = null,
+    val title: String,
+    val notes: String? = null,
+    val items: List<ImportMaintenanceItem> = emptyList()
+)
+
+// A part used in an imported record, matched by name against the catalog
+@Serializable
+data class ImportMaintenanceItem(
+    val partName: String,
+    val quantity: Double = 1.0
+)
+
+@Serializable
+data class ImportResult(
+    val dryRun: Boolean,
+    val created: Int, // Rows that were imported, or would be in a dry run
+    val skipped: Int, // Rows already present, which are never imported twice
+    val rows: List<ImportRowResult>
+)
+
+// Only rows with errors or warnings are listed; index is the row's position in the request
+@Serializable
+data class ImportRowResult(
+    val index: Int,
+    val errors: List<String> = emptyList(),
+    val warnings: List<String> = emptyList()
+)
+
+// What can be moved to the trash, and what the audit log tracks; path is where the live items are served
+@Serializable
+enum class TrashItemType(val path: String) {
+    VEHICLE("vehicles"), PART("parts"), TAG("tags"), MAINTENANCE("maintenance")
+}
+
+// A deleted item that can still be restored or deleted for good
+@Serializable
+data class TrashItem(
+    val type: TrashItemType,
+    val id: String,
+    val name: String,
+    val vehicle: VehicleSummary? = null, // For maintenance records
+    val deletedAt: Instant
+)
+
+// What deleting an item affects, shown before the user confirms; counts that do not apply to the type are 0
+@Serializable
+data class DeletionPreview(
+    val type: TrashItemType,
+    val name: String,
+    val maintenanceRecordCount: Long = 0, // Of a vehicle, using a part, or tagged with a tag
+    val partCount: Long = 0, // Tagged with a tag, or used in a record
+    val scheduleCount: Long = 0,
+    val odometerReadingCount: Long = 0, // Manual readings of a vehicle
+    val attachmentCount: Long = 0
+)
+
+@Serializable
+enum class AuditAction {
+    CREATE, UPDATE, DELETE, // DELETE moves the item to the trash
+    RESTORE // From the trash
+}
+
+// A field of an item before and after a change, as text; null where the field was or became empty
+@Serializable
+data class AuditChange(
+    val field: String,
+    val before: String? = null,
+    val after: String? = null
+)
+
+// An entry of the audit log of vehicles, parts, tags and maintenance records; the log is never changed afterwards
+@Serializable
+data class AuditEntry(
+    val id: String,
+    val entityType: TrashItemType,
+    val entityId: String,
+    val entityName: String, // At the time of the change
+    val action: AuditAction,
+    val changes: List<AuditChange> = emptyList(), // Every field on create and delete, the changed ones on update
+    val actor: UserSummary? = null, // Null once the user who made the change deleted their account
+    val createdAt: Instant
 )
 
 @Serializable
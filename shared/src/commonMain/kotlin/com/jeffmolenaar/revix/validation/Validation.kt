@@ -29,6 +29,14 @@ object ValidationRules {
         }
     }
     
+    fun validateUserName(name: String?): ValidationResult {
+        if (name == null) return ValidationResult.Success
+        return when {
+            name.length > 255 -> ValidationResult.Error("Name must be 255 characters or less")
+            else -> ValidationResult.Success
+        }
+    }
+    
     fun validateLicensePlate(licensePlate: String?): ValidationResult {
         if (licensePlate == null) return ValidationResult.Success
         return when {
@@ -78,6 +86,21 @@ object ValidationRules {
         }
     }
     
+    fun validateOdometerNote(note: String?): ValidationResult {
+        if (note == null) return ValidationResult.Success
+        return when {
+            note.length > 200 -> ValidationResult.Error("Odometer note must be 200 characters or less")
+            else -> ValidationResult.Success
+        }
+    }
+    
+    fun validateDistanceUnit(unit: OdoUnit): ValidationResult {
+        return when {
+            !unit.isDistance -> ValidationResult.Error("Distance unit must be KM or MI")
+            else -> ValidationResult.Success
+        }
+    }
+    
     fun validateTagName(name: String): ValidationResult {
         return when {
             name.isBlank() -> ValidationResult.Error("Tag name is required")
@@ -102,6 +125,33 @@ object ValidationRules {
         }
     }
     
+    fun validateScheduleTitle(title: String): ValidationResult {
+        return when {
+            title.isBlank() -> ValidationResult.Error("Schedule title is required")
+            title.length > 200 -> ValidationResult.Error("Schedule title must be 200 characters or less")
+            else -> ValidationResult.Success
+        }
+    }
+    
+    fun validateScheduleIntervals(intervalOdo: Long?, intervalMonths: Int?): ValidationResult {
+        return when {
+            intervalOdo == null && intervalMonths == null -> ValidationResult.Error("Set an odometer interval, a month interval, or both")
+            intervalOdo != null && intervalOdo <= 0 -> ValidationResult.Error("Odometer interval must be greater than 0")
+            intervalMonths != null && intervalMonths <= 0 -> ValidationResult.Error("Month interval must be greater than 0")
+            else -> ValidationResult.Success
+        }
+    }
+    
+    // contentType is what the file turned out to be, or null when it is none of the accepted types
+    fun validateAttachment(contentType: String?, sizeBytes: Long): ValidationResult {
+        return when {
+            sizeBytes == 0L -> ValidationResult.Error("Attachment is empty")
+            sizeBytes > Attachment.MAX_SIZE_BYTES -> ValidationResult.Error("Attachment must be ${Attachment.MAX_SIZE_BYTES / (1024 * 1024)} MB or less")
+            contentType !in Attachment.CONTENT_TYPES -> ValidationResult.Error("Attachment must be a JPEG, PNG or WebP image, or a PDF")
+            else -> ValidationResult.Success
+        }
+    }
+    
     fun validateQuantity(quantity: Double): ValidationResult {
         return when {
             quantity <= 0 -> ValidationResult.Error("Quantity must be greater than 0")